@@ -0,0 +1,257 @@
+/**
+ * API Key Store - Postgres registry of client API keys and their usage
+ *
+ * Keys are random strings shown to the admin exactly once; only their SHA-256
+ * hash is stored, so a database leak doesn't leak working credentials.
+ * Usage is counted per key, per UTC day and per scope, which is enough to
+ * enforce daily / monthly quotas and to answer GET /api/usage.
+ *
+ * Tables: api_keys, api_key_usage — see migrations/004_create_api_keys.sql
+ */
+
+import { randomUUID, randomBytes, createHash } from 'crypto';
+import { dbPool } from './db.js';
+
+export const API_KEY_SCOPES = ['analyze', 'crawl', 'lighthouse', 'pdf', 'backlinks'];
+
+const KEY_PREFIX_LENGTH = 12;
+
+const API_KEY_COLUMNS = `
+  id, name, key_prefix AS "keyPrefix", scopes,
+  daily_quota AS "dailyQuota", monthly_quota AS "monthlyQuota",
+  rate_limit_per_minute AS "rateLimitPerMinute",
+  heavy_rate_limit_per_minute AS "heavyRateLimitPerMinute",
+  last_used_at AS "lastUsedAt", rotated_at AS "rotatedAt", revoked_at AS "revokedAt",
+  created_at AS "createdAt", updated_at AS "updatedAt"
+`;
+
+// camelCase API field → column, for the fields admins may change
+const WRITABLE_FIELDS = {
+  name: 'name',
+  scopes: 'scopes',
+  dailyQuota: 'daily_quota',
+  monthlyQuota: 'monthly_quota',
+  rateLimitPerMinute: 'rate_limit_per_minute',
+  heavyRateLimitPerMinute: 'heavy_rate_limit_per_minute',
+};
+
+export function hashApiKey(rawKey) {
+  return createHash('sha256').update(rawKey).digest('hex');
+}
+
+function generateApiKey() {
+  return `seo_${randomBytes(24).toString('base64url')}`;
+}
+
+/** 'YYYY-MM-DD' of the UTC day containing `date` */
+function utcDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * @param {Object} key - { name, scopes, dailyQuota?, monthlyQuota?, rateLimitPerMinute?, heavyRateLimitPerMinute? }
+ * @returns {Promise<{ apiKey: Object, plaintext: string }>} The stored key and its one-time plaintext
+ */
+export async function createApiKey(key) {
+  const plaintext = generateApiKey();
+  const { rows } = await dbPool.query(
+    `INSERT INTO api_keys (id, name, key_hash, key_prefix, scopes, daily_quota, monthly_quota,
+                           rate_limit_per_minute, heavy_rate_limit_per_minute)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING ${API_KEY_COLUMNS}`,
+    [
+      randomUUID(),
+      key.name,
+      hashApiKey(plaintext),
+      plaintext.slice(0, KEY_PREFIX_LENGTH),
+      key.scopes,
+      key.dailyQuota ?? null,
+      key.monthlyQuota ?? null,
+      key.rateLimitPerMinute ?? null,
+      key.heavyRateLimitPerMinute ?? null,
+    ]
+  );
+  return { apiKey: rows[0], plaintext };
+}
+
+export async function listApiKeys() {
+  const { rows } = await dbPool.query(`SELECT ${API_KEY_COLUMNS} FROM api_keys ORDER BY created_at DESC`);
+  return rows;
+}
+
+export async function getApiKey(id) {
+  const { rows } = await dbPool.query(`SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE id = $1`, [id]);
+  return rows[0] || null;
+}
+
+/** The active (non-revoked) key matching a hash, or null */
+export async function findApiKeyByHash(keyHash) {
+  const { rows } = await dbPool.query(
+    `SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE key_hash = $1 AND revoked_at IS NULL`,
+    [keyHash]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Update the writable fields present in `changes`
+ * @returns {Promise<Object|null>} The updated key, or null if it doesn't exist
+ */
+export async function updateApiKey(id, changes) {
+  const sets = [];
+  const params = [];
+  for (const [field, column] of Object.entries(WRITABLE_FIELDS)) {
+    if (changes[field] === undefined) continue;
+    params.push(changes[field]);
+    sets.push(`${column} = $${params.length}`);
+  }
+  if (sets.length === 0) return getApiKey(id);
+
+  params.push(id);
+  const { rows } = await dbPool.query(
+    `UPDATE api_keys SET ${sets.join(', ')}, updated_at = now()
+     WHERE id = $${params.length}
+     RETURNING ${API_KEY_COLUMNS}`,
+    params
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Replace a key's secret; the old plaintext stops working immediately.
+ * The key ID — and with it usage, webhooks and monitors — is kept.
+ * @returns {Promise<{ apiKey: Object, plaintext: string }|null>} null if missing or revoked
+ */
+export async function rotateApiKey(id) {
+  const plaintext = generateApiKey();
+  const { rows } = await dbPool.query(
+    `UPDATE api_keys
+     SET key_hash = $1, key_prefix = $2, rotated_at = now(), updated_at = now()
+     WHERE id = $3 AND revoked_at IS NULL
+     RETURNING ${API_KEY_COLUMNS}`,
+    [hashApiKey(plaintext), plaintext.slice(0, KEY_PREFIX_LENGTH), id]
+  );
+  return rows[0] ? { apiKey: rows[0], plaintext } : null;
+}
+
+/** @returns {Promise<Object|null>} The revoked key, or null if missing or already revoked */
+export async function revokeApiKey(id) {
+  const { rows } = await dbPool.query(
+    `UPDATE api_keys SET revoked_at = now(), updated_at = now()
+     WHERE id = $1 AND revoked_at IS NULL
+     RETURNING ${API_KEY_COLUMNS}`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+// ---------------------------------------------------------------------------
+// Usage accounting
+// ---------------------------------------------------------------------------
+
+/** Count `units` metered requests against a key (a batch counts one per URL; negative units refund) */
+export async function recordUsage(apiKeyId, scope, units = 1, now = new Date()) {
+  await dbPool.query(
+    `INSERT INTO api_key_usage (api_key_id, day, scope, count)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (api_key_id, day, scope) DO UPDATE SET count = api_key_usage.count + EXCLUDED.count`,
+    [apiKeyId, utcDay(now), scope, units]
+  );
+  await dbPool.query('UPDATE api_keys SET last_used_at = now() WHERE id = $1', [apiKeyId]);
+}
+
+/**
+ * Count `units` against a key only if that keeps it within its quotas. The
+ * check and the insert run in one transaction under a per-key advisory lock,
+ * so parallel requests cannot each pass on the same remaining allowance.
+ * @param {Object} quotas - { dailyQuota, monthlyQuota }; null means unlimited
+ * @returns {Promise<Object|null>} null when charged, otherwise the exceeded
+ *   quota as { period: 'day'|'month', quota, used } — nothing is recorded then
+ */
+export async function recordUsageWithinQuota(apiKeyId, scope, units, { dailyQuota = null, monthlyQuota = null }, now = new Date()) {
+  const today = utcDay(now);
+  const client = await dbPool.connect();
+  let exceeded = null;
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`api_key_usage:${apiKeyId}`]);
+    const { rows: [used] } = await client.query(
+      `SELECT COALESCE(SUM(count) FILTER (WHERE day = $3), 0)::int AS day, COALESCE(SUM(count), 0)::int AS month
+       FROM api_key_usage
+       WHERE api_key_id = $1 AND day >= $2`,
+      [apiKeyId, `${today.slice(0, 7)}-01`, today]
+    );
+    if (dailyQuota != null && used.day + units > dailyQuota) {
+      exceeded = { period: 'day', quota: dailyQuota, used: used.day };
+    } else if (monthlyQuota != null && used.month + units > monthlyQuota) {
+      exceeded = { period: 'month', quota: monthlyQuota, used: used.month };
+    } else {
+      await client.query(
+        `INSERT INTO api_key_usage (api_key_id, day, scope, count)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (api_key_id, day, scope) DO UPDATE SET count = api_key_usage.count + EXCLUDED.count`,
+        [apiKeyId, today, scope, units]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (!exceeded) await dbPool.query('UPDATE api_keys SET last_used_at = now() WHERE id = $1', [apiKeyId]);
+  return exceeded;
+}
+
+/**
+ * Requests made today and this calendar month (UTC), in total and per scope
+ * @returns {Promise<{ day: Object, month: Object }>} Each { total, byScope }
+ */
+export async function getUsageTotals(apiKeyId, now = new Date()) {
+  const today = utcDay(now);
+  const monthStart = `${today.slice(0, 7)}-01`;
+  const { rows } = await dbPool.query(
+    `SELECT day::text AS day, scope, count FROM api_key_usage
+     WHERE api_key_id = $1 AND day >= $2`,
+    [apiKeyId, monthStart]
+  );
+
+  const day = { total: 0, byScope: {} };
+  const month = { total: 0, byScope: {} };
+  for (const row of rows) {
+    month.total += row.count;
+    month.byScope[row.scope] = (month.byScope[row.scope] || 0) + row.count;
+    if (row.day === today) {
+      day.total += row.count;
+      day.byScope[row.scope] = (day.byScope[row.scope] || 0) + row.count;
+    }
+  }
+  return { day, month };
+}
+
+/**
+ * Daily usage history, newest first
+ * @param {string} apiKeyId
+ * @param {number} [days=30] - How many days back to include (max 366)
+ */
+export async function getUsageHistory(apiKeyId, days = 30, now = new Date()) {
+  const safeDays = Math.min(Math.max(1, parseInt(days, 10) || 30), 366);
+  const since = new Date(now.getTime() - (safeDays - 1) * 24 * 60 * 60 * 1000);
+  const { rows } = await dbPool.query(
+    `SELECT day::text AS day, scope, count FROM api_key_usage
+     WHERE api_key_id = $1 AND day >= $2
+     ORDER BY day DESC`,
+    [apiKeyId, utcDay(since)]
+  );
+
+  const byDay = new Map();
+  for (const row of rows) {
+    if (!byDay.has(row.day)) byDay.set(row.day, { day: row.day, total: 0, byScope: {} });
+    const entry = byDay.get(row.day);
+    entry.total += row.count;
+    entry.byScope[row.scope] = row.count;
+  }
+  return [...byDay.values()];
+}
@@ -0,0 +1,135 @@
+/**
+ * Batch Analysis - URL list parsing and result formatting for bulk audits
+ *
+ * POST /api/analyze/batch accepts either a JSON array of URLs or a CSV file.
+ * This module turns that input into a clean URL list, flattens each
+ * analyzeSEO result into one summary row, and renders the rows as CSV for
+ * download. The analyses themselves run in server.js under analysisSemaphore.
+ */
+
+const TOP_RECOMMENDATIONS = 3;
+const PRIORITY_ORDER = { 'High Priority': 0, 'Medium Priority': 1, 'Low Priority': 2 };
+
+// Header names recognised as the URL column, in order of preference
+const URL_COLUMN_NAMES = ['url', 'website', 'homepage', 'domain', 'site'];
+
+export const BATCH_CSV_COLUMNS = [
+  'url', 'status', 'score', 'grade',
+  'onPage', 'technical', 'local', 'social',
+  'phone', 'address', 'topRecommendations',
+  'errorType', 'error', 'reportId',
+];
+
+/**
+ * Minimal RFC 4180 parser — quoted fields, escaped quotes ("") and
+ * CRLF / LF line endings. Blank lines are dropped.
+ * @returns {string[][]} Rows of fields
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else field += ch;
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(f => f.trim() !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some(f => f.trim() !== '')) rows.push(row);
+  return rows;
+}
+
+/**
+ * Extract URLs from an uploaded CSV. Uses the first column whose header is a
+ * known URL header (url, website, domain …); without a header row, the first
+ * column is used.
+ * @returns {string[]} Raw URL strings (not yet validated)
+ */
+export function urlsFromCsv(text) {
+  const rows = parseCsv(String(text).replace(/^\uFEFF/, ''));
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  const namedColumn = URL_COLUMN_NAMES.map(name => header.indexOf(name)).find(idx => idx !== -1);
+  const column = namedColumn ?? 0;
+  const dataRows = namedColumn !== undefined ? rows.slice(1) : rows;
+
+  return dataRows.map(r => (r[column] || '').trim()).filter(Boolean);
+}
+
+/**
+ * One summary row for a successful analysis
+ * @param {string} url
+ * @param {Object} result   - analyzeSEO result
+ * @param {string} reportId
+ */
+export function buildBatchRow(url, result, reportId) {
+  const topRecommendations = [...(result.recommendations || [])]
+    .sort((a, b) => (PRIORITY_ORDER[a.priority] ?? 3) - (PRIORITY_ORDER[b.priority] ?? 3))
+    .slice(0, TOP_RECOMMENDATIONS)
+    .map(rec => rec.title);
+
+  return {
+    url,
+    status: 'completed',
+    score: result.score ?? null,
+    grade: result.grade ?? null,
+    onPage: result.scoreBreakdown?.onPage ?? null,
+    technical: result.scoreBreakdown?.technical ?? null,
+    local: result.scoreBreakdown?.local ?? null,
+    social: result.scoreBreakdown?.social ?? null,
+    phone: result.localSEO?.phoneNumber || null,
+    address: result.localSEO?.addressText || null,
+    topRecommendations,
+    errorType: null,
+    error: null,
+    reportId,
+  };
+}
+
+/**
+ * Row for a URL that could not be analyzed
+ * @param {string} url
+ * @param {'invalid'|'site'|'infra'} errorType - invalid: rejected before running;
+ *   site: the target site is the problem (SiteError, don't retry); infra: our side failed (retryable)
+ * @param {string} message
+ */
+export function buildBatchErrorRow(url, errorType, message) {
+  const row = Object.fromEntries(BATCH_CSV_COLUMNS.map(col => [col, null]));
+  return { ...row, url, status: 'failed', topRecommendations: [], errorType, error: message };
+}
+
+/** Format one CSV cell — RFC 4180 quoting, arrays joined with " | " */
+export function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let str = Array.isArray(value) ? value.join(' | ') : String(value);
+  // Scraped text starting with = + - or @ would run as a formula in Excel / Sheets.
+  // Real numbers are left alone so negative values stay numeric.
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/** Render batch rows as a CSV document (header + one line per URL) */
+export function batchRowsToCsv(rows) {
+  const lines = [BATCH_CSV_COLUMNS.join(',')];
+  for (const row of rows) lines.push(BATCH_CSV_COLUMNS.map(col => csvField(row[col])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
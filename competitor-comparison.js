@@ -0,0 +1,156 @@
+/**
+ * Competitor Comparison - Side-by-side matrix of analyzeSEO results
+ *
+ * Takes the primary site's analysis and N competitor analyses and lines them
+ * up metric by metric: overall and category scores, meta lengths, heading
+ * counts, schema types, social profiles and NAP (name / address / phone)
+ * signals. Every row says whether the primary site is ahead, behind or tied,
+ * and the rows where it is behind are collected into a gap list — that is
+ * the "where do we lose" answer the report leads with.
+ *
+ * Competitors whose analysis failed stay in the matrix with null values and
+ * are ignored when ranking.
+ *
+ * Group and metric labels come from the compare.* catalog keys, in the
+ * locale the comparison ran in; each row also carries its ids so the PDF can
+ * label it in the language it is rendered in.
+ */
+
+import { createTranslator, DEFAULT_LOCALE } from './i18n.js';
+import { SCORING_PROFILES, DEFAULT_SCORING_PROFILE } from './scoring-profiles.js';
+
+// How a metric is compared:
+//   higher — bigger number wins
+//   band   — pass/fail against band(thresholds): title and description
+//            length use the scoring profile the sites were analyzed with,
+//            H1 count is exactly one as in the scorer
+//   bool   — true wins
+//   set    — list values; behind when competitors have entries the primary lacks
+const METRICS = [
+  { id: 'score',              group: 'scores',   compare: 'higher', value: r => r.score },
+  { id: 'onPage',             group: 'scores',   compare: 'higher', value: r => r.scoreBreakdown?.onPage },
+  { id: 'technical',          group: 'scores',   compare: 'higher', value: r => r.scoreBreakdown?.technical },
+  { id: 'local',              group: 'scores',   compare: 'higher', value: r => r.scoreBreakdown?.local },
+  { id: 'social',             group: 'scores',   compare: 'higher', value: r => r.scoreBreakdown?.social },
+
+  { id: 'titleLength',        group: 'meta',     compare: 'band', band: th => ({ min: th.titleLength.min, max: th.titleLength.max }),
+    value: r => r.metaTags?.titleLength },
+  { id: 'descriptionLength',  group: 'meta',     compare: 'band', band: th => ({ min: th.descriptionLength.min, max: th.descriptionLength.max }),
+    value: r => r.metaTags?.descriptionLength },
+
+  { id: 'h1Count',            group: 'headings', compare: 'band', band: () => ({ min: 1, max: 1 }),
+    value: r => r.headings?.h1Count },
+  { id: 'h2Count',            group: 'headings', compare: 'higher', value: r => r.headings?.h2Count },
+  { id: 'h3Count',            group: 'headings', compare: 'higher', value: r => r.headings?.h3Count },
+
+  { id: 'schemaTypes',        group: 'schema',   compare: 'set',  value: r => r.technicalSEO?.schemaTypes },
+  { id: 'hasLocalBusinessSchema', group: 'schema', compare: 'bool', value: r => r.localSEO?.hasLocalBusinessSchema },
+
+  { id: 'hasFacebookPage',    group: 'social',   compare: 'bool', value: r => r.social?.hasFacebookPage },
+  { id: 'hasInstagram',       group: 'social',   compare: 'bool', value: r => r.social?.hasInstagram },
+  { id: 'hasTwitter',         group: 'social',   compare: 'bool', value: r => r.social?.hasTwitter },
+  { id: 'hasLinkedIn',        group: 'social',   compare: 'bool', value: r => r.social?.hasLinkedIn },
+  { id: 'hasYouTube',         group: 'social',   compare: 'bool', value: r => r.social?.hasYouTube },
+
+  { id: 'hasBusinessName',    group: 'nap',      compare: 'bool', value: r => r.technicalSEO?.hasIdentitySchema },
+  { id: 'hasAddress',         group: 'nap',      compare: 'bool', value: r => r.localSEO?.hasAddress },
+  { id: 'hasPhone',           group: 'nap',      compare: 'bool', value: r => r.localSEO?.hasPhone },
+];
+
+function inBand(band, value) {
+  return value !== null && value !== undefined && value >= band.min && value <= band.max;
+}
+
+/** Rank one value against another: 1 = a is better, -1 = b is better, 0 = same */
+function rank(metric, band, a, b) {
+  if (metric.compare === 'higher') return Math.sign((a ?? 0) - (b ?? 0));
+  if (metric.compare === 'band') return Number(inBand(band, a)) - Number(inBand(band, b));
+  if (metric.compare === 'bool') return Number(!!a) - Number(!!b);
+  return Math.sign((a?.length ?? 0) - (b?.length ?? 0));
+}
+
+function compareRow(metric, band, primaryValue, competitorValues) {
+  const present = competitorValues.filter(c => c.value !== undefined);
+  if (present.length === 0) return { position: 'n/a' };
+
+  if (metric.compare === 'set') {
+    const own = new Set(primaryValue || []);
+    const missing = [...new Set(present.flatMap(c => c.value || []))].filter(v => !own.has(v));
+    const competitorTypes = new Set(present.flatMap(c => c.value || []));
+    const unique = [...own].filter(v => !competitorTypes.has(v));
+    const position = missing.length > 0 ? 'behind' : unique.length > 0 ? 'ahead' : 'tied';
+    return { position, missing, unique };
+  }
+
+  const ranks = present.map(c => rank(metric, band, primaryValue, c.value));
+  const best = present.reduce((top, c) => (rank(metric, band, c.value, top.value) > 0 ? c : top), present[0]);
+  let position = 'tied';
+  if (ranks.some(r => r < 0)) position = 'behind';
+  else if (ranks.every(r => r > 0)) position = 'ahead';
+  return { position, leader: position === 'behind' ? { url: best.url, value: best.value } : null };
+}
+
+/**
+ * Build the comparison matrix
+ * @param {Object} primary     - { url, result } — result is an analyzeSEO result; its
+ *   scoring profile sets the length bands every site is judged against
+ * @param {Object[]} competitors - [{ url, result } | { url, error, errorType }]
+ * @param {Object} [options]
+ * @param {string} [options.locale='en'] - Language of the group and metric labels
+ * @returns {Object} { sites, rows, gaps, summary }
+ */
+export function buildComparisonMatrix(primary, competitors, { locale = DEFAULT_LOCALE } = {}) {
+  const t = createTranslator(locale);
+  const thresholds = primary.result.scoreBreakdown?.profile?.thresholds
+    ?? SCORING_PROFILES[DEFAULT_SCORING_PROFILE].thresholds;
+  const sites = [
+    { url: primary.url, role: 'primary', status: 'completed', score: primary.result.score, grade: primary.result.grade },
+    ...competitors.map(c => c.result
+      ? { url: c.url, role: 'competitor', status: 'completed', score: c.result.score, grade: c.result.grade }
+      : { url: c.url, role: 'competitor', status: 'failed', errorType: c.errorType, error: c.error }),
+  ];
+
+  const rows = METRICS.map(metric => {
+    const band = metric.band?.(thresholds);
+    const primaryValue = metric.value(primary.result);
+    const competitorValues = competitors.map(c => ({
+      url: c.url,
+      value: c.result ? metric.value(c.result) ?? null : undefined,
+    }));
+    return {
+      id: metric.id,
+      groupId: metric.group,
+      group: t(`compare.group.${metric.group}`),
+      label: t(`compare.metric.${metric.id}`, band),
+      ...(band ? { band } : {}),
+      values: [primaryValue ?? null, ...competitorValues.map(c => (c.value === undefined ? null : c.value))],
+      ...compareRow(metric, band, primaryValue, competitorValues),
+    };
+  });
+
+  const gaps = rows
+    .filter(row => row.position === 'behind')
+    .map(row => ({
+      id: row.id,
+      groupId: row.groupId,
+      group: row.group,
+      label: row.label,
+      ...(row.band ? { band: row.band } : {}),
+      primary: row.values[0],
+      ...(row.missing ? { missing: row.missing } : { leader: row.leader }),
+    }));
+
+  const count = (position) => rows.filter(r => r.position === position).length;
+  return {
+    sites,
+    rows,
+    gaps,
+    summary: {
+      competitorsAnalyzed: sites.filter(s => s.role === 'competitor' && s.status === 'completed').length,
+      competitorsFailed: sites.filter(s => s.status === 'failed').length,
+      ahead: count('ahead'),
+      behind: count('behind'),
+      tied: count('tied'),
+    },
+  };
+}
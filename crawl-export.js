@@ -0,0 +1,186 @@
+/**
+ * Crawl Export - Site crawl results as CSV, XLSX or JSON Lines
+ *
+ * GET /api/crawl-site/:jobId/export and GET /api/reports/:id/export hand a
+ * crawl result to writeCrawlExport(), which writes to the response one page
+ * at a time instead of rendering the whole document in memory first:
+ *
+ *   csv    — one row per page, one true/false column per issue code
+ *   xlsx   — Summary sheet, All Pages sheet, then one sheet per issue that occurs
+ *   ndjson — one JSON object per line, for data pipelines
+ */
+
+import ExcelJS from 'exceljs';
+import { csvField } from './batch-analysis.js';
+import { CRAWL_ISSUE_CODES } from './site-crawler.js';
+
+export const CRAWL_EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+};
+
+// Per-page columns shared by every format; issue flags follow in CRAWL_ISSUE_CODES order
+const PAGE_COLUMNS = [
+  'url', 'status', 'statusClass', 'loadTime', 'pageSizeKb',
+  'title', 'titleLength', 'metaLength', 'h1Count', 'wordCount',
+  'totalImages', 'missingAlt', 'brokenLinks', 'canonical', 'isNoindex',
+  'finalUrl', 'redirectHops', 'redirectingLinks', 'depth', 'foundOn',
+  'inDegree', 'outDegree', 'pageRank', 'authority',
+  'inSitemap', 'sitemapLastmod', 'sitemapImages', 'issueCount', 'error',
+];
+
+export const CRAWL_EXPORT_COLUMNS = [...PAGE_COLUMNS, ...CRAWL_ISSUE_CODES];
+
+// Spreadsheet column widths — anything not listed gets the default
+const XLSX_WIDTHS = { url: 60, title: 50, canonical: 60, finalUrl: 60, foundOn: 60, error: 40, statusClass: 14 };
+
+/** Flatten one crawled page into an export row keyed by CRAWL_EXPORT_COLUMNS */
+export function crawlPageToRow(page) {
+  const issues = page.issues || [];
+  const row = {
+    url: page.url,
+    status: page.status ?? null,
+    statusClass: page.statusClass ?? null,
+    loadTime: page.loadTime ?? null,
+    pageSizeKb: page.pageSizeKb ?? null,
+    title: page.title || null,
+    titleLength: page.titleLength ?? null,
+    metaLength: page.metaLength ?? null,
+    h1Count: page.h1Count ?? null,
+    wordCount: page.wordCount ?? null,
+    totalImages: page.totalImages ?? null,
+    missingAlt: page.missingAlt ?? null,
+    brokenLinks: page.brokenLinks ?? null,
+    canonical: page.canonical || null,
+    isNoindex: Boolean(page.isNoindex),
+    finalUrl: page.finalUrl || null,
+    redirectHops: page.redirectChain?.length ?? 0,
+    redirectingLinks: page.redirectingLinks ?? null,
+    depth: page.depth ?? null,
+    foundOn: page.foundOn || null,
+    inDegree: page.inDegree ?? null,
+    outDegree: page.outDegree ?? null,
+    pageRank: page.pageRank ?? null,
+    authority: page.authority ?? null,
+    inSitemap: Boolean(page.sitemap),
+    sitemapLastmod: page.sitemap?.lastmod ?? null,
+    sitemapImages: page.sitemap ? page.sitemap.images.length : null,
+    issueCount: issues.length,
+    error: page.error || null,
+  };
+  for (const code of CRAWL_ISSUE_CODES) row[code] = issues.includes(code);
+  return row;
+}
+
+// ---------------------------------------------------------------------------
+// Backpressure — wait for the response to drain, or give up if the client left
+// ---------------------------------------------------------------------------
+function drained(stream) {
+  return new Promise(resolve => {
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+  });
+}
+
+async function writeChunk(stream, chunk) {
+  if (!stream.write(chunk)) await drained(stream);
+}
+
+// ---------------------------------------------------------------------------
+// Writers
+// ---------------------------------------------------------------------------
+async function writeCsv(crawl, stream) {
+  await writeChunk(stream, CRAWL_EXPORT_COLUMNS.join(',') + '\r\n');
+  for (const page of crawl.pages) {
+    if (stream.destroyed) return;
+    const row = crawlPageToRow(page);
+    await writeChunk(stream, CRAWL_EXPORT_COLUMNS.map(col => csvField(row[col])).join(',') + '\r\n');
+  }
+  stream.end();
+}
+
+async function writeNdjson(crawl, stream) {
+  for (const page of crawl.pages) {
+    if (stream.destroyed) return;
+    // Keep the raw issues array alongside the flags — pipelines usually want one or the other
+    await writeChunk(stream, JSON.stringify({ ...crawlPageToRow(page), issues: page.issues || [] }) + '\n');
+  }
+  stream.end();
+}
+
+function addPageSheet(workbook, name, pages, columns) {
+  const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = columns.map(key => ({ header: key, key, width: XLSX_WIDTHS[key] || Math.max(12, key.length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+  for (const page of pages) sheet.addRow(crawlPageToRow(page)).commit();
+  sheet.commit();
+}
+
+async function writeXlsx(crawl, stream) {
+  const pages = crawl.pages;
+  const labels = crawl.issueLabels || {};
+  const pagesByIssue = new Map(CRAWL_ISSUE_CODES.map(code => [code, []]));
+  for (const page of pages) {
+    for (const code of page.issues || []) pagesByIssue.get(code)?.push(page);
+  }
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true, useSharedStrings: false });
+
+  const summary = workbook.addWorksheet('Summary');
+  summary.columns = [{ width: 36 }, { width: 60 }, { width: 26 }];
+  const heading = (...cells) => {
+    const row = summary.addRow(cells);
+    row.font = { bold: true };
+    row.commit();
+  };
+  heading('Site crawl');
+  for (const [label, value] of [
+    ['URL', crawl.url || pages[0]?.url || ''],
+    ['Crawled at', crawl.crawledAt || ''],
+    ['Pages crawled', crawl.crawledPages ?? pages.length],
+    ['URLs discovered', crawl.totalDiscoveredUrls ?? crawl.discoveredUrls ?? pages.length],
+    ['Capped', Boolean(crawl.wasCapped)],
+    ['Average load time (s)', crawl.summary?.avgLoadTime ?? null],
+    ['Average word count', crawl.summary?.avgWordCount ?? null],
+  ]) summary.addRow([label, value]).commit();
+  summary.addRow([]).commit();
+
+  heading('Status', 'Pages');
+  for (const [statusClass, count] of Object.entries(crawl.summary?.statusBreakdown || {})) {
+    summary.addRow([statusClass, count]).commit();
+  }
+  summary.addRow([]).commit();
+
+  heading('Issue', 'Pages', 'Code');
+  for (const [code, issuePages] of pagesByIssue) {
+    if (issuePages.length) summary.addRow([labels[code] || code, issuePages.length, code]).commit();
+  }
+  summary.commit();
+
+  addPageSheet(workbook, 'All Pages', pages, CRAWL_EXPORT_COLUMNS);
+  // Issue codes are all well under Excel's 31-character sheet name limit
+  for (const [code, issuePages] of pagesByIssue) {
+    if (stream.destroyed) return;
+    if (issuePages.length) addPageSheet(workbook, code, issuePages, PAGE_COLUMNS);
+  }
+
+  await workbook.commit();
+}
+
+/**
+ * Write a crawl result to a writable stream (usually the HTTP response) and end it
+ * @param {Object} crawl - crawlSite result, as stored on the job or report
+ * @param {'csv'|'xlsx'|'ndjson'} format
+ * @param {import('stream').Writable} stream
+ */
+export async function writeCrawlExport(crawl, format, stream) {
+  if (format === 'xlsx') return writeXlsx(crawl, stream);
+  if (format === 'ndjson') return writeNdjson(crawl, stream);
+  return writeCsv(crawl, stream);
+}
@@ -0,0 +1,62 @@
+/**
+ * Database - Shared Postgres pool and schema migrations
+ *
+ * Every module that persists data (backlinks, reports, …) goes through the
+ * single pool exported here so the server only holds one set of connections.
+ *
+ * Migrations are plain .sql files in ./migrations, applied in filename order.
+ * Applied files are recorded in schema_migrations, so each runs exactly once.
+ * They run automatically on server start, or manually with `npm run migrate`.
+ */
+
+import pkg from 'pg';
+import { readdir, readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const { Pool } = pkg;
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+
+export const dbPool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_URL?.includes('supabase') ? { rejectUnauthorized: false } : false,
+});
+
+/**
+ * Apply any migrations that haven't run yet
+ * @returns {Promise<string[]>} Filenames applied in this run
+ */
+export async function runMigrations() {
+  await dbPool.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name       TEXT PRIMARY KEY,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )
+  `);
+
+  const files = (await readdir(MIGRATIONS_DIR)).filter(f => f.endsWith('.sql')).sort();
+  const { rows } = await dbPool.query('SELECT name FROM schema_migrations');
+  const applied = new Set(rows.map(r => r.name));
+
+  const ran = [];
+  for (const file of files) {
+    if (applied.has(file)) continue;
+    const sql = await readFile(path.join(MIGRATIONS_DIR, file), 'utf8');
+    const client = await dbPool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(sql);
+      await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+      await client.query('COMMIT');
+      console.log(`[DB] Applied migration ${file}`);
+      ran.push(file);
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw new Error(`Migration ${file} failed: ${err.message}`);
+    } finally {
+      client.release();
+    }
+  }
+  return ran;
+}
@@ -0,0 +1,189 @@
+/**
+ * Duplicate Content - Exact and near-duplicate detection across crawled pages
+ *
+ * analyzePageHtml() stores a 64-bit simhash of each page's main text
+ * (`contentHash`, built from 4-word shingles with nav/header/footer removed).
+ * findDuplicates() then runs over the finished crawl and reports:
+ *
+ *   titles / metaDescriptions / h1s — groups of pages sharing the exact value
+ *   nearDuplicates                  — clusters of pages whose simhashes are at
+ *                                     least `threshold` similar, each with a
+ *                                     suggested canonical URL
+ *
+ * Only pages competing for the index take part: 2xx, not noindex, not
+ * canonicalised to another URL, and not a redirect to a page crawled separately.
+ * Faceted URLs that already point their canonical at the main listing are
+ * therefore resolved and don't show up.
+ */
+
+import { createHash } from "crypto";
+
+const SHINGLE_SIZE = 4;
+export const DEFAULT_NEAR_DUPLICATE_THRESHOLD = 0.9;
+
+// ---------------------------------------------------------------------------
+// Simhash — 64 bits kept as two unsigned 32-bit halves, serialised as 16 hex chars
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {string} text
+ * @returns {string|null} hex simhash, or null when the text is too short to shingle
+ */
+export function simhash(text) {
+  const words = (text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length < SHINGLE_SIZE) return null;
+
+  const weights = new Array(64).fill(0);
+  const seen = new Set();
+  for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+    const shingle = words.slice(i, i + SHINGLE_SIZE).join(" ");
+    if (seen.has(shingle)) continue;
+    seen.add(shingle);
+    const digest = createHash("md5").update(shingle).digest();
+    const halves = [digest.readUInt32BE(0), digest.readUInt32BE(4)];
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (halves[bit >> 5] >>> (bit & 31)) & 1 ? 1 : -1;
+    }
+  }
+
+  const halves = [0, 0];
+  for (let bit = 0; bit < 64; bit++) {
+    if (weights[bit] > 0) halves[bit >> 5] |= 1 << (bit & 31);
+  }
+  return halves.map(h => (h >>> 0).toString(16).padStart(8, "0")).join("");
+}
+
+function popcount32(n) {
+  n = n - ((n >>> 1) & 0x55555555);
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return (((n + (n >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+/** Share of the 64 simhash bits two pages agree on (1 = identical fingerprints) */
+export function simhashSimilarity(a, b) {
+  const distance =
+    popcount32((parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16)) >>> 0) +
+    popcount32((parseInt(a.slice(8), 16) ^ parseInt(b.slice(8), 16)) >>> 0);
+  return 1 - distance / 64;
+}
+
+// ---------------------------------------------------------------------------
+// Grouping
+// ---------------------------------------------------------------------------
+const normalizeText = (value) => (value || "").replace(/\s+/g, " ").trim().toLowerCase();
+
+function exactGroups(pages, field) {
+  const groups = new Map();
+  for (const page of pages) {
+    const key = normalizeText(page[field]);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, { value: page[field].trim(), urls: [] });
+    groups.get(key).urls.push(page.url);
+  }
+  return [...groups.values()]
+    .filter(group => group.urls.length > 1)
+    .sort((a, b) => b.urls.length - a.urls.length);
+}
+
+/**
+ * Pick the URL the rest of a cluster should canonicalise to: one without a
+ * query string, then the shallowest path, then the most linked-to, then the shortest
+ */
+function suggestCanonical(urls, inlinks) {
+  const rank = (url) => {
+    const u = new URL(url);
+    return [u.search ? 1 : 0, u.pathname.split("/").filter(Boolean).length, -(inlinks.get(url) || 0), url.length];
+  };
+  return [...urls].sort((a, b) => {
+    const ra = rank(a);
+    const rb = rank(b);
+    for (let i = 0; i < ra.length; i++) if (ra[i] !== rb[i]) return ra[i] - rb[i];
+    return a < b ? -1 : 1;
+  })[0];
+}
+
+function isIndexCandidate(page, crawledUrls) {
+  if (page.statusClass !== "ok" || page.isNoindex) return false;
+  if ((page.redirectChain || []).length > 0 && page.finalUrl !== page.url && crawledUrls.has(page.finalUrl)) return false;
+  if (page.canonical && page.finalUrl) {
+    try {
+      const canonical = new URL(page.canonical, page.finalUrl);
+      canonical.hash = "";
+      if (canonical.href !== page.finalUrl) return false;
+    } catch {}
+  }
+  return true;
+}
+
+function addIssue(page, code) {
+  if (!page.issues.includes(code)) page.issues.push(code);
+}
+
+/**
+ * @param {Array<Object>} pages - crawl page records; issues are added in place
+ * @param {Array<{ href: string, source: string, type: string }>} [outlinks] - for inlink counts
+ * @param {object} [options]
+ *   @param {number} [options.threshold=0.9] - minimum simhash similarity for near-duplicates
+ * @returns {{ threshold: number,
+ *   titles: Array<{ value: string, urls: string[] }>,
+ *   metaDescriptions: Array<{ value: string, urls: string[] }>,
+ *   h1s: Array<{ value: string, urls: string[] }>,
+ *   nearDuplicates: Array<{ urls: string[], similarity: number, suggestedCanonical: string }> }}
+ */
+export function findDuplicates(pages, outlinks = [], { threshold = DEFAULT_NEAR_DUPLICATE_THRESHOLD } = {}) {
+  const crawledUrls = new Set(pages.map(page => page.url));
+  const candidates = pages.filter(page => isIndexCandidate(page, crawledUrls));
+  const byUrl = new Map(candidates.map(page => [page.url, page]));
+
+  const titles = exactGroups(candidates, "title");
+  const metaDescriptions = exactGroups(candidates, "metaDescription");
+  const h1s = exactGroups(candidates, "h1Text");
+  for (const [groups, code] of [[titles, "duplicate_title"], [metaDescriptions, "duplicate_meta_description"], [h1s, "duplicate_h1"]]) {
+    for (const group of groups) {
+      for (const url of group.urls) addIssue(byUrl.get(url), code);
+    }
+  }
+
+  // Near-duplicates — pairwise over at most a few hundred pages, merged with union-find
+  const hashed = candidates.filter(page => page.contentHash);
+  const parent = hashed.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const lowest = new Map(); // cluster root → lowest pairwise similarity that joined it
+  for (let i = 0; i < hashed.length; i++) {
+    for (let j = i + 1; j < hashed.length; j++) {
+      const similarity = simhashSimilarity(hashed[i].contentHash, hashed[j].contentHash);
+      if (similarity < threshold) continue;
+      const a = find(i);
+      const b = find(j);
+      const floor = Math.min(similarity, lowest.get(a) ?? 1, lowest.get(b) ?? 1);
+      if (a !== b) parent[b] = a;
+      lowest.set(a, floor);
+    }
+  }
+
+  const clusters = new Map();
+  hashed.forEach((page, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(page.url);
+  });
+
+  const inlinks = new Map();
+  for (const link of outlinks) {
+    if (link.type === "internal" && link.source !== link.href) inlinks.set(link.href, (inlinks.get(link.href) || 0) + 1);
+  }
+
+  const nearDuplicates = [];
+  for (const [root, urls] of clusters) {
+    if (urls.length < 2) continue;
+    for (const url of urls) addIssue(byUrl.get(url), "near_duplicate_content");
+    nearDuplicates.push({
+      urls,
+      similarity: Number((lowest.get(root) ?? 1).toFixed(3)),
+      suggestedCanonical: suggestCanonical(urls, inlinks),
+    });
+  }
+  nearDuplicates.sort((a, b) => b.urls.length - a.urls.length);
+
+  return { threshold, titles, metaDescriptions, h1s, nearDuplicates };
+}
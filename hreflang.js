@@ -0,0 +1,267 @@
+/**
+ * hreflang - Extraction and cross-page validation of language alternates
+ *
+ * analyzePageHtml() keeps each page's <link rel="alternate" hreflang> set and
+ * html[lang]; sitemap entries carry their xhtml:link alternates. Once the crawl
+ * is in, validateHreflang() checks every annotated page:
+ *
+ *   hreflang_invalid_code      — not ISO 639-1 language, optional ISO 15924 script,
+ *                                optional ISO 3166-1 alpha-2 region (or x-default)
+ *   hreflang_missing_return    — a crawled alternate doesn't link back (return tag)
+ *   hreflang_missing_self      — the set doesn't include the page itself
+ *   hreflang_missing_x_default — no x-default fallback
+ *   hreflang_to_redirect / hreflang_to_broken / hreflang_to_noindex — bad alternate targets
+ *   hreflang_sitemap_conflict  — page and sitemap annotations disagree
+ *   hreflang_lang_mismatch     — html[lang] names another language than the self-reference
+ *
+ * Alternates that weren't crawled are requested once without following redirects;
+ * their return tags can't be verified and are counted as unchecked.
+ */
+
+import { checkUrls, isBrokenResult } from "./link-checker.js";
+
+const HREFLANG_CHECK_MAX_URLS = parseInt(process.env.HREFLANG_CHECK_MAX_URLS || "500", 10);
+
+export const HREFLANG_ISSUE_CODES = [
+  "hreflang_invalid_code", "hreflang_missing_return", "hreflang_missing_self", "hreflang_missing_x_default",
+  "hreflang_to_redirect", "hreflang_to_broken", "hreflang_to_noindex",
+  "hreflang_sitemap_conflict", "hreflang_lang_mismatch",
+];
+
+// ---------------------------------------------------------------------------
+// Codes — ICU knows the registries; these are the entries it accepts that hreflang doesn't
+// ---------------------------------------------------------------------------
+const languageNames = new Intl.DisplayNames(["en"], { type: "language", fallback: "none" });
+const regionNames = new Intl.DisplayNames(["en"], { type: "region", fallback: "none" });
+const scriptNames = new Intl.DisplayNames(["en"], { type: "script", fallback: "none" });
+
+// Withdrawn ISO 639-1 codes and their replacements
+const DEPRECATED_LANGUAGES = { iw: "he", in: "id", ji: "yi", mo: "ro", sh: "sr" };
+// Not ISO 3166-1 countries: the classic en-UK mistake, groupings, exceptional
+// reservations and withdrawn codes
+const INVALID_REGIONS = {
+  UK: "GB", EU: null, EZ: null, UN: null, QO: null, XA: null, XB: null, XK: null, ZZ: null,
+  AC: "SH", CP: null, DG: "IO", EA: "ES", IC: "ES", TA: "SH",
+  SU: "RU", DD: "DE", YU: "RS", CS: "RS", AN: "CW",
+};
+
+/**
+ * @param {string} code - hreflang value, e.g. "en-GB", "zh-Hant-TW" or "x-default"
+ * @returns {{ valid: boolean, reason: 'format'|'language'|'script'|'region'|null, suggestion: string|null }}
+ */
+export function validateHreflangCode(code) {
+  const value = String(code || "").trim();
+  if (value.toLowerCase() === "x-default") return { valid: true, reason: null, suggestion: null };
+  const match = value.match(/^([a-zA-Z]{2})(?:-([a-zA-Z]{4}))?(?:-([a-zA-Z]{2}))?$/);
+  if (!match) {
+    // en_US is the most common slip — suggest the hyphenated form
+    const hyphenated = value.replace(/_/g, "-");
+    return { valid: false, reason: "format", suggestion: hyphenated !== value && validateHreflangCode(hyphenated).valid ? hyphenated : null };
+  }
+  const [, language, script, region] = match;
+  const lang = language.toLowerCase();
+  if (DEPRECATED_LANGUAGES[lang]) {
+    return { valid: false, reason: "language", suggestion: value.replace(language, DEPRECATED_LANGUAGES[lang]) };
+  }
+  if (!languageNames.of(lang)) return { valid: false, reason: "language", suggestion: null };
+  if (script && (script.toLowerCase() === "zzzz" || !scriptNames.of(script))) {
+    return { valid: false, reason: "script", suggestion: null };
+  }
+  if (region) {
+    const upper = region.toUpperCase();
+    if (upper in INVALID_REGIONS || !regionNames.of(upper)) {
+      const fix = INVALID_REGIONS[upper];
+      return { valid: false, reason: "region", suggestion: fix ? value.slice(0, -2) + fix : null };
+    }
+  }
+  return { valid: true, reason: null, suggestion: null };
+}
+
+// ---------------------------------------------------------------------------
+// Extraction
+// ---------------------------------------------------------------------------
+function withoutHash(raw, base) {
+  try {
+    const u = new URL(raw, base);
+    if (u.protocol !== "http:" && u.protocol !== "https:") return null;
+    u.hash = "";
+    return u.href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * hreflang alternates and html[lang] of a parsed document
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {string} baseUrl - URL the document was served from
+ * @returns {{ htmlLang: string|null, alternates: Array<{ hreflang: string, href: string }> }}
+ */
+export function extractHreflang($, baseUrl) {
+  const alternates = [];
+  $('link[rel~="alternate"][hreflang]').each((_, el) => {
+    const hreflang = ($(el).attr("hreflang") || "").trim();
+    const href = withoutHash($(el).attr("href") || "", baseUrl);
+    if (hreflang && href) alternates.push({ hreflang, href });
+  });
+  return { htmlLang: $("html").attr("lang")?.trim() || null, alternates };
+}
+
+const primaryLanguage = (code) => code.split(/[-_]/)[0].toLowerCase();
+
+/**
+ * Checks that need only the page itself — used by the single-page analyzer too
+ * @param {string|string[]} pageUrls - the page's URL, plus its final URL after redirects
+ */
+export function summarizePageHreflang({ htmlLang, alternates }, pageUrls) {
+  const selfUrls = new Set([].concat(pageUrls));
+  const self = alternates.find(alt => selfUrls.has(alt.href));
+  return {
+    htmlLang,
+    alternates,
+    invalidCodes: alternates
+      .map(alt => ({ hreflang: alt.hreflang, ...validateHreflangCode(alt.hreflang) }))
+      .filter(result => !result.valid)
+      .map(({ valid, ...result }) => result),
+    hasSelfReference: Boolean(self),
+    hasXDefault: alternates.some(alt => alt.hreflang.toLowerCase() === "x-default"),
+    langMismatch: Boolean(htmlLang && self && self.hreflang.toLowerCase() !== "x-default" &&
+      primaryLanguage(htmlLang) !== primaryLanguage(self.hreflang)),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Cross-page validation
+// ---------------------------------------------------------------------------
+function addIssue(page, code) {
+  if (!page.issues.includes(code)) page.issues.push(code);
+}
+
+// Same code → same URL, regardless of order or letter case
+function sameAnnotations(a, b) {
+  const key = (alternates) => alternates.map(alt => `${alt.hreflang.toLowerCase()} ${alt.href}`).sort().join("\n");
+  return key(a) === key(b);
+}
+
+/**
+ * @param {Array<Object>} pages - crawl page records with `hreflang`, `htmlLang` and
+ *   `sitemap` attached; issues are added in place
+ * @returns {Promise<{
+ *   pagesWithHreflang: number, uncheckedReturnTags: number,
+ *   invalidCodes: Array<{ url: string, hreflang: string, reason: string, suggestion: string|null }>,
+ *   missingReturn: Array<{ url: string, target: string, hreflang: string }>,
+ *   missingSelf: string[], missingXDefault: string[],
+ *   badTargets: Array<{ url: string, target: string, hreflang: string, status: number|null, problem: string }>,
+ *   sitemapConflicts: Array<{ url: string, page: Array<Object>, sitemap: Array<Object> }>,
+ *   langMismatches: Array<{ url: string, htmlLang: string, hreflang: string }>
+ * }>}
+ */
+export async function validateHreflang(pages) {
+  const byUrl = new Map(pages.map(page => [page.url, page]));
+  const byFinalUrl = new Map();
+  for (const page of pages) {
+    if (page.finalUrl && !byFinalUrl.has(page.finalUrl)) byFinalUrl.set(page.finalUrl, page);
+  }
+  const redirects = (page) => (page.redirectChain || []).length > 0;
+  // The page a URL actually serves: itself, or the crawled page it redirects to
+  const served = (url) => {
+    const page = byUrl.get(url);
+    return page && !redirects(page) ? page : byFinalUrl.get(url) || null;
+  };
+
+  // Annotated pages — page-level tags win; the sitemap set stands in when a page has none
+  const annotated = [];
+  for (const page of pages) {
+    if (page.statusClass !== "ok") continue;
+    if (redirects(page) && page.finalUrl !== page.url && byUrl.has(page.finalUrl)) continue;
+    const own = page.hreflang || [];
+    const fromSitemap = (page.sitemap?.alternates || [])
+      .map(alt => ({ hreflang: alt.hreflang, href: withoutHash(alt.href) }))
+      .filter(alt => alt.href);
+    if (own.length === 0 && fromSitemap.length === 0) continue;
+    annotated.push({ page, alternates: own.length ? own : fromSitemap, own, fromSitemap });
+  }
+  const annotationsOf = new Map(annotated.map(entry => [entry.page, entry.alternates]));
+
+  const invalidCodes = [];
+  const missingReturn = [];
+  const missingSelf = [];
+  const missingXDefault = [];
+  const badTargets = [];
+  const sitemapConflicts = [];
+  const langMismatches = [];
+  let uncheckedReturnTags = 0;
+
+  // Alternates nobody crawled — one status request each, redirects not followed
+  const unknown = new Set();
+  for (const { alternates } of annotated) {
+    for (const { href } of alternates) if (!byUrl.has(href) && !byFinalUrl.has(href)) unknown.add(href);
+  }
+  const fetched = await checkUrls([...unknown].slice(0, HREFLANG_CHECK_MAX_URLS), { maxRedirects: 0 });
+
+  for (const { page, alternates, own, fromSitemap } of annotated) {
+    const selfUrls = new Set([page.url, page.finalUrl].filter(Boolean));
+    const summary = summarizePageHreflang({ htmlLang: page.htmlLang, alternates }, [...selfUrls]);
+
+    for (const invalid of summary.invalidCodes) invalidCodes.push({ url: page.url, ...invalid });
+    if (summary.invalidCodes.length) addIssue(page, "hreflang_invalid_code");
+    if (!summary.hasSelfReference) {
+      missingSelf.push(page.url);
+      addIssue(page, "hreflang_missing_self");
+    }
+    if (!summary.hasXDefault) {
+      missingXDefault.push(page.url);
+      addIssue(page, "hreflang_missing_x_default");
+    }
+    if (summary.langMismatch) {
+      const self = alternates.find(alt => selfUrls.has(alt.href));
+      langMismatches.push({ url: page.url, htmlLang: page.htmlLang, hreflang: self.hreflang });
+      addIssue(page, "hreflang_lang_mismatch");
+    }
+    if (own.length && fromSitemap.length && !sameAnnotations(own, fromSitemap)) {
+      sitemapConflicts.push({ url: page.url, page: own, sitemap: fromSitemap });
+      addIssue(page, "hreflang_sitemap_conflict");
+    }
+
+    for (const { hreflang, href } of alternates) {
+      if (selfUrls.has(href)) continue;
+      const bad = (problem, status) => {
+        badTargets.push({ url: page.url, target: href, hreflang, status, problem });
+        addIssue(page, problem);
+      };
+      const crawled = byUrl.get(href);
+      if (crawled && redirects(crawled)) bad("hreflang_to_redirect", crawled.redirectChain[0].status);
+      else if (crawled && crawled.statusClass !== "ok") bad("hreflang_to_broken", crawled.status || null);
+
+      const target = served(href);
+      if (!target) {
+        const result = fetched.get(href);
+        if (result?.status >= 300 && result.status < 400) bad("hreflang_to_redirect", result.status);
+        else if (result && isBrokenResult(result)) bad("hreflang_to_broken", result.status);
+        uncheckedReturnTags++;
+        continue;
+      }
+      if (target.statusClass !== "ok") continue;
+      if (target.isNoindex) bad("hreflang_to_noindex", target.status);
+
+      // Return tag — the alternate must list this page in its own set
+      const returns = (annotationsOf.get(target) || []).some(alt => selfUrls.has(alt.href));
+      if (!returns) {
+        missingReturn.push({ url: page.url, target: href, hreflang });
+        addIssue(page, "hreflang_missing_return");
+      }
+    }
+  }
+
+  return {
+    pagesWithHreflang: annotated.length,
+    uncheckedReturnTags,
+    invalidCodes,
+    missingReturn,
+    missingSelf,
+    missingXDefault,
+    badTargets,
+    sitemapConflicts,
+    langMismatches,
+  };
+}
@@ -0,0 +1,77 @@
+/**
+ * i18n - Translation catalogs for report output
+ *
+ * Recommendation titles, score messages, crawl progress text and the PDF copy
+ * live in per-language catalogs under locales/. Keys are flat dotted strings
+ * ('rec.addTitle'); values may contain {placeholders}. A key with `_one` /
+ * `_other` variants is pluralised on params.count. Anything missing from a
+ * catalog falls back to English, and a key missing from English renders as
+ * the key itself so gaps are visible instead of blank.
+ */
+
+import en from './locales/en.js';
+import de from './locales/de.js';
+import fr from './locales/fr.js';
+import es from './locales/es.js';
+
+export const DEFAULT_LOCALE = 'en';
+
+const CATALOGS = { en, de, fr, es };
+
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+// Intl locale used for dates and numbers in each language
+const INTL_LOCALES = { en: 'en-GB', de: 'de-DE', fr: 'fr-FR', es: 'es-ES' };
+
+/**
+ * Normalise a requested locale ('de', 'de-AT', 'FR_fr') to a supported language
+ * @returns {string|null} The language code, DEFAULT_LOCALE when none was given, or null if unsupported
+ */
+export function resolveLocale(input) {
+  if (input === undefined || input === null || input === '') return DEFAULT_LOCALE;
+  if (typeof input !== 'string') return null;
+  const language = input.trim().toLowerCase().split(/[-_]/)[0];
+  // hasOwn, so 'constructor' or '__proto__' is unsupported rather than an Object.prototype member
+  return Object.hasOwn(CATALOGS, language) ? language : null;
+}
+
+function own(object, key) {
+  return Object.hasOwn(object, key) ? object[key] : undefined;
+}
+
+function lookup(language, key, count) {
+  if (!Object.hasOwn(CATALOGS, language)) return undefined;
+  const catalog = CATALOGS[language];
+  if (count !== undefined) {
+    const category = new Intl.PluralRules(INTL_LOCALES[language]).select(count);
+    const plural = own(catalog, `${key}_${category}`) ?? own(catalog, `${key}_other`);
+    if (plural !== undefined) return plural;
+  }
+  return own(catalog, key);
+}
+
+/**
+ * Build a translate function for one locale
+ * @param {string} [locale=DEFAULT_LOCALE]
+ * @returns {function(string, Object=): string} t(key, params)
+ */
+export function createTranslator(locale = DEFAULT_LOCALE) {
+  const language = resolveLocale(locale) || DEFAULT_LOCALE;
+
+  return (key, params = {}) => {
+    const template = lookup(language, key, params.count) ?? lookup(DEFAULT_LOCALE, key, params.count) ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+  };
+}
+
+/**
+ * Format a date for the given locale
+ * @param {Date|string|number} date
+ * @param {string} [locale=DEFAULT_LOCALE]
+ * @param {Intl.DateTimeFormatOptions} [options]
+ */
+export function formatDate(date, locale = DEFAULT_LOCALE, options = { day: '2-digit', month: 'long', year: 'numeric' }) {
+  const language = resolveLocale(locale);
+  const intlLocale = INTL_LOCALES[Object.hasOwn(INTL_LOCALES, language) ? language : DEFAULT_LOCALE];
+  return new Intl.DateTimeFormat(intlLocale, options).format(new Date(date));
+}
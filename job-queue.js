@@ -0,0 +1,160 @@
+/**
+ * Job Queue - In-memory registry for background jobs
+ *
+ * Long-running work (site crawl + Lighthouse) runs detached from the HTTP
+ * request that started it. The route hands back a job ID straight away and
+ * the caller polls GET /api/jobs/:id for status, progress and the result —
+ * a dropped connection no longer throws away 20 minutes of crawling.
+ *
+ * Jobs live in process memory only; a restart loses them. Finished jobs are
+ * evicted after JOB_TTL_MS so results don't pile up forever. Each job records
+ * the API key that started it; server.js only shows a job to its owner.
+ *
+ * Lifecycle: queued → running → completed | failed
+ *
+ * Every state change is also emitted on a per-job event channel so the SSE
+ * endpoint (GET /api/jobs/:id/events) can stream it live:
+ *   phase    — { phase, message }            a new stage of work started
+ *   progress — { percent, ...detail }        percentage moved forward
+ *   complete — { summary }                   job finished successfully
+ *   error    — { error }                     job failed
+ */
+
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS || "3600000", 10); // 1 hour after finishing
+
+const jobs = new Map();
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0); // one listener per open SSE connection
+
+function emit(job, event, data) {
+  jobEvents.emit(job.id, { event, data: { jobId: job.id, ...data } });
+}
+
+function isFinished(job) {
+  return job.status === 'completed' || job.status === 'failed';
+}
+
+function scheduleEviction(job) {
+  setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+}
+
+/**
+ * Register a new job in the "queued" state
+ * @param {string} type  - Job kind, e.g. 'crawl-site'
+ * @param {Object} input - Parameters the job was started with (echoed back to pollers)
+ * @param {Object} [owner]
+ * @param {string} [owner.apiKeyId] - Key that started the job
+ * @returns {Object} The job record
+ */
+export function createJob(type, input = {}, { apiKeyId = null } = {}) {
+  const job = {
+    id: randomUUID(),
+    type,
+    apiKeyId,
+    status: 'queued',
+    progress: 0,
+    phase: null,
+    input,
+    result: null,
+    summary: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+  };
+  jobs.set(job.id, job);
+  return job;
+}
+
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+export function startJob(id) {
+  const job = jobs.get(id);
+  if (!job || isFinished(job)) return;
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+}
+
+/** Record the stage of work a job has entered (e.g. 'sitemaps', 'lighthouse') */
+export function setJobPhase(id, phase, message = '') {
+  const job = jobs.get(id);
+  if (!job || isFinished(job)) return;
+  job.phase = phase;
+  emit(job, 'phase', { phase, message });
+}
+
+/**
+ * Progress is a 0–100 percentage; it never moves backwards.
+ * `detail` (e.g. { done, total }) is passed through to SSE listeners only.
+ */
+export function setJobProgress(id, percent, detail = {}) {
+  const job = jobs.get(id);
+  if (!job || isFinished(job)) return;
+  const clamped = Math.max(0, Math.min(100, Math.round(percent)));
+  if (clamped > job.progress) job.progress = clamped;
+  emit(job, 'progress', { percent: job.progress, ...detail });
+}
+
+// completeJob / failJob are no-ops once a job has finished — whichever of the
+// timeout handler or the worker gets there first wins, like res.headersSent.
+// `summary` is the small digest sent on the SSE `complete` event — the full
+// result can be megabytes and is fetched from GET /api/jobs/:id instead.
+export function completeJob(id, result, summary = null) {
+  const job = jobs.get(id);
+  if (!job || isFinished(job)) return;
+  job.status = 'completed';
+  job.progress = 100;
+  job.result = result;
+  job.summary = summary;
+  job.finishedAt = new Date().toISOString();
+  emit(job, 'complete', { summary });
+  scheduleEviction(job);
+}
+
+export function failJob(id, message) {
+  const job = jobs.get(id);
+  if (!job || isFinished(job)) return;
+  job.status = 'failed';
+  job.error = message;
+  job.finishedAt = new Date().toISOString();
+  emit(job, 'error', { error: message });
+  scheduleEviction(job);
+}
+
+/**
+ * Listen to a job's events. The listener receives { event, data }.
+ * @returns {function} Unsubscribe callback
+ */
+export function subscribeToJob(id, listener) {
+  jobEvents.on(id, listener);
+  return () => jobEvents.off(id, listener);
+}
+
+/** Shape returned to API callers — the result is only included once complete */
+export function serializeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    phase: job.phase,
+    input: job.input,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    error: job.error,
+    result: job.status === 'completed' ? job.result : null,
+  };
+}
+
+/** Counts by status — surfaced on /health */
+export function getJobStats() {
+  const stats = { queued: 0, running: 0, completed: 0, failed: 0 };
+  for (const job of jobs.values()) stats[job.status]++;
+  return stats;
+}
@@ -0,0 +1,236 @@
+/**
+ * Link Checker - Verify that link targets actually resolve
+ *
+ * Used by crawlSite() after all pages are fetched, and by the single-page
+ * analyzer for the links on that page. Every unique target is requested once
+ * with HEAD, falling back to GET for servers that reject or mishandle HEAD.
+ * Requests are limited per host so a page full of links to one site doesn't
+ * hammer it, and globally so a large crawl doesn't open thousands of sockets.
+ *
+ * A target is broken when it answers 4xx/5xx (429 excepted — rate limiting
+ * says nothing about the link) or fails with a DNS, timeout or connection error.
+ * Callers with a time budget pass an AbortSignal; targets not answered by the
+ * time it fires come back as "unchecked" rather than broken.
+ */
+
+import axios from "axios";
+
+const LINK_CHECK_TIMEOUT_MS = parseInt(process.env.LINK_CHECK_TIMEOUT_MS || "10000", 10);
+const LINK_CHECK_CONCURRENCY = parseInt(process.env.LINK_CHECK_CONCURRENCY || "20", 10);
+const LINK_CHECK_PER_HOST = parseInt(process.env.LINK_CHECK_PER_HOST || "2", 10);
+const LINK_CHECK_MAX_URLS = parseInt(process.env.LINK_CHECK_MAX_URLS || "5000", 10);
+
+const USER_AGENT = "Mozilla/5.0 (compatible; SEOAuditLinkChecker/1.0)";
+
+// ---------------------------------------------------------------------------
+// Concurrency limiter — a freed slot is handed straight to the next waiter
+// ---------------------------------------------------------------------------
+function createLimiter(max) {
+  let active = 0;
+  const waiting = [];
+  return async (fn) => {
+    if (active < max) active++;
+    else await new Promise(resolve => waiting.push(resolve));
+    try {
+      return await fn();
+    } finally {
+      const next = waiting.shift();
+      if (next) next();
+      else active--;
+    }
+  };
+}
+
+// Loopback, link-local and RFC-1918 literals — never probe the server's own network
+function isPrivateHost(host) {
+  return (
+    host === "localhost" ||
+    /^(127|0|10)\./.test(host) ||
+    /^192\.168\./.test(host) ||
+    /^169\.254\./.test(host) ||
+    /^172\.(1[6-9]|2\d|3[01])\./.test(host) ||
+    host === "[::1]"
+  );
+}
+
+function classifyNetworkError(err) {
+  const code = err?.code || "";
+  if (code === "ENOTFOUND" || code === "EAI_AGAIN") return "dns";
+  if (code === "ECONNABORTED" || code === "ETIMEDOUT" || code === "ERR_CANCELED") return "timeout";
+  return "connection";
+}
+
+// Fragments never reach the server, so #a and #b on one page are the same target
+function normalizeTarget(href) {
+  try {
+    const u = new URL(href);
+    if (u.protocol !== "http:" && u.protocol !== "https:") return null;
+    u.hash = "";
+    return u.href;
+  } catch {
+    return null;
+  }
+}
+
+const UNCHECKED = Object.freeze({ status: null, error: "unchecked" });
+
+async function request(url, method, timeoutMs, maxRedirects, signal) {
+  const response = await axios.request({
+    url,
+    method,
+    timeout: timeoutMs,
+    signal,
+    maxRedirects,
+    validateStatus: () => true,
+    // GET fallback only needs the status line — don't download the body
+    responseType: "stream",
+    headers: { "User-Agent": USER_AGENT, Accept: "*/*" },
+  });
+  response.data?.destroy?.();
+  const location = response.headers?.location;
+  return { status: response.status, location: location ? new URL(location, url).href : null };
+}
+
+/**
+ * Check one URL — HEAD first, GET when HEAD errors or answers 4xx/5xx
+ * (plenty of servers return 403/404/405 for HEAD on pages that load fine)
+ *
+ * With maxRedirects: 0 a redirect comes back as its own 3xx status plus `location`.
+ * A request cut short by `signal` leaves the URL "unchecked".
+ * @returns {Promise<{ status: number|null, location?: string|null, error: 'dns'|'timeout'|'connection'|'unchecked'|null }>}
+ */
+export async function checkUrl(url, { timeoutMs = LINK_CHECK_TIMEOUT_MS, maxRedirects = 5, signal } = {}) {
+  let head = null;
+  try {
+    head = await request(url, "HEAD", timeoutMs, maxRedirects, signal);
+    if (head.status < 400) return { ...head, error: null };
+  } catch (err) {
+    if (signal?.aborted) return UNCHECKED;
+    const error = classifyNetworkError(err);
+    // No point repeating a lookup or a timeout with GET
+    if (error !== "connection") return { status: null, error };
+  }
+  try {
+    return { ...(await request(url, "GET", timeoutMs, maxRedirects, signal)), error: null };
+  } catch (err) {
+    if (head) return { ...head, error: null };
+    return signal?.aborted ? UNCHECKED : { status: null, error: classifyNetworkError(err) };
+  }
+}
+
+export function isBrokenResult({ status, error }) {
+  if (error === "skipped" || error === "unchecked") return false;
+  if (error) return true;
+  return status >= 400 && status !== 429;
+}
+
+/**
+ * Check a list of unique URLs under the global and per-host limits
+ * @param {string[]} urls
+ * @param {object} [options] - knownStatuses, concurrency, perHost, timeoutMs,
+ *   maxRedirects, signal and onProgress, as for checkLinks()
+ * @returns {Promise<Map<string, { status: number|null, location?: string|null, error: string|null }>>}
+ */
+export async function checkUrls(urls, options = {}) {
+  const {
+    knownStatuses = new Map(),
+    concurrency = LINK_CHECK_CONCURRENCY,
+    perHost = LINK_CHECK_PER_HOST,
+    timeoutMs = LINK_CHECK_TIMEOUT_MS,
+    maxRedirects = 5,
+    signal = null,
+    onProgress = null,
+  } = options;
+
+  const globalLimit = createLimiter(concurrency);
+  const hostLimits = new Map();
+  const results = new Map();
+  let checked = 0;
+
+  await Promise.all(urls.map(async (url) => {
+    if (knownStatuses.has(url)) {
+      results.set(url, { status: knownStatuses.get(url), error: null });
+    } else if (isPrivateHost(new URL(url).hostname)) {
+      results.set(url, { status: null, error: "skipped" });
+    } else {
+      const host = new URL(url).host;
+      if (!hostLimits.has(host)) hostLimits.set(host, createLimiter(perHost));
+      // Take the host slot first so a busy host never ties up global slots while it waits
+      // Targets still queued when the budget runs out are never requested
+      const check = () => (signal?.aborted ? UNCHECKED : checkUrl(url, { timeoutMs, maxRedirects, signal }));
+      results.set(url, await hostLimits.get(host)(() => globalLimit(check)));
+    }
+    checked++;
+    if (onProgress) onProgress(checked, urls.length);
+  }));
+
+  return results;
+}
+
+/**
+ * Verify every unique link target and group the broken ones with their sources
+ *
+ * @param {Array<{ href: string, text: string, source: string, type: 'internal'|'external' }>} links
+ * @param {object} [options]
+ *   @param {Map<string, number>} [options.knownStatuses]  URL → status already fetched
+ *                                                         (crawled pages) — not requested again
+ *   @param {number}   [options.concurrency]   Requests in flight across all hosts
+ *   @param {number}   [options.perHost]       Requests in flight per host
+ *   @param {number}   [options.maxUrls]       Unique targets to check; the rest are skipped
+ *   @param {number}   [options.timeoutMs]     Per request
+ *   @param {AbortSignal} [options.signal]     Total budget — targets not answered when it
+ *                                             aborts are counted as unchecked
+ *   @param {function} [options.onProgress]    (checked, total) callback
+ * @returns {Promise<{ checked: number, skipped: number, unchecked: number, broken: Array<{
+ *   url: string, type: string, status: number|null, error: string|null,
+ *   sources: Array<{ url: string, text: string }> }> }>}
+ */
+export async function checkLinks(links, options = {}) {
+  const {
+    knownStatuses = new Map(),
+    concurrency = LINK_CHECK_CONCURRENCY,
+    perHost = LINK_CHECK_PER_HOST,
+    maxUrls = LINK_CHECK_MAX_URLS,
+    timeoutMs = LINK_CHECK_TIMEOUT_MS,
+    signal = null,
+    onProgress = null,
+  } = options;
+
+  // target URL → { type, sources } — one entry per unique target
+  const targets = new Map();
+  for (const link of links) {
+    const url = normalizeTarget(link.href);
+    if (!url) continue;
+    let target = targets.get(url);
+    if (!target) {
+      target = { type: link.type, sources: [], seen: new Set() };
+      targets.set(url, target);
+    }
+    const key = `${link.source}\n${link.text}`;
+    if (!target.seen.has(key)) {
+      target.seen.add(key);
+      target.sources.push({ url: link.source, text: link.text });
+    }
+  }
+
+  const all = [...targets.keys()];
+  const toCheck = all.slice(0, maxUrls).filter(url => !isPrivateHost(new URL(url).hostname));
+  const skipped = all.length - toCheck.length;
+  const total = toCheck.length;
+  console.log(`[LINKS] Checking ${total} unique link targets (${skipped} skipped)`);
+
+  const results = await checkUrls(toCheck, { knownStatuses, concurrency, perHost, timeoutMs, signal, onProgress });
+
+  const broken = [];
+  let unchecked = 0;
+  for (const url of toCheck) {
+    const result = results.get(url);
+    if (result.error === "unchecked") unchecked++;
+    if (!isBrokenResult(result)) continue;
+    const { type, sources } = targets.get(url);
+    broken.push({ url, type, status: result.status, error: result.error, sources });
+  }
+  console.log(`[LINKS] Done. ${broken.length} broken of ${total - unchecked} checked${unchecked ? ` (${unchecked} unchecked, out of time)` : ""}`);
+
+  return { checked: total - unchecked, skipped, unchecked, broken };
+}
@@ -0,0 +1,276 @@
+/**
+ * Link Graph - Internal link structure and internal PageRank of a crawled site
+ *
+ * buildLinkGraph() turns the crawl's internal links into a directed graph with
+ * one node per crawled URL and one edge per linking page → linked page pair:
+ *
+ *   inDegree / outDegree — distinct crawled pages linking in / linked to
+ *   pageRank             — share of internal link equity (all nodes sum to 1),
+ *                          nofollow links pass none
+ *   authority            — pageRank scaled so the strongest page is 100
+ *   component            — strongly connected component; pages outside the
+ *                          homepage's component can't be reached back from it
+ *
+ * A redirecting URL whose destination was crawled becomes a single "redirect"
+ * edge, so equity flows on to the destination. The graph is stored with the
+ * crawl and served as JSON or GraphML (for Gephi, yEd, Cytoscape).
+ */
+
+const PAGERANK_DAMPING = 0.85;
+const PAGERANK_MAX_ITERATIONS = 100;
+const PAGERANK_TOLERANCE = 1e-8;
+
+export const LINK_GRAPH_FORMATS = {
+  json: { contentType: "application/json", extension: "json" },
+  graphml: { contentType: "application/graphml+xml", extension: "graphml" },
+};
+
+function withoutHash(raw) {
+  try {
+    const u = new URL(raw);
+    u.hash = "";
+    return u.href;
+  } catch {
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Graph algorithms — nodes are indices 0..n-1, adjacency as arrays of indices
+// ---------------------------------------------------------------------------
+
+/** Iterative PageRank; rank of dangling nodes is spread evenly over all nodes */
+function pageRank(n, adjacency, damping = PAGERANK_DAMPING) {
+  if (n === 0) return [];
+  let rank = new Array(n).fill(1 / n);
+  for (let iteration = 0; iteration < PAGERANK_MAX_ITERATIONS; iteration++) {
+    let dangling = 0;
+    for (let u = 0; u < n; u++) if (adjacency[u].length === 0) dangling += rank[u];
+    const next = new Array(n).fill((1 - damping) / n + (damping * dangling) / n);
+    for (let u = 0; u < n; u++) {
+      const targets = adjacency[u];
+      if (targets.length === 0) continue;
+      const share = (damping * rank[u]) / targets.length;
+      for (const v of targets) next[v] += share;
+    }
+    let delta = 0;
+    for (let u = 0; u < n; u++) delta += Math.abs(next[u] - rank[u]);
+    rank = next;
+    if (delta < PAGERANK_TOLERANCE) break;
+  }
+  return rank;
+}
+
+/**
+ * Tarjan's strongly connected components, iterative so deep link chains can't
+ * overflow the stack
+ * @returns {number[]} component id per node, numbered in discovery order
+ */
+function stronglyConnectedComponents(n, adjacency) {
+  const index = new Array(n).fill(-1);
+  const low = new Array(n).fill(0);
+  const onStack = new Array(n).fill(false);
+  const component = new Array(n).fill(-1);
+  const stack = [];
+  let nextIndex = 0;
+  let nextComponent = 0;
+
+  for (let root = 0; root < n; root++) {
+    if (index[root] !== -1) continue;
+    const work = [[root, 0]];
+    index[root] = low[root] = nextIndex++;
+    stack.push(root);
+    onStack[root] = true;
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const [u, i] = frame;
+      if (i < adjacency[u].length) {
+        frame[1]++;
+        const v = adjacency[u][i];
+        if (index[v] === -1) {
+          index[v] = low[v] = nextIndex++;
+          stack.push(v);
+          onStack[v] = true;
+          work.push([v, 0]);
+        } else if (onStack[v]) {
+          low[u] = Math.min(low[u], index[v]);
+        }
+        continue;
+      }
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1][0];
+        low[parent] = Math.min(low[parent], low[u]);
+      }
+      if (low[u] === index[u]) {
+        let v;
+        do {
+          v = stack.pop();
+          onStack[v] = false;
+          component[v] = nextComponent;
+        } while (v !== u);
+        nextComponent++;
+      }
+    }
+  }
+  return component;
+}
+
+// ---------------------------------------------------------------------------
+// Build
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {Array<Object>} pages - crawl page records; inDegree, outDegree, pageRank
+ *   and authority are set on each in place
+ * @param {Array<{ href: string, source: string, type: string, nofollow?: boolean }>} outlinks
+ * @param {object} [options]
+ *   @param {string} [options.startUrl] - homepage; its component is reported as `mainComponent`
+ * @returns {{
+ *   nodes: Array<{ id: string, status: number|null, indexable: boolean, inDegree: number, outDegree: number,
+ *     pageRank: number, authority: number, component: number }>,
+ *   edges: Array<{ source: string, target: string, count: number, nofollow: boolean, type: 'link'|'redirect' }>,
+ *   components: Array<{ id: number, size: number, urls: string[] }>,
+ *   stats: { nodes: number, edges: number, components: number, mainComponent: number|null,
+ *     outsideMainComponent: number, noInlinks: number }
+ * }} components lists only those with more than one page, largest first
+ */
+export function buildLinkGraph(pages, outlinks, { startUrl } = {}) {
+  const ids = pages.map(page => page.url);
+  const indexOf = new Map(ids.map((url, i) => [url, i]));
+  const byUrl = new Map(pages.map(page => [page.url, page]));
+  const redirectTarget = (page) =>
+    (page.redirectChain || []).length > 0 && page.finalUrl !== page.url && indexOf.has(page.finalUrl) ? page.finalUrl : null;
+
+  // source → target → edge
+  const edgeMap = new Map();
+  const addEdge = (source, target, nofollow, type) => {
+    if (source === target) return;
+    if (!edgeMap.has(source)) edgeMap.set(source, new Map());
+    const targets = edgeMap.get(source);
+    const edge = targets.get(target);
+    if (edge) {
+      edge.count++;
+      // One followed link is enough for the pair to pass equity
+      edge.nofollow = edge.nofollow && nofollow;
+    } else {
+      targets.set(target, { source, target, count: 1, nofollow, type });
+    }
+  };
+
+  for (const page of pages) {
+    const target = redirectTarget(page);
+    if (target) addEdge(page.url, target, false, "redirect");
+  }
+  for (const link of outlinks) {
+    if (link.type !== "internal") continue;
+    const source = byUrl.get(link.source);
+    // A redirect to a crawled page just repeats that page's links
+    if (!source || redirectTarget(source)) continue;
+    const target = withoutHash(link.href);
+    if (target && indexOf.has(target)) addEdge(link.source, target, Boolean(link.nofollow), "link");
+  }
+
+  const edges = [...edgeMap.values()].flatMap(targets => [...targets.values()]);
+  const n = ids.length;
+  const all = ids.map(() => []);
+  const followed = ids.map(() => []);
+  const inDegree = new Array(n).fill(0);
+  for (const edge of edges) {
+    const u = indexOf.get(edge.source);
+    const v = indexOf.get(edge.target);
+    all[u].push(v);
+    inDegree[v]++;
+    if (!edge.nofollow) followed[u].push(v);
+  }
+
+  const ranks = pageRank(n, followed);
+  const maxRank = Math.max(0, ...ranks);
+  const component = stronglyConnectedComponents(n, all);
+
+  const members = new Map();
+  component.forEach((id, i) => {
+    if (!members.has(id)) members.set(id, []);
+    members.get(id).push(ids[i]);
+  });
+  const components = [...members.entries()]
+    .filter(([, urls]) => urls.length > 1)
+    .map(([id, urls]) => ({ id, size: urls.length, urls }))
+    .sort((a, b) => b.size - a.size);
+
+  const nodes = pages.map((page, i) => {
+    const node = {
+      id: page.url,
+      status: page.status || null,
+      indexable: page.statusClass === "ok" && !page.isNoindex && !redirectTarget(page),
+      inDegree: inDegree[i],
+      outDegree: all[i].length,
+      pageRank: Number(ranks[i].toPrecision(6)),
+      authority: maxRank > 0 ? Math.round((ranks[i] / maxRank) * 100) : 0,
+      component: component[i],
+    };
+    page.inDegree = node.inDegree;
+    page.outDegree = node.outDegree;
+    page.pageRank = node.pageRank;
+    page.authority = node.authority;
+    return node;
+  });
+
+  const start = startUrl && indexOf.has(startUrl) ? indexOf.get(startUrl) : null;
+  const mainComponent = start === null ? null : component[start];
+  return {
+    nodes,
+    edges,
+    components,
+    stats: {
+      nodes: n,
+      edges: edges.length,
+      components: members.size,
+      mainComponent,
+      outsideMainComponent: mainComponent === null ? 0 : component.filter(id => id !== mainComponent).length,
+      noInlinks: nodes.filter(node => node.inDegree === 0 && node.id !== startUrl).length,
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// GraphML
+// ---------------------------------------------------------------------------
+const xmlEscape = (value) =>
+  String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const GRAPHML_NODE_KEYS = [
+  ["status", "int"], ["indexable", "boolean"], ["inDegree", "int"], ["outDegree", "int"],
+  ["pageRank", "double"], ["authority", "int"], ["component", "int"],
+];
+const GRAPHML_EDGE_KEYS = [["count", "int"], ["nofollow", "boolean"], ["type", "string"]];
+
+/** Serialise a buildLinkGraph() result as a GraphML document */
+export function linkGraphToGraphML(graph) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+  ];
+  for (const [name, type] of GRAPHML_NODE_KEYS) {
+    lines.push(`  <key id="${name}" for="node" attr.name="${name}" attr.type="${type}"/>`);
+  }
+  for (const [name, type] of GRAPHML_EDGE_KEYS) {
+    lines.push(`  <key id="${name}" for="edge" attr.name="${name}" attr.type="${type}"/>`);
+  }
+  lines.push('  <graph id="site" edgedefault="directed">');
+  for (const node of graph.nodes) {
+    lines.push(`    <node id="${xmlEscape(node.id)}">`);
+    for (const [name] of GRAPHML_NODE_KEYS) {
+      if (node[name] !== null && node[name] !== undefined) lines.push(`      <data key="${name}">${xmlEscape(node[name])}</data>`);
+    }
+    lines.push("    </node>");
+  }
+  graph.edges.forEach((edge, i) => {
+    lines.push(`    <edge id="e${i}" source="${xmlEscape(edge.source)}" target="${xmlEscape(edge.target)}">`);
+    for (const [name] of GRAPHML_EDGE_KEYS) lines.push(`      <data key="${name}">${xmlEscape(edge[name])}</data>`);
+    lines.push("    </edge>");
+  });
+  lines.push("  </graph>", "</graphml>");
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,316 @@
+/** German catalog — missing keys fall back to locales/en.js */
+export default {
+  'onPage.excellent.message': 'Ihre On-Page-SEO ist hervorragend!',
+  'onPage.excellent.description': 'Ausgezeichnete Arbeit! Ihre On-Page-SEO ist außergewöhnlich gut optimiert. On-Page-SEO sorgt dafür, dass Suchmaschinen Ihre Inhalte richtig verstehen und für relevante Suchbegriffe ranken können. Halten Sie diesen hohen Standard weiter aufrecht.',
+  'onPage.veryGood.message': 'Ihre On-Page-SEO ist sehr gut!',
+  'onPage.veryGood.description': 'Glückwunsch, Ihre On-Page-SEO ist gut optimiert. On-Page-SEO sorgt dafür, dass Suchmaschinen Ihre Inhalte richtig verstehen und für relevante Suchbegriffe ranken können. Sie können Ihre starke Position ausbauen, indem Sie Inhaltsverbesserungen testen und schrittweise optimieren.',
+  'onPage.good.message': 'Ihre On-Page-SEO ist gut!',
+  'onPage.good.description': 'Ihre On-Page-SEO funktioniert gut. On-Page-SEO sorgt dafür, dass Suchmaschinen Ihre Inhalte richtig verstehen und für relevante Suchbegriffe ranken können. Einige Verbesserungen könnten Ihre Rankings noch weiter steigern.',
+  'onPage.needsImprovement.message': 'Ihre On-Page-SEO muss verbessert werden',
+  'onPage.needsImprovement.description': 'Ihre On-Page-SEO ist teilweise optimiert, bietet aber noch deutliches Verbesserungspotenzial. On-Page-SEO sorgt dafür, dass Suchmaschinen Ihre Inhalte richtig verstehen und für relevante Suchbegriffe ranken können.',
+  'onPage.needsWork.message': 'Ihre On-Page-SEO braucht deutliche Überarbeitung',
+  'onPage.needsWork.description': 'Ihre On-Page-SEO muss grundlegend verbessert werden. On-Page-SEO sorgt dafür, dass Suchmaschinen Ihre Inhalte richtig verstehen und für relevante Suchbegriffe ranken können. Konzentrieren Sie sich auf die folgenden Empfehlungen, um Ihre Sichtbarkeit in der Suche zu verbessern.',
+
+  'social.none.message': 'Ihre Social-Media-Präsenz muss verbessert werden',
+  'social.none.description': 'Ihre Social-Media-Präsenz bzw. -Aktivität scheint schwach zu sein (oder wir können Ihre Profile nicht finden!). Social-Media-Aktivität ist wichtig für die Kundenkommunikation, die Markenbekanntheit und als Marketingkanal, der Besucher auf Ihre Website bringt. Wir empfehlen, alle Ihre Profile gut sichtbar auf Ihrer Seite zu verlinken und in diesen Netzwerken eine Fangemeinde aufzubauen.',
+  'social.partial.message': 'Ihre Social-Media-Präsenz ist ausbaufähig',
+  'social.partial.description': 'Sie haben eines der wichtigen Social-Media-Profile, aber das andere fehlt. Social-Media-Aktivität ist wichtig für die Kundenkommunikation, die Markenbekanntheit und als Marketingkanal, der Besucher auf Ihre Website bringt. Verlinken Sie sowohl Facebook als auch Instagram, um mehr Menschen zu erreichen.',
+  'social.excellent.message': 'Ihre Social-Media-Präsenz ist hervorragend!',
+  'social.excellent.description': 'Sie sind auf mehreren Plattformen hervorragend in den sozialen Medien vertreten. Social-Media-Aktivität ist wichtig für die Kundenkommunikation, die Markenbekanntheit und als Marketingkanal, der Besucher auf Ihre Website bringt. Bleiben Sie in diesen Netzwerken mit Ihrem Publikum im Gespräch.',
+
+  'rec.addTitle': 'Fügen Sie Ihrer Seite einen Title-Tag hinzu',
+  'rec.lengthenTitle': 'Verlängern Sie den Title-Tag von {length} auf {min}–{max} Zeichen',
+  'rec.shortenTitle': 'Kürzen Sie den Title-Tag von {length} auf {min}–{max} Zeichen',
+  'rec.addDescription': 'Fügen Sie Ihrer Seite eine Meta-Beschreibung hinzu',
+  'rec.lengthenDescription': 'Verlängern Sie die Meta-Beschreibung von {length} auf {min}–{max} Zeichen',
+  'rec.shortenDescription': 'Kürzen Sie die Meta-Beschreibung von {length} auf {min}–{max} Zeichen',
+  'rec.addH1': 'Fügen Sie Ihrer Seite genau eine H1-Überschrift hinzu',
+  'rec.reduceH1': 'Reduzieren Sie die H1-Tags von {count} auf genau 1',
+  'rec.addHeadings': 'Fügen Sie weitere H2–H6-Überschriften hinzu, um den Inhalt zu strukturieren',
+  'rec.addAltText': 'Ergänzen Sie Alt-Attribute für {count} Bilder ({percent} % fehlen)',
+  'rec.addAltText_one': 'Ergänzen Sie das Alt-Attribut für {count} Bild ({percent} % fehlen)',
+  'rec.increaseContent': 'Erweitern Sie den Inhalt von {count} auf mindestens {min} Wörter',
+  'rec.createRobotsTxt': 'Legen Sie eine robots.txt-Datei an',
+  'rec.createSitemap': 'Legen Sie eine XML-Sitemap an',
+  'rec.addAnalytics': 'Binden Sie ein Analytics-Tracking-Tool ein',
+  'rec.addSchema': 'Fügen Sie strukturierte Daten nach Schema.org hinzu',
+  'rec.addIdentitySchema': 'Fügen Sie ein Identitäts-Schema hinzu (Organization oder Person)',
+  'rec.addPhone': 'Geben Sie auf der Website eine Telefonnummer an',
+  'rec.addAddress': 'Geben Sie auf der Website eine Adresse an',
+  'rec.addLocalBusinessSchema': 'Fügen Sie ein LocalBusiness-Schema hinzu',
+  'rec.linkFacebook': 'Erstellen und verlinken Sie Ihre Facebook-Seite',
+  'rec.linkInstagram': 'Erstellen und verlinken Sie ein zugehöriges Instagram-Profil',
+
+  'category.On-Page SEO': 'On-Page-SEO',
+  'category.Technical SEO': 'Technische SEO',
+  'category.Local SEO': 'Lokale SEO',
+  'category.Social': 'Social Media',
+  'priority.High Priority': 'Hohe Priorität',
+  'priority.Medium Priority': 'Mittlere Priorität',
+  'priority.Low Priority': 'Niedrige Priorität',
+
+  'crawl.phase.stealth': 'Cloudflare-Sperre erkannt – Wechsel zum Stealth-Browser',
+  'crawl.phase.sitemaps': 'URLs aus robots.txt und Sitemaps werden gesammelt',
+  'crawl.phase.homepage': '{count} URLs aus Sitemaps – Links der Startseite werden ausgelesen',
+  'crawl.phase.crawling': '{total} von {discovered} gefundenen Seiten werden gecrawlt',
+  'crawl.phase.depth': '{count} Seiten in Klicktiefe {depth} werden gecrawlt',
+  'crawl.phase.redirects': 'Weiterleitungsketten und Canonical-Ziele werden geprüft',
+  'crawl.phase.hreflang': 'hreflang-Annotationen und Rückverweise werden geprüft',
+  'crawl.phase.links': '{count} verlinkte URLs werden auf defekte Ziele geprüft',
+  'crawl.phase.lighthouse': 'Lighthouse-Audits für Desktop und Mobil laufen',
+  'crawl.issue.missing_title': 'Title-Tag fehlt',
+  'crawl.issue.title_too_short': 'Title zu kurz',
+  'crawl.issue.title_too_long': 'Title zu lang',
+  'crawl.issue.missing_meta_description': 'Meta-Beschreibung fehlt',
+  'crawl.issue.meta_description_too_short': 'Meta-Beschreibung zu kurz',
+  'crawl.issue.meta_description_too_long': 'Meta-Beschreibung zu lang',
+  'crawl.issue.missing_h1': 'H1 fehlt',
+  'crawl.issue.multiple_h1': 'Mehrere H1-Tags',
+  'crawl.issue.images_missing_alt': 'Bilder ohne Alt-Text',
+  'crawl.issue.noindex': 'Seite ist auf noindex gesetzt',
+  'crawl.issue.missing_canonical': 'Canonical-Tag fehlt',
+  'crawl.issue.thin_content': 'Zu wenig Inhalt',
+  'crawl.issue.crawl_error': 'Seite konnte nicht gecrawlt werden',
+  'crawl.issue.broken_links': 'Links auf defekte Seiten',
+  'crawl.issue.redirect_chain': 'Weiterleitungskette (mehr als ein Schritt)',
+  'crawl.issue.redirect_loop': 'Weiterleitungsschleife',
+  'crawl.issue.temporary_redirect': 'Temporäre Weiterleitung (302/307)',
+  'crawl.issue.http_to_https_redirect': 'Weiterleitung von http auf https',
+  'crawl.issue.www_redirect': 'Weiterleitung zwischen www und ohne www',
+  'crawl.issue.links_to_redirect': 'Links auf weiterleitende URLs',
+  'crawl.issue.canonical_to_redirect': 'Canonical verweist auf eine Weiterleitung',
+  'crawl.issue.canonical_to_broken': 'Canonical verweist auf eine Fehlerseite',
+  'crawl.issue.canonical_to_noindex': 'Canonical verweist auf eine noindex-Seite',
+  'crawl.issue.canonical_other_host': 'Canonical verweist auf einen anderen Host',
+  'crawl.issue.duplicate_title': 'Doppelter Title',
+  'crawl.issue.duplicate_meta_description': 'Doppelte Meta-Beschreibung',
+  'crawl.issue.duplicate_h1': 'Doppelte H1',
+  'crawl.issue.near_duplicate_content': 'Nahezu identischer Inhalt',
+  'crawl.issue.blocked_by_robots': 'Seite ist per robots.txt gesperrt',
+  'crawl.issue.sitemap_url_blocked': 'Sitemap-URL ist per robots.txt gesperrt',
+  'crawl.issue.sitemap_url_redirect': 'Sitemap-URL leitet weiter',
+  'crawl.issue.sitemap_url_error': 'Sitemap-URL liefert einen Fehler',
+  'crawl.issue.sitemap_url_noindex': 'Sitemap-URL ist auf noindex gesetzt',
+  'crawl.issue.sitemap_url_canonicalised': 'Canonical der Sitemap-URL verweist auf eine andere URL',
+  'crawl.issue.missing_from_sitemap': 'Indexierbare Seite fehlt in den Sitemaps',
+  'crawl.issue.orphan_page': 'Verwaiste Seite (in der Sitemap, keine internen Links)',
+  'crawl.issue.hreflang_invalid_code': 'Ungültiger hreflang-Sprach- oder Regionscode',
+  'crawl.issue.hreflang_missing_return': 'hreflang-Alternative verweist nicht zurück',
+  'crawl.issue.hreflang_missing_self': 'hreflang-Satz verweist nicht auf die Seite selbst',
+  'crawl.issue.hreflang_missing_x_default': 'hreflang-Satz ohne x-default',
+  'crawl.issue.hreflang_to_redirect': 'hreflang-Alternative leitet weiter',
+  'crawl.issue.hreflang_to_broken': 'hreflang-Alternative liefert einen Fehler',
+  'crawl.issue.hreflang_to_noindex': 'hreflang-Alternative ist auf noindex gesetzt',
+  'crawl.issue.hreflang_sitemap_conflict': 'hreflang-Angaben von Seite und Sitemap weichen ab',
+  'crawl.issue.hreflang_lang_mismatch': 'html lang passt nicht zum hreflang der Seite',
+
+  'pdf.documentTitle': 'SEO-Bericht – {host}',
+  'pdf.header': 'SEO-Bericht für {host}',
+  'pdf.websiteReportFor': 'Website-Bericht für',
+  'pdf.intro': 'Dieser Bericht analysiert Ihre Website in mehreren wichtigen Bereichen, darunter On-Page-SEO, Social-Media-Präsenz, Performance, Sicherheit und technische Konfiguration. Ziel der Analyse ist es, Stärken aufzuzeigen und Bereiche zu identifizieren, die von Verbesserungen profitieren können. Die Umsetzung der Empfehlungen in diesem Bericht kann die Nutzererfahrung, die Sichtbarkeit in Suchmaschinen und die Gesamtleistung Ihrer Website verbessern.',
+  'pdf.auditResultsFor': 'Audit-Ergebnisse für',
+  'pdf.score.excellent': 'Hervorragende SEO-Leistung!',
+  'pdf.score.veryGood': 'Sehr gute SEO-Leistung',
+  'pdf.score.good': 'Gute SEO-Leistung',
+  'pdf.score.needsImprovement': 'Ihre SEO muss verbessert werden',
+  'pdf.score.needsWork': 'Deutlicher SEO-Handlungsbedarf',
+  'pdf.recommendationsCount': 'Empfehlungen: {count}',
+  'pdf.category.onPage': 'On-Page-SEO',
+  'pdf.category.social': 'Social Media',
+  'pdf.generatedAt': 'Bericht erstellt: {date}',
+  'pdf.cover.title': 'SEO-Audit-Bericht',
+  'pdf.cover.preparedBy': 'Erstellt von {company}',
+  'pdf.pageOf': 'Seite {page} von {total}',
+  'pdf.screenshot.desktop': 'Desktop-Screenshot',
+  'pdf.screenshot.mobile': 'Mobil-Screenshot',
+  'pdf.screenshot.none': 'Kein Screenshot verfügbar',
+  'pdf.recommendations': 'Empfehlungen',
+  'pdf.onPageResults': 'On-Page-SEO-Ergebnisse',
+  'pdf.length': 'Länge: {count}',
+
+  'pdf.title.heading': 'Title-Tag',
+  'pdf.title.missing': 'Ihre Seite hat keinen Title-Tag.',
+  'pdf.title.optimal': 'Ihr Title-Tag hat die optimale Länge (zwischen {min} und {max} Zeichen).',
+  'pdf.title.tooShort': 'Sie haben einen Title-Tag, idealerweise sollte er aber auf {min} bis {max} Zeichen (inklusive Leerzeichen) verlängert werden.',
+  'pdf.title.tooLong': 'Sie haben einen Title-Tag, idealerweise sollte er aber auf {min} bis {max} Zeichen (inklusive Leerzeichen) gekürzt werden.',
+  'pdf.title.why': 'Title-Tags sind sehr wichtig, damit Suchmaschinen Ihre Inhalte richtig verstehen und einordnen können.',
+
+  'pdf.description.heading': 'Meta-Description-Tag',
+  'pdf.description.missing': 'Ihre Seite hat keinen Meta-Description-Tag.',
+  'pdf.description.optimal': 'Ihre Meta-Beschreibung hat die optimale Länge (zwischen {min} und {max} Zeichen).',
+  'pdf.description.tooShort': 'Ihre Seite hat eine Meta-Beschreibung, idealerweise sollte sie aber auf {min} bis {max} Zeichen (inklusive Leerzeichen) verlängert werden.',
+  'pdf.description.tooLong': 'Ihre Seite hat eine Meta-Beschreibung, idealerweise sollte sie aber auf {min} bis {max} Zeichen (inklusive Leerzeichen) gekürzt werden.',
+  'pdf.description.why': 'Die Meta-Beschreibung hilft Suchmaschinen, den Inhalt Ihrer Seite zu verstehen, und wird in den Suchergebnissen häufig als Beschreibungstext angezeigt.',
+
+  'pdf.h1.heading': 'Verwendung der H1-Überschrift',
+  'pdf.h1.missing': 'Auf Ihrer Seite fehlt ein H1-Tag.',
+  'pdf.h1.present': 'Ihre Seite hat einen H1-Tag.',
+  'pdf.h1.multiple': 'Ihre Seite hat mehr als einen H1-Tag. Es wird allgemein empfohlen, nur einen H1-Tag pro Seite zu verwenden.',
+  'pdf.h1.why': 'Die H1-Überschrift signalisiert Suchmaschinen, worum es in Ihrem Inhalt geht und für welche Suchbegriffe er ranken sollte.',
+
+  'pdf.headings.heading': 'Verwendung der H2–H6-Überschriften',
+  'pdf.headings.present': 'Ihre Seite nutzt mehrere Überschriftenebenen (das ist gut).',
+  'pdf.headings.missing': 'Ihre Seite sollte mehrere Überschriftenebenen wie H2 und H3 verwenden.',
+  'pdf.headings.why': 'Richtig eingesetzte HTML-Überschriften helfen Suchmaschinen, Struktur und Kontext Ihrer Seite besser zu verstehen.',
+  'pdf.headings.tagColumn': 'ÜBERSCHRIFT',
+  'pdf.headings.frequencyColumn': 'ANZAHL',
+
+  'pdf.images.heading': 'Alt-Attribute von Bildern',
+  'pdf.images.allHaveAlt': 'Auf Ihrer Seite fehlen bei keinem Bild Alt-Attribute.',
+  'pdf.images.someMissingAlt': 'Auf Ihrer Seite gibt es Bilder ohne Alt-Attribute.',
+  'pdf.images.foundAllAlt_one': 'Wir haben {count} Bild auf Ihrer Seite gefunden, und es hat ein Alt-Attribut.',
+  'pdf.images.foundAllAlt_other': 'Wir haben {count} Bilder auf Ihrer Seite gefunden, und alle haben Alt-Attribute.',
+  'pdf.images.foundMissingAlt_one': 'Wir haben {total} Bilder auf Ihrer Seite gefunden, bei {count} davon fehlt das Attribut.',
+  'pdf.images.foundMissingAlt_other': 'Wir haben {total} Bilder auf Ihrer Seite gefunden, bei {count} davon fehlt das Attribut.',
+  'pdf.images.why': 'Alt-Attribute sind eine oft übersehene, einfache Möglichkeit, Suchmaschinen mitzuteilen, was ein Bild zeigt – und helfen beim Ranking in der Bildersuche.',
+
+  'pdf.ssl.heading': 'SSL aktiviert',
+  'pdf.ssl.enabled': 'Auf Ihrer Website ist SSL aktiviert.',
+  'pdf.ssl.disabled': 'Auf Ihrer Website ist SSL nicht aktiviert.',
+
+  'pdf.robots.heading': 'Robots.txt',
+  'pdf.robots.found': 'Ihre Website scheint eine robots.txt-Datei zu haben.',
+  'pdf.robots.missing': 'Ihre Website scheint keine robots.txt-Datei zu haben.',
+
+  'pdf.sitemap.heading': 'XML-Sitemaps',
+  'pdf.sitemap.found': 'Ihre Website scheint eine XML-Sitemap zu haben.',
+  'pdf.sitemap.missing': 'Ihre Website scheint keine XML-Sitemap zu haben.',
+  'pdf.sitemap.moreFound': 'Weitere Sitemaps wurden gefunden, aber nicht geprüft.',
+
+  'pdf.analytics.heading': 'Analytics',
+  'pdf.analytics.found': 'Wir haben ein Analytics-Tool auf Ihrer Seite erkannt.',
+  'pdf.analytics.missing': 'Wir konnten kein Analytics-Tool auf Ihrer Seite erkennen.',
+  'pdf.analytics.why': 'Web-Analytics-Tools wie Google Analytics helfen Ihnen, den Traffic auf Ihrer Seite zu messen, zu analysieren und letztlich zu steigern.',
+
+  'pdf.schema.heading': 'Strukturierte Daten (Schema.org)',
+  'pdf.schema.jsonLd': 'Sie verwenden JSON-LD-Schema auf Ihrer Seite.',
+  'pdf.schema.noJsonLd': 'Ihre Seite verwendet kein JSON-LD-Schema.',
+
+  'pdf.identity.heading': 'Identitäts-Schema',
+  'pdf.identity.found': 'Organization- oder Person-Schema auf der Seite gefunden.',
+  'pdf.identity.missing': 'Kein Organization- oder Person-Schema auf der Seite gefunden.',
+  'pdf.identity.why': 'Ohne Organization- oder Person-Schema fällt es Suchmaschinen und LLMs schwerer, den Inhaber einer Website zu erkennen und Fragen zu Marke, Unternehmen oder Person zuverlässig zu beantworten.',
+
+  'pdf.socialResults': 'Social-Media-Ergebnisse',
+  'pdf.facebook.heading': 'Facebook-Seite verlinkt',
+  'pdf.facebook.found': 'Wir haben eine verlinkte Facebook-Seite auf Ihrer Website gefunden.',
+  'pdf.facebook.missing': 'Wir haben keine mit Ihrer Website verlinkte Facebook-Seite gefunden.',
+  'pdf.facebook.why': 'Facebook ist eine der größten Social-Media-Plattformen – die Verlinkung Ihrer Unternehmensseite stärkt Ihre Online-Präsenz.',
+  'pdf.instagram.heading': 'Instagram verlinkt',
+  'pdf.instagram.found': 'Wir haben ein verlinktes Instagram-Konto auf Ihrer Website gefunden.',
+  'pdf.instagram.missing': 'Wir haben kein mit Ihrer Website verlinktes Instagram-Konto gefunden.',
+  'pdf.instagram.why': 'Instagram ist eine sehr visuelle Plattform, auf der Sie Ihre Marke präsentieren und mit Kunden in Kontakt treten können.',
+
+  'pdf.localSeo': 'Lokale SEO',
+  'pdf.nap.heading': 'Adresse und Telefonnummer auf der Website',
+  'pdf.nap.both': 'Wir haben sowohl eine Adresse als auch eine Telefonnummer auf Ihrer Website gefunden.',
+  'pdf.nap.phoneOnly': 'Wir haben eine Telefonnummer gefunden, aber keine Adresse auf Ihrer Website.',
+  'pdf.nap.addressOnly': 'Wir haben eine Adresse gefunden, aber keine Telefonnummer auf Ihrer Website.',
+  'pdf.nap.neither': 'Wir haben weder eine Adresse noch eine Telefonnummer auf Ihrer Website gefunden.',
+  'pdf.nap.why': 'Eine gut sichtbare Geschäftsadresse und Telefonnummer schaffen Vertrauen bei Besuchern und sind wichtig für die lokale SEO.',
+  'pdf.nap.phone': 'Telefon',
+  'pdf.nap.address': 'Adresse',
+  'pdf.notFound': 'Nicht gefunden',
+  'pdf.localBusiness.heading': 'LocalBusiness-Schema',
+  'pdf.localBusiness.found': 'LocalBusiness-Schema auf der Seite gefunden.',
+  'pdf.localBusiness.missing': 'Kein LocalBusiness-Schema auf der Seite gefunden.',
+
+  'pdf.audit.documentTitle': 'Website-Audit – {host}',
+  'pdf.audit.header': 'Website-Audit für {host}',
+  'pdf.audit.coverTitle': 'Website-Audit-Bericht',
+  'pdf.audit.executiveSummary': 'Zusammenfassung',
+  'pdf.audit.siteHealth': 'Website-Zustand',
+  'pdf.audit.healthDescription': '{healthy} von {total} gecrawlten Seiten lieferten eine erfolgreiche Antwort ohne On-Page-Probleme.',
+  'pdf.audit.capped': 'Der Crawl wurde bei {count} Seiten begrenzt. {remaining} weitere URLs wurden gefunden, aber nicht gecrawlt; sie sind am Ende dieses Berichts aufgeführt.',
+  'pdf.audit.stat.crawled': 'Gecrawlte Seiten',
+  'pdf.audit.stat.discovered': 'Gefundene URLs',
+  'pdf.audit.stat.withIssues': 'Seiten mit Problemen',
+  'pdf.audit.stat.errors': 'Fehlerantworten',
+  'pdf.audit.stat.avgLoadTime': 'Ø Ladezeit',
+  'pdf.audit.stat.avgWordCount': 'Ø Wortanzahl',
+  'pdf.audit.seconds': '{value} s',
+  'pdf.audit.statusCodes': 'Statuscodes',
+  'pdf.audit.status.ok': '2xx OK',
+  'pdf.audit.status.redirect': '3xx Weiterleitung',
+  'pdf.audit.status.not_found': '404 Nicht gefunden',
+  'pdf.audit.status.client_error': 'Sonstige 4xx',
+  'pdf.audit.status.server_error': '5xx Serverfehler',
+  'pdf.audit.status.auth_required': '401 Anmeldung erforderlich',
+  'pdf.audit.status.forbidden': '403 Verboten',
+  'pdf.audit.status.rate_limited': '429 Zu viele Anfragen',
+  'pdf.audit.status.timeout': 'Zeitüberschreitung',
+  'pdf.audit.status.error': 'Abruffehler',
+  'pdf.audit.issues': 'Gefundene Probleme',
+  'pdf.audit.noIssues': 'Auf keiner gecrawlten Seite wurden Probleme gefunden.',
+  'pdf.audit.worstPages': 'Seiten mit den meisten Problemen',
+  'pdf.audit.column.url': 'URL',
+  'pdf.audit.column.status': 'Status',
+  'pdf.audit.column.issues': 'Probleme',
+  'pdf.audit.column.loadTime': 'Ladezeit (s)',
+  'pdf.audit.column.words': 'Wörter',
+  'pdf.audit.coreWebVitals': 'Core Web Vitals (Lighthouse)',
+  'pdf.audit.cwvIntro': 'Labormessungen der Startseite aus einem Lighthouse-Lauf für Desktop und Mobil.',
+  'pdf.audit.lighthouseUnavailable': 'Das Lighthouse-Audit wurde für diesen Crawl nicht abgeschlossen, daher liegen keine Core Web Vitals vor.',
+  'pdf.audit.desktop': 'Desktop',
+  'pdf.audit.mobile': 'Mobil',
+  'pdf.audit.performanceScore': 'Performance-Score',
+  'pdf.audit.metric.lcp': 'Largest Contentful Paint',
+  'pdf.audit.metric.tbt': 'Total Blocking Time',
+  'pdf.audit.metric.cls': 'Cumulative Layout Shift',
+  'pdf.audit.metric.fcp': 'First Contentful Paint',
+  'pdf.audit.metric.si': 'Speed Index',
+  'pdf.audit.rating.good': 'Gut',
+  'pdf.audit.rating.needsImprovement': 'Verbesserungswürdig',
+  'pdf.audit.rating.poor': 'Schlecht',
+  'pdf.audit.appendix': 'Anhang: Gecrawlte URLs',
+  'pdf.audit.uncrawled': 'Anhang: Gefunden, aber nicht gecrawlt',
+
+  // ── Wettbewerbervergleich (buildComparisonMatrix und PDF) ───────────────────
+  'compare.group.scores': 'Bewertungen',
+  'compare.group.meta': 'Meta',
+  'compare.group.headings': 'Überschriften',
+  'compare.group.schema': 'Schema',
+  'compare.group.social': 'Social Media',
+  'compare.group.nap': 'NAP (Name, Adresse, Telefon)',
+  'compare.metric.score': 'Gesamtbewertung',
+  'compare.metric.onPage': 'On-Page-SEO',
+  'compare.metric.technical': 'Technisches SEO',
+  'compare.metric.local': 'Lokales SEO',
+  'compare.metric.social': 'Social Media',
+  'compare.metric.titleLength': 'Titellänge ({min}–{max})',
+  'compare.metric.descriptionLength': 'Länge der Meta-Beschreibung ({min}–{max})',
+  'compare.metric.h1Count': 'H1-Tags (genau 1)',
+  'compare.metric.h2Count': 'H2-Tags',
+  'compare.metric.h3Count': 'H3-Tags',
+  'compare.metric.schemaTypes': 'Schema-Typen',
+  'compare.metric.hasLocalBusinessSchema': 'LocalBusiness-Schema',
+  'compare.metric.hasFacebookPage': 'Facebook',
+  'compare.metric.hasInstagram': 'Instagram',
+  'compare.metric.hasTwitter': 'X / Twitter',
+  'compare.metric.hasLinkedIn': 'LinkedIn',
+  'compare.metric.hasYouTube': 'YouTube',
+  'compare.metric.hasBusinessName': 'Firmenname im Schema',
+  'compare.metric.hasAddress': 'Adresse angegeben',
+  'compare.metric.hasPhone': 'Telefonnummer angegeben',
+  'pdf.compare.documentTitle': 'Wettbewerbervergleich - {host}',
+  'pdf.compare.header': 'Wettbewerbervergleich — {host}',
+  'pdf.compare.coverTitle': 'Wettbewerbervergleich',
+  'pdf.compare.overallScores': 'Gesamtbewertungen',
+  'pdf.compare.yourSite': 'Ihre Website',
+  'pdf.compare.competitor': 'Wettbewerber',
+  'pdf.compare.grade': 'Note {grade}',
+  'pdf.compare.failed': 'Analyse fehlgeschlagen: {error}',
+  'pdf.compare.summary_one': 'Im Vergleich mit {count} Wettbewerber liegt {host} bei {ahead} Kennzahlen vorn, bei {behind} zurück und bei {tied} gleichauf.',
+  'pdf.compare.summary_other': 'Im Vergleich mit {count} Wettbewerbern liegt {host} bei {ahead} Kennzahlen vorn, bei {behind} zurück und bei {tied} gleichauf.',
+  'pdf.compare.gaps': 'Wo Sie zurückliegen',
+  'pdf.compare.gapMissing': 'Wettbewerber verwenden {values}, Ihre Website nicht.',
+  'pdf.compare.gapLeader': 'Ihre Website: {primary} — bester Wettbewerber ({host}): {leader}',
+  'pdf.compare.matrix': 'Direktvergleich',
+  'pdf.compare.column.metric': 'Kennzahl',
+  'pdf.compare.column.position': 'Sie liegen',
+  'pdf.compare.position.ahead': 'Vorn',
+  'pdf.compare.position.behind': 'Zurück',
+  'pdf.compare.position.tied': 'Gleichauf',
+  'pdf.compare.position.na': 'k. A.',
+  'pdf.compare.none': 'Keine',
+};
@@ -0,0 +1,325 @@
+/**
+ * English catalog — the reference language. Every key used in the code must
+ * exist here; the other catalogs fall back to it key by key.
+ */
+export default {
+  // ── On-Page SEO summary (analyzeSEO → onPageSEO) ────────────────────────────
+  'onPage.excellent.message': 'Your On-Page SEO is excellent!',
+  'onPage.excellent.description': 'Outstanding work! Your On-Page SEO is exceptionally well optimized. On-Page SEO is important to ensure Search Engines can understand your content appropriately and help it rank for relevant keywords. Continue maintaining these high standards.',
+  'onPage.veryGood.message': 'Your On-Page SEO is very good!',
+  'onPage.veryGood.description': 'Congratulations, your On-Page SEO is well optimized. On-Page SEO is important to ensure Search Engines can understand your content appropriately and help it rank for relevant keywords. You can continue to build on your strong position through testing content improvements for gradual gains.',
+  'onPage.good.message': 'Your On-Page SEO is good!',
+  'onPage.good.description': 'Your On-Page SEO is performing well. On-Page SEO is important to ensure Search Engines can understand your content appropriately and help it rank for relevant keywords. There are some areas for improvement that could boost your rankings further.',
+  'onPage.needsImprovement.message': 'Your On-Page SEO needs improvement',
+  'onPage.needsImprovement.description': 'Your On-Page SEO has some optimization, but there are significant opportunities for improvement. On-Page SEO is important to ensure Search Engines can understand your content appropriately and help it rank for relevant keywords.',
+  'onPage.needsWork.message': 'Your On-Page SEO needs significant work',
+  'onPage.needsWork.description': 'Your On-Page SEO requires substantial improvements. On-Page SEO is important to ensure Search Engines can understand your content appropriately and help it rank for relevant keywords. Focus on the recommendations below to improve your search visibility.',
+
+  // ── Social summary (analyzeSEO → social) ────────────────────────────────────
+  'social.none.message': 'Your social needs improvement',
+  'social.none.description': 'You appear to have a weak social presence or level of social activity (or we may just not be able to see your profiles!). Social activity is important for customer communication, brand awareness and as a marketing channel to bring visitors to your website. We recommend that you list all of your profiles on your page for visibility, and begin to build a following on those networks.',
+  'social.partial.message': 'Your social presence needs work',
+  'social.partial.description': "You have one major social media profile, but you're missing the other. Social activity is important for customer communication, brand awareness and as a marketing channel to bring visitors to your website. Consider adding both Facebook and Instagram profiles for better reach.",
+  'social.excellent.message': 'Your social presence is excellent!',
+  'social.excellent.description': 'You have an excellent social media presence across multiple platforms. Social activity is important for customer communication, brand awareness and as a marketing channel to bring visitors to your website. Continue engaging with your audience across these networks.',
+
+  // ── Recommendations ─────────────────────────────────────────────────────────
+  'rec.addTitle': 'Add a Title Tag to your page',
+  'rec.lengthenTitle': 'Increase Title Tag length from {length} to {min}-{max} characters',
+  'rec.shortenTitle': 'Shorten Title Tag length from {length} to {min}-{max} characters',
+  'rec.addDescription': 'Add a Meta Description to your page',
+  'rec.lengthenDescription': 'Increase Meta Description length from {length} to {min}-{max} characters',
+  'rec.shortenDescription': 'Shorten Meta Description length from {length} to {min}-{max} characters',
+  'rec.addH1': 'Add exactly one H1 Header Tag to your page',
+  'rec.reduceH1': 'Reduce H1 tags from {count} to exactly 1',
+  'rec.addHeadings': 'Add more H2-H6 heading tags to improve content structure',
+  'rec.addAltText': 'Add Alt Attributes to {count} images ({percent}% missing)',
+  'rec.increaseContent': 'Increase content length from {count} to at least {min} words',
+  'rec.createRobotsTxt': 'Create a robots.txt file',
+  'rec.createSitemap': 'Create an XML Sitemap',
+  'rec.addAnalytics': 'Implement an Analytics Tracking Tool',
+  'rec.addSchema': 'Add Schema.org Structured Data',
+  'rec.addIdentitySchema': 'Add Identity Schema (Organization or Person)',
+  'rec.addPhone': 'Add Phone Number to Website',
+  'rec.addAddress': 'Add Address Information to Website',
+  'rec.addLocalBusinessSchema': 'Add Local Business Schema',
+  'rec.linkFacebook': 'Create and link your Facebook Page',
+  'rec.linkInstagram': 'Create and link an associated Instagram Profile',
+
+  // Display labels for the (untranslated) recommendation category / priority values
+  'category.On-Page SEO': 'On-Page SEO',
+  'category.Technical SEO': 'Technical SEO',
+  'category.Local SEO': 'Local SEO',
+  'category.Social': 'Social',
+  'priority.High Priority': 'High Priority',
+  'priority.Medium Priority': 'Medium Priority',
+  'priority.Low Priority': 'Low Priority',
+
+  // ── Site crawl ──────────────────────────────────────────────────────────────
+  'crawl.phase.stealth': 'Cloudflare block detected — switching to stealth browser',
+  'crawl.phase.sitemaps': 'Seeding URLs from robots.txt and sitemaps',
+  'crawl.phase.homepage': '{count} URLs from sitemaps — extracting links from homepage',
+  'crawl.phase.crawling': 'Crawling {total} of {discovered} discovered pages',
+  'crawl.phase.depth': 'Crawling {count} pages at click depth {depth}',
+  'crawl.phase.redirects': 'Checking redirect chains and canonical targets',
+  'crawl.phase.hreflang': 'Validating hreflang annotations and return tags',
+  'crawl.phase.links': 'Checking {count} linked URLs for broken targets',
+  'crawl.phase.lighthouse': 'Running Lighthouse desktop + mobile audits',
+  'crawl.issue.missing_title': 'Missing title tag',
+  'crawl.issue.title_too_short': 'Title too short',
+  'crawl.issue.title_too_long': 'Title too long',
+  'crawl.issue.missing_meta_description': 'Missing meta description',
+  'crawl.issue.meta_description_too_short': 'Meta description too short',
+  'crawl.issue.meta_description_too_long': 'Meta description too long',
+  'crawl.issue.missing_h1': 'Missing H1',
+  'crawl.issue.multiple_h1': 'Multiple H1 tags',
+  'crawl.issue.images_missing_alt': 'Images missing alt text',
+  'crawl.issue.noindex': 'Page is set to noindex',
+  'crawl.issue.missing_canonical': 'Missing canonical tag',
+  'crawl.issue.thin_content': 'Thin content',
+  'crawl.issue.crawl_error': 'Page could not be crawled',
+  'crawl.issue.broken_links': 'Links to broken pages',
+  'crawl.issue.redirect_chain': 'Redirect chain (more than one hop)',
+  'crawl.issue.redirect_loop': 'Redirect loop',
+  'crawl.issue.temporary_redirect': 'Temporary (302/307) redirect',
+  'crawl.issue.http_to_https_redirect': 'Redirects from http to https',
+  'crawl.issue.www_redirect': 'Redirects between www and non-www',
+  'crawl.issue.links_to_redirect': 'Links to redirecting URLs',
+  'crawl.issue.canonical_to_redirect': 'Canonical points to a redirect',
+  'crawl.issue.canonical_to_broken': 'Canonical points to an error page',
+  'crawl.issue.canonical_to_noindex': 'Canonical points to a noindex page',
+  'crawl.issue.canonical_other_host': 'Canonical points to another host',
+  'crawl.issue.duplicate_title': 'Duplicate title',
+  'crawl.issue.duplicate_meta_description': 'Duplicate meta description',
+  'crawl.issue.duplicate_h1': 'Duplicate H1',
+  'crawl.issue.near_duplicate_content': 'Near-duplicate content',
+  'crawl.issue.blocked_by_robots': 'Page is blocked by robots.txt',
+  'crawl.issue.sitemap_url_blocked': 'Sitemap URL is blocked by robots.txt',
+  'crawl.issue.sitemap_url_redirect': 'Sitemap URL redirects',
+  'crawl.issue.sitemap_url_error': 'Sitemap URL returns an error',
+  'crawl.issue.sitemap_url_noindex': 'Sitemap URL is noindex',
+  'crawl.issue.sitemap_url_canonicalised': 'Sitemap URL canonicalises to another URL',
+  'crawl.issue.missing_from_sitemap': 'Indexable page missing from sitemaps',
+  'crawl.issue.orphan_page': 'Orphan page (in sitemap, no internal links)',
+  'crawl.issue.hreflang_invalid_code': 'Invalid hreflang language or region code',
+  'crawl.issue.hreflang_missing_return': 'hreflang alternate does not link back',
+  'crawl.issue.hreflang_missing_self': 'hreflang set does not reference the page itself',
+  'crawl.issue.hreflang_missing_x_default': 'hreflang set has no x-default',
+  'crawl.issue.hreflang_to_redirect': 'hreflang alternate redirects',
+  'crawl.issue.hreflang_to_broken': 'hreflang alternate returns an error',
+  'crawl.issue.hreflang_to_noindex': 'hreflang alternate is noindex',
+  'crawl.issue.hreflang_sitemap_conflict': 'Page and sitemap hreflang annotations differ',
+  'crawl.issue.hreflang_lang_mismatch': 'html lang does not match the hreflang of the page',
+
+  // ── PDF report ──────────────────────────────────────────────────────────────
+  'pdf.documentTitle': 'SEO Report - {host}',
+  'pdf.header': 'SEO Report for {host}',
+  'pdf.websiteReportFor': 'Website Report for',
+  'pdf.intro': 'This report analyzes your website across several important areas, including on-page SEO, social presence, performance, security, and technical configuration. The purpose of this analysis is to highlight strengths and identify areas that may benefit from improvement. Addressing the recommendations in this report can help enhance user experience, search engine visibility, and overall website performance.',
+  'pdf.auditResultsFor': 'Audit Results for',
+  'pdf.score.excellent': 'Excellent SEO Performance!',
+  'pdf.score.veryGood': 'Very Good SEO Performance',
+  'pdf.score.good': 'Good SEO Performance',
+  'pdf.score.needsImprovement': 'Your SEO Needs Improvement',
+  'pdf.score.needsWork': 'Significant SEO Work Required',
+  'pdf.recommendationsCount': 'Recommendations: {count}',
+  'pdf.category.onPage': 'On-Page SEO',
+  'pdf.category.social': 'Social',
+  'pdf.generatedAt': 'Report Generated: {date}',
+  'pdf.cover.title': 'SEO Audit Report',
+  'pdf.cover.preparedBy': 'Prepared by {company}',
+  'pdf.pageOf': 'Page {page} of {total}',
+  'pdf.screenshot.desktop': 'Desktop screenshot',
+  'pdf.screenshot.mobile': 'Mobile screenshot',
+  'pdf.screenshot.none': 'No screenshot available',
+  'pdf.recommendations': 'Recommendations',
+  'pdf.onPageResults': 'On-Page SEO Results',
+  'pdf.length': 'Length: {count}',
+
+  'pdf.title.heading': 'Title Tag',
+  'pdf.title.missing': 'Your page does not have a Title Tag.',
+  'pdf.title.optimal': 'You have a Title Tag of optimal length (between {min} and {max} characters).',
+  'pdf.title.tooShort': 'You have a Title Tag, but ideally it should be lengthened to between {min} and {max} characters (including spaces).',
+  'pdf.title.tooLong': 'You have a Title Tag, but ideally it should be shortened to between {min} and {max} characters (including spaces).',
+  'pdf.title.why': 'Title Tags are very important for search engines to correctly understand and categorize your content.',
+
+  'pdf.description.heading': 'Meta Description Tag',
+  'pdf.description.missing': 'Your page does not have a Meta Description Tag.',
+  'pdf.description.optimal': 'You have a Meta Description Tag of optimal length (between {min} and {max} characters).',
+  'pdf.description.tooShort': 'Your page has a Meta Description Tag however, your Meta Description should ideally be lengthened to between {min} and {max} characters (including spaces).',
+  'pdf.description.tooLong': 'Your page has a Meta Description Tag however, your Meta Description should ideally be shortened to between {min} and {max} characters (including spaces).',
+  'pdf.description.why': 'A Meta Description is important for search engines to understand the content of your page, and is often shown as the description text blurb in search results.',
+
+  'pdf.h1.heading': 'H1 Header Tag Usage',
+  'pdf.h1.missing': 'Your page is missing an H1 Tag.',
+  'pdf.h1.present': 'Your page has a H1 Tag.',
+  'pdf.h1.multiple': 'Your page has more than one H1 Tag. It is generally recommended to only use one H1 Tag on a page.',
+  'pdf.h1.why': 'The H1 Header Tag is an important way of signaling to search engines what your content is about, and subsequently the keywords it should rank for.',
+
+  'pdf.headings.heading': 'H2-H6 Header Tag Usage',
+  'pdf.headings.present': 'Your page is making use of multiple levels of Header Tags (which is good).',
+  'pdf.headings.missing': 'Your page should use multiple levels of Header Tags, such as H2 and H3.',
+  'pdf.headings.why': 'When HTML Heading Tags are used properly, they help search engines better understand the structure and context of your web page.',
+  'pdf.headings.tagColumn': 'HEADER TAG',
+  'pdf.headings.frequencyColumn': 'FREQUENCY',
+
+  'pdf.images.heading': 'Image Alt Attributes',
+  'pdf.images.allHaveAlt': 'You do not have any images missing Alt Attributes on your page.',
+  'pdf.images.someMissingAlt': 'You have images on your page that are missing Alt Attributes.',
+  'pdf.images.foundAllAlt_one': 'We found {count} image on your page and all have Alt Attributes.',
+  'pdf.images.foundAllAlt_other': 'We found {count} images on your page and all have Alt Attributes.',
+  'pdf.images.foundMissingAlt_one': 'We found {total} images on your page and {count} of them is missing the attribute.',
+  'pdf.images.foundMissingAlt_other': 'We found {total} images on your page and {count} of them are missing the attribute.',
+  'pdf.images.why': 'Alt Attributes are an often overlooked and simple way to signal to Search Engines what an image is about, and help it rank in image search results.',
+
+  'pdf.ssl.heading': 'SSL Enabled',
+  'pdf.ssl.enabled': 'Your website has SSL enabled.',
+  'pdf.ssl.disabled': 'Your website does not have SSL enabled.',
+
+  'pdf.robots.heading': 'Robots.txt',
+  'pdf.robots.found': 'Your website appears to have a robots.txt file.',
+  'pdf.robots.missing': 'Your website does not appear to have a robots.txt file.',
+
+  'pdf.sitemap.heading': 'XML Sitemaps',
+  'pdf.sitemap.found': 'Your website appears to have an XML Sitemap.',
+  'pdf.sitemap.missing': 'Your website does not appear to have an XML Sitemap.',
+  'pdf.sitemap.moreFound': 'More Sitemaps were found, but not tested.',
+
+  'pdf.analytics.heading': 'Analytics',
+  'pdf.analytics.found': 'We detected an analytics tool installed on your page.',
+  'pdf.analytics.missing': 'We could not detect an analytics tool installed on your page.',
+  'pdf.analytics.why': 'Website analytics tools like Google Analytics assist you in measuring, analyzing and ultimately improving traffic to your page.',
+
+  'pdf.schema.heading': 'Schema.org Structured Data',
+  'pdf.schema.jsonLd': 'You are using JSON-LD Schema on your page.',
+  'pdf.schema.noJsonLd': 'Your page is not using JSON-LD Schema.',
+
+  'pdf.identity.heading': 'Identity Schema',
+  'pdf.identity.found': 'Organization or Person Schema identified on the page.',
+  'pdf.identity.missing': 'No Organization or Person Schema identified on the page.',
+  'pdf.identity.why': 'The absence of Organization or Person Schema can make it harder for Search Engines and LLMs to identify the ownership of a website and confidently answer brand, company or person queries.',
+
+  'pdf.socialResults': 'Social Results',
+  'pdf.facebook.heading': 'Facebook Page Linked',
+  'pdf.facebook.found': 'We found a linked Facebook Page on your website.',
+  'pdf.facebook.missing': 'We did not detect a Facebook Page linked to your website.',
+  'pdf.facebook.why': 'Facebook is one of the top social media platforms and linking your business page helps strengthen your online presence.',
+  'pdf.instagram.heading': 'Instagram Linked',
+  'pdf.instagram.found': 'We found a linked Instagram account on your website.',
+  'pdf.instagram.missing': 'We did not detect an Instagram account linked to your website.',
+  'pdf.instagram.why': 'Instagram is a highly visual platform that can help showcase your brand and engage with customers.',
+
+  'pdf.localSeo': 'Local SEO',
+  'pdf.nap.heading': 'Address & Phone Shown on Website',
+  'pdf.nap.both': 'We detected both an address and phone number on your website.',
+  'pdf.nap.phoneOnly': 'We detected a phone number, but no address was found on your website.',
+  'pdf.nap.addressOnly': 'We detected an address, but no phone number was found on your website.',
+  'pdf.nap.neither': 'We did not detect an address or phone number on your website.',
+  'pdf.nap.why': 'Displaying your business address and phone number prominently helps build trust with visitors and is important for local SEO.',
+  'pdf.nap.phone': 'Phone',
+  'pdf.nap.address': 'Address',
+  'pdf.notFound': 'Not found',
+  'pdf.localBusiness.heading': 'Local Business Schema',
+  'pdf.localBusiness.found': 'Local Business Schema identified on the page.',
+  'pdf.localBusiness.missing': 'No Local Business Schema identified on the page.',
+
+  // ── Site audit PDF (crawlSite output) ───────────────────────────────────────
+  'pdf.audit.documentTitle': 'Site Audit - {host}',
+  'pdf.audit.header': 'Site Audit for {host}',
+  'pdf.audit.coverTitle': 'Site Audit Report',
+  'pdf.audit.executiveSummary': 'Executive Summary',
+  'pdf.audit.siteHealth': 'Site Health',
+  'pdf.audit.healthDescription': '{healthy} of {total} crawled pages returned a successful response with no on-page issues.',
+  'pdf.audit.capped': 'The crawl was capped at {count} pages. {remaining} further URLs were discovered but not crawled; they are listed at the end of this report.',
+  'pdf.audit.stat.crawled': 'Pages crawled',
+  'pdf.audit.stat.discovered': 'URLs discovered',
+  'pdf.audit.stat.withIssues': 'Pages with issues',
+  'pdf.audit.stat.errors': 'Error responses',
+  'pdf.audit.stat.avgLoadTime': 'Avg. load time',
+  'pdf.audit.stat.avgWordCount': 'Avg. word count',
+  'pdf.audit.seconds': '{value} s',
+  'pdf.audit.statusCodes': 'Status Codes',
+  'pdf.audit.status.ok': '2xx OK',
+  'pdf.audit.status.redirect': '3xx Redirect',
+  'pdf.audit.status.not_found': '404 Not Found',
+  'pdf.audit.status.client_error': 'Other 4xx',
+  'pdf.audit.status.server_error': '5xx Server Error',
+  'pdf.audit.status.auth_required': '401 Auth Required',
+  'pdf.audit.status.forbidden': '403 Forbidden',
+  'pdf.audit.status.rate_limited': '429 Rate Limited',
+  'pdf.audit.status.timeout': 'Timeout',
+  'pdf.audit.status.error': 'Fetch Error',
+  'pdf.audit.issues': 'Issues Found',
+  'pdf.audit.noIssues': 'No issues were found on any crawled page.',
+  'pdf.audit.worstPages': 'Pages With the Most Issues',
+  'pdf.audit.column.url': 'URL',
+  'pdf.audit.column.status': 'Status',
+  'pdf.audit.column.issues': 'Issues',
+  'pdf.audit.column.loadTime': 'Load (s)',
+  'pdf.audit.column.words': 'Words',
+  'pdf.audit.coreWebVitals': 'Core Web Vitals (Lighthouse)',
+  'pdf.audit.cwvIntro': 'Lab measurements of the homepage from a Lighthouse run on desktop and mobile.',
+  'pdf.audit.lighthouseUnavailable': 'The Lighthouse audit did not complete for this crawl, so no Core Web Vitals are available.',
+  'pdf.audit.desktop': 'Desktop',
+  'pdf.audit.mobile': 'Mobile',
+  'pdf.audit.performanceScore': 'Performance score',
+  'pdf.audit.metric.lcp': 'Largest Contentful Paint',
+  'pdf.audit.metric.tbt': 'Total Blocking Time',
+  'pdf.audit.metric.cls': 'Cumulative Layout Shift',
+  'pdf.audit.metric.fcp': 'First Contentful Paint',
+  'pdf.audit.metric.si': 'Speed Index',
+  'pdf.audit.rating.good': 'Good',
+  'pdf.audit.rating.needsImprovement': 'Needs improvement',
+  'pdf.audit.rating.poor': 'Poor',
+  'pdf.audit.appendix': 'Appendix: Crawled URLs',
+  'pdf.audit.uncrawled': 'Appendix: Discovered but Not Crawled',
+
+  // ── Competitor comparison (buildComparisonMatrix and its PDF) ───────────────
+  'compare.group.scores': 'Scores',
+  'compare.group.meta': 'Meta',
+  'compare.group.headings': 'Headings',
+  'compare.group.schema': 'Schema',
+  'compare.group.social': 'Social',
+  'compare.group.nap': 'NAP',
+  'compare.metric.score': 'Overall score',
+  'compare.metric.onPage': 'On-Page SEO',
+  'compare.metric.technical': 'Technical SEO',
+  'compare.metric.local': 'Local SEO',
+  'compare.metric.social': 'Social',
+  'compare.metric.titleLength': 'Title length ({min}–{max})',
+  'compare.metric.descriptionLength': 'Meta description length ({min}–{max})',
+  'compare.metric.h1Count': 'H1 tags (exactly 1)',
+  'compare.metric.h2Count': 'H2 tags',
+  'compare.metric.h3Count': 'H3 tags',
+  'compare.metric.schemaTypes': 'Schema types',
+  'compare.metric.hasLocalBusinessSchema': 'LocalBusiness schema',
+  'compare.metric.hasFacebookPage': 'Facebook',
+  'compare.metric.hasInstagram': 'Instagram',
+  'compare.metric.hasTwitter': 'X / Twitter',
+  'compare.metric.hasLinkedIn': 'LinkedIn',
+  'compare.metric.hasYouTube': 'YouTube',
+  'compare.metric.hasBusinessName': 'Business name in schema',
+  'compare.metric.hasAddress': 'Address shown',
+  'compare.metric.hasPhone': 'Phone shown',
+  'pdf.compare.documentTitle': 'Competitor Comparison - {host}',
+  'pdf.compare.header': 'Competitor Comparison — {host}',
+  'pdf.compare.coverTitle': 'Competitor Comparison',
+  'pdf.compare.overallScores': 'Overall Scores',
+  'pdf.compare.yourSite': 'Your site',
+  'pdf.compare.competitor': 'Competitor',
+  'pdf.compare.grade': 'Grade {grade}',
+  'pdf.compare.failed': 'Analysis failed: {error}',
+  'pdf.compare.summary_one': 'Compared with {count} competitor, {host} is ahead on {ahead}, behind on {behind} and tied on {tied} metrics.',
+  'pdf.compare.summary_other': 'Compared with {count} competitors, {host} is ahead on {ahead}, behind on {behind} and tied on {tied} metrics.',
+  'pdf.compare.gaps': 'Where You Are Behind',
+  'pdf.compare.gapMissing': 'Competitors use {values}, which your site does not.',
+  'pdf.compare.gapLeader': 'Your site: {primary} — best competitor ({host}): {leader}',
+  'pdf.compare.matrix': 'Side-by-Side Comparison',
+  'pdf.compare.column.metric': 'Metric',
+  'pdf.compare.column.position': 'You are',
+  'pdf.compare.position.ahead': 'Ahead',
+  'pdf.compare.position.behind': 'Behind',
+  'pdf.compare.position.tied': 'Tied',
+  'pdf.compare.position.na': 'n/a',
+  'pdf.compare.none': 'None',
+};
@@ -0,0 +1,316 @@
+/** Spanish catalog — missing keys fall back to locales/en.js */
+export default {
+  'onPage.excellent.message': '¡Tu SEO on-page es excelente!',
+  'onPage.excellent.description': '¡Un trabajo excelente! Tu SEO on-page está excepcionalmente bien optimizado. El SEO on-page es importante para que los buscadores entiendan correctamente tu contenido y lo posicionen para las palabras clave relevantes. Sigue manteniendo este nivel.',
+  'onPage.veryGood.message': '¡Tu SEO on-page es muy bueno!',
+  'onPage.veryGood.description': 'Enhorabuena, tu SEO on-page está bien optimizado. El SEO on-page es importante para que los buscadores entiendan correctamente tu contenido y lo posicionen para las palabras clave relevantes. Puedes reforzar tu posición probando mejoras de contenido para obtener avances graduales.',
+  'onPage.good.message': '¡Tu SEO on-page es bueno!',
+  'onPage.good.description': 'Tu SEO on-page funciona bien. El SEO on-page es importante para que los buscadores entiendan correctamente tu contenido y lo posicionen para las palabras clave relevantes. Hay algunas mejoras que podrían impulsar aún más tu posicionamiento.',
+  'onPage.needsImprovement.message': 'Tu SEO on-page necesita mejoras',
+  'onPage.needsImprovement.description': 'Tu SEO on-page tiene cierta optimización, pero hay oportunidades de mejora importantes. El SEO on-page es importante para que los buscadores entiendan correctamente tu contenido y lo posicionen para las palabras clave relevantes.',
+  'onPage.needsWork.message': 'Tu SEO on-page necesita mucho trabajo',
+  'onPage.needsWork.description': 'Tu SEO on-page requiere mejoras sustanciales. El SEO on-page es importante para que los buscadores entiendan correctamente tu contenido y lo posicionen para las palabras clave relevantes. Céntrate en las recomendaciones siguientes para mejorar tu visibilidad en las búsquedas.',
+
+  'social.none.message': 'Tu presencia en redes sociales necesita mejoras',
+  'social.none.description': 'Tu presencia o actividad en redes sociales parece débil (¡o quizá simplemente no podemos ver tus perfiles!). La actividad social es importante para la comunicación con los clientes, el reconocimiento de marca y como canal de marketing para atraer visitantes a tu web. Te recomendamos enlazar todos tus perfiles en tu página para que sean visibles y empezar a crear comunidad en esas redes.',
+  'social.partial.message': 'Tu presencia en redes sociales necesita trabajo',
+  'social.partial.description': 'Tienes uno de los perfiles sociales principales, pero te falta el otro. La actividad social es importante para la comunicación con los clientes, el reconocimiento de marca y como canal de marketing para atraer visitantes a tu web. Añade tanto Facebook como Instagram para llegar a más gente.',
+  'social.excellent.message': '¡Tu presencia en redes sociales es excelente!',
+  'social.excellent.description': 'Tienes una presencia excelente en varias redes sociales. La actividad social es importante para la comunicación con los clientes, el reconocimiento de marca y como canal de marketing para atraer visitantes a tu web. Sigue interactuando con tu audiencia en estas redes.',
+
+  'rec.addTitle': 'Añade una etiqueta title a tu página',
+  'rec.lengthenTitle': 'Amplía la etiqueta title de {length} a {min}-{max} caracteres',
+  'rec.shortenTitle': 'Acorta la etiqueta title de {length} a {min}-{max} caracteres',
+  'rec.addDescription': 'Añade una meta descripción a tu página',
+  'rec.lengthenDescription': 'Amplía la meta descripción de {length} a {min}-{max} caracteres',
+  'rec.shortenDescription': 'Acorta la meta descripción de {length} a {min}-{max} caracteres',
+  'rec.addH1': 'Añade exactamente un encabezado H1 a tu página',
+  'rec.reduceH1': 'Reduce las etiquetas H1 de {count} a solo 1',
+  'rec.addHeadings': 'Añade más encabezados H2-H6 para estructurar mejor el contenido',
+  'rec.addAltText': 'Añade atributos alt a {count} imágenes ({percent} % sin alt)',
+  'rec.addAltText_one': 'Añade el atributo alt a {count} imagen ({percent} % sin alt)',
+  'rec.increaseContent': 'Amplía el contenido de {count} a al menos {min} palabras',
+  'rec.createRobotsTxt': 'Crea un archivo robots.txt',
+  'rec.createSitemap': 'Crea un sitemap XML',
+  'rec.addAnalytics': 'Instala una herramienta de analítica web',
+  'rec.addSchema': 'Añade datos estructurados de Schema.org',
+  'rec.addIdentitySchema': 'Añade un schema de identidad (Organization o Person)',
+  'rec.addPhone': 'Muestra un número de teléfono en la web',
+  'rec.addAddress': 'Muestra una dirección en la web',
+  'rec.addLocalBusinessSchema': 'Añade un schema LocalBusiness',
+  'rec.linkFacebook': 'Crea y enlaza tu página de Facebook',
+  'rec.linkInstagram': 'Crea y enlaza un perfil de Instagram asociado',
+
+  'category.On-Page SEO': 'SEO on-page',
+  'category.Technical SEO': 'SEO técnico',
+  'category.Local SEO': 'SEO local',
+  'category.Social': 'Redes sociales',
+  'priority.High Priority': 'Prioridad alta',
+  'priority.Medium Priority': 'Prioridad media',
+  'priority.Low Priority': 'Prioridad baja',
+
+  'crawl.phase.stealth': 'Bloqueo de Cloudflare detectado: cambiando al navegador sigiloso',
+  'crawl.phase.sitemaps': 'Recopilando URL de robots.txt y los sitemaps',
+  'crawl.phase.homepage': '{count} URL de los sitemaps: extrayendo enlaces de la página de inicio',
+  'crawl.phase.crawling': 'Rastreando {total} de {discovered} páginas descubiertas',
+  'crawl.phase.depth': 'Rastreando {count} páginas a profundidad de clic {depth}',
+  'crawl.phase.redirects': 'Comprobando cadenas de redirección y destinos canónicos',
+  'crawl.phase.hreflang': 'Validando anotaciones hreflang y etiquetas de retorno',
+  'crawl.phase.links': 'Comprobando {count} URL enlazadas en busca de enlaces rotos',
+  'crawl.phase.lighthouse': 'Ejecutando auditorías Lighthouse de escritorio y móvil',
+  'crawl.issue.missing_title': 'Falta la etiqueta title',
+  'crawl.issue.title_too_short': 'Title demasiado corto',
+  'crawl.issue.title_too_long': 'Title demasiado largo',
+  'crawl.issue.missing_meta_description': 'Falta la meta descripción',
+  'crawl.issue.meta_description_too_short': 'Meta descripción demasiado corta',
+  'crawl.issue.meta_description_too_long': 'Meta descripción demasiado larga',
+  'crawl.issue.missing_h1': 'Falta el H1',
+  'crawl.issue.multiple_h1': 'Varias etiquetas H1',
+  'crawl.issue.images_missing_alt': 'Imágenes sin texto alternativo',
+  'crawl.issue.noindex': 'La página está en noindex',
+  'crawl.issue.missing_canonical': 'Falta la etiqueta canonical',
+  'crawl.issue.thin_content': 'Contenido escaso',
+  'crawl.issue.crawl_error': 'No se pudo rastrear la página',
+  'crawl.issue.broken_links': 'Enlaces a páginas rotas',
+  'crawl.issue.redirect_chain': 'Cadena de redirecciones (más de un salto)',
+  'crawl.issue.redirect_loop': 'Bucle de redirección',
+  'crawl.issue.temporary_redirect': 'Redirección temporal (302/307)',
+  'crawl.issue.http_to_https_redirect': 'Redirección de http a https',
+  'crawl.issue.www_redirect': 'Redirección entre www y sin www',
+  'crawl.issue.links_to_redirect': 'Enlaces a URL que redirigen',
+  'crawl.issue.canonical_to_redirect': 'La canónica apunta a una redirección',
+  'crawl.issue.canonical_to_broken': 'La canónica apunta a una página con error',
+  'crawl.issue.canonical_to_noindex': 'La canónica apunta a una página noindex',
+  'crawl.issue.canonical_other_host': 'La canónica apunta a otro host',
+  'crawl.issue.duplicate_title': 'Título duplicado',
+  'crawl.issue.duplicate_meta_description': 'Meta descripción duplicada',
+  'crawl.issue.duplicate_h1': 'H1 duplicado',
+  'crawl.issue.near_duplicate_content': 'Contenido casi duplicado',
+  'crawl.issue.blocked_by_robots': 'Página bloqueada por robots.txt',
+  'crawl.issue.sitemap_url_blocked': 'URL del sitemap bloqueada por robots.txt',
+  'crawl.issue.sitemap_url_redirect': 'La URL del sitemap redirige',
+  'crawl.issue.sitemap_url_error': 'La URL del sitemap devuelve un error',
+  'crawl.issue.sitemap_url_noindex': 'La URL del sitemap es noindex',
+  'crawl.issue.sitemap_url_canonicalised': 'La URL del sitemap tiene una canónica a otra URL',
+  'crawl.issue.missing_from_sitemap': 'Página indexable ausente de los sitemaps',
+  'crawl.issue.orphan_page': 'Página huérfana (en el sitemap, sin enlaces internos)',
+  'crawl.issue.hreflang_invalid_code': 'Código de idioma o región hreflang no válido',
+  'crawl.issue.hreflang_missing_return': 'La alternativa hreflang no enlaza de vuelta',
+  'crawl.issue.hreflang_missing_self': 'El conjunto hreflang no hace referencia a la propia página',
+  'crawl.issue.hreflang_missing_x_default': 'El conjunto hreflang no tiene x-default',
+  'crawl.issue.hreflang_to_redirect': 'La alternativa hreflang redirige',
+  'crawl.issue.hreflang_to_broken': 'La alternativa hreflang devuelve un error',
+  'crawl.issue.hreflang_to_noindex': 'La alternativa hreflang es noindex',
+  'crawl.issue.hreflang_sitemap_conflict': 'Los hreflang de la página y del sitemap no coinciden',
+  'crawl.issue.hreflang_lang_mismatch': 'html lang no coincide con el hreflang de la página',
+
+  'pdf.documentTitle': 'Informe SEO - {host}',
+  'pdf.header': 'Informe SEO de {host}',
+  'pdf.websiteReportFor': 'Informe web de',
+  'pdf.intro': 'Este informe analiza tu web en varias áreas importantes, como el SEO on-page, la presencia en redes sociales, el rendimiento, la seguridad y la configuración técnica. El objetivo del análisis es destacar los puntos fuertes e identificar las áreas que pueden mejorarse. Aplicar las recomendaciones de este informe puede mejorar la experiencia de usuario, la visibilidad en buscadores y el rendimiento general de la web.',
+  'pdf.auditResultsFor': 'Resultados de la auditoría de',
+  'pdf.score.excellent': '¡Rendimiento SEO excelente!',
+  'pdf.score.veryGood': 'Rendimiento SEO muy bueno',
+  'pdf.score.good': 'Buen rendimiento SEO',
+  'pdf.score.needsImprovement': 'Tu SEO necesita mejoras',
+  'pdf.score.needsWork': 'Se necesita mucho trabajo de SEO',
+  'pdf.recommendationsCount': 'Recomendaciones: {count}',
+  'pdf.category.onPage': 'SEO on-page',
+  'pdf.category.social': 'Redes sociales',
+  'pdf.generatedAt': 'Informe generado: {date}',
+  'pdf.cover.title': 'Informe de auditoría SEO',
+  'pdf.cover.preparedBy': 'Elaborado por {company}',
+  'pdf.pageOf': 'Página {page} de {total}',
+  'pdf.screenshot.desktop': 'Captura de escritorio',
+  'pdf.screenshot.mobile': 'Captura móvil',
+  'pdf.screenshot.none': 'No hay captura disponible',
+  'pdf.recommendations': 'Recomendaciones',
+  'pdf.onPageResults': 'Resultados de SEO on-page',
+  'pdf.length': 'Longitud: {count}',
+
+  'pdf.title.heading': 'Etiqueta title',
+  'pdf.title.missing': 'Tu página no tiene etiqueta title.',
+  'pdf.title.optimal': 'Tu etiqueta title tiene una longitud óptima (entre {min} y {max} caracteres).',
+  'pdf.title.tooShort': 'Tienes una etiqueta title, pero lo ideal sería ampliarla a entre {min} y {max} caracteres (espacios incluidos).',
+  'pdf.title.tooLong': 'Tienes una etiqueta title, pero lo ideal sería acortarla a entre {min} y {max} caracteres (espacios incluidos).',
+  'pdf.title.why': 'La etiqueta title es muy importante para que los buscadores entiendan y clasifiquen correctamente tu contenido.',
+
+  'pdf.description.heading': 'Etiqueta meta description',
+  'pdf.description.missing': 'Tu página no tiene etiqueta meta description.',
+  'pdf.description.optimal': 'Tu meta descripción tiene una longitud óptima (entre {min} y {max} caracteres).',
+  'pdf.description.tooShort': 'Tu página tiene meta descripción, pero lo ideal sería ampliarla a entre {min} y {max} caracteres (espacios incluidos).',
+  'pdf.description.tooLong': 'Tu página tiene meta descripción, pero lo ideal sería acortarla a entre {min} y {max} caracteres (espacios incluidos).',
+  'pdf.description.why': 'La meta descripción ayuda a los buscadores a entender el contenido de tu página y a menudo se muestra como texto descriptivo en los resultados de búsqueda.',
+
+  'pdf.h1.heading': 'Uso del encabezado H1',
+  'pdf.h1.missing': 'A tu página le falta una etiqueta H1.',
+  'pdf.h1.present': 'Tu página tiene una etiqueta H1.',
+  'pdf.h1.multiple': 'Tu página tiene más de una etiqueta H1. En general se recomienda usar solo una etiqueta H1 por página.',
+  'pdf.h1.why': 'El encabezado H1 es una forma importante de indicar a los buscadores de qué trata tu contenido y, por tanto, para qué palabras clave debe posicionarse.',
+
+  'pdf.headings.heading': 'Uso de encabezados H2-H6',
+  'pdf.headings.present': 'Tu página usa varios niveles de encabezados (eso es bueno).',
+  'pdf.headings.missing': 'Tu página debería usar varios niveles de encabezados, como H2 y H3.',
+  'pdf.headings.why': 'Cuando los encabezados HTML se usan correctamente, ayudan a los buscadores a entender mejor la estructura y el contexto de tu página.',
+  'pdf.headings.tagColumn': 'ENCABEZADO',
+  'pdf.headings.frequencyColumn': 'FRECUENCIA',
+
+  'pdf.images.heading': 'Atributos alt de las imágenes',
+  'pdf.images.allHaveAlt': 'No hay imágenes sin atributo alt en tu página.',
+  'pdf.images.someMissingAlt': 'Hay imágenes en tu página a las que les falta el atributo alt.',
+  'pdf.images.foundAllAlt_one': 'Hemos encontrado {count} imagen en tu página y tiene atributo alt.',
+  'pdf.images.foundAllAlt_other': 'Hemos encontrado {count} imágenes en tu página y todas tienen atributo alt.',
+  'pdf.images.foundMissingAlt_one': 'Hemos encontrado {total} imágenes en tu página y a {count} de ellas le falta el atributo.',
+  'pdf.images.foundMissingAlt_other': 'Hemos encontrado {total} imágenes en tu página y a {count} de ellas les falta el atributo.',
+  'pdf.images.why': 'Los atributos alt son una forma sencilla y a menudo olvidada de indicar a los buscadores qué muestra una imagen, y la ayudan a posicionarse en la búsqueda de imágenes.',
+
+  'pdf.ssl.heading': 'SSL activado',
+  'pdf.ssl.enabled': 'Tu web tiene SSL activado.',
+  'pdf.ssl.disabled': 'Tu web no tiene SSL activado.',
+
+  'pdf.robots.heading': 'Robots.txt',
+  'pdf.robots.found': 'Tu web parece tener un archivo robots.txt.',
+  'pdf.robots.missing': 'Tu web no parece tener un archivo robots.txt.',
+
+  'pdf.sitemap.heading': 'Sitemaps XML',
+  'pdf.sitemap.found': 'Tu web parece tener un sitemap XML.',
+  'pdf.sitemap.missing': 'Tu web no parece tener un sitemap XML.',
+  'pdf.sitemap.moreFound': 'Se encontraron más sitemaps, pero no se analizaron.',
+
+  'pdf.analytics.heading': 'Analítica',
+  'pdf.analytics.found': 'Hemos detectado una herramienta de analítica instalada en tu página.',
+  'pdf.analytics.missing': 'No hemos detectado ninguna herramienta de analítica instalada en tu página.',
+  'pdf.analytics.why': 'Las herramientas de analítica web como Google Analytics te ayudan a medir, analizar y, en última instancia, aumentar el tráfico de tu página.',
+
+  'pdf.schema.heading': 'Datos estructurados Schema.org',
+  'pdf.schema.jsonLd': 'Estás usando schema JSON-LD en tu página.',
+  'pdf.schema.noJsonLd': 'Tu página no usa schema JSON-LD.',
+
+  'pdf.identity.heading': 'Schema de identidad',
+  'pdf.identity.found': 'Se ha identificado un schema Organization o Person en la página.',
+  'pdf.identity.missing': 'No se ha identificado ningún schema Organization o Person en la página.',
+  'pdf.identity.why': 'Sin un schema Organization o Person, a los buscadores y a los LLM les resulta más difícil identificar al propietario de una web y responder con seguridad a consultas sobre una marca, empresa o persona.',
+
+  'pdf.socialResults': 'Resultados en redes sociales',
+  'pdf.facebook.heading': 'Página de Facebook enlazada',
+  'pdf.facebook.found': 'Hemos encontrado una página de Facebook enlazada en tu web.',
+  'pdf.facebook.missing': 'No hemos detectado ninguna página de Facebook enlazada en tu web.',
+  'pdf.facebook.why': 'Facebook es una de las principales redes sociales y enlazar la página de tu negocio ayuda a reforzar tu presencia online.',
+  'pdf.instagram.heading': 'Instagram enlazado',
+  'pdf.instagram.found': 'Hemos encontrado una cuenta de Instagram enlazada en tu web.',
+  'pdf.instagram.missing': 'No hemos detectado ninguna cuenta de Instagram enlazada en tu web.',
+  'pdf.instagram.why': 'Instagram es una plataforma muy visual que te ayuda a mostrar tu marca y a interactuar con tus clientes.',
+
+  'pdf.localSeo': 'SEO local',
+  'pdf.nap.heading': 'Dirección y teléfono visibles en la web',
+  'pdf.nap.both': 'Hemos detectado una dirección y un número de teléfono en tu web.',
+  'pdf.nap.phoneOnly': 'Hemos detectado un número de teléfono, pero no una dirección en tu web.',
+  'pdf.nap.addressOnly': 'Hemos detectado una dirección, pero no un número de teléfono en tu web.',
+  'pdf.nap.neither': 'No hemos detectado ni dirección ni número de teléfono en tu web.',
+  'pdf.nap.why': 'Mostrar de forma visible la dirección y el teléfono de tu negocio genera confianza en los visitantes y es importante para el SEO local.',
+  'pdf.nap.phone': 'Teléfono',
+  'pdf.nap.address': 'Dirección',
+  'pdf.notFound': 'No encontrado',
+  'pdf.localBusiness.heading': 'Schema LocalBusiness',
+  'pdf.localBusiness.found': 'Se ha identificado un schema LocalBusiness en la página.',
+  'pdf.localBusiness.missing': 'No se ha identificado ningún schema LocalBusiness en la página.',
+
+  'pdf.audit.documentTitle': 'Auditoría del sitio - {host}',
+  'pdf.audit.header': 'Auditoría del sitio de {host}',
+  'pdf.audit.coverTitle': 'Informe de auditoría del sitio',
+  'pdf.audit.executiveSummary': 'Resumen ejecutivo',
+  'pdf.audit.siteHealth': 'Salud del sitio',
+  'pdf.audit.healthDescription': '{healthy} de {total} páginas rastreadas respondieron correctamente y sin problemas on-page.',
+  'pdf.audit.capped': 'El rastreo se limitó a {count} páginas. Se descubrieron otras {remaining} URL que no se rastrearon; aparecen al final de este informe.',
+  'pdf.audit.stat.crawled': 'Páginas rastreadas',
+  'pdf.audit.stat.discovered': 'URL descubiertas',
+  'pdf.audit.stat.withIssues': 'Páginas con problemas',
+  'pdf.audit.stat.errors': 'Respuestas con error',
+  'pdf.audit.stat.avgLoadTime': 'Tiempo de carga medio',
+  'pdf.audit.stat.avgWordCount': 'Palabras de media',
+  'pdf.audit.seconds': '{value} s',
+  'pdf.audit.statusCodes': 'Códigos de estado',
+  'pdf.audit.status.ok': '2xx OK',
+  'pdf.audit.status.redirect': '3xx Redirección',
+  'pdf.audit.status.not_found': '404 No encontrado',
+  'pdf.audit.status.client_error': 'Otros 4xx',
+  'pdf.audit.status.server_error': '5xx Error del servidor',
+  'pdf.audit.status.auth_required': '401 Requiere autenticación',
+  'pdf.audit.status.forbidden': '403 Prohibido',
+  'pdf.audit.status.rate_limited': '429 Demasiadas solicitudes',
+  'pdf.audit.status.timeout': 'Tiempo agotado',
+  'pdf.audit.status.error': 'Error de descarga',
+  'pdf.audit.issues': 'Problemas detectados',
+  'pdf.audit.noIssues': 'No se detectaron problemas en ninguna página rastreada.',
+  'pdf.audit.worstPages': 'Páginas con más problemas',
+  'pdf.audit.column.url': 'URL',
+  'pdf.audit.column.status': 'Estado',
+  'pdf.audit.column.issues': 'Problemas',
+  'pdf.audit.column.loadTime': 'Carga (s)',
+  'pdf.audit.column.words': 'Palabras',
+  'pdf.audit.coreWebVitals': 'Core Web Vitals (Lighthouse)',
+  'pdf.audit.cwvIntro': 'Mediciones de laboratorio de la página de inicio obtenidas con Lighthouse en escritorio y móvil.',
+  'pdf.audit.lighthouseUnavailable': 'La auditoría Lighthouse no se completó en este rastreo, por lo que no hay datos de Core Web Vitals.',
+  'pdf.audit.desktop': 'Escritorio',
+  'pdf.audit.mobile': 'Móvil',
+  'pdf.audit.performanceScore': 'Puntuación de rendimiento',
+  'pdf.audit.metric.lcp': 'Largest Contentful Paint',
+  'pdf.audit.metric.tbt': 'Total Blocking Time',
+  'pdf.audit.metric.cls': 'Cumulative Layout Shift',
+  'pdf.audit.metric.fcp': 'First Contentful Paint',
+  'pdf.audit.metric.si': 'Speed Index',
+  'pdf.audit.rating.good': 'Bueno',
+  'pdf.audit.rating.needsImprovement': 'Mejorable',
+  'pdf.audit.rating.poor': 'Malo',
+  'pdf.audit.appendix': 'Anexo: URL rastreadas',
+  'pdf.audit.uncrawled': 'Anexo: descubiertas pero no rastreadas',
+
+  // ── Comparativa de competidores (buildComparisonMatrix y su PDF) ────────────
+  'compare.group.scores': 'Puntuaciones',
+  'compare.group.meta': 'Meta',
+  'compare.group.headings': 'Encabezados',
+  'compare.group.schema': 'Schema',
+  'compare.group.social': 'Redes sociales',
+  'compare.group.nap': 'NAP (nombre, dirección, teléfono)',
+  'compare.metric.score': 'Puntuación global',
+  'compare.metric.onPage': 'SEO on-page',
+  'compare.metric.technical': 'SEO técnico',
+  'compare.metric.local': 'SEO local',
+  'compare.metric.social': 'Redes sociales',
+  'compare.metric.titleLength': 'Longitud del título ({min}–{max})',
+  'compare.metric.descriptionLength': 'Longitud de la meta descripción ({min}–{max})',
+  'compare.metric.h1Count': 'Etiquetas H1 (exactamente 1)',
+  'compare.metric.h2Count': 'Etiquetas H2',
+  'compare.metric.h3Count': 'Etiquetas H3',
+  'compare.metric.schemaTypes': 'Tipos de schema',
+  'compare.metric.hasLocalBusinessSchema': 'Schema LocalBusiness',
+  'compare.metric.hasFacebookPage': 'Facebook',
+  'compare.metric.hasInstagram': 'Instagram',
+  'compare.metric.hasTwitter': 'X / Twitter',
+  'compare.metric.hasLinkedIn': 'LinkedIn',
+  'compare.metric.hasYouTube': 'YouTube',
+  'compare.metric.hasBusinessName': 'Nombre de la empresa en el schema',
+  'compare.metric.hasAddress': 'Dirección visible',
+  'compare.metric.hasPhone': 'Teléfono visible',
+  'pdf.compare.documentTitle': 'Comparativa de competidores - {host}',
+  'pdf.compare.header': 'Comparativa de competidores — {host}',
+  'pdf.compare.coverTitle': 'Comparativa de competidores',
+  'pdf.compare.overallScores': 'Puntuaciones globales',
+  'pdf.compare.yourSite': 'Tu sitio',
+  'pdf.compare.competitor': 'Competidor',
+  'pdf.compare.grade': 'Nota {grade}',
+  'pdf.compare.failed': 'El análisis falló: {error}',
+  'pdf.compare.summary_one': 'Frente a {count} competidor, {host} va por delante en {ahead}, por detrás en {behind} y empata en {tied} indicadores.',
+  'pdf.compare.summary_other': 'Frente a {count} competidores, {host} va por delante en {ahead}, por detrás en {behind} y empata en {tied} indicadores.',
+  'pdf.compare.gaps': 'Dónde vas por detrás',
+  'pdf.compare.gapMissing': 'Los competidores usan {values} y tu sitio no.',
+  'pdf.compare.gapLeader': 'Tu sitio: {primary} — mejor competidor ({host}): {leader}',
+  'pdf.compare.matrix': 'Comparativa lado a lado',
+  'pdf.compare.column.metric': 'Indicador',
+  'pdf.compare.column.position': 'Vas',
+  'pdf.compare.position.ahead': 'Por delante',
+  'pdf.compare.position.behind': 'Por detrás',
+  'pdf.compare.position.tied': 'Empate',
+  'pdf.compare.position.na': 'n/d',
+  'pdf.compare.none': 'Ninguno',
+};
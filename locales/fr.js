@@ -0,0 +1,316 @@
+/** French catalog — missing keys fall back to locales/en.js */
+export default {
+  'onPage.excellent.message': 'Votre SEO on-page est excellent !',
+  'onPage.excellent.description': 'Excellent travail ! Votre SEO on-page est remarquablement optimisé. Le SEO on-page permet aux moteurs de recherche de bien comprendre votre contenu et de le positionner sur les mots-clés pertinents. Continuez à maintenir ce niveau d’exigence.',
+  'onPage.veryGood.message': 'Votre SEO on-page est très bon !',
+  'onPage.veryGood.description': 'Félicitations, votre SEO on-page est bien optimisé. Le SEO on-page permet aux moteurs de recherche de bien comprendre votre contenu et de le positionner sur les mots-clés pertinents. Vous pouvez consolider cette position en testant des améliorations de contenu pour des gains progressifs.',
+  'onPage.good.message': 'Votre SEO on-page est bon !',
+  'onPage.good.description': 'Votre SEO on-page donne de bons résultats. Le SEO on-page permet aux moteurs de recherche de bien comprendre votre contenu et de le positionner sur les mots-clés pertinents. Quelques améliorations pourraient encore renforcer votre positionnement.',
+  'onPage.needsImprovement.message': 'Votre SEO on-page doit être amélioré',
+  'onPage.needsImprovement.description': 'Votre SEO on-page est en partie optimisé, mais il reste d’importantes marges de progression. Le SEO on-page permet aux moteurs de recherche de bien comprendre votre contenu et de le positionner sur les mots-clés pertinents.',
+  'onPage.needsWork.message': 'Votre SEO on-page nécessite un travail important',
+  'onPage.needsWork.description': 'Votre SEO on-page demande des améliorations substantielles. Le SEO on-page permet aux moteurs de recherche de bien comprendre votre contenu et de le positionner sur les mots-clés pertinents. Concentrez-vous sur les recommandations ci-dessous pour améliorer votre visibilité.',
+
+  'social.none.message': 'Votre présence sociale doit être améliorée',
+  'social.none.description': 'Votre présence ou votre activité sur les réseaux sociaux semble faible (ou nous ne parvenons simplement pas à voir vos profils !). L’activité sociale est importante pour la communication client, la notoriété de la marque et comme canal marketing pour attirer des visiteurs sur votre site. Nous vous recommandons de lister tous vos profils sur votre page et de développer votre audience sur ces réseaux.',
+  'social.partial.message': 'Votre présence sociale est à renforcer',
+  'social.partial.description': 'Vous avez l’un des principaux profils sociaux, mais il vous manque l’autre. L’activité sociale est importante pour la communication client, la notoriété de la marque et comme canal marketing pour attirer des visiteurs sur votre site. Ajoutez à la fois Facebook et Instagram pour toucher plus de monde.',
+  'social.excellent.message': 'Votre présence sociale est excellente !',
+  'social.excellent.description': 'Vous avez une excellente présence sur plusieurs réseaux sociaux. L’activité sociale est importante pour la communication client, la notoriété de la marque et comme canal marketing pour attirer des visiteurs sur votre site. Continuez à échanger avec votre audience sur ces réseaux.',
+
+  'rec.addTitle': 'Ajoutez une balise title à votre page',
+  'rec.lengthenTitle': 'Allongez la balise title de {length} à {min}-{max} caractères',
+  'rec.shortenTitle': 'Raccourcissez la balise title de {length} à {min}-{max} caractères',
+  'rec.addDescription': 'Ajoutez une meta description à votre page',
+  'rec.lengthenDescription': 'Allongez la meta description de {length} à {min}-{max} caractères',
+  'rec.shortenDescription': 'Raccourcissez la meta description de {length} à {min}-{max} caractères',
+  'rec.addH1': 'Ajoutez exactement un titre H1 à votre page',
+  'rec.reduceH1': 'Réduisez le nombre de balises H1 de {count} à une seule',
+  'rec.addHeadings': 'Ajoutez des titres H2 à H6 pour mieux structurer le contenu',
+  'rec.addAltText': 'Ajoutez un attribut alt à {count} images ({percent} % manquants)',
+  'rec.addAltText_one': 'Ajoutez un attribut alt à {count} image ({percent} % manquants)',
+  'rec.increaseContent': 'Étoffez le contenu de {count} à au moins {min} mots',
+  'rec.createRobotsTxt': 'Créez un fichier robots.txt',
+  'rec.createSitemap': 'Créez un sitemap XML',
+  'rec.addAnalytics': 'Installez un outil de mesure d’audience',
+  'rec.addSchema': 'Ajoutez des données structurées Schema.org',
+  'rec.addIdentitySchema': 'Ajoutez un schéma d’identité (Organization ou Person)',
+  'rec.addPhone': 'Indiquez un numéro de téléphone sur le site',
+  'rec.addAddress': 'Indiquez une adresse sur le site',
+  'rec.addLocalBusinessSchema': 'Ajoutez un schéma LocalBusiness',
+  'rec.linkFacebook': 'Créez et liez votre page Facebook',
+  'rec.linkInstagram': 'Créez et liez un profil Instagram associé',
+
+  'category.On-Page SEO': 'SEO on-page',
+  'category.Technical SEO': 'SEO technique',
+  'category.Local SEO': 'SEO local',
+  'category.Social': 'Réseaux sociaux',
+  'priority.High Priority': 'Priorité haute',
+  'priority.Medium Priority': 'Priorité moyenne',
+  'priority.Low Priority': 'Priorité basse',
+
+  'crawl.phase.stealth': 'Blocage Cloudflare détecté — passage au navigateur furtif',
+  'crawl.phase.sitemaps': 'Collecte des URL depuis robots.txt et les sitemaps',
+  'crawl.phase.homepage': '{count} URL issues des sitemaps — extraction des liens de la page d’accueil',
+  'crawl.phase.crawling': 'Exploration de {total} pages sur {discovered} découvertes',
+  'crawl.phase.depth': 'Exploration de {count} pages à la profondeur de clic {depth}',
+  'crawl.phase.redirects': 'Vérification des chaînes de redirection et des URL canoniques',
+  'crawl.phase.hreflang': 'Validation des annotations hreflang et des liens de retour',
+  'crawl.phase.links': 'Vérification de {count} URL liées à la recherche de liens cassés',
+  'crawl.phase.lighthouse': 'Audits Lighthouse ordinateur et mobile en cours',
+  'crawl.issue.missing_title': 'Balise title manquante',
+  'crawl.issue.title_too_short': 'Title trop court',
+  'crawl.issue.title_too_long': 'Title trop long',
+  'crawl.issue.missing_meta_description': 'Meta description manquante',
+  'crawl.issue.meta_description_too_short': 'Meta description trop courte',
+  'crawl.issue.meta_description_too_long': 'Meta description trop longue',
+  'crawl.issue.missing_h1': 'H1 manquant',
+  'crawl.issue.multiple_h1': 'Plusieurs balises H1',
+  'crawl.issue.images_missing_alt': 'Images sans texte alternatif',
+  'crawl.issue.noindex': 'Page en noindex',
+  'crawl.issue.missing_canonical': 'Balise canonical manquante',
+  'crawl.issue.thin_content': 'Contenu trop mince',
+  'crawl.issue.crawl_error': 'Page impossible à explorer',
+  'crawl.issue.broken_links': 'Liens vers des pages cassées',
+  'crawl.issue.redirect_chain': 'Chaîne de redirections (plus d’une étape)',
+  'crawl.issue.redirect_loop': 'Boucle de redirection',
+  'crawl.issue.temporary_redirect': 'Redirection temporaire (302/307)',
+  'crawl.issue.http_to_https_redirect': 'Redirection de http vers https',
+  'crawl.issue.www_redirect': 'Redirection entre www et sans www',
+  'crawl.issue.links_to_redirect': 'Liens vers des URL redirigées',
+  'crawl.issue.canonical_to_redirect': 'La canonique pointe vers une redirection',
+  'crawl.issue.canonical_to_broken': 'La canonique pointe vers une page en erreur',
+  'crawl.issue.canonical_to_noindex': 'La canonique pointe vers une page noindex',
+  'crawl.issue.canonical_other_host': 'La canonique pointe vers un autre hôte',
+  'crawl.issue.duplicate_title': 'Titre dupliqué',
+  'crawl.issue.duplicate_meta_description': 'Meta description dupliquée',
+  'crawl.issue.duplicate_h1': 'H1 dupliqué',
+  'crawl.issue.near_duplicate_content': 'Contenu quasi dupliqué',
+  'crawl.issue.blocked_by_robots': 'Page bloquée par robots.txt',
+  'crawl.issue.sitemap_url_blocked': 'URL du sitemap bloquée par robots.txt',
+  'crawl.issue.sitemap_url_redirect': 'L’URL du sitemap redirige',
+  'crawl.issue.sitemap_url_error': 'L’URL du sitemap renvoie une erreur',
+  'crawl.issue.sitemap_url_noindex': 'L’URL du sitemap est en noindex',
+  'crawl.issue.sitemap_url_canonicalised': 'L’URL du sitemap a une canonique vers une autre URL',
+  'crawl.issue.missing_from_sitemap': 'Page indexable absente des sitemaps',
+  'crawl.issue.orphan_page': 'Page orpheline (dans le sitemap, sans liens internes)',
+  'crawl.issue.hreflang_invalid_code': 'Code de langue ou de région hreflang invalide',
+  'crawl.issue.hreflang_missing_return': 'L’alternative hreflang ne renvoie pas vers la page',
+  'crawl.issue.hreflang_missing_self': 'Le jeu hreflang ne référence pas la page elle-même',
+  'crawl.issue.hreflang_missing_x_default': 'Le jeu hreflang n’a pas de x-default',
+  'crawl.issue.hreflang_to_redirect': 'L’alternative hreflang redirige',
+  'crawl.issue.hreflang_to_broken': 'L’alternative hreflang renvoie une erreur',
+  'crawl.issue.hreflang_to_noindex': 'L’alternative hreflang est en noindex',
+  'crawl.issue.hreflang_sitemap_conflict': 'Les hreflang de la page et du sitemap diffèrent',
+  'crawl.issue.hreflang_lang_mismatch': 'html lang ne correspond pas au hreflang de la page',
+
+  'pdf.documentTitle': 'Rapport SEO - {host}',
+  'pdf.header': 'Rapport SEO pour {host}',
+  'pdf.websiteReportFor': 'Rapport du site',
+  'pdf.intro': 'Ce rapport analyse votre site web sous plusieurs angles importants : SEO on-page, présence sociale, performance, sécurité et configuration technique. L’objectif est de mettre en avant vos points forts et d’identifier les points à améliorer. Appliquer les recommandations de ce rapport peut améliorer l’expérience utilisateur, la visibilité dans les moteurs de recherche et les performances globales du site.',
+  'pdf.auditResultsFor': 'Résultats de l’audit pour',
+  'pdf.score.excellent': 'Excellente performance SEO !',
+  'pdf.score.veryGood': 'Très bonne performance SEO',
+  'pdf.score.good': 'Bonne performance SEO',
+  'pdf.score.needsImprovement': 'Votre SEO doit être amélioré',
+  'pdf.score.needsWork': 'Un travail SEO important est nécessaire',
+  'pdf.recommendationsCount': 'Recommandations : {count}',
+  'pdf.category.onPage': 'SEO on-page',
+  'pdf.category.social': 'Réseaux sociaux',
+  'pdf.generatedAt': 'Rapport généré le : {date}',
+  'pdf.cover.title': 'Rapport d’audit SEO',
+  'pdf.cover.preparedBy': 'Préparé par {company}',
+  'pdf.pageOf': 'Page {page} sur {total}',
+  'pdf.screenshot.desktop': 'Capture ordinateur',
+  'pdf.screenshot.mobile': 'Capture mobile',
+  'pdf.screenshot.none': 'Aucune capture disponible',
+  'pdf.recommendations': 'Recommandations',
+  'pdf.onPageResults': 'Résultats SEO on-page',
+  'pdf.length': 'Longueur : {count}',
+
+  'pdf.title.heading': 'Balise title',
+  'pdf.title.missing': 'Votre page n’a pas de balise title.',
+  'pdf.title.optimal': 'Votre balise title a une longueur optimale (entre {min} et {max} caractères).',
+  'pdf.title.tooShort': 'Vous avez une balise title, mais elle devrait idéalement être allongée à {min}–{max} caractères (espaces compris).',
+  'pdf.title.tooLong': 'Vous avez une balise title, mais elle devrait idéalement être raccourcie à {min}–{max} caractères (espaces compris).',
+  'pdf.title.why': 'La balise title est essentielle pour que les moteurs de recherche comprennent et classent correctement votre contenu.',
+
+  'pdf.description.heading': 'Balise meta description',
+  'pdf.description.missing': 'Votre page n’a pas de balise meta description.',
+  'pdf.description.optimal': 'Votre meta description a une longueur optimale (entre {min} et {max} caractères).',
+  'pdf.description.tooShort': 'Votre page a une meta description, mais elle devrait idéalement être allongée à {min}–{max} caractères (espaces compris).',
+  'pdf.description.tooLong': 'Votre page a une meta description, mais elle devrait idéalement être raccourcie à {min}–{max} caractères (espaces compris).',
+  'pdf.description.why': 'La meta description aide les moteurs de recherche à comprendre le contenu de votre page et s’affiche souvent comme texte de description dans les résultats.',
+
+  'pdf.h1.heading': 'Utilisation du titre H1',
+  'pdf.h1.missing': 'Il manque une balise H1 sur votre page.',
+  'pdf.h1.present': 'Votre page a une balise H1.',
+  'pdf.h1.multiple': 'Votre page a plus d’une balise H1. Il est généralement recommandé de n’en utiliser qu’une par page.',
+  'pdf.h1.why': 'Le titre H1 indique aux moteurs de recherche le sujet de votre contenu, et donc les mots-clés sur lesquels il doit se positionner.',
+
+  'pdf.headings.heading': 'Utilisation des titres H2 à H6',
+  'pdf.headings.present': 'Votre page utilise plusieurs niveaux de titres (c’est une bonne chose).',
+  'pdf.headings.missing': 'Votre page devrait utiliser plusieurs niveaux de titres, comme H2 et H3.',
+  'pdf.headings.why': 'Bien utilisés, les titres HTML aident les moteurs de recherche à mieux comprendre la structure et le contexte de votre page.',
+  'pdf.headings.tagColumn': 'BALISE',
+  'pdf.headings.frequencyColumn': 'FRÉQUENCE',
+
+  'pdf.images.heading': 'Attributs alt des images',
+  'pdf.images.allHaveAlt': 'Aucune image de votre page ne manque d’attribut alt.',
+  'pdf.images.someMissingAlt': 'Certaines images de votre page n’ont pas d’attribut alt.',
+  'pdf.images.foundAllAlt_one': 'Nous avons trouvé {count} image sur votre page et elle a un attribut alt.',
+  'pdf.images.foundAllAlt_other': 'Nous avons trouvé {count} images sur votre page et toutes ont un attribut alt.',
+  'pdf.images.foundMissingAlt_one': 'Nous avons trouvé {total} images sur votre page et {count} d’entre elles n’a pas l’attribut.',
+  'pdf.images.foundMissingAlt_other': 'Nous avons trouvé {total} images sur votre page et {count} d’entre elles n’ont pas l’attribut.',
+  'pdf.images.why': 'L’attribut alt est un moyen simple et souvent négligé d’indiquer aux moteurs de recherche ce que montre une image, et de l’aider à se positionner dans la recherche d’images.',
+
+  'pdf.ssl.heading': 'SSL activé',
+  'pdf.ssl.enabled': 'Le SSL est activé sur votre site.',
+  'pdf.ssl.disabled': 'Le SSL n’est pas activé sur votre site.',
+
+  'pdf.robots.heading': 'Robots.txt',
+  'pdf.robots.found': 'Votre site semble avoir un fichier robots.txt.',
+  'pdf.robots.missing': 'Votre site ne semble pas avoir de fichier robots.txt.',
+
+  'pdf.sitemap.heading': 'Sitemaps XML',
+  'pdf.sitemap.found': 'Votre site semble avoir un sitemap XML.',
+  'pdf.sitemap.missing': 'Votre site ne semble pas avoir de sitemap XML.',
+  'pdf.sitemap.moreFound': 'D’autres sitemaps ont été trouvés, mais pas testés.',
+
+  'pdf.analytics.heading': 'Mesure d’audience',
+  'pdf.analytics.found': 'Nous avons détecté un outil de mesure d’audience sur votre page.',
+  'pdf.analytics.missing': 'Nous n’avons détecté aucun outil de mesure d’audience sur votre page.',
+  'pdf.analytics.why': 'Les outils de mesure d’audience comme Google Analytics vous aident à mesurer, analyser et finalement augmenter le trafic de votre page.',
+
+  'pdf.schema.heading': 'Données structurées Schema.org',
+  'pdf.schema.jsonLd': 'Vous utilisez un schéma JSON-LD sur votre page.',
+  'pdf.schema.noJsonLd': 'Votre page n’utilise pas de schéma JSON-LD.',
+
+  'pdf.identity.heading': 'Schéma d’identité',
+  'pdf.identity.found': 'Schéma Organization ou Person identifié sur la page.',
+  'pdf.identity.missing': 'Aucun schéma Organization ou Person identifié sur la page.',
+  'pdf.identity.why': 'Sans schéma Organization ou Person, il est plus difficile pour les moteurs de recherche et les LLM d’identifier le propriétaire d’un site et de répondre avec assurance aux requêtes sur une marque, une entreprise ou une personne.',
+
+  'pdf.socialResults': 'Résultats réseaux sociaux',
+  'pdf.facebook.heading': 'Page Facebook liée',
+  'pdf.facebook.found': 'Nous avons trouvé une page Facebook liée sur votre site.',
+  'pdf.facebook.missing': 'Nous n’avons détecté aucune page Facebook liée à votre site.',
+  'pdf.facebook.why': 'Facebook est l’un des principaux réseaux sociaux ; lier votre page professionnelle renforce votre présence en ligne.',
+  'pdf.instagram.heading': 'Instagram lié',
+  'pdf.instagram.found': 'Nous avons trouvé un compte Instagram lié sur votre site.',
+  'pdf.instagram.missing': 'Nous n’avons détecté aucun compte Instagram lié à votre site.',
+  'pdf.instagram.why': 'Instagram est une plateforme très visuelle qui permet de mettre en valeur votre marque et d’échanger avec vos clients.',
+
+  'pdf.localSeo': 'SEO local',
+  'pdf.nap.heading': 'Adresse et téléphone affichés sur le site',
+  'pdf.nap.both': 'Nous avons détecté une adresse et un numéro de téléphone sur votre site.',
+  'pdf.nap.phoneOnly': 'Nous avons détecté un numéro de téléphone, mais aucune adresse sur votre site.',
+  'pdf.nap.addressOnly': 'Nous avons détecté une adresse, mais aucun numéro de téléphone sur votre site.',
+  'pdf.nap.neither': 'Nous n’avons détecté ni adresse ni numéro de téléphone sur votre site.',
+  'pdf.nap.why': 'Afficher clairement l’adresse et le téléphone de votre entreprise renforce la confiance des visiteurs et compte pour le SEO local.',
+  'pdf.nap.phone': 'Téléphone',
+  'pdf.nap.address': 'Adresse',
+  'pdf.notFound': 'Introuvable',
+  'pdf.localBusiness.heading': 'Schéma LocalBusiness',
+  'pdf.localBusiness.found': 'Schéma LocalBusiness identifié sur la page.',
+  'pdf.localBusiness.missing': 'Aucun schéma LocalBusiness identifié sur la page.',
+
+  'pdf.audit.documentTitle': 'Audit de site - {host}',
+  'pdf.audit.header': 'Audit de site pour {host}',
+  'pdf.audit.coverTitle': 'Rapport d’audit de site',
+  'pdf.audit.executiveSummary': 'Synthèse',
+  'pdf.audit.siteHealth': 'Santé du site',
+  'pdf.audit.healthDescription': '{healthy} des {total} pages explorées ont répondu avec succès, sans problème on-page.',
+  'pdf.audit.capped': 'L’exploration a été limitée à {count} pages. {remaining} autres URL ont été découvertes sans être explorées ; elles sont listées à la fin de ce rapport.',
+  'pdf.audit.stat.crawled': 'Pages explorées',
+  'pdf.audit.stat.discovered': 'URL découvertes',
+  'pdf.audit.stat.withIssues': 'Pages avec problèmes',
+  'pdf.audit.stat.errors': 'Réponses en erreur',
+  'pdf.audit.stat.avgLoadTime': 'Temps de chargement moyen',
+  'pdf.audit.stat.avgWordCount': 'Nombre de mots moyen',
+  'pdf.audit.seconds': '{value} s',
+  'pdf.audit.statusCodes': 'Codes de statut',
+  'pdf.audit.status.ok': '2xx OK',
+  'pdf.audit.status.redirect': '3xx Redirection',
+  'pdf.audit.status.not_found': '404 Introuvable',
+  'pdf.audit.status.client_error': 'Autres 4xx',
+  'pdf.audit.status.server_error': '5xx Erreur serveur',
+  'pdf.audit.status.auth_required': '401 Authentification requise',
+  'pdf.audit.status.forbidden': '403 Interdit',
+  'pdf.audit.status.rate_limited': '429 Trop de requêtes',
+  'pdf.audit.status.timeout': 'Délai dépassé',
+  'pdf.audit.status.error': 'Erreur de récupération',
+  'pdf.audit.issues': 'Problèmes détectés',
+  'pdf.audit.noIssues': 'Aucun problème n’a été détecté sur les pages explorées.',
+  'pdf.audit.worstPages': 'Pages présentant le plus de problèmes',
+  'pdf.audit.column.url': 'URL',
+  'pdf.audit.column.status': 'Statut',
+  'pdf.audit.column.issues': 'Problèmes',
+  'pdf.audit.column.loadTime': 'Chargement (s)',
+  'pdf.audit.column.words': 'Mots',
+  'pdf.audit.coreWebVitals': 'Core Web Vitals (Lighthouse)',
+  'pdf.audit.cwvIntro': 'Mesures de laboratoire de la page d’accueil issues d’une analyse Lighthouse sur ordinateur et mobile.',
+  'pdf.audit.lighthouseUnavailable': 'L’audit Lighthouse n’a pas abouti pour cette exploration ; aucune donnée Core Web Vitals n’est disponible.',
+  'pdf.audit.desktop': 'Ordinateur',
+  'pdf.audit.mobile': 'Mobile',
+  'pdf.audit.performanceScore': 'Score de performance',
+  'pdf.audit.metric.lcp': 'Largest Contentful Paint',
+  'pdf.audit.metric.tbt': 'Total Blocking Time',
+  'pdf.audit.metric.cls': 'Cumulative Layout Shift',
+  'pdf.audit.metric.fcp': 'First Contentful Paint',
+  'pdf.audit.metric.si': 'Speed Index',
+  'pdf.audit.rating.good': 'Bon',
+  'pdf.audit.rating.needsImprovement': 'À améliorer',
+  'pdf.audit.rating.poor': 'Mauvais',
+  'pdf.audit.appendix': 'Annexe : URL explorées',
+  'pdf.audit.uncrawled': 'Annexe : URL découvertes mais non explorées',
+
+  // ── Comparaison concurrentielle (buildComparisonMatrix et PDF) ──────────────
+  'compare.group.scores': 'Scores',
+  'compare.group.meta': 'Méta',
+  'compare.group.headings': 'Titres',
+  'compare.group.schema': 'Schema',
+  'compare.group.social': 'Réseaux sociaux',
+  'compare.group.nap': 'NAP (nom, adresse, téléphone)',
+  'compare.metric.score': 'Score global',
+  'compare.metric.onPage': 'SEO on-page',
+  'compare.metric.technical': 'SEO technique',
+  'compare.metric.local': 'SEO local',
+  'compare.metric.social': 'Réseaux sociaux',
+  'compare.metric.titleLength': 'Longueur du titre ({min}–{max})',
+  'compare.metric.descriptionLength': 'Longueur de la meta description ({min}–{max})',
+  'compare.metric.h1Count': 'Balises H1 (exactement 1)',
+  'compare.metric.h2Count': 'Balises H2',
+  'compare.metric.h3Count': 'Balises H3',
+  'compare.metric.schemaTypes': 'Types de schema',
+  'compare.metric.hasLocalBusinessSchema': 'Schema LocalBusiness',
+  'compare.metric.hasFacebookPage': 'Facebook',
+  'compare.metric.hasInstagram': 'Instagram',
+  'compare.metric.hasTwitter': 'X / Twitter',
+  'compare.metric.hasLinkedIn': 'LinkedIn',
+  'compare.metric.hasYouTube': 'YouTube',
+  'compare.metric.hasBusinessName': 'Nom de l’entreprise dans le schema',
+  'compare.metric.hasAddress': 'Adresse affichée',
+  'compare.metric.hasPhone': 'Téléphone affiché',
+  'pdf.compare.documentTitle': 'Comparaison concurrentielle - {host}',
+  'pdf.compare.header': 'Comparaison concurrentielle — {host}',
+  'pdf.compare.coverTitle': 'Comparaison concurrentielle',
+  'pdf.compare.overallScores': 'Scores globaux',
+  'pdf.compare.yourSite': 'Votre site',
+  'pdf.compare.competitor': 'Concurrent',
+  'pdf.compare.grade': 'Note {grade}',
+  'pdf.compare.failed': 'Échec de l’analyse : {error}',
+  'pdf.compare.summary_one': 'Comparé à {count} concurrent, {host} est en avance sur {ahead}, en retard sur {behind} et à égalité sur {tied} indicateurs.',
+  'pdf.compare.summary_other': 'Comparé à {count} concurrents, {host} est en avance sur {ahead}, en retard sur {behind} et à égalité sur {tied} indicateurs.',
+  'pdf.compare.gaps': 'Là où vous êtes en retard',
+  'pdf.compare.gapMissing': 'Vos concurrents utilisent {values}, ce que votre site ne fait pas.',
+  'pdf.compare.gapLeader': 'Votre site : {primary} — meilleur concurrent ({host}) : {leader}',
+  'pdf.compare.matrix': 'Comparaison côte à côte',
+  'pdf.compare.column.metric': 'Indicateur',
+  'pdf.compare.column.position': 'Vous êtes',
+  'pdf.compare.position.ahead': 'En avance',
+  'pdf.compare.position.behind': 'En retard',
+  'pdf.compare.position.tied': 'À égalité',
+  'pdf.compare.position.na': 'n/d',
+  'pdf.compare.none': 'Aucun',
+};
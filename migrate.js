@@ -0,0 +1,16 @@
+/**
+ * Standalone migration runner — `npm run migrate`
+ */
+
+import 'dotenv/config';
+import { dbPool, runMigrations } from './db.js';
+
+try {
+  const ran = await runMigrations();
+  console.log(ran.length > 0 ? `[DB] ${ran.length} migration(s) applied` : '[DB] Schema is up to date');
+} catch (err) {
+  console.error('[DB] Migration error:', err.message);
+  process.exitCode = 1;
+} finally {
+  await dbPool.end();
+}
@@ -0,0 +1,14 @@
+-- Stored analysis results so the frontend can reopen old reports without re-crawling.
+-- type: 'analysis' (single-page analyzeSEO) | 'site-crawl' (crawlSite + Lighthouse)
+CREATE TABLE IF NOT EXISTS reports (
+  id          TEXT PRIMARY KEY,
+  url         TEXT NOT NULL,
+  type        TEXT NOT NULL,
+  score       INTEGER,
+  grade       TEXT,
+  data        JSONB NOT NULL,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS reports_url_created_at_idx ON reports (url, created_at DESC);
+CREATE INDEX IF NOT EXISTS reports_created_at_idx ON reports (created_at DESC);
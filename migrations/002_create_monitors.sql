@@ -0,0 +1,30 @@
+-- Recurring audits. Each monitor runs `mode` against `url` on a cron schedule;
+-- results land in reports with monitor_id set.
+-- mode:              'analyze' | 'crawl-site' | 'lighthouse' | 'backlinks'
+-- missed_run_policy: 'catch_up' (run once as soon as possible) | 'skip' (wait for the next slot)
+-- last_status:       'completed' | 'failed' | 'skipped'
+CREATE TABLE IF NOT EXISTS monitors (
+  id                 TEXT PRIMARY KEY,
+  name               TEXT,
+  url                TEXT NOT NULL,
+  mode               TEXT NOT NULL,
+  cron               TEXT NOT NULL,
+  timezone           TEXT NOT NULL DEFAULT 'UTC',
+  missed_run_policy  TEXT NOT NULL DEFAULT 'skip',
+  options            JSONB NOT NULL DEFAULT '{}',
+  enabled            BOOLEAN NOT NULL DEFAULT true,
+  next_run_at        TIMESTAMPTZ,
+  last_run_at        TIMESTAMPTZ,
+  last_status        TEXT,
+  last_error         TEXT,
+  last_report_id     TEXT,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at         TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS monitors_next_run_at_idx ON monitors (next_run_at) WHERE enabled;
+
+-- Lighthouse and backlink runs are stored as reports too
+-- type: 'analysis' | 'site-crawl' | 'lighthouse' | 'backlinks'
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS monitor_id TEXT REFERENCES monitors (id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS reports_monitor_id_idx ON reports (monitor_id, created_at DESC);
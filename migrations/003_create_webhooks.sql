@@ -0,0 +1,41 @@
+-- Webhook subscriptions, owned by the API key that created them.
+-- api_key_id: key fingerprint (see authenticateApiKey in server.js)
+-- events:     subset of 'analysis.completed' | 'crawl.completed' | 'lighthouse.completed'
+--             | 'threshold.score_below' | 'threshold.new_server_errors'
+-- thresholds: { "minScore": 70 } — score_below fires when a finished audit scores under it
+CREATE TABLE IF NOT EXISTS webhooks (
+  id          TEXT PRIMARY KEY,
+  api_key_id  TEXT NOT NULL,
+  url         TEXT NOT NULL,
+  secret      TEXT NOT NULL,
+  events      TEXT[] NOT NULL,
+  thresholds  JSONB NOT NULL DEFAULT '{}',
+  enabled     BOOLEAN NOT NULL DEFAULT true,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS webhooks_api_key_id_idx ON webhooks (api_key_id);
+
+-- One row per event sent to a webhook; retried with backoff until delivered
+-- or out of attempts.
+-- status: 'pending' | 'delivered' | 'failed'
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id               TEXT PRIMARY KEY,
+  webhook_id       TEXT NOT NULL REFERENCES webhooks (id) ON DELETE CASCADE,
+  event            TEXT NOT NULL,
+  payload          JSONB NOT NULL,
+  status           TEXT NOT NULL DEFAULT 'pending',
+  attempts         INTEGER NOT NULL DEFAULT 0,
+  response_status  INTEGER,
+  last_error       TEXT,
+  next_attempt_at  TIMESTAMPTZ,
+  delivered_at     TIMESTAMPTZ,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS webhook_deliveries_webhook_id_idx ON webhook_deliveries (webhook_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS webhook_deliveries_pending_idx ON webhook_deliveries (next_attempt_at) WHERE status = 'pending';
+
+-- Scheduled runs notify the key that created the monitor
+ALTER TABLE monitors ADD COLUMN IF NOT EXISTS api_key_id TEXT;
@@ -0,0 +1,30 @@
+-- Per-client API keys. Only the SHA-256 of the key is stored; the plaintext is
+-- shown once on create / rotate. key_prefix is kept so admins can tell keys apart.
+-- scopes: subset of 'analyze' | 'crawl' | 'lighthouse' | 'pdf' | 'backlinks'
+-- Quotas and rate limits are NULL when the key uses the server default (no quota).
+CREATE TABLE IF NOT EXISTS api_keys (
+  id                          TEXT PRIMARY KEY,
+  name                        TEXT NOT NULL,
+  key_hash                    TEXT NOT NULL UNIQUE,
+  key_prefix                  TEXT NOT NULL,
+  scopes                      TEXT[] NOT NULL,
+  daily_quota                 INTEGER,
+  monthly_quota               INTEGER,
+  rate_limit_per_minute       INTEGER,
+  heavy_rate_limit_per_minute INTEGER,
+  last_used_at                TIMESTAMPTZ,
+  rotated_at                  TIMESTAMPTZ,
+  revoked_at                  TIMESTAMPTZ,
+  created_at                  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at                  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Metered requests per key, per UTC day and scope. api_key_id has no foreign
+-- key because the env API_KEY is metered under its fingerprint too.
+CREATE TABLE IF NOT EXISTS api_key_usage (
+  api_key_id  TEXT NOT NULL,
+  day         DATE NOT NULL,
+  scope       TEXT NOT NULL,
+  count       INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (api_key_id, day, scope)
+);
@@ -0,0 +1,5 @@
+-- Reports belong to the API key that produced them (its fingerprint for the
+-- env API_KEY, as in api_key_usage). Reports stored before this migration have
+-- no owner and are only visible to the operator key.
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS api_key_id TEXT;
+CREATE INDEX IF NOT EXISTS reports_api_key_id_idx ON reports (api_key_id, created_at DESC);
@@ -0,0 +1,134 @@
+/**
+ * Monitor Scheduler - In-process cron runner for recurring audits
+ *
+ * Every MONITOR_TICK_MS the scheduler loads monitors whose next_run_at has
+ * passed, advances next_run_at to the following cron slot, and hands each one
+ * to the runner for its mode. Runners are supplied by server.js so they go
+ * through the same semaphores as API traffic.
+ *
+ * Missed runs: a run is "missed" when it is picked up more than
+ * MONITOR_MISSED_GRACE_MS after its slot (server was down, or busy). The
+ * monitor's missed_run_policy decides what happens:
+ *   catch_up — run once now, however many slots were missed
+ *   skip     — record the run as skipped and wait for the next slot
+ *
+ * Before each run the optional `authorize` hook decides whether it may go
+ * ahead (server.js checks the owning API key's scope and quota and meters the
+ * run). A refused run is recorded as skipped; one refused with `pause` also
+ * disables the monitor until its owner re-enables it.
+ *
+ * The schedule lives in Postgres, so a restart simply resumes from next_run_at.
+ */
+
+import { CronExpressionParser } from 'cron-parser';
+import { getDueMonitors, setMonitorNextRun, recordMonitorRun, updateMonitor } from './monitor-store.js';
+
+const MONITOR_TICK_MS         = parseInt(process.env.MONITOR_TICK_MS         || "30000", 10);  // 30s
+const MONITOR_MISSED_GRACE_MS = parseInt(process.env.MONITOR_MISSED_GRACE_MS || "300000", 10); // 5 min
+
+const running = new Set(); // monitor IDs with a run in flight
+let tickTimer = null;
+let ticking = false;
+
+/**
+ * Next cron slot strictly after `from`
+ * @throws {Error} If the cron expression or timezone is invalid
+ */
+export function nextRunAfter(cron, timezone = 'UTC', from = new Date()) {
+  return CronExpressionParser.parse(cron, { currentDate: from, tz: timezone }).next().toDate();
+}
+
+/** @returns {string|null} Validation error message, or null if the expression is usable */
+export function validateCron(cron, timezone = 'UTC') {
+  if (typeof cron !== 'string' || cron.trim().split(/\s+/).length < 5) {
+    return 'cron must be a 5-field cron expression, e.g. "0 6 * * 1"';
+  }
+  try {
+    nextRunAfter(cron, timezone);
+    return null;
+  } catch (err) {
+    return `Invalid cron expression or timezone: ${err.message}`;
+  }
+}
+
+async function runMonitor(monitor, runners, authorize) {
+  running.add(monitor.id);
+  try {
+    const denied = authorize ? await authorize(monitor) : null;
+    if (denied) {
+      console.warn(`[MONITOR] Monitor ${monitor.id} not run${denied.pause ? ' — pausing' : ''}: ${denied.error}`);
+      if (denied.pause) await updateMonitor(monitor.id, { enabled: false });
+      await recordMonitorRun(monitor.id, { status: 'skipped', error: denied.error });
+      return;
+    }
+    console.log(`[MONITOR] Running ${monitor.mode} monitor ${monitor.id} for: ${monitor.url}`);
+    const reportId = await runners[monitor.mode](monitor);
+    await recordMonitorRun(monitor.id, { status: 'completed', reportId });
+    console.log(`[MONITOR] Monitor ${monitor.id} completed (report ${reportId || 'not stored'})`);
+  } catch (err) {
+    console.error(`[MONITOR] Monitor ${monitor.id} failed: ${err.message}`);
+    await recordMonitorRun(monitor.id, { status: 'failed', error: err.message })
+      .catch(dbErr => console.error(`[MONITOR] Could not record failure: ${dbErr.message}`));
+  } finally {
+    running.delete(monitor.id);
+  }
+}
+
+async function tick(runners, authorize) {
+  if (ticking) return;
+  ticking = true;
+  try {
+    const now = new Date();
+    const due = await getDueMonitors(now);
+    for (const monitor of due) {
+      if (running.has(monitor.id)) continue;
+
+      let next = null;
+      try {
+        next = nextRunAfter(monitor.cron, monitor.timezone, now);
+      } catch (err) {
+        console.warn(`[MONITOR] Monitor ${monitor.id} has an invalid schedule — pausing: ${err.message}`);
+      }
+      await setMonitorNextRun(monitor.id, next);
+      if (!next) continue;
+
+      const lateByMs = now - new Date(monitor.nextRunAt);
+      if (lateByMs > MONITOR_MISSED_GRACE_MS && monitor.missedRunPolicy !== 'catch_up') {
+        console.log(`[MONITOR] Skipping missed run of ${monitor.id} (due ${new Date(monitor.nextRunAt).toISOString()})`);
+        await recordMonitorRun(monitor.id, {
+          status: 'skipped',
+          error: `Missed run scheduled for ${new Date(monitor.nextRunAt).toISOString()}`,
+        });
+        continue;
+      }
+
+      // Not awaited — monitors run side by side, throttled by the shared semaphores
+      runMonitor(monitor, runners, authorize);
+    }
+  } catch (err) {
+    console.error('[MONITOR] Scheduler tick failed:', err.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start polling for due monitors
+ * @param {Object} runners - { [mode]: async (monitor) => reportId }
+ * @param {Object} [options]
+ * @param {Function} [options.authorize] - async (monitor) => null to run, or { error, pause } to refuse
+ */
+export function startMonitorScheduler(runners, { authorize } = {}) {
+  if (tickTimer) return;
+  console.log(`[MONITOR] Scheduler started (tick every ${MONITOR_TICK_MS / 1000}s)`);
+  tick(runners, authorize);
+  tickTimer = setInterval(() => tick(runners, authorize), MONITOR_TICK_MS);
+  tickTimer.unref();
+}
+
+export function stopMonitorScheduler() {
+  if (tickTimer) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+  }
+}
@@ -0,0 +1,137 @@
+/**
+ * Monitor Store - Postgres registry of recurring audits
+ *
+ * A monitor pairs a URL with a mode (analyze, crawl-site, lighthouse or
+ * backlinks) and a cron expression. monitor-scheduler.js picks up due rows
+ * and runs them; this module only reads and writes the registry.
+ *
+ * Table: monitors — see migrations/002_create_monitors.sql
+ */
+
+import { randomUUID } from 'crypto';
+import { dbPool } from './db.js';
+
+export const MONITOR_MODES = ['analyze', 'crawl-site', 'lighthouse', 'backlinks'];
+export const MISSED_RUN_POLICIES = ['catch_up', 'skip'];
+
+const MONITOR_COLUMNS = `
+  id, name, url, mode, cron, timezone,
+  missed_run_policy AS "missedRunPolicy", options, enabled,
+  next_run_at AS "nextRunAt", last_run_at AS "lastRunAt",
+  last_status AS "lastStatus", last_error AS "lastError", last_report_id AS "lastReportId",
+  api_key_id AS "apiKeyId",
+  created_at AS "createdAt", updated_at AS "updatedAt"
+`;
+
+// camelCase API field → column, for the fields callers may set
+const WRITABLE_FIELDS = {
+  name: 'name',
+  url: 'url',
+  mode: 'mode',
+  cron: 'cron',
+  timezone: 'timezone',
+  missedRunPolicy: 'missed_run_policy',
+  options: 'options',
+  enabled: 'enabled',
+  nextRunAt: 'next_run_at',
+};
+
+/**
+ * @param {Object} monitor - { url, mode, cron, nextRunAt, name?, timezone?, missedRunPolicy?, options?, enabled?, apiKeyId? }
+ * @returns {Promise<Object>} The stored monitor
+ */
+export async function createMonitor(monitor) {
+  const { rows } = await dbPool.query(
+    `INSERT INTO monitors (id, name, url, mode, cron, timezone, missed_run_policy, options, enabled, next_run_at, api_key_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING ${MONITOR_COLUMNS}`,
+    [
+      randomUUID(),
+      monitor.name || null,
+      monitor.url,
+      monitor.mode,
+      monitor.cron,
+      monitor.timezone || 'UTC',
+      monitor.missedRunPolicy || 'skip',
+      JSON.stringify(monitor.options || {}),
+      monitor.enabled !== false,
+      monitor.nextRunAt,
+      monitor.apiKeyId || null,
+    ]
+  );
+  return rows[0];
+}
+
+/** All monitors, or only those created by one API key */
+export async function listMonitors({ apiKeyId } = {}) {
+  const { rows } = apiKeyId
+    ? await dbPool.query(`SELECT ${MONITOR_COLUMNS} FROM monitors WHERE api_key_id = $1 ORDER BY created_at DESC`, [apiKeyId])
+    : await dbPool.query(`SELECT ${MONITOR_COLUMNS} FROM monitors ORDER BY created_at DESC`);
+  return rows;
+}
+
+export async function getMonitor(id) {
+  const { rows } = await dbPool.query(`SELECT ${MONITOR_COLUMNS} FROM monitors WHERE id = $1`, [id]);
+  return rows[0] || null;
+}
+
+/**
+ * Update the writable fields present in `changes`
+ * @returns {Promise<Object|null>} The updated monitor, or null if it doesn't exist
+ */
+export async function updateMonitor(id, changes) {
+  const sets = [];
+  const params = [];
+  for (const [field, column] of Object.entries(WRITABLE_FIELDS)) {
+    if (changes[field] === undefined) continue;
+    params.push(field === 'options' ? JSON.stringify(changes[field]) : changes[field]);
+    sets.push(`${column} = $${params.length}`);
+  }
+  if (sets.length === 0) return getMonitor(id);
+
+  params.push(id);
+  const { rows } = await dbPool.query(
+    `UPDATE monitors SET ${sets.join(', ')}, updated_at = now()
+     WHERE id = $${params.length}
+     RETURNING ${MONITOR_COLUMNS}`,
+    params
+  );
+  return rows[0] || null;
+}
+
+/** @returns {Promise<boolean>} true if a monitor was deleted */
+export async function deleteMonitor(id) {
+  const { rowCount } = await dbPool.query('DELETE FROM monitors WHERE id = $1', [id]);
+  return rowCount > 0;
+}
+
+/** Enabled monitors whose next run is at or before `now` */
+export async function getDueMonitors(now) {
+  const { rows } = await dbPool.query(
+    `SELECT ${MONITOR_COLUMNS} FROM monitors
+     WHERE enabled AND next_run_at IS NOT NULL AND next_run_at <= $1
+     ORDER BY next_run_at`,
+    [now]
+  );
+  return rows;
+}
+
+export async function setMonitorNextRun(id, nextRunAt) {
+  await dbPool.query('UPDATE monitors SET next_run_at = $1 WHERE id = $2', [nextRunAt, id]);
+}
+
+/**
+ * Record the outcome of a run. Skipped runs keep the previous last_run_at.
+ * @param {string} id
+ * @param {Object} outcome - { status: 'completed'|'failed'|'skipped', error?, reportId? }
+ */
+export async function recordMonitorRun(id, { status, error = null, reportId = null }) {
+  await dbPool.query(
+    `UPDATE monitors
+     SET last_run_at = CASE WHEN $1 = 'skipped' THEN last_run_at ELSE now() END,
+         last_status = $1, last_error = $2,
+         last_report_id = COALESCE($3, last_report_id)
+     WHERE id = $4`,
+    [status, error, reportId, id]
+  );
+}
@@ -0,0 +1,100 @@
+/**
+ * PDF Branding - White-label settings for generated reports
+ *
+ * Agencies reselling reports pass a `branding` object to /api/generate-pdf:
+ *
+ *   logo           — data:image/(png|jpeg|webp|svg+xml);base64,… (inline only, so the
+ *                    render browser never fetches caller-supplied URLs)
+ *   primaryColor   — page header, cover page and high score rings
+ *   secondaryColor — links, labels, chart bars and mid-range score rings
+ *   companyName    — cover page, running header and footer
+ *   contact        — { email, phone, website, address }, shown on the cover and footer
+ *   intro          — replaces the standard introduction paragraph
+ *   coverPage      — prepend a full-page cover
+ *   headerFooter   — running header and footer with page numbers
+ *
+ * Everything is optional; an empty object renders the standard report.
+ */
+
+export const DEFAULT_BRANDING = {
+  logo: null,
+  primaryColor: '#2c3e50',
+  secondaryColor: '#2563eb',
+  companyName: null,
+  contact: {},
+  intro: null,
+  coverPage: false,
+  headerFooter: false,
+};
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const LOGO_DATA_URI = /^data:image\/(?:png|jpeg|webp|svg\+xml);base64,[A-Za-z0-9+/]+=*$/;
+const LOGO_MAX_LENGTH = 2 * 1024 * 1024;
+const CONTACT_FIELDS = ['email', 'phone', 'website', 'address'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function textField(value, field, maxLength) {
+  if (value === undefined || value === null) return { value: null };
+  if (typeof value !== 'string') return { error: `${field} must be a string` };
+  if (value.length > maxLength) return { error: `${field} must be at most ${maxLength} characters` };
+  return { value: value.trim() || null };
+}
+
+/**
+ * Validate a branding object from a request body
+ * @param {Object} [input]
+ * @returns {{ branding: Object } | { error: string }}
+ */
+export function resolveBranding(input) {
+  if (input === undefined || input === null) return { branding: { ...DEFAULT_BRANDING } };
+  if (!isPlainObject(input)) return { error: 'branding must be an object' };
+
+  const branding = { ...DEFAULT_BRANDING };
+
+  if (input.logo !== undefined && input.logo !== null) {
+    if (typeof input.logo !== 'string' || !LOGO_DATA_URI.test(input.logo)) {
+      return { error: 'branding.logo must be a base64 data URI (png, jpeg, webp or svg+xml)' };
+    }
+    if (input.logo.length > LOGO_MAX_LENGTH) return { error: 'branding.logo must be under 2 MB' };
+    branding.logo = input.logo;
+  }
+
+  for (const field of ['primaryColor', 'secondaryColor']) {
+    if (input[field] === undefined) continue;
+    if (typeof input[field] !== 'string' || !HEX_COLOR.test(input[field])) {
+      return { error: `branding.${field} must be a hex color such as #1a2b3c` };
+    }
+    branding[field] = input[field].toLowerCase();
+  }
+
+  const companyName = textField(input.companyName, 'branding.companyName', 120);
+  if (companyName.error) return companyName;
+  branding.companyName = companyName.value;
+
+  const intro = textField(input.intro, 'branding.intro', 2000);
+  if (intro.error) return intro;
+  branding.intro = intro.value;
+
+  if (input.contact !== undefined && input.contact !== null) {
+    if (!isPlainObject(input.contact)) return { error: 'branding.contact must be an object' };
+    const contact = {};
+    for (const [field, value] of Object.entries(input.contact)) {
+      if (!CONTACT_FIELDS.includes(field)) {
+        return { error: `Unknown contact field: ${field} (expected ${CONTACT_FIELDS.join(', ')})` };
+      }
+      const result = textField(value, `branding.contact.${field}`, 200);
+      if (result.error) return result;
+      if (result.value) contact[field] = result.value;
+    }
+    branding.contact = contact;
+  }
+
+  for (const flag of ['coverPage', 'headerFooter']) {
+    if (input[flag] === undefined) continue;
+    if (typeof input[flag] !== 'boolean') return { error: `branding.${flag} must be a boolean` };
+    branding[flag] = input[flag];
+  }
+
+  return { branding };
+}
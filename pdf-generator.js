@@ -6,13 +6,63 @@
  */
 
 import puppeteer from 'puppeteer';
+import { createTranslator, formatDate, DEFAULT_LOCALE } from './i18n.js';
+import { DEFAULT_BRANDING } from './pdf-branding.js';
 
 /**
  * Generate PDF from report data
  * @param {Object} reportData - The SEO report data
+ * @param {Object} [options]
+ * @param {string} [options.locale='en'] - Language of the report copy
+ * @param {Object} [options.branding] - White-label settings from resolveBranding()
  * @returns {Promise<Buffer>} PDF file buffer
  */
-export async function generatePDF(reportData) {
+export async function generatePDF(reportData, { locale = DEFAULT_LOCALE, branding = DEFAULT_BRANDING } = {}) {
+  console.log('[PDF Generator] Generating HTML content...');
+  const html = generateHTMLReport(reportData, locale, branding);
+  if (!branding.headerFooter) return renderPDF(html);
+
+  const t = createTranslator(locale);
+  return renderPDF(html, {
+    headerTemplate: generateHeaderTemplate(t('pdf.header', { host: escapeHtml(getHostname(reportData.url)) }), branding),
+    footerTemplate: generateFooterTemplate(branding, t),
+  });
+}
+
+/**
+ * Generate a competitor-comparison PDF
+ * @param {Object} comparison - Result of the /api/compare job ({ url, competitors, matrix, createdAt })
+ * @param {Object} [options]
+ * @param {string} [options.locale='en'] - Language of the report copy
+ * @param {Object} [options.branding] - White-label settings from resolveBranding()
+ * @returns {Promise<Buffer>} PDF file buffer
+ */
+export async function generateComparisonPDF(comparison, { locale = DEFAULT_LOCALE, branding = DEFAULT_BRANDING } = {}) {
+  console.log('[PDF Generator] Generating competitor comparison HTML...');
+  const landscape = comparison.matrix.sites.length > 4;
+  const html = generateComparisonHTML(comparison, locale, branding, landscape);
+  if (!branding.headerFooter) return renderPDF(html, { landscape });
+
+  const t = createTranslator(locale);
+  return renderPDF(html, {
+    landscape,
+    headerTemplate: generateHeaderTemplate(t('pdf.compare.header', { host: escapeHtml(getHostname(comparison.url)) }), branding),
+    footerTemplate: generateFooterTemplate(branding, t),
+  });
+}
+
+/**
+ * Render an HTML document to an A4 PDF with Puppeteer
+ * @param {string} htmlContent
+ * @param {Object} [options]
+ * @param {boolean} [options.landscape=false]
+ * @param {string} [options.headerTemplate] - Puppeteer header template; enables the running header/footer
+ * @param {string} [options.footerTemplate] - Puppeteer footer template
+ * @returns {Promise<Buffer>} PDF file buffer
+ */
+async function renderPDF(htmlContent, { landscape = false, headerTemplate = null, footerTemplate = null } = {}) {
+  const displayHeaderFooter = !!(headerTemplate || footerTemplate);
+
   let browser = null;
   
   try {
@@ -38,11 +88,6 @@ export async function generatePDF(reportData) {
       deviceScaleFactor: 2
     });
 
-    console.log('[PDF Generator] Generating HTML content...');
-    
-    // Generate HTML content
-    const htmlContent = generateHTMLReport(reportData);
-    
     // Set content
     await page.setContent(htmlContent, {
       waitUntil: 'networkidle0',
@@ -54,14 +99,18 @@ export async function generatePDF(reportData) {
     // Generate PDF
     const pdfBuffer = await page.pdf({
       format: 'A4',
+      landscape,
       printBackground: true,
       margin: {
-        top: '15mm',
+        top: displayHeaderFooter ? '22mm' : '15mm',
         right: '15mm',
-        bottom: '15mm',
+        bottom: displayHeaderFooter ? '22mm' : '15mm',
         left: '15mm'
       },
-      displayHeaderFooter: false,
+      displayHeaderFooter,
+      // Chromium needs a non-empty template for both, even when only one is wanted
+      headerTemplate: headerTemplate || '<span></span>',
+      footerTemplate: footerTemplate || '<span></span>',
       preferCSSPageSize: false
     });
 
@@ -79,39 +128,156 @@ export async function generatePDF(reportData) {
   }
 }
 
+const getHostname = (url) => {
+  try {
+    const urlWithProtocol = url.startsWith('http://') || url.startsWith('https://') 
+      ? url 
+      : `https://${url}`;
+    return new URL(urlWithProtocol).hostname;
+  } catch {
+    return url;
+  }
+};
+
+// With a brand palette, good scores take the primary color and middling ones the
+// secondary; poor scores stay red so a failing report still reads as failing
+const getScoreColor = (score, palette = null) => {
+  if (palette) {
+    if (score >= 80) return palette.primaryColor;
+    if (score >= 60) return palette.secondaryColor;
+    return '#ef4444';
+  }
+  if (score >= 90) return '#10b981';
+  if (score >= 80) return '#22c55e';
+  if (score >= 70) return '#eab308';
+  if (score >= 60) return '#3b82f6';
+  return '#ef4444';
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const brandLogo = (branding) => branding.logo
+  ? `<img class="brand-logo" src="${branding.logo}" alt="${escapeHtml(branding.companyName || '')}" />`
+  : '';
+
+// Brand color variables, header logo and cover page styles shared by the branded layouts.
+// The cover fills one A4 page less the margins, which grow when there is a running header.
+function brandingStyles(branding, { landscape = false } = {}) {
+  const coverHeight = landscape
+    ? (branding.headerFooter ? 163 : 178)
+    : (branding.headerFooter ? 250 : 265);
+  return `
+    :root {
+      --brand-primary: ${branding.primaryColor};
+      --brand-secondary: ${branding.secondaryColor};
+    }
+    .page-header .brand-logo {
+      max-height: 36px;
+      max-width: 160px;
+    }
+
+    /* Cover Page */
+    .cover-page {
+      height: ${coverHeight}mm;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      text-align: center;
+      background: var(--brand-primary);
+      color: white;
+      padding: 40px;
+      page-break-after: always;
+      break-after: page;
+    }
+    .cover-page .brand-logo {
+      max-height: 120px;
+      max-width: 320px;
+      margin-bottom: 48px;
+    }
+    .cover-title {
+      font-size: 36px;
+      font-weight: 700;
+      color: white;
+    }
+    .cover-host {
+      font-size: 22px;
+      margin-top: 12px;
+      color: white;
+    }
+    .cover-date {
+      font-size: 14px;
+      margin-top: 24px;
+      opacity: 0.8;
+    }
+    .cover-company {
+      margin-top: 96px;
+      font-size: 16px;
+      font-weight: 600;
+    }
+    .cover-contact {
+      font-size: 13px;
+      margin-top: 6px;
+      opacity: 0.8;
+    }
+  `;
+}
+
+/**
+ * Full-page cover for branded reports
+ * @param {Object} data - Report data with url and (optional) createdAt
+ * @param {string} title - Report title shown on the cover
+ * @returns {string} HTML fragment
+ */
+function generateCoverPage(data, title, locale, branding) {
+  const t = createTranslator(locale);
+  return `
+    <!-- Cover Page -->
+    <div class="cover-page">
+      ${brandLogo(branding)}
+      <div class="cover-title">${title}</div>
+      <div class="cover-host">${escapeHtml(getHostname(data.url))}</div>
+      <div class="cover-date">${formatDate(data.createdAt || data.crawledAt || Date.now(), locale)}</div>
+      ${branding.companyName ? `<div class="cover-company">${t('pdf.cover.preparedBy', { company: escapeHtml(branding.companyName) })}</div>` : ''}
+      ${Object.values(branding.contact).map(value => `<div class="cover-contact">${escapeHtml(value)}</div>`).join('')}
+    </div>
+  `;
+}
+
 /**
  * Generate HTML report from data
  * @param {Object} data - Report data
+ * @param {string} [locale='en'] - Language of the report copy
+ * @param {Object} [branding] - White-label settings from resolveBranding()
  * @returns {string} HTML content
  */
-function generateHTMLReport(data) {
-  const getHostname = (url) => {
-    try {
-      const urlWithProtocol = url.startsWith('http://') || url.startsWith('https://') 
-        ? url 
-        : `https://${url}`;
-      return new URL(urlWithProtocol).hostname;
-    } catch {
-      return url;
-    }
-  };
+function generateHTMLReport(data, locale = DEFAULT_LOCALE, branding = DEFAULT_BRANDING) {
+  const t = createTranslator(locale);
 
-  const getScoreColor = (score) => {
-    if (score >= 90) return '#10b981';
-    if (score >= 80) return '#22c55e';
-    if (score >= 70) return '#eab308';
-    if (score >= 60) return '#3b82f6';
-    return '#ef4444';
-  };
+  // Score rings only follow the brand once the caller has actually picked colors
+  const customPalette = branding.primaryColor !== DEFAULT_BRANDING.primaryColor
+    || branding.secondaryColor !== DEFAULT_BRANDING.secondaryColor;
+  const scoreColor = (score) => getScoreColor(score, customPalette ? branding : null);
 
   const getScoreMessage = (score) => {
-    if (score >= 90) return 'Excellent SEO Performance!';
-    if (score >= 80) return 'Very Good SEO Performance';
-    if (score >= 70) return 'Good SEO Performance';
-    if (score >= 60) return 'Your SEO Needs Improvement';
-    return 'Significant SEO Work Required';
+    if (score >= 90) return t('pdf.score.excellent');
+    if (score >= 80) return t('pdf.score.veryGood');
+    if (score >= 70) return t('pdf.score.good');
+    if (score >= 60) return t('pdf.score.needsImprovement');
+    return t('pdf.score.needsWork');
   };
 
+  // Length bands from the scoring profile the report was produced with
+  const thresholds = data.scoreBreakdown?.profile?.thresholds || {};
+  const titleBand = thresholds.titleLength || { min: 50, max: 60 };
+  const descriptionBand = thresholds.descriptionLength || { min: 120, max: 160 };
+  const titleOptimal = data.metaTags.hasTitle && data.metaTags.titleLength >= titleBand.min && data.metaTags.titleLength <= titleBand.max;
+  const descriptionOptimal = data.metaTags.hasDescription && data.metaTags.descriptionLength >= descriptionBand.min && data.metaTags.descriptionLength <= descriptionBand.max;
+
   const radius = 80;
   const circumference = 2 * Math.PI * radius;
   const strokeDashoffset = circumference - (data.score / 100) * circumference;
@@ -120,24 +286,24 @@ function generateHTMLReport(data) {
   const smallCircumference = 2 * Math.PI * smallRadius;
 
   // Format timestamp
-  const formatDate = () => {
-    const date = data.createdAt ? new Date(data.createdAt) : new Date();
-    return date.toLocaleDateString('en-GB', { 
-      day: '2-digit', 
-      month: 'long', 
-      hour: '2-digit', 
+  const formatTimestamp = () => {
+    return formatDate(data.createdAt || Date.now(), locale, {
+      day: '2-digit',
+      month: 'long',
+      hour: '2-digit',
       minute: '2-digit',
-      hour12: true 
+      hour12: locale === 'en',
+      timeZone: 'UTC',
     }) + ' UTC';
   };
 
   return `
 <!DOCTYPE html>
-<html lang="en">
+<html lang="${locale}">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>SEO Report - ${getHostname(data.url)}</title>
+  <title>${t('pdf.documentTitle', { host: getHostname(data.url) })}</title>
   <style>
     * { 
       margin: 0; 
@@ -147,6 +313,7 @@ function generateHTMLReport(data) {
     @page {
       margin: 15mm;
     }
+    ${brandingStyles(branding)}
     body {
       font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
       line-height: 1.6;
@@ -154,10 +321,13 @@ function generateHTMLReport(data) {
       background: #f9fafb;
     }
     .page-header {
-      background: #2c3e50;
+      background: var(--brand-primary);
       color: white;
       padding: 20px 32px;
       page-break-after: avoid;
+      display: flex;
+      align-items: center;
+      gap: 16px;
     }
     .page-header h1 {
       font-size: 18px;
@@ -207,7 +377,7 @@ function generateHTMLReport(data) {
       page-break-after: avoid;
     }
     a {
-      color: #2563eb;
+      color: var(--brand-secondary);
       text-decoration: none;
     }
     a:hover {
@@ -265,7 +435,7 @@ function generateHTMLReport(data) {
       transform: translate(-50%, -50%);
       font-size: 56px;
       font-weight: 700;
-      color: ${getScoreColor(data.score)};
+      color: ${scoreColor(data.score)};
     }
     .score-message {
       font-size: 16px;
@@ -306,7 +476,7 @@ function generateHTMLReport(data) {
     .category-label {
       font-size: 12px;
       font-weight: 500;
-      color: #2563eb;
+      color: var(--brand-secondary);
     }
     .timestamp {
       font-size: 12px;
@@ -499,7 +669,7 @@ function generateHTMLReport(data) {
     }
     .chart-bar {
       height: 100%;
-      background: #3b82f6;
+      background: var(--brand-secondary);
       border-radius: 4px;
     }
     
@@ -539,29 +709,32 @@ function generateHTMLReport(data) {
   </style>
 </head>
 <body>
+  ${branding.coverPage ? generateCoverPage(data, t('pdf.cover.title'), locale, branding) : ''}
+
   <!-- Page Header -->
   <div class="page-header">
-    <h1>SEO Report for ${getHostname(data.url)}</h1>
+    ${branding.coverPage ? '' : brandLogo(branding)}
+    <h1>${t('pdf.header', { host: getHostname(data.url) })}</h1>
   </div>
 
   <div class="container">
     <!-- Introduction -->
     <div class="section" style="page-break-inside: auto; break-inside: auto;">
       <h1>
-        Website Report for 
+        ${t('pdf.websiteReportFor')}
         <a href="${data.url.startsWith('http') ? data.url : `https://${data.url}`}" target="_blank">
           ${getHostname(data.url)}
         </a>
       </h1>
       <p class="intro-text">
-        This report analyzes your website across several important areas, including on-page SEO,social presence, performance, security, and technical configuration. The purpose of this analysis is to highlight strengths and identify areas that may benefit from improvement. Addressing the recommendations in this report can help enhance user experience, search engine visibility, and overall website performance.
+        ${branding.intro ? escapeHtml(branding.intro) : t('pdf.intro')}
       </p>
     </div>
 
     <!-- Audit Results -->
     <div class="section" style="page-break-inside: auto; break-inside: auto;">
       <h2>
-        Audit Results for 
+        ${t('pdf.auditResultsFor')}
         <a href="${data.url.startsWith('http') ? data.url : `https://${data.url}`}" target="_blank">
           ${getHostname(data.url)}
         </a>
@@ -574,7 +747,7 @@ function generateHTMLReport(data) {
             <div class="score-circle-container">
               <svg class="score-circle" width="220" height="220" viewBox="0 0 220 220">
                 <circle cx="110" cy="110" r="${radius}" stroke="#e5e7eb" stroke-width="12" fill="none"/>
-                <circle cx="110" cy="110" r="${radius}" stroke="${getScoreColor(data.score)}" stroke-width="12" fill="none"
+                <circle cx="110" cy="110" r="${radius}" stroke="${scoreColor(data.score)}" stroke-width="12" fill="none"
                   stroke-dasharray="${circumference}" stroke-dashoffset="${strokeDashoffset}" stroke-linecap="round"/>
               </svg>
               <div class="score-value">${data.score}</div>
@@ -582,7 +755,7 @@ function generateHTMLReport(data) {
             <div class="score-message">${getScoreMessage(data.score)}</div>
             ${data.recommendations && data.recommendations.length > 0 ? `
               <div class="recommendations-badge">
-                Recommendations: ${data.recommendations.length}
+                ${t('pdf.recommendationsCount', { count: data.recommendations.length })}
               </div>
             ` : ''}
             
@@ -593,14 +766,14 @@ function generateHTMLReport(data) {
                 <div class="category-circle-container">
                   <svg width="85" height="85" viewBox="0 0 85 85">
                     <circle cx="42.5" cy="42.5" r="${smallRadius}" stroke="#e5e7eb" stroke-width="5" fill="none"/>
-                    <circle cx="42.5" cy="42.5" r="${smallRadius}" stroke="${getScoreColor(data.onPageSEO.score)}" stroke-width="5" fill="none"
+                    <circle cx="42.5" cy="42.5" r="${smallRadius}" stroke="${scoreColor(data.onPageSEO.score)}" stroke-width="5" fill="none"
                       stroke-dasharray="${smallCircumference}" stroke-dashoffset="${smallCircumference - (data.onPageSEO.score / 100) * smallCircumference}" stroke-linecap="round"/>
                   </svg>
-                  <div style="position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); font-size: 22px; font-weight: 700; color: ${getScoreColor(data.onPageSEO.score)};">
+                  <div style="position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); font-size: 22px; font-weight: 700; color: ${scoreColor(data.onPageSEO.score)};">
                     ${data.onPageSEO.score}
                   </div>
                 </div>
-                <div class="category-label">On-Page SEO</div>
+                <div class="category-label">${t('pdf.category.onPage')}</div>
               </div>
 
               <!-- Social -->
@@ -608,19 +781,19 @@ function generateHTMLReport(data) {
                 <div class="category-circle-container">
                   <svg width="85" height="85" viewBox="0 0 85 85">
                     <circle cx="42.5" cy="42.5" r="${smallRadius}" stroke="#e5e7eb" stroke-width="5" fill="none"/>
-                    <circle cx="42.5" cy="42.5" r="${smallRadius}" stroke="${data.social.score === 0 ? '#d1d5db' : getScoreColor(data.social.score)}" stroke-width="5" fill="none"
+                    <circle cx="42.5" cy="42.5" r="${smallRadius}" stroke="${data.social.score === 0 ? '#d1d5db' : scoreColor(data.social.score)}" stroke-width="5" fill="none"
                       stroke-dasharray="${smallCircumference}" stroke-dashoffset="${smallCircumference - (data.social.score / 100) * smallCircumference}" stroke-linecap="round"/>
                   </svg>
-                  <div style="position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); font-size: 22px; font-weight: 700; color: ${data.social.score === 0 ? '#9ca3af' : getScoreColor(data.social.score)};">
+                  <div style="position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); font-size: 22px; font-weight: 700; color: ${data.social.score === 0 ? '#9ca3af' : scoreColor(data.social.score)};">
                     ${data.social.score}
                   </div>
                 </div>
-                <div class="category-label">Social</div>
+                <div class="category-label">${t('pdf.category.social')}</div>
               </div>
             </div>
 
             <div class="timestamp">
-              Report Generated: ${formatDate()}
+              ${t('pdf.generatedAt', { date: formatTimestamp() })}
             </div>
           </div>
         </div>
@@ -630,17 +803,17 @@ function generateHTMLReport(data) {
           ${data.screenshot ? `
             <div style="position: relative; width: 100%; max-width: 450px;">
               <div class="desktop-screenshot">
-                <img src="${data.screenshot}" alt="Desktop screenshot" />
+                <img src="${data.screenshot}" alt="${t('pdf.screenshot.desktop')}" />
               </div>
               ${data.screenshotMobile ? `
                 <div class="mobile-screenshot">
-                  <img src="${data.screenshotMobile}" alt="Mobile screenshot" />
+                  <img src="${data.screenshotMobile}" alt="${t('pdf.screenshot.mobile')}" />
                 </div>
               ` : ''}
             </div>
           ` : `
             <div style="width: 100%; max-width: 500px; height: 300px; background: #f3f4f6; border-radius: 8px; display: flex; align-items: center; justify-content: center; color: #9ca3af;">
-              No screenshot available
+              ${t('pdf.screenshot.none')}
             </div>
           `}
         </div>
@@ -650,14 +823,14 @@ function generateHTMLReport(data) {
     <!-- Recommendations -->
     ${data.recommendations && data.recommendations.length > 0 ? `
       <div class="section">
-        <h2>Recommendations</h2>
+        <h2>${t('pdf.recommendations')}</h2>
         <div>
           ${data.recommendations.map(rec => `
             <div class="recommendation-item">
               <div class="recommendation-title">${rec.title}</div>
               <div class="recommendation-badges">
-                <span class="badge badge-category">${rec.category}</span>
-                <span class="badge badge-priority">${rec.priority}</span>
+                <span class="badge badge-category">${t(`category.${rec.category}`)}</span>
+                <span class="badge badge-priority">${t(`priority.${rec.priority}`)}</span>
               </div>
             </div>
           `).join('')}
@@ -667,16 +840,16 @@ function generateHTMLReport(data) {
 
     <!-- On-Page SEO Results -->
     <div class="section">
-      <h2>On-Page SEO Results</h2>
+      <h2>${t('pdf.onPageResults')}</h2>
 
       <div class="score-with-desc">
         <div class="small-score-circle-container">
           <svg width="160" height="160" viewBox="0 0 160 160">
             <circle cx="80" cy="80" r="70" stroke="#e5e7eb" stroke-width="10" fill="none"/>
-            <circle cx="80" cy="80" r="70" stroke="${getScoreColor(data.onPageSEO.score)}" stroke-width="10" fill="none"
+            <circle cx="80" cy="80" r="70" stroke="${scoreColor(data.onPageSEO.score)}" stroke-width="10" fill="none"
               stroke-dasharray="439.6" stroke-dashoffset="${439.6 - (data.onPageSEO.score / 100) * 439.6}" stroke-linecap="round"/>
           </svg>
-          <div class="small-score-value" style="color: ${getScoreColor(data.onPageSEO.score)};">
+          <div class="small-score-value" style="color: ${scoreColor(data.onPageSEO.score)};">
             ${data.onPageSEO.score}
           </div>
         </div>
@@ -689,72 +862,72 @@ function generateHTMLReport(data) {
       <!-- Title Tag -->
       <div class="check-item">
         <div class="check-content">
-          <h4>Title Tag</h4>
+          <h4>${t('pdf.title.heading')}</h4>
           <p class="text-sm text-gray">
             ${!data.metaTags.hasTitle
-              ? "Your page does not have a Title Tag."
-              : data.metaTags.titleLength >= 50 && data.metaTags.titleLength <= 60
-              ? "You have a Title Tag of optimal length (between 50 and 60 characters)."
-              : data.metaTags.titleLength < 50
-              ? "You have a Title Tag, but ideally it should be lengthened to between 50 and 60 characters (including spaces)."
-              : "You have a Title Tag, but ideally it should be shortened to between 50 and 60 characters (including spaces)."}
+              ? t('pdf.title.missing')
+              : titleOptimal
+              ? t('pdf.title.optimal', titleBand)
+              : data.metaTags.titleLength < titleBand.min
+              ? t('pdf.title.tooShort', titleBand)
+              : t('pdf.title.tooLong', titleBand)}
           </p>
           ${data.title ? `
             <div class="info-box">
               ${data.title}
-              <div class="text-sm text-gray" style="margin-top: 8px;">Length: ${data.metaTags.titleLength}</div>
+              <div class="text-sm text-gray" style="margin-top: 8px;">${t('pdf.length', { count: data.metaTags.titleLength })}</div>
             </div>
           ` : ''}
           <p class="text-sm text-gray" style="margin-top: 8px;">
-            Title Tags are very important for search engines to correctly understand and categorize your content.
+            ${t('pdf.title.why')}
           </p>
         </div>
-        <div class="check-icon ${data.metaTags.hasTitle && data.metaTags.titleLength >= 50 && data.metaTags.titleLength <= 60 ? 'pass' : 'fail'}">
-          ${data.metaTags.hasTitle && data.metaTags.titleLength >= 50 && data.metaTags.titleLength <= 60 ? '✓' : '✗'}
+        <div class="check-icon ${titleOptimal ? 'pass' : 'fail'}">
+          ${titleOptimal ? '✓' : '✗'}
         </div>
       </div>
 
       <!-- Meta Description -->
       <div class="check-item">
         <div class="check-content">
-          <h4>Meta Description Tag</h4>
+          <h4>${t('pdf.description.heading')}</h4>
           <p class="text-sm text-gray">
             ${!data.metaTags.hasDescription
-              ? "Your page does not have a Meta Description Tag."
-              : data.metaTags.descriptionLength >= 120 && data.metaTags.descriptionLength <= 160
-              ? "You have a Meta Description Tag of optimal length (between 120 and 160 characters)."
-              : data.metaTags.descriptionLength < 120
-              ? "Your page has a Meta Description Tag however, your Meta Description should ideally be lengthened to between 120 and 160 characters (including spaces)."
-              : "Your page has a Meta Description Tag however, your Meta Description should ideally be shortened to between 120 and 160 characters (including spaces)."}
+              ? t('pdf.description.missing')
+              : descriptionOptimal
+              ? t('pdf.description.optimal', descriptionBand)
+              : data.metaTags.descriptionLength < descriptionBand.min
+              ? t('pdf.description.tooShort', descriptionBand)
+              : t('pdf.description.tooLong', descriptionBand)}
           </p>
           ${data.description ? `
             <div class="info-box">
               ${data.description}
-              <div class="text-sm text-gray" style="margin-top: 8px;">Length: ${data.metaTags.descriptionLength}</div>
+              <div class="text-sm text-gray" style="margin-top: 8px;">${t('pdf.length', { count: data.metaTags.descriptionLength })}</div>
             </div>
           ` : ''}
           <p class="text-sm text-gray" style="margin-top: 8px;">
-            A Meta Description is important for search engines to understand the content of your page, and is often shown as the description text blurb in search results.
+            ${t('pdf.description.why')}
           </p>
         </div>
-        <div class="check-icon ${data.metaTags.hasDescription && data.metaTags.descriptionLength >= 120 && data.metaTags.descriptionLength <= 160 ? 'pass' : 'fail'}">
-          ${data.metaTags.hasDescription && data.metaTags.descriptionLength >= 120 && data.metaTags.descriptionLength <= 160 ? '✓' : '✗'}
+        <div class="check-icon ${descriptionOptimal ? 'pass' : 'fail'}">
+          ${descriptionOptimal ? '✓' : '✗'}
         </div>
       </div>
 
       <!-- H1 Header -->
       <div class="check-item">
         <div class="check-content">
-          <h4>H1 Header Tag Usage</h4>
+          <h4>${t('pdf.h1.heading')}</h4>
           <p class="text-sm text-gray">
             ${data.headings.h1Count === 0
-              ? "Your page is missing an H1 Tag."
+              ? t('pdf.h1.missing')
               : data.headings.h1Count === 1
-              ? "Your page has a H1 Tag."
-              : "Your page has more than one H1 Tag. It is generally recommended to only use one H1 Tag on a page."}
+              ? t('pdf.h1.present')
+              : t('pdf.h1.multiple')}
           </p>
           <p class="text-sm text-gray" style="margin-top: 8px;">
-            The H1 Header Tag is an important way of signaling to search engines what your content is about, and subsequently the keywords it should rank for.
+            ${t('pdf.h1.why')}
           </p>
         </div>
         <div class="check-icon ${data.headings.h1Count === 1 ? 'pass' : 'fail'}">
@@ -765,19 +938,19 @@ function generateHTMLReport(data) {
       <!-- H2-H6 Headers -->
       <div class="check-item">
         <div class="check-content">
-          <h4>H2-H6 Header Tag Usage</h4>
+          <h4>${t('pdf.headings.heading')}</h4>
           <p class="text-sm text-gray">
             ${data.headings.h2Count > 0 
-              ? "Your page is making use of multiple levels of Header Tags (which is good)." 
-              : "Your page should use multiple levels of Header Tags, such as H2 and H3."}
+              ? t('pdf.headings.present') 
+              : t('pdf.headings.missing')}
           </p>
           <p class="text-sm text-gray" style="margin-top: 8px;">
-            When HTML Heading Tags are used properly, they help search engines better understand the structure and context of your web page.
+            ${t('pdf.headings.why')}
           </p>
           <div class="header-chart">
             <div class="chart-header">
-              <div>HEADER TAG</div>
-              <div>FREQUENCY</div>
+              <div>${t('pdf.headings.tagColumn')}</div>
+              <div>${t('pdf.headings.frequencyColumn')}</div>
               <div></div>
             </div>
             ${[
@@ -805,19 +978,21 @@ function generateHTMLReport(data) {
       <!-- Image Alt Attributes -->
       <div class="check-item">
         <div class="check-content">
-          <h4>Image Alt Attributes</h4>
+          <h4>${t('pdf.images.heading')}</h4>
           <p class="text-sm text-gray">
             ${data.images.withoutAlt === 0
-              ? "You do not have any images missing Alt Attributes on your page."
-              : "You have images on your page that are missing Alt Attributes."}
+              ? t('pdf.images.allHaveAlt')
+              : t('pdf.images.someMissingAlt')}
           </p>
           ${data.images.total > 0 ? `
             <p class="text-sm text-gray" style="margin-top: 8px;">
-              We found ${data.images.total} image${data.images.total > 1 ? 's' : ''} on your page${data.images.withoutAlt > 0 ? ` and ${data.images.withoutAlt} of them ${data.images.withoutAlt === 1 ? 'is' : 'are'} missing the attribute` : ' and all have Alt Attributes'}.
+              ${data.images.withoutAlt > 0
+                ? t('pdf.images.foundMissingAlt', { total: data.images.total, count: data.images.withoutAlt })
+                : t('pdf.images.foundAllAlt', { count: data.images.total })}
             </p>
           ` : ''}
           <p class="text-sm text-gray" style="margin-top: 8px;">
-            Alt Attributes are an often overlooked and simple way to signal to Search Engines what an image is about, and help it rank in image search results.
+            ${t('pdf.images.why')}
           </p>
         </div>
         <div class="check-icon ${data.images.withoutAlt === 0 ? 'pass' : 'fail'}">
@@ -828,11 +1003,11 @@ function generateHTMLReport(data) {
       <!-- SSL Enabled -->
       <div class="check-item">
         <div class="check-content">
-          <h4>SSL Enabled</h4>
+          <h4>${t('pdf.ssl.heading')}</h4>
           <p class="text-sm text-gray">
             ${data.technicalSEO.hasSSL 
-              ? "Your website has SSL enabled." 
-              : "Your website does not have SSL enabled."}
+              ? t('pdf.ssl.enabled') 
+              : t('pdf.ssl.disabled')}
           </p>
         </div>
         <div class="check-icon ${data.technicalSEO.hasSSL ? 'pass' : 'fail'}">
@@ -843,11 +1018,11 @@ function generateHTMLReport(data) {
       <!-- Robots.txt -->
       <div class="check-item">
         <div class="check-content">
-          <h4>Robots.txt</h4>
+          <h4>${t('pdf.robots.heading')}</h4>
           <p class="text-sm text-gray">
             ${data.technicalSEO.hasRobotsTxt 
-              ? "Your website appears to have a robots.txt file." 
-              : "Your website does not appear to have a robots.txt file."}
+              ? t('pdf.robots.found') 
+              : t('pdf.robots.missing')}
           </p>
           ${data.technicalSEO.robotsTxtUrl ? `
             <div class="info-box" style="margin-top: 8px;">
@@ -863,11 +1038,11 @@ function generateHTMLReport(data) {
       <!-- XML Sitemaps -->
       <div class="check-item">
         <div class="check-content">
-          <h4>XML Sitemaps</h4>
+          <h4>${t('pdf.sitemap.heading')}</h4>
           <p class="text-sm text-gray">
             ${data.technicalSEO.hasSitemap 
-              ? "Your website appears to have an XML Sitemap." 
-              : "Your website does not appear to have an XML Sitemap."}
+              ? t('pdf.sitemap.found') 
+              : t('pdf.sitemap.missing')}
           </p>
           ${data.technicalSEO.sitemapUrl ? `
             <div class="info-box" style="margin-top: 8px;">
@@ -876,7 +1051,7 @@ function generateHTMLReport(data) {
           ` : ''}
           ${data.technicalSEO.hasSitemap ? `
             <p class="text-sm text-gray" style="margin-top: 8px;">
-              More Sitemaps were found, but not tested.
+              ${t('pdf.sitemap.moreFound')}
             </p>
           ` : ''}
         </div>
@@ -888,15 +1063,15 @@ function generateHTMLReport(data) {
       <!-- Analytics -->
       <div class="check-item">
         <div class="check-content">
-          <h4>Analytics</h4>
+          <h4>${t('pdf.analytics.heading')}</h4>
           <p class="text-sm text-gray">
             ${data.technicalSEO.hasAnalytics 
-              ? "We detected an analytics tool installed on your page." 
-              : "We could not detect an analytics tool installed on your page."}
+              ? t('pdf.analytics.found') 
+              : t('pdf.analytics.missing')}
           </p>
           ${!data.technicalSEO.hasAnalytics ? `
             <p class="text-sm text-gray" style="margin-top: 8px;">
-              Website analytics tools like Google Analytics assist you in measuring, analyzing and ultimately improving traffic to your page.
+              ${t('pdf.analytics.why')}
             </p>
           ` : ''}
         </div>
@@ -908,11 +1083,11 @@ function generateHTMLReport(data) {
       <!-- Schema.org Structured Data -->
       <div class="check-item">
         <div class="check-content">
-          <h4>Schema.org Structured Data</h4>
+          <h4>${t('pdf.schema.heading')}</h4>
           <p class="text-sm text-gray">
             ${data.technicalSEO.hasJsonLd 
-              ? "You are using JSON-LD Schema on your page." 
-              : "Your page is not using JSON-LD Schema."}
+              ? t('pdf.schema.jsonLd') 
+              : t('pdf.schema.noJsonLd')}
           </p>
         </div>
         <div class="check-icon ${data.technicalSEO.hasJsonLd ? 'pass' : 'fail'}">
@@ -923,11 +1098,11 @@ function generateHTMLReport(data) {
       <!-- Identity Schema -->
       <div class="check-item">
         <div class="check-content">
-          <h4>Identity Schema</h4>
+          <h4>${t('pdf.identity.heading')}</h4>
           <p class="text-sm text-gray">
             ${data.technicalSEO.hasIdentitySchema 
-              ? "Organization or Person Schema identified on the page." 
-              : "No Organization or Person Schema identified on the page."}
+              ? t('pdf.identity.found') 
+              : t('pdf.identity.missing')}
           </p>
           ${data.technicalSEO.identityType ? `
             <div class="info-box" style="margin-top: 8px;">
@@ -935,7 +1110,7 @@ function generateHTMLReport(data) {
             </div>
           ` : ''}
           <p class="text-sm text-gray" style="margin-top: 8px;">
-            The absence of Organization or Person Schema can make it harder for Search Engines and LLMs to identify the ownership of a website and confidently answer brand, company or person queries.
+            ${t('pdf.identity.why')}
           </p>
         </div>
         <div class="check-icon ${data.technicalSEO.hasIdentitySchema ? 'pass' : 'fail'}">
@@ -946,16 +1121,16 @@ function generateHTMLReport(data) {
 
     <!-- Social Results -->
     <div class="section">
-      <h2>Social Results</h2>
+      <h2>${t('pdf.socialResults')}</h2>
 
       <div class="score-with-desc">
         <div class="small-score-circle-container">
           <svg width="160" height="160" viewBox="0 0 160 160">
             <circle cx="80" cy="80" r="70" stroke="#e5e7eb" stroke-width="10" fill="none"/>
-            <circle cx="80" cy="80" r="70" stroke="${data.social.score === 0 ? '#d1d5db' : getScoreColor(data.social.score)}" stroke-width="10" fill="none"
+            <circle cx="80" cy="80" r="70" stroke="${data.social.score === 0 ? '#d1d5db' : scoreColor(data.social.score)}" stroke-width="10" fill="none"
               stroke-dasharray="439.6" stroke-dashoffset="${439.6 - (data.social.score / 100) * 439.6}" stroke-linecap="round"/>
           </svg>
-          <div class="small-score-value" style="color: ${data.social.score === 0 ? '#9ca3af' : getScoreColor(data.social.score)};">
+          <div class="small-score-value" style="color: ${data.social.score === 0 ? '#9ca3af' : scoreColor(data.social.score)};">
             ${data.social.score}
           </div>
         </div>
@@ -968,15 +1143,15 @@ function generateHTMLReport(data) {
       <!-- Facebook Page -->
       <div class="check-item">
         <div class="check-content">
-          <h4>Facebook Page Linked</h4>
+          <h4>${t('pdf.facebook.heading')}</h4>
           <p class="text-sm text-gray">
             ${data.social.hasFacebookPage 
-              ? "We found a linked Facebook Page on your website." 
-              : "We did not detect a Facebook Page linked to your website."}
+              ? t('pdf.facebook.found') 
+              : t('pdf.facebook.missing')}
           </p>
           ${!data.social.hasFacebookPage ? `
             <p class="text-sm text-gray" style="margin-top: 8px;">
-              Facebook is one of the top social media platforms and linking your business page helps strengthen your online presence.
+              ${t('pdf.facebook.why')}
             </p>
           ` : ''}
           ${data.social.facebookUrl ? `
@@ -993,15 +1168,15 @@ function generateHTMLReport(data) {
       <!-- Instagram -->
       <div class="check-item">
         <div class="check-content">
-          <h4>Instagram Linked</h4>
+          <h4>${t('pdf.instagram.heading')}</h4>
           <p class="text-sm text-gray">
             ${data.social.hasInstagram 
-              ? "We found a linked Instagram account on your website." 
-              : "We did not detect an Instagram account linked to your website."}
+              ? t('pdf.instagram.found') 
+              : t('pdf.instagram.missing')}
           </p>
           ${!data.social.hasInstagram ? `
             <p class="text-sm text-gray" style="margin-top: 8px;">
-              Instagram is a highly visual platform that can help showcase your brand and engage with customers.
+              ${t('pdf.instagram.why')}
             </p>
           ` : ''}
           ${data.social.instagramUrl ? `
@@ -1018,35 +1193,35 @@ function generateHTMLReport(data) {
 
     <!-- Local SEO -->
     <div class="section">
-      <h2>Local SEO</h2>
+      <h2>${t('pdf.localSeo')}</h2>
 
       <!-- Address & Phone -->
       <div class="check-item">
         <div class="check-content">
-          <h4>Address & Phone Shown on Website</h4>
+          <h4>${t('pdf.nap.heading')}</h4>
           <p class="text-sm text-gray">
             ${(data.localSEO.hasPhone && data.localSEO.hasAddress)
-              ? "We detected both an address and phone number on your website."
+              ? t('pdf.nap.both')
               : data.localSEO.hasPhone && !data.localSEO.hasAddress
-              ? "We detected a phone number, but no address was found on your website."
+              ? t('pdf.nap.phoneOnly')
               : !data.localSEO.hasPhone && data.localSEO.hasAddress
-              ? "We detected an address, but no phone number was found on your website."
-              : "We did not detect an address or phone number on your website."}
+              ? t('pdf.nap.addressOnly')
+              : t('pdf.nap.neither')}
           </p>
           <p class="text-sm text-gray" style="margin-top: 8px;">
-            Displaying your business address and phone number prominently helps build trust with visitors and is important for local SEO.
+            ${t('pdf.nap.why')}
           </p>
           <div class="local-details">
             <div class="local-detail-row">
-              <span class="local-label">Phone</span>
+              <span class="local-label">${t('pdf.nap.phone')}</span>
               <span class="local-value ${!data.localSEO.hasPhone || !data.localSEO.phoneNumber ? 'not-found' : ''}">
-                ${data.localSEO.hasPhone && data.localSEO.phoneNumber ? data.localSEO.phoneNumber : 'Not found'}
+                ${data.localSEO.hasPhone && data.localSEO.phoneNumber ? data.localSEO.phoneNumber : t('pdf.notFound')}
               </span>
             </div>
             <div class="local-detail-row">
-              <span class="local-label">Address</span>
+              <span class="local-label">${t('pdf.nap.address')}</span>
               <span class="local-value ${!data.localSEO.hasAddress || !data.localSEO.addressText ? 'not-found' : ''}">
-                ${data.localSEO.hasAddress && data.localSEO.addressText ? data.localSEO.addressText : 'Not found'}
+                ${data.localSEO.hasAddress && data.localSEO.addressText ? data.localSEO.addressText : t('pdf.notFound')}
               </span>
             </div>
           </div>
@@ -1059,11 +1234,11 @@ function generateHTMLReport(data) {
       <!-- Local Business Schema -->
       <div class="check-item">
         <div class="check-content">
-          <h4>Local Business Schema</h4>
+          <h4>${t('pdf.localBusiness.heading')}</h4>
           <p class="text-sm text-gray">
             ${data.localSEO.hasLocalBusinessSchema 
-              ? "Local Business Schema identified on the page." 
-              : "No Local Business Schema identified on the page."}
+              ? t('pdf.localBusiness.found') 
+              : t('pdf.localBusiness.missing')}
           </p>
         </div>
         <div class="check-icon ${data.localSEO.hasLocalBusinessSchema ? 'pass' : 'fail'}">
@@ -1076,3 +1251,544 @@ function generateHTMLReport(data) {
 </html>
   `;
 }
+
+
+// Puppeteer renders header/footer templates in their own context: no page CSS,
+// no external resources, and a default font size too small to read
+const TEMPLATE_STYLE = 'width: 100%; font-size: 9px; color: #6b7280; padding: 0 15mm; display: flex; justify-content: space-between;';
+
+/**
+ * Running header for branded reports — company name and report title
+ * @param {string} title - Already-escaped report title
+ * @returns {string} Puppeteer headerTemplate
+ */
+function generateHeaderTemplate(title, branding) {
+  return `
+    <div style="${TEMPLATE_STYLE}">
+      <span>${escapeHtml(branding.companyName || '')}</span>
+      <span>${title}</span>
+    </div>
+  `;
+}
+
+/**
+ * Running footer for branded reports — contact details and page numbers
+ * @returns {string} Puppeteer footerTemplate
+ */
+function generateFooterTemplate(branding, t) {
+  const contact = Object.values(branding.contact).map(escapeHtml).join(' · ');
+  return `
+    <div style="${TEMPLATE_STYLE}">
+      <span>${contact}</span>
+      <span>${t('pdf.pageOf', { page: '<span class="pageNumber"></span>', total: '<span class="totalPages"></span>' })}</span>
+    </div>
+  `;
+}
+
+/**
+ * Generate competitor-comparison HTML — one column per site, one row per
+ * metric, cells tinted by how the primary site compares
+ * @param {Object} comparison - { url, competitors, matrix, createdAt }
+ * @param {string} [locale='en']
+ * @param {Object} [branding]
+ * @param {boolean} [landscape=false] - Page orientation, for the cover page height
+ * @returns {string} HTML content
+ */
+function generateComparisonHTML(comparison, locale = DEFAULT_LOCALE, branding = DEFAULT_BRANDING, landscape = false) {
+  const t = createTranslator(locale);
+  const { sites, rows, gaps, summary } = comparison.matrix;
+  const primaryHost = getHostname(sites[0].url);
+  const customPalette = branding.primaryColor !== DEFAULT_BRANDING.primaryColor
+    || branding.secondaryColor !== DEFAULT_BRANDING.secondaryColor;
+  const scoreColor = (score) => getScoreColor(score, customPalette ? branding : null);
+
+  const formatValue = (value) => {
+    if (value === null || value === undefined) return '<span class="muted">—</span>';
+    if (typeof value === 'boolean') return value ? '<span class="yes">✓</span>' : '<span class="no">✗</span>';
+    if (Array.isArray(value)) return value.length > 0 ? escapeHtml(value.join(', ')) : `<span class="muted">${t('pdf.compare.none')}</span>`;
+    return escapeHtml(value);
+  };
+
+  // Labels follow the PDF locale; comparisons stored before rows carried a
+  // groupId keep the English labels they were saved with
+  const groupLabel = (row) => escapeHtml(row.groupId ? t(`compare.group.${row.groupId}`) : row.group);
+  const metricLabel = (row) => escapeHtml(row.groupId ? t(`compare.metric.${row.id}`, row.band) : row.label);
+  const positionLabel = (position) => t(`pdf.compare.position.${position === 'n/a' ? 'na' : position}`);
+
+  const groups = [...new Set(rows.map(r => r.groupId ?? r.group))];
+
+  return `
+<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+  <meta charset="UTF-8">
+  <title>${t('pdf.compare.documentTitle', { host: escapeHtml(primaryHost) })}</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    @page { margin: 15mm; }
+    ${brandingStyles(branding, { landscape })}
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      line-height: 1.5;
+      color: #1f2937;
+      background: #f9fafb;
+      font-size: 12px;
+    }
+    .page-header {
+      background: var(--brand-primary);
+      color: white;
+      padding: 20px 32px;
+      display: flex;
+      align-items: center;
+      gap: 16px;
+    }
+    .page-header h1 { font-size: 18px; font-weight: 700; }
+    .page-header p { color: #cbd5e1; font-size: 12px; margin-top: 4px; }
+    .container { padding: 12px 16px; }
+    .section {
+      background: white;
+      border-radius: 8px;
+      padding: 20px;
+      margin-bottom: 14px;
+      box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+      page-break-inside: avoid;
+      break-inside: avoid;
+    }
+    h2 { font-size: 18px; font-weight: 700; margin-bottom: 12px; color: #111827; }
+    .site-cards { display: flex; gap: 12px; flex-wrap: wrap; }
+    .site-card {
+      flex: 1;
+      min-width: 120px;
+      border: 1px solid #e5e7eb;
+      border-radius: 8px;
+      padding: 12px;
+      text-align: center;
+    }
+    .site-card.primary { border: 2px solid var(--brand-secondary); }
+    .site-card .host { font-weight: 600; word-break: break-all; }
+    .site-card .role { font-size: 11px; color: #6b7280; text-transform: uppercase; }
+    .site-card .score { font-size: 32px; font-weight: 700; }
+    .summary-line { margin-top: 12px; color: #4b5563; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #f3f4f6; text-align: left; vertical-align: top; }
+    th { background: #f3f4f6; font-weight: 600; }
+    th.primary, td.primary { background: #eff6ff; font-weight: 600; }
+    tr.group-row td { background: #f9fafb; font-weight: 700; color: #374151; padding-top: 10px; }
+    tr { page-break-inside: avoid; break-inside: avoid; }
+    .position { font-size: 11px; font-weight: 600; padding: 2px 8px; border-radius: 10px; white-space: nowrap; }
+    .position-ahead { background: #d1fae5; color: #059669; }
+    .position-behind { background: #fee2e2; color: #dc2626; }
+    .position-tied, .position-na { background: #f3f4f6; color: #6b7280; }
+    .yes { color: #10b981; font-weight: 700; }
+    .no { color: #ef4444; font-weight: 700; }
+    .muted { color: #9ca3af; }
+    .text-gray { color: #6b7280; }
+    .gap-item { padding: 8px 0; border-bottom: 1px solid #f3f4f6; }
+    .gap-item:last-child { border-bottom: none; }
+    .gap-label { font-weight: 600; color: #111827; }
+    .failed { color: #dc2626; font-size: 11px; }
+  </style>
+</head>
+<body>
+  ${branding.coverPage ? generateCoverPage(comparison, t('pdf.compare.coverTitle'), locale, branding) : ''}
+
+  <div class="page-header">
+    ${branding.coverPage ? '' : brandLogo(branding)}
+    <div>
+      <h1>${t('pdf.compare.header', { host: escapeHtml(primaryHost) })}</h1>
+      <p>${t('pdf.generatedAt', { date: formatDate(comparison.createdAt || Date.now(), locale) })}</p>
+    </div>
+  </div>
+  <div class="container">
+    <!-- Overview -->
+    <div class="section">
+      <h2>${t('pdf.compare.overallScores')}</h2>
+      <div class="site-cards">
+        ${sites.map(site => `
+          <div class="site-card ${site.role === 'primary' ? 'primary' : ''}">
+            <div class="role">${t(site.role === 'primary' ? 'pdf.compare.yourSite' : 'pdf.compare.competitor')}</div>
+            <div class="host">${escapeHtml(getHostname(site.url))}</div>
+            ${site.status === 'completed' ? `
+              <div class="score" style="color: ${scoreColor(site.score)};">${site.score}</div>
+              <div>${t('pdf.compare.grade', { grade: escapeHtml(site.grade) })}</div>
+            ` : `
+              <div class="failed">${t('pdf.compare.failed', { error: escapeHtml(site.error) })}</div>
+            `}
+          </div>
+        `).join('')}
+      </div>
+      <p class="summary-line">
+        ${t('pdf.compare.summary', {
+          count: summary.competitorsAnalyzed,
+          host: escapeHtml(primaryHost),
+          ahead: summary.ahead,
+          behind: summary.behind,
+          tied: summary.tied,
+        })}
+      </p>
+    </div>
+
+    <!-- Gaps -->
+    ${gaps.length > 0 ? `
+      <div class="section">
+        <h2>${t('pdf.compare.gaps')}</h2>
+        ${gaps.map(gap => `
+          <div class="gap-item">
+            <div class="gap-label">${groupLabel(gap)} · ${metricLabel(gap)}</div>
+            <div class="text-gray">
+              ${gap.missing
+                ? t('pdf.compare.gapMissing', { values: escapeHtml(gap.missing.join(', ')) })
+                : t('pdf.compare.gapLeader', {
+                  primary: formatValue(gap.primary),
+                  host: escapeHtml(getHostname(gap.leader.url)),
+                  leader: formatValue(gap.leader.value),
+                })}
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    ` : ''}
+
+    <!-- Matrix -->
+    <div class="section" style="page-break-inside: auto; break-inside: auto;">
+      <h2>${t('pdf.compare.matrix')}</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>${t('pdf.compare.column.metric')}</th>
+            ${sites.map(site => `<th class="${site.role === 'primary' ? 'primary' : ''}">${escapeHtml(getHostname(site.url))}</th>`).join('')}
+            <th>${t('pdf.compare.column.position')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${groups.map(group => {
+            const groupRows = rows.filter(row => (row.groupId ?? row.group) === group);
+            return `
+            <tr class="group-row"><td colspan="${sites.length + 2}">${groupLabel(groupRows[0])}</td></tr>
+            ${groupRows.map(row => `
+              <tr>
+                <td>${metricLabel(row)}</td>
+                ${row.values.map((value, i) => `<td class="${i === 0 ? 'primary' : ''}">${formatValue(value)}</td>`).join('')}
+                <td><span class="position position-${row.position.replace('/', '')}">${positionLabel(row.position)}</span></td>
+              </tr>
+            `).join('')}
+          `;
+          }).join('')}
+        </tbody>
+      </table>
+    </div>
+  </div>
+</body>
+</html>
+  `;
+}
+
+// Lab thresholds (good / needs improvement) for the Core Web Vitals Lighthouse reports
+const CWV_THRESHOLDS = { lcp: [2500, 4000], tbt: [200, 600], cls: [0.1, 0.25] };
+
+const STATUS_COLORS = {
+  ok: '#10b981',
+  redirect: '#3b82f6',
+  not_found: '#f59e0b',
+  client_error: '#f59e0b',
+  auth_required: '#f59e0b',
+  forbidden: '#f59e0b',
+  rate_limited: '#f59e0b',
+  server_error: '#ef4444',
+  timeout: '#ef4444',
+  error: '#ef4444',
+};
+
+/**
+ * Generate a site-audit PDF from a crawl
+ * @param {Object} crawl - crawlSite() result plus `psi` ({ desktop, mobile } or null), as stored for site-crawl reports
+ * @param {Object} [options]
+ * @param {string} [options.locale='en'] - Language of the report copy
+ * @param {Object} [options.branding] - White-label settings from resolveBranding()
+ * @returns {Promise<Buffer>} PDF file buffer
+ */
+export async function generateSiteAuditPDF(crawl, { locale = DEFAULT_LOCALE, branding = DEFAULT_BRANDING } = {}) {
+  console.log('[PDF Generator] Generating site audit HTML...');
+  const html = generateSiteAuditHTML(crawl, locale, branding);
+  if (!branding.headerFooter) return renderPDF(html);
+
+  const t = createTranslator(locale);
+  return renderPDF(html, {
+    headerTemplate: generateHeaderTemplate(t('pdf.audit.header', { host: escapeHtml(getHostname(crawl.url || crawl.pages[0]?.url || '')) }), branding),
+    footerTemplate: generateFooterTemplate(branding, t),
+  });
+}
+
+/**
+ * Generate site-audit HTML: executive summary, status and issue charts, worst
+ * pages, Core Web Vitals and an appendix of every crawled URL
+ * @param {Object} crawl - Crawl result (see generateSiteAuditPDF)
+ * @param {string} [locale='en']
+ * @param {Object} [branding]
+ * @returns {string} HTML content
+ */
+function generateSiteAuditHTML(crawl, locale = DEFAULT_LOCALE, branding = DEFAULT_BRANDING) {
+  const t = createTranslator(locale);
+  const pages = crawl.pages || [];
+  const summary = crawl.summary || {};
+  const url = crawl.url || pages[0]?.url || '';
+  const host = escapeHtml(getHostname(url));
+
+  const customPalette = branding.primaryColor !== DEFAULT_BRANDING.primaryColor
+    || branding.secondaryColor !== DEFAULT_BRANDING.secondaryColor;
+  const scoreColor = (score) => getScoreColor(score, customPalette ? branding : null);
+
+  const healthyPages = pages.filter(p => p.statusClass === 'ok' && (p.issues || []).length === 0).length;
+  const pagesWithIssues = pages.filter(p => (p.issues || []).length > 0).length;
+  const errorResponses = pages.filter(p => p.statusClass !== 'ok' && p.statusClass !== 'redirect').length;
+  const health = pages.length > 0 ? Math.round((healthyPages / pages.length) * 100) : 0;
+
+  const statusRows = Object.entries(summary.statusBreakdown || {})
+    .filter(([, count]) => count > 0)
+    .sort((a, b) => b[1] - a[1]);
+
+  const issueCounts = {};
+  for (const page of pages) {
+    for (const code of page.issues || []) issueCounts[code] = (issueCounts[code] || 0) + 1;
+  }
+  const issueRows = Object.entries(issueCounts).sort((a, b) => b[1] - a[1]);
+  const issueLabel = (code) => escapeHtml(crawl.issueLabels?.[code] || t(`crawl.issue.${code}`));
+
+  const worstPages = pages
+    .filter(p => (p.issues || []).length > 0)
+    .sort((a, b) => b.issues.length - a.issues.length)
+    .slice(0, 10);
+
+  const barChart = (rows, labelFor, colorFor) => {
+    const max = Math.max(...rows.map(([, count]) => count), 1);
+    return rows.map(([key, count]) => `
+      <div class="bar-row">
+        <div class="bar-label">${labelFor(key)}</div>
+        <div class="bar-track"><div class="bar" style="width: ${(count / max) * 100}%; background: ${colorFor(key)};"></div></div>
+        <div class="bar-count">${count}</div>
+      </div>
+    `).join('');
+  };
+
+  const rating = (metric, value) => {
+    const [good, poor] = CWV_THRESHOLDS[metric];
+    if (value <= good) return { key: 'good', label: t('pdf.audit.rating.good') };
+    if (value <= poor) return { key: 'needs-improvement', label: t('pdf.audit.rating.needsImprovement') };
+    return { key: 'poor', label: t('pdf.audit.rating.poor') };
+  };
+
+  const vitalsCard = (label, metrics) => `
+    <div class="vitals-card">
+      <h3>${label}</h3>
+      <div class="vitals-score" style="color: ${scoreColor(metrics.score)};">${metrics.score}</div>
+      <div class="text-gray">${t('pdf.audit.performanceScore')}</div>
+      <table>
+        ${['lcp', 'tbt', 'cls', 'fcp', 'si'].map(metric => {
+          const grade = CWV_THRESHOLDS[metric] ? rating(metric, metrics[`${metric}Val`]) : null;
+          return `
+            <tr>
+              <td>${t(`pdf.audit.metric.${metric}`)}</td>
+              <td class="num">${escapeHtml(metrics[metric])}</td>
+              <td>${grade ? `<span class="rating rating-${grade.key}">${grade.label}</span>` : ''}</td>
+            </tr>
+          `;
+        }).join('')}
+      </table>
+    </div>
+  `;
+
+  const pageRow = (page, { withIssues = false } = {}) => `
+    <tr>
+      <td class="url">${escapeHtml(page.url)}</td>
+      <td class="num">${page.status || '—'}</td>
+      ${withIssues
+        ? `<td class="num">${page.issues.length}</td><td>${page.issues.map(issueLabel).join(', ')}</td>`
+        : `<td class="num">${page.loadTime ?? '—'}</td><td class="num">${page.wordCount ?? 0}</td><td class="num">${(page.issues || []).length}</td>`}
+    </tr>
+  `;
+
+  return `
+<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+  <meta charset="UTF-8">
+  <title>${t('pdf.audit.documentTitle', { host })}</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    @page { margin: 15mm; }
+    ${brandingStyles(branding)}
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      line-height: 1.5;
+      color: #1f2937;
+      background: #f9fafb;
+      font-size: 12px;
+    }
+    .page-header {
+      background: var(--brand-primary);
+      color: white;
+      padding: 20px 32px;
+      display: flex;
+      align-items: center;
+      gap: 16px;
+    }
+    .page-header h1 { font-size: 18px; font-weight: 700; }
+    .page-header p { color: #cbd5e1; font-size: 12px; margin-top: 4px; }
+    .container { padding: 12px 16px; }
+    .section {
+      background: white;
+      border-radius: 8px;
+      padding: 20px;
+      margin-bottom: 14px;
+      box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+      page-break-inside: avoid;
+      break-inside: avoid;
+    }
+    .section.long { page-break-inside: auto; break-inside: auto; }
+    h2 { font-size: 18px; font-weight: 700; margin-bottom: 12px; color: #111827; }
+    h3 { font-size: 14px; font-weight: 600; margin-bottom: 6px; color: #111827; }
+    .text-gray { color: #6b7280; }
+    .summary-grid { display: flex; gap: 24px; align-items: center; }
+    .health { text-align: center; min-width: 140px; }
+    .health-value { font-size: 48px; font-weight: 700; line-height: 1; }
+    .stats { flex: 1; display: grid; grid-template-columns: repeat(3, 1fr); gap: 10px; }
+    .stat { border: 1px solid #e5e7eb; border-radius: 8px; padding: 10px; }
+    .stat-value { font-size: 20px; font-weight: 700; color: #111827; }
+    .stat-label { font-size: 11px; color: #6b7280; text-transform: uppercase; }
+    .notice { margin-top: 12px; padding: 10px; background: #fef3c7; border-radius: 6px; color: #92400e; }
+    .bar-row { display: grid; grid-template-columns: 200px 1fr 50px; gap: 10px; align-items: center; padding: 4px 0; }
+    .bar-track { height: 10px; background: #f3f4f6; border-radius: 5px; overflow: hidden; }
+    .bar { height: 100%; border-radius: 5px; }
+    .bar-count { text-align: right; font-weight: 600; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 5px 8px; border-bottom: 1px solid #f3f4f6; text-align: left; vertical-align: top; }
+    th { background: #f3f4f6; font-weight: 600; }
+    tr { page-break-inside: avoid; break-inside: avoid; }
+    td.url { word-break: break-all; }
+    td.num, th.num { text-align: right; white-space: nowrap; }
+    .appendix td, .appendix th { font-size: 10px; padding: 3px 6px; }
+    .vitals { display: flex; gap: 14px; }
+    .vitals-card { flex: 1; border: 1px solid #e5e7eb; border-radius: 8px; padding: 14px; }
+    .vitals-score { font-size: 36px; font-weight: 700; line-height: 1.1; }
+    .vitals-card table { margin-top: 10px; }
+    .rating { font-size: 10px; font-weight: 600; padding: 2px 8px; border-radius: 10px; white-space: nowrap; }
+    .rating-good { background: #d1fae5; color: #059669; }
+    .rating-needs-improvement { background: #fef3c7; color: #b45309; }
+    .rating-poor { background: #fee2e2; color: #dc2626; }
+  </style>
+</head>
+<body>
+  ${branding.coverPage ? generateCoverPage({ url, createdAt: crawl.createdAt || crawl.crawledAt }, t('pdf.audit.coverTitle'), locale, branding) : ''}
+
+  <div class="page-header">
+    ${branding.coverPage ? '' : brandLogo(branding)}
+    <div>
+      <h1>${t('pdf.audit.header', { host })}</h1>
+      <p>${t('pdf.generatedAt', { date: formatDate(crawl.crawledAt || crawl.createdAt || Date.now(), locale) })}</p>
+    </div>
+  </div>
+
+  <div class="container">
+    <!-- Executive Summary -->
+    <div class="section">
+      <h2>${t('pdf.audit.executiveSummary')}</h2>
+      <div class="summary-grid">
+        <div class="health">
+          <div class="health-value" style="color: ${scoreColor(health)};">${health}%</div>
+          <div class="text-gray">${t('pdf.audit.siteHealth')}</div>
+        </div>
+        <div class="stats">
+          <div class="stat"><div class="stat-value">${pages.length}</div><div class="stat-label">${t('pdf.audit.stat.crawled')}</div></div>
+          <div class="stat"><div class="stat-value">${crawl.totalDiscoveredUrls ?? pages.length}</div><div class="stat-label">${t('pdf.audit.stat.discovered')}</div></div>
+          <div class="stat"><div class="stat-value">${pagesWithIssues}</div><div class="stat-label">${t('pdf.audit.stat.withIssues')}</div></div>
+          <div class="stat"><div class="stat-value">${errorResponses}</div><div class="stat-label">${t('pdf.audit.stat.errors')}</div></div>
+          <div class="stat"><div class="stat-value">${t('pdf.audit.seconds', { value: summary.avgLoadTime ?? 0 })}</div><div class="stat-label">${t('pdf.audit.stat.avgLoadTime')}</div></div>
+          <div class="stat"><div class="stat-value">${summary.avgWordCount ?? 0}</div><div class="stat-label">${t('pdf.audit.stat.avgWordCount')}</div></div>
+        </div>
+      </div>
+      <p class="text-gray" style="margin-top: 12px;">${t('pdf.audit.healthDescription', { healthy: healthyPages, total: pages.length })}</p>
+      ${crawl.wasCapped ? `
+        <div class="notice">${t('pdf.audit.capped', { count: pages.length, remaining: (crawl.uncrawledUrls || []).length })}</div>
+      ` : ''}
+    </div>
+
+    <!-- Status Codes -->
+    <div class="section">
+      <h2>${t('pdf.audit.statusCodes')}</h2>
+      ${barChart(statusRows, status => t(`pdf.audit.status.${status}`), status => STATUS_COLORS[status] || '#9ca3af')}
+    </div>
+
+    <!-- Issues -->
+    <div class="section">
+      <h2>${t('pdf.audit.issues')}</h2>
+      ${issueRows.length > 0
+        ? barChart(issueRows, issueLabel, () => 'var(--brand-secondary)')
+        : `<p class="text-gray">${t('pdf.audit.noIssues')}</p>`}
+    </div>
+
+    <!-- Worst Pages -->
+    ${worstPages.length > 0 ? `
+      <div class="section long">
+        <h2>${t('pdf.audit.worstPages')}</h2>
+        <table>
+          <thead>
+            <tr>
+              <th>${t('pdf.audit.column.url')}</th>
+              <th class="num">${t('pdf.audit.column.status')}</th>
+              <th class="num">${t('pdf.audit.column.issues')}</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${worstPages.map(page => pageRow(page, { withIssues: true })).join('')}
+          </tbody>
+        </table>
+      </div>
+    ` : ''}
+
+    <!-- Core Web Vitals -->
+    <div class="section">
+      <h2>${t('pdf.audit.coreWebVitals')}</h2>
+      ${crawl.psi ? `
+        <p class="text-gray" style="margin-bottom: 12px;">${t('pdf.audit.cwvIntro')}</p>
+        <div class="vitals">
+          ${vitalsCard(t('pdf.audit.desktop'), crawl.psi.desktop)}
+          ${vitalsCard(t('pdf.audit.mobile'), crawl.psi.mobile)}
+        </div>
+      ` : `<p class="text-gray">${t('pdf.audit.lighthouseUnavailable')}</p>`}
+    </div>
+
+    <!-- Appendix: every crawled URL -->
+    <div class="section long appendix">
+      <h2>${t('pdf.audit.appendix')}</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>${t('pdf.audit.column.url')}</th>
+            <th class="num">${t('pdf.audit.column.status')}</th>
+            <th class="num">${t('pdf.audit.column.loadTime')}</th>
+            <th class="num">${t('pdf.audit.column.words')}</th>
+            <th class="num">${t('pdf.audit.column.issues')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${pages.map(page => pageRow(page)).join('')}
+        </tbody>
+      </table>
+    </div>
+
+    ${(crawl.uncrawledUrls || []).length > 0 ? `
+      <div class="section long appendix">
+        <h2>${t('pdf.audit.uncrawled')}</h2>
+        <table>
+          <tbody>
+            ${crawl.uncrawledUrls.map(uncrawled => `<tr><td class="url">${escapeHtml(uncrawled)}</td></tr>`).join('')}
+          </tbody>
+        </table>
+      </div>
+    ` : ''}
+  </div>
+</body>
+</html>
+  `;
+}
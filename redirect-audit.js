@@ -0,0 +1,143 @@
+/**
+ * Redirect Audit - Cross-page redirect and canonical consistency checks
+ *
+ * fetchPage() records every redirect hop of each crawled URL, and the per-page
+ * issues (chains, loops, temporary redirects, http→https and www switches) are
+ * raised while the page is analyzed. This module runs once the whole crawl is
+ * in, for the checks that need more than one page:
+ *
+ *   links_to_redirect     — internal links pointing at a URL that redirects
+ *   canonical_to_redirect — canonical target answers 3xx
+ *   canonical_to_broken   — canonical target answers 4xx/5xx or can't be fetched
+ *   canonical_to_noindex  — canonical target is a noindex page
+ *   canonical_other_host  — canonical points to a different host than the page's final URL
+ *
+ * Canonical targets that were crawled are judged from the crawl; the rest are
+ * requested once without following redirects.
+ */
+
+import { checkUrls, isBrokenResult } from "./link-checker.js";
+
+const CANONICAL_CHECK_MAX_URLS = parseInt(process.env.CANONICAL_CHECK_MAX_URLS || "500", 10);
+
+function withoutHash(raw, base) {
+  try {
+    const u = new URL(raw, base);
+    if (u.protocol !== "http:" && u.protocol !== "https:") return null;
+    u.hash = "";
+    return u.href;
+  } catch {
+    return null;
+  }
+}
+
+function addIssue(page, code) {
+  if (!page.issues.includes(code)) page.issues.push(code);
+}
+
+/**
+ * @param {Array<Object>} pages - crawl page records; issues are added in place
+ * @param {Array<{ href: string, text: string, source: string, type: string }>} outlinks
+ * @returns {Promise<{
+ *   redirectingUrls: number, chains: number, loops: number,
+ *   finalOrigins: Object<string, number>,
+ *   linksToRedirects: Array<{ url: string, finalUrl: string|null, status: number, sources: Array<{ url: string, text: string }> }>,
+ *   canonicals: Array<{ url: string, canonical: string, status: number|null, problems: string[] }>
+ * }>}
+ */
+export async function auditRedirects(pages, outlinks) {
+  const byUrl = new Map(pages.map(page => [page.url, page]));
+  const byFinalUrl = new Map();
+  for (const page of pages) {
+    if (page.finalUrl && !byFinalUrl.has(page.finalUrl)) byFinalUrl.set(page.finalUrl, page);
+  }
+  const redirects = (page) => (page.redirectChain || []).length > 0;
+  // A redirecting URL whose destination was crawled too just repeats that page's
+  // links and canonical — count them once, under the destination
+  const isDuplicate = (page) => redirects(page) && page.finalUrl !== page.url && byUrl.has(page.finalUrl);
+
+  // Internal links to redirecting URLs — every one costs a hop for users and crawlers
+  const linkTargets = new Map();
+  for (const link of outlinks) {
+    if (link.type !== "internal" || isDuplicate(byUrl.get(link.source))) continue;
+    const target = byUrl.get(withoutHash(link.href));
+    if (!target || !redirects(target)) continue;
+    let entry = linkTargets.get(target.url);
+    if (!entry) {
+      entry = { url: target.url, finalUrl: target.finalUrl, status: target.redirectChain[0].status, sources: [], seen: new Set() };
+      linkTargets.set(target.url, entry);
+    }
+    const key = `${link.source}\n${link.text}`;
+    if (entry.seen.has(key)) continue;
+    entry.seen.add(key);
+    entry.sources.push({ url: link.source, text: link.text });
+  }
+  const redirectingLinksBySource = new Map();
+  for (const { sources } of linkTargets.values()) {
+    for (const { url } of sources) redirectingLinksBySource.set(url, (redirectingLinksBySource.get(url) || 0) + 1);
+  }
+  for (const page of pages) {
+    page.redirectingLinks = redirectingLinksBySource.get(page.url) || 0;
+    if (page.redirectingLinks > 0) addIssue(page, "links_to_redirect");
+  }
+
+  // Canonicals — resolve against the URL the page was actually served from
+  const canonicalPages = [];
+  const unknownTargets = new Set();
+  for (const page of pages) {
+    if (!page.canonical || !page.finalUrl || isDuplicate(page)) continue;
+    const canonical = withoutHash(page.canonical, page.finalUrl);
+    if (!canonical) continue;
+    canonicalPages.push({ page, canonical });
+    if (canonical !== page.finalUrl && !byUrl.has(canonical) && !byFinalUrl.has(canonical)) unknownTargets.add(canonical);
+  }
+  const fetched = await checkUrls([...unknownTargets].slice(0, CANONICAL_CHECK_MAX_URLS), { maxRedirects: 0 });
+
+  const canonicals = [];
+  for (const { page, canonical } of canonicalPages) {
+    const problems = [];
+    let status = null;
+    if (new URL(canonical).hostname !== new URL(page.finalUrl).hostname) problems.push("canonical_other_host");
+
+    if (canonical !== page.finalUrl) {
+      const crawled = byUrl.get(canonical);
+      if (crawled) {
+        status = redirects(crawled) ? crawled.redirectChain[0].status : crawled.status;
+        if (redirects(crawled)) problems.push("canonical_to_redirect");
+        else if (crawled.statusClass !== "ok") problems.push("canonical_to_broken");
+        else if (crawled.isNoindex) problems.push("canonical_to_noindex");
+      } else if (byFinalUrl.has(canonical)) {
+        // Reached through someone else's redirect, but the target itself answers directly
+        const target = byFinalUrl.get(canonical);
+        status = target.status;
+        if (target.isNoindex) problems.push("canonical_to_noindex");
+      } else if (fetched.has(canonical)) {
+        const result = fetched.get(canonical);
+        status = result.status;
+        if (result.status >= 300 && result.status < 400) problems.push("canonical_to_redirect");
+        else if (isBrokenResult(result)) problems.push("canonical_to_broken");
+      }
+    }
+
+    if (problems.length === 0) continue;
+    for (const code of problems) addIssue(page, code);
+    canonicals.push({ url: page.url, canonical, status, problems });
+  }
+
+  // Where crawled pages finally land — more than one origin means mixed http/https or www/non-www
+  const finalOrigins = {};
+  for (const page of pages) {
+    if (!page.finalUrl) continue;
+    const origin = new URL(page.finalUrl).origin;
+    finalOrigins[origin] = (finalOrigins[origin] || 0) + 1;
+  }
+
+  return {
+    redirectingUrls: pages.filter(redirects).length,
+    chains: pages.filter(page => page.issues.includes("redirect_chain")).length,
+    loops: pages.filter(page => page.issues.includes("redirect_loop")).length,
+    finalOrigins,
+    linksToRedirects: [...linkTargets.values()].map(({ seen, ...entry }) => entry),
+    canonicals,
+  };
+}
@@ -0,0 +1,389 @@
+/**
+ * Report Diff - Compare two stored reports of the same site
+ *
+ * diffAnalysisReports — two single-page analyzeSEO results: every scalar
+ * field that moved (classified as regression / improvement / changed),
+ * threshold bands a page fell out of or moved into, scored checks whose
+ * status or points changed, scoreBreakdown detail lines that appeared or
+ * disappeared, recommendations added or resolved, and the score delta per
+ * category.
+ *
+ * diffCrawlReports — two crawlSite results: pages added or removed, status
+ * class changes (ok → not_found / server_error …), issues introduced or
+ * fixed per URL and per issue type, and changes in the summary counts.
+ *
+ * Callers check isSameSite() first — a diff between two different sites
+ * would be all noise.
+ */
+
+import { SCORING_PROFILES, DEFAULT_SCORING_PROFILE } from './scoring-profiles.js';
+
+// Sections of the analyzeSEO result that are compared field by field
+const COMPARED_SECTIONS = [
+  'metaTags', 'headings', 'images', 'links', 'content', 'performance',
+  'technicalSEO', 'social', 'localSEO', 'onPageSEO',
+];
+
+// Bulky or derived fields that would only add noise to the diff
+const IGNORED_FIELDS = new Set([
+  'images.all', 'images.withAltList', 'images.withoutAltList',
+  'social.message', 'social.description',
+  'onPageSEO.message', 'onPageSEO.description',
+  'localSEO.localBusinessSchemaData',
+]);
+
+const HIGHER_IS_BETTER = new Set([
+  'images.altPercentage', 'images.withAlt', 'content.wordCount', 'content.textLength',
+  'onPageSEO.score', 'social.score', 'technicalSEO.renderingPercentage',
+]);
+const LOWER_IS_BETTER = new Set([
+  'images.withoutAlt', 'links.broken', 'performance.loadTime', 'performance.pageSize',
+]);
+
+// Pass/fail bands the scoring system cares about — a page crossing one of
+// these is reported even when the raw number only moved slightly. Bands come
+// from the scoring profile each report was graded with (`th` = its thresholds).
+const BAND_CHECKS = [
+  {
+    id: 'title_length',
+    label: (th) => `Title Tag length within ${th.titleLength.min}–${th.titleLength.max} characters`,
+    value: (r) => r.metaTags?.titleLength,
+    pass: (r, th) => !!r.metaTags?.hasTitle
+      && r.metaTags.titleLength >= th.titleLength.min && r.metaTags.titleLength <= th.titleLength.max,
+  },
+  {
+    id: 'meta_description_length',
+    label: (th) => `Meta Description length within ${th.descriptionLength.min}–${th.descriptionLength.max} characters`,
+    value: (r) => r.metaTags?.descriptionLength,
+    pass: (r, th) => !!r.metaTags?.hasDescription
+      && r.metaTags.descriptionLength >= th.descriptionLength.min && r.metaTags.descriptionLength <= th.descriptionLength.max,
+  },
+  {
+    id: 'single_h1',
+    label: () => 'Exactly one H1 tag',
+    value: (r) => r.headings?.h1Count,
+    pass: (r) => r.headings?.h1Count === 1,
+  },
+  {
+    id: 'content_length',
+    label: (th) => `Content length of ${th.wordCount.excellent}+ words`,
+    value: (r) => r.content?.wordCount,
+    pass: (r, th) => (r.content?.wordCount ?? 0) >= th.wordCount.excellent,
+  },
+  {
+    id: 'image_alt_coverage',
+    label: () => 'All images have Alt text',
+    value: (r) => r.images?.altPercentage,
+    pass: (r) => (r.images?.altPercentage ?? 0) === 100,
+  },
+];
+
+// Reports stored before scoring profiles were graded with the default bands
+const DEFAULT_THRESHOLDS = SCORING_PROFILES[DEFAULT_SCORING_PROFILE].thresholds;
+
+function thresholdsOf(result) {
+  return { ...DEFAULT_THRESHOLDS, ...result.scoreBreakdown?.profile?.thresholds };
+}
+
+/** true when both URLs are on the same host (a leading www. is ignored) */
+export function isSameSite(urlA, urlB) {
+  try {
+    const host = (raw) => new URL(raw).hostname.replace(/^www\./, '');
+    return host(urlA) === host(urlB);
+  } catch {
+    return false;
+  }
+}
+
+const SCORE_CATEGORIES = ['onPage', 'technical', 'local', 'social'];
+
+/** Flatten nested plain objects into { 'a.b.c': value }; arrays stay as leaves */
+function flatten(obj, prefix, out = {}) {
+  if (!obj || typeof obj !== 'object') return out;
+  for (const [key, value] of Object.entries(obj)) {
+    const path = `${prefix}.${key}`;
+    if (IGNORED_FIELDS.has(path)) continue;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flatten(value, path, out);
+    } else {
+      out[path] = value;
+    }
+  }
+  return out;
+}
+
+function collectFields(result) {
+  const fields = { title: result.title, description: result.description };
+  for (const section of COMPARED_SECTIONS) flatten(result[section], section, fields);
+  return fields;
+}
+
+/** regression | improvement | changed */
+function classifyChange(path, before, after) {
+  const field = path.split('.').pop();
+  if (typeof before === 'boolean' || typeof after === 'boolean') {
+    if (/^(has|is)[A-Z]/.test(field)) return after ? 'improvement' : 'regression';
+    return 'changed';
+  }
+  if (typeof before === 'number' && typeof after === 'number') {
+    if (HIGHER_IS_BETTER.has(path)) return after > before ? 'improvement' : 'regression';
+    if (LOWER_IS_BETTER.has(path))  return after < before ? 'improvement' : 'regression';
+  }
+  return 'changed';
+}
+
+function diffFields(before, after) {
+  const a = collectFields(before);
+  const b = collectFields(after);
+  const changes = [];
+
+  for (const path of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    const from = a[path];
+    const to = b[path];
+
+    if (Array.isArray(from) || Array.isArray(to)) {
+      const fromSet = new Set(from || []);
+      const toSet = new Set(to || []);
+      const added = [...toSet].filter(v => !fromSet.has(v));
+      const removed = [...fromSet].filter(v => !toSet.has(v));
+      if (added.length > 0 || removed.length > 0) {
+        changes.push({ field: path, before: from ?? null, after: to ?? null, added, removed, impact: 'changed' });
+      }
+      continue;
+    }
+
+    if (from === to) continue;
+    changes.push({ field: path, before: from ?? null, after: to ?? null, impact: classifyChange(path, from, to) });
+  }
+  return changes;
+}
+
+function diffBands(before, after) {
+  const thresholdsBefore = thresholdsOf(before);
+  const thresholdsAfter = thresholdsOf(after);
+  const transitions = [];
+  for (const check of BAND_CHECKS) {
+    const passedBefore = check.pass(before, thresholdsBefore);
+    const passedAfter = check.pass(after, thresholdsAfter);
+    if (passedBefore === passedAfter) continue;
+    transitions.push({
+      check: check.id,
+      label: check.label(thresholdsAfter),
+      before: check.value(before) ?? null,
+      after: check.value(after) ?? null,
+      impact: passedAfter ? 'improvement' : 'regression',
+    });
+  }
+  return transitions;
+}
+
+function diffLines(before = [], after = []) {
+  const fromSet = new Set(before);
+  const toSet = new Set(after);
+  return {
+    added: after.filter(line => !fromSet.has(line)),
+    removed: before.filter(line => !toSet.has(line)),
+  };
+}
+
+// Recommendations are matched by ID, so a report in another language or a
+// title whose measurement moved (45 → 47 chars) is still the same one. Reports
+// stored before recommendations had IDs fall back to category + title with
+// numbers masked.
+function recommendationKey(rec, byId) {
+  if (byId) return rec.id;
+  return `${rec.category}|${String(rec.title).replace(/\d+(\.\d+)?/g, '#')}`;
+}
+
+function diffRecommendations(before = [], after = []) {
+  const byId = [...before, ...after].every(rec => rec.id);
+  const fromKeys = new Set(before.map(rec => recommendationKey(rec, byId)));
+  const toKeys = new Set(after.map(rec => recommendationKey(rec, byId)));
+  return {
+    added: after.filter(rec => !fromKeys.has(recommendationKey(rec, byId))),
+    resolved: before.filter(rec => !toKeys.has(recommendationKey(rec, byId))),
+  };
+}
+
+const CHECK_STATUS_RANK = { fail: 0, warn: 1, pass: 2 };
+
+// Structured checks matched by ID. Reports stored before scoreBreakdown.checks
+// existed have none, so the result is empty rather than "everything added".
+function diffChecks(before = [], after = []) {
+  if (before.length === 0 || after.length === 0) return [];
+  const previous = new Map(before.map(check => [check.id, check]));
+  const changes = [];
+  for (const check of after) {
+    const old = previous.get(check.id);
+    if (!old || (old.status === check.status && old.points === check.points)) continue;
+    const moved = (CHECK_STATUS_RANK[check.status] - CHECK_STATUS_RANK[old.status]) || (check.points - old.points);
+    changes.push({
+      id: check.id,
+      category: check.category,
+      before: { status: old.status, points: old.points, value: old.value },
+      after: { status: check.status, points: check.points, value: check.value },
+      impact: moved > 0 ? 'improvement' : moved < 0 ? 'regression' : 'changed',
+    });
+  }
+  return changes;
+}
+
+function diffScores(before, after) {
+  const delta = { total: (after.score ?? 0) - (before.score ?? 0) };
+  for (const cat of SCORE_CATEGORIES) {
+    delta[cat] = (after.scoreBreakdown?.[cat] ?? 0) - (before.scoreBreakdown?.[cat] ?? 0);
+  }
+  return delta;
+}
+
+/**
+ * Diff two analyzeSEO results
+ * @param {Object} before - Older analysis result
+ * @param {Object} after  - Newer analysis result
+ * @returns {Object} Structured comparison
+ */
+export function diffAnalysisReports(before, after) {
+  const fieldChanges = diffFields(before, after);
+  const bandChanges = diffBands(before, after);
+  const checkChanges = diffChecks(before.scoreBreakdown?.checks, after.scoreBreakdown?.checks);
+  const details = diffLines(before.scoreBreakdown?.details, after.scoreBreakdown?.details);
+  const recommendations = diffRecommendations(before.recommendations, after.recommendations);
+  const scoreDelta = diffScores(before, after);
+
+  const regressions = fieldChanges.filter(c => c.impact === 'regression').length
+    + bandChanges.filter(c => c.impact === 'regression').length;
+  const improvements = fieldChanges.filter(c => c.impact === 'improvement').length
+    + bandChanges.filter(c => c.impact === 'improvement').length;
+
+  return {
+    score: { before: before.score ?? null, after: after.score ?? null },
+    grade: { before: before.grade ?? null, after: after.grade ?? null },
+    scoreDelta,
+    summary: {
+      regressions,
+      improvements,
+      fieldsChanged: fieldChanges.length,
+      recommendationsAdded: recommendations.added.length,
+      recommendationsResolved: recommendations.resolved.length,
+    },
+    bandChanges,
+    checkChanges,
+    fieldChanges,
+    details,
+    recommendations,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Crawl-to-crawl diff
+// ---------------------------------------------------------------------------
+
+/** Flatten buildSummary() output into { 'statusBreakdown.ok': 12, … } */
+function flattenSummary(summary, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(summary || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object') flattenSummary(value, path, out);
+    else if (typeof value === 'number') out[path] = value;
+  }
+  return out;
+}
+
+function diffSummaries(before, after) {
+  const a = flattenSummary(before);
+  const b = flattenSummary(after);
+  const changes = [];
+  for (const field of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    const from = a[field] ?? 0;
+    const to = b[field] ?? 0;
+    if (from === to) continue;
+    changes.push({ field, before: from, after: to, delta: Number((to - from).toFixed(2)) });
+  }
+  return changes;
+}
+
+/**
+ * Diff two crawlSite results
+ * @param {Object} before - Older crawl result
+ * @param {Object} after  - Newer crawl result
+ * @returns {Object} Structured comparison
+ */
+export function diffCrawlReports(before, after) {
+  const beforePages = new Map((before.pages || []).map(p => [p.url, p]));
+  const afterPages = new Map((after.pages || []).map(p => [p.url, p]));
+
+  const newPages = [];
+  const removedPages = [];
+  const statusChanges = [];
+  const pageIssueChanges = [];
+  const issueTotals = {}; // issue → { introduced: [urls], fixed: [urls] }
+
+  const tally = (issue, kind, url) => {
+    if (!issueTotals[issue]) issueTotals[issue] = { introduced: [], fixed: [] };
+    issueTotals[issue][kind].push(url);
+  };
+
+  for (const [url, page] of afterPages) {
+    if (!beforePages.has(url)) {
+      newPages.push({ url, status: page.status, statusClass: page.statusClass, issues: page.issues || [] });
+    }
+  }
+
+  for (const [url, old] of beforePages) {
+    const page = afterPages.get(url);
+    if (!page) {
+      removedPages.push({ url, status: old.status, statusClass: old.statusClass });
+      continue;
+    }
+
+    if (old.statusClass !== page.statusClass) {
+      let impact = 'changed';
+      if (old.statusClass === 'ok') impact = 'regression';
+      else if (page.statusClass === 'ok') impact = 'improvement';
+      statusChanges.push({
+        url,
+        before: { status: old.status, statusClass: old.statusClass },
+        after: { status: page.status, statusClass: page.statusClass },
+        impact,
+      });
+    }
+
+    const oldIssues = new Set(old.issues || []);
+    const newIssues = new Set(page.issues || []);
+    const introduced = [...newIssues].filter(i => !oldIssues.has(i));
+    const fixed = [...oldIssues].filter(i => !newIssues.has(i));
+    if (introduced.length > 0 || fixed.length > 0) {
+      pageIssueChanges.push({ url, introduced, fixed });
+      introduced.forEach(i => tally(i, 'introduced', url));
+      fixed.forEach(i => tally(i, 'fixed', url));
+    }
+  }
+
+  const issues = Object.entries(issueTotals)
+    .map(([issue, { introduced, fixed }]) => ({
+      issue,
+      introducedOn: introduced.length,
+      fixedOn: fixed.length,
+      introducedUrls: introduced,
+      fixedUrls: fixed,
+    }))
+    .sort((x, y) => (y.introducedOn - y.fixedOn) - (x.introducedOn - x.fixedOn));
+
+  return {
+    summary: {
+      pagesBefore: beforePages.size,
+      pagesAfter: afterPages.size,
+      newPages: newPages.length,
+      removedPages: removedPages.length,
+      statusRegressions: statusChanges.filter(c => c.impact === 'regression').length,
+      statusImprovements: statusChanges.filter(c => c.impact === 'improvement').length,
+      issuesIntroduced: pageIssueChanges.reduce((n, c) => n + c.introduced.length, 0),
+      issuesFixed: pageIssueChanges.reduce((n, c) => n + c.fixed.length, 0),
+    },
+    summaryChanges: diffSummaries(before.summary, after.summary),
+    newPages,
+    removedPages,
+    statusChanges,
+    issues,
+    pageIssueChanges,
+  };
+}
@@ -0,0 +1,124 @@
+/**
+ * Report Store - Postgres persistence for analysis and crawl results
+ *
+ * Every /api/analyze result (type 'analysis') and every finished site crawl
+ * (type 'site-crawl') is saved here keyed by reportId, so old reports can be
+ * reopened through /api/reports without re-running the analysis. Scheduled
+ * monitors also store 'lighthouse' and 'backlinks' runs, tagged with monitor_id.
+ *
+ * Each report is owned by the API key that produced it (api_key_id). Readers
+ * pass `apiKeyId` to see only that key's reports; leaving it out (the operator
+ * key) sees every report.
+ *
+ * Table: reports — see migrations/001_create_reports.sql, 002_create_monitors.sql,
+ * 005_add_report_owner.sql
+ */
+
+import { randomUUID } from 'crypto';
+import { dbPool } from './db.js';
+
+const MAX_LIST_LIMIT = 100;
+
+// Metadata columns — getReport adds the data payload
+const REPORT_COLUMNS = `id, url, type, score, grade, monitor_id AS "monitorId", api_key_id AS "apiKeyId", created_at AS "createdAt"`;
+
+/**
+ * Insert or replace a report. Re-running an analysis under the same reportId
+ * overwrites the stored result, but only when the same key owns it — a report
+ * ID taken by another key throws instead.
+ * @param {Object} report
+ * @param {string} [report.id]  - Caller's reportId; generated when missing
+ * @param {string} report.url
+ * @param {string} report.type  - 'analysis' | 'site-crawl' | 'lighthouse' | 'backlinks' | 'comparison'
+ * @param {Object} report.data  - Full result payload
+ * @param {string} [report.monitorId] - Monitor that produced this run, if scheduled
+ * @param {string} [report.apiKeyId]  - Key that owns the report
+ * @returns {Promise<string>} The stored report ID
+ */
+export async function saveReport({ id, url, type, data, monitorId = null, apiKeyId = null }) {
+  const reportId = id || randomUUID();
+  const score = typeof data?.score === 'number' ? data.score : null;
+  const grade = typeof data?.grade === 'string' ? data.grade : null;
+
+  const { rowCount } = await dbPool.query(
+    `INSERT INTO reports (id, url, type, score, grade, data, monitor_id, api_key_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (id) DO UPDATE
+       SET url = EXCLUDED.url, type = EXCLUDED.type, score = EXCLUDED.score,
+           grade = EXCLUDED.grade, data = EXCLUDED.data, monitor_id = EXCLUDED.monitor_id,
+           created_at = now()
+       WHERE reports.api_key_id IS NOT DISTINCT FROM EXCLUDED.api_key_id`,
+    [reportId, url, type, score, grade, JSON.stringify(data), monitorId, apiKeyId]
+  );
+  if (rowCount === 0) throw new Error(`Report ID ${reportId} belongs to another API key`);
+  return reportId;
+}
+
+/** @returns {Promise<boolean>} true if a report with this ID exists and another key owns it */
+export async function isReportIdTaken(id, apiKeyId) {
+  const { rowCount } = await dbPool.query(
+    'SELECT 1 FROM reports WHERE id = $1 AND api_key_id IS DISTINCT FROM $2',
+    [id, apiKeyId]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * List stored reports, newest first — metadata only, no payloads
+ * @param {Object} [filters]
+ * @param {string} [filters.apiKeyId] - Only reports owned by this key
+ * @param {string} [filters.url]
+ * @param {string} [filters.type]
+ * @param {string} [filters.monitorId]
+ * @param {number} [filters.limit=20]
+ * @param {number} [filters.offset=0]
+ */
+export async function listReports({ apiKeyId, url, type, monitorId, limit = 20, offset = 0 } = {}) {
+  const where = [];
+  const params = [];
+  if (apiKeyId)  { params.push(apiKeyId);  where.push(`api_key_id = $${params.length}`); }
+  if (url)       { params.push(url);       where.push(`url = $${params.length}`); }
+  if (type)      { params.push(type);      where.push(`type = $${params.length}`); }
+  if (monitorId) { params.push(monitorId); where.push(`monitor_id = $${params.length}`); }
+  const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+  const safeLimit = Math.min(Math.max(1, parseInt(limit, 10) || 20), MAX_LIST_LIMIT);
+  const safeOffset = Math.max(0, parseInt(offset, 10) || 0);
+
+  const { rows: countRows } = await dbPool.query(`SELECT COUNT(*)::int AS total FROM reports ${whereSql}`, params);
+  const { rows } = await dbPool.query(
+    `SELECT ${REPORT_COLUMNS}
+     FROM reports ${whereSql}
+     ORDER BY created_at DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, safeLimit, safeOffset]
+  );
+  return { reports: rows, total: countRows[0].total, limit: safeLimit, offset: safeOffset };
+}
+
+/**
+ * Fetch one report with its full payload
+ * @param {string} id
+ * @param {Object} [options]
+ * @param {string} [options.apiKeyId] - Only return the report if this key owns it
+ * @returns {Promise<Object|null>}
+ */
+export async function getReport(id, { apiKeyId } = {}) {
+  const { rows } = apiKeyId
+    ? await dbPool.query(`SELECT ${REPORT_COLUMNS}, data FROM reports WHERE id = $1 AND api_key_id = $2`, [id, apiKeyId])
+    : await dbPool.query(`SELECT ${REPORT_COLUMNS}, data FROM reports WHERE id = $1`, [id]);
+  return rows[0] || null;
+}
+
+/**
+ * @param {string} id
+ * @param {Object} [options]
+ * @param {string} [options.apiKeyId] - Only delete the report if this key owns it
+ * @returns {Promise<boolean>} true if a report was deleted
+ */
+export async function deleteReport(id, { apiKeyId } = {}) {
+  const { rowCount } = apiKeyId
+    ? await dbPool.query('DELETE FROM reports WHERE id = $1 AND api_key_id = $2', [id, apiKeyId])
+    : await dbPool.query('DELETE FROM reports WHERE id = $1', [id]);
+  return rowCount > 0;
+}
@@ -0,0 +1,200 @@
+/**
+ * robots.txt - Parser and crawlability verdicts
+ *
+ * Follows Google's robots.txt specification (RFC 9309):
+ *   - consecutive User-agent lines share one group; groups naming the same
+ *     agent are merged, and an agent without a group of its own falls back to *
+ *   - the longest matching Allow/Disallow pattern wins; on a tie Allow wins
+ *   - `*` matches any run of characters, a trailing `$` anchors the end of the URL
+ *   - 4xx means no restrictions, 5xx or an unreachable file means disallow everything
+ *
+ * Crawl-delay is not part of the spec (Googlebot ignores it) but Bingbot and
+ * most other crawlers honour it, so it is parsed per group.
+ */
+
+import axios from "axios";
+
+// Google only reads the first 500 KiB
+const MAX_ROBOTS_BYTES = 500 * 1024;
+
+// Product tokens of the search engine crawlers every page is judged for
+export const ROBOTS_AGENTS = ["googlebot", "bingbot"];
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+// "Googlebot/2.1 (+http://…)" → "googlebot"
+function agentToken(value) {
+  return (value.match(/^[a-zA-Z_*-]+/)?.[0] || "").toLowerCase();
+}
+
+// Longer Allow/Disallow values are ignored rather than truncated — a cut-off
+// pattern would match more than the site asked for
+const MAX_PATTERN_LENGTH = 2048;
+
+/**
+ * Does `path` match a robots.txt pattern? Same position-set walk as Google's
+ * matcher: every pattern character advances the set of path offsets still in
+ * play, so the cost is O(pattern × path) whatever the wildcards — a regex
+ * built from `/*a*a*a*a$` backtracks exponentially instead.
+ */
+function matchesPattern(path, pattern) {
+  let positions = [0];
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "$" && i === pattern.length - 1) return positions[positions.length - 1] === path.length;
+    if (char === "*") {
+      // Every offset from the smallest one onwards is reachable
+      const from = positions[0];
+      positions = Array.from({ length: path.length - from + 1 }, (_, n) => from + n);
+      continue;
+    }
+    const next = [];
+    for (const pos of positions) {
+      if (pos < path.length && path[pos] === char) next.push(pos + 1);
+    }
+    if (next.length === 0) return false;
+    positions = next;
+  }
+  return true;
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * @param {string} text - robots.txt body
+ * @returns {{ groups: Array<{ agents: string[], rules: Array<{ allow: boolean, pattern: string }>, crawlDelay: number|null }>,
+ *   sitemaps: string[] }}
+ */
+export function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text || "").slice(0, MAX_ROBOTS_BYTES).split(/\r\n|\r|\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const colon = line.indexOf(":");
+    if (colon === -1) continue;
+    const key = line.slice(0, colon).trim().toLowerCase();
+    const value = line.slice(colon + 1).trim();
+
+    if (key === "sitemap") {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+    if (key === "user-agent") {
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      const token = agentToken(value);
+      if (token) current.agents.push(token);
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    // Rules before the first User-agent line belong to no group
+    if (!current) continue;
+
+    if (key === "allow" || key === "disallow") {
+      // An empty Disallow allows everything — same as no rule at all
+      if (!value) continue;
+      const pattern = safeDecode(value.startsWith("/") || value.startsWith("*") ? value : `/${value}`);
+      if (pattern.length > MAX_PATTERN_LENGTH) continue;
+      current.rules.push({ allow: key === "allow", pattern });
+    } else if (key === "crawl-delay") {
+      const delay = parseFloat(value);
+      if (Number.isFinite(delay) && delay >= 0 && current.crawlDelay === null) current.crawlDelay = delay;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Build the robots object for a fetch outcome
+ * @param {number|null} status - HTTP status, or null when the request failed
+ * @param {string} [text]
+ */
+export function robotsFromResponse(status, text = "") {
+  if (status && status >= 200 && status < 300) return { status, ...parseRobotsTxt(text), disallowAll: false };
+  if (status && status >= 400 && status < 500) return { status, groups: [], sitemaps: [], disallowAll: false };
+  return { status, groups: [], sitemaps: [], disallowAll: true };
+}
+
+/**
+ * Fetch and parse /robots.txt for an origin — never throws
+ * @param {string} origin - e.g. "https://example.com"
+ */
+export async function fetchRobotsTxt(origin, { timeoutMs = 10000, userAgent } = {}) {
+  const url = `${origin}/robots.txt`;
+  try {
+    const res = await axios.get(url, {
+      timeout: timeoutMs,
+      maxRedirects: 5,
+      responseType: "text",
+      validateStatus: () => true,
+      headers: userAgent ? { "User-Agent": userAgent } : {},
+    });
+    const text = typeof res.data === "string" ? res.data : String(res.data ?? "");
+    return { url, ...robotsFromResponse(res.status, text) };
+  } catch {
+    return { url, ...robotsFromResponse(null) };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Verdicts
+// ---------------------------------------------------------------------------
+
+// All rules addressed to the agent — its own groups merged, or the * groups
+function rulesFor(robots, agent) {
+  const token = agentToken(agent);
+  let matched = robots.groups.filter(group => group.agents.includes(token));
+  if (matched.length === 0) matched = robots.groups.filter(group => group.agents.includes("*"));
+  return matched;
+}
+
+/**
+ * Is `url` crawlable for `agent`?
+ * @param {Object} robots - from fetchRobotsTxt / robotsFromResponse
+ * @param {string} agent - product token such as "Googlebot"
+ * @param {string} url
+ * @returns {{ allowed: boolean, rule: string|null }} rule is the deciding line, e.g. "Disallow: /cart"
+ */
+export function checkRobots(robots, agent, url) {
+  const { pathname, search } = new URL(url);
+  if (pathname === "/robots.txt") return { allowed: true, rule: null };
+  if (robots.disallowAll) return { allowed: false, rule: `robots.txt unreachable (${robots.status ?? "no response"})` };
+
+  const path = safeDecode(pathname + search);
+  let best = null;
+  for (const group of rulesFor(robots, agent)) {
+    for (const rule of group.rules) {
+      if (!matchesPattern(path, rule.pattern)) continue;
+      if (
+        !best ||
+        rule.pattern.length > best.pattern.length ||
+        (rule.pattern.length === best.pattern.length && rule.allow && !best.allow)
+      ) best = rule;
+    }
+  }
+  if (!best) return { allowed: true, rule: null };
+  return { allowed: best.allow, rule: `${best.allow ? "Allow" : "Disallow"}: ${best.pattern}` };
+}
+
+/** Crawl-delay in seconds that applies to `agent`, or null */
+export function crawlDelayFor(robots, agent) {
+  for (const group of rulesFor(robots, agent)) {
+    if (group.crawlDelay !== null) return group.crawlDelay;
+  }
+  return null;
+}
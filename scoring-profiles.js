@@ -0,0 +1,206 @@
+/**
+ * Scoring Profiles - Named weightings for the 100-point SEO score
+ *
+ * The analyzer's checks (title, meta description, schema, NAP …) are fixed,
+ * but how much each one is worth depends on the kind of site. A SaaS landing
+ * page shouldn't lose 15 points for having no street address, and an
+ * e-commerce category page shouldn't be held to a 1000-word content bar.
+ *
+ * A profile sets:
+ *   weights       — points per category; always sums to 100
+ *   thresholds    — the bands the checks grade against
+ *   excludeChecks — checks that don't apply; their points go to the rest of
+ *                   the category (a category weighted 0 is skipped entirely)
+ *
+ * Within a category, points are split between the applicable checks in the
+ * same ratio as the original local-business system (title 12 : description 8 …).
+ */
+
+export const DEFAULT_SCORING_PROFILE = 'local-business';
+
+export const SCORING_CATEGORIES = ['onPage', 'technical', 'local', 'social'];
+
+// Every scored check, its category and its share of that category
+export const SCORING_CHECKS = {
+  title:               { category: 'onPage',    share: 12 },
+  metaDescription:     { category: 'onPage',    share: 8 },
+  h1:                  { category: 'onPage',    share: 8 },
+  headingStructure:    { category: 'onPage',    share: 5 },
+  imageAlt:            { category: 'onPage',    share: 4 },
+  contentLength:       { category: 'onPage',    share: 8 },
+  https:               { category: 'technical', share: 5 },
+  robotsTxt:           { category: 'technical', share: 5 },
+  sitemap:             { category: 'technical', share: 5 },
+  analytics:           { category: 'technical', share: 3 },
+  schema:              { category: 'technical', share: 12 },
+  phone:               { category: 'local',     share: 3 },
+  address:             { category: 'local',     share: 4 },
+  localBusinessSchema: { category: 'local',     share: 8 },
+  socialLinks:         { category: 'social',    share: 10 },
+};
+
+const DEFAULT_THRESHOLDS = {
+  titleLength:       { min: 50, max: 60, acceptableMin: 30, acceptableMax: 70 },
+  descriptionLength: { min: 120, max: 160, acceptableMin: 50, acceptableMax: 200 },
+  h1MinLength: 20,
+  // Word counts for full / partial / low / minimal content credit
+  wordCount:         { excellent: 1000, good: 500, fair: 300, minimal: 50 },
+};
+
+export const SCORING_PROFILES = {
+  'local-business': {
+    label: 'Local business',
+    weights: { onPage: 45, technical: 30, local: 15, social: 10 },
+    thresholds: DEFAULT_THRESHOLDS,
+    excludeChecks: [],
+  },
+  ecommerce: {
+    label: 'E-commerce',
+    // Category and product pages are short by design and rank on structured data
+    weights: { onPage: 45, technical: 40, local: 0, social: 15 },
+    thresholds: {
+      ...DEFAULT_THRESHOLDS,
+      titleLength: { min: 40, max: 65, acceptableMin: 25, acceptableMax: 75 },
+      wordCount:   { excellent: 300, good: 150, fair: 75, minimal: 25 },
+    },
+    excludeChecks: [],
+  },
+  saas: {
+    label: 'SaaS',
+    weights: { onPage: 45, technical: 40, local: 0, social: 15 },
+    thresholds: {
+      ...DEFAULT_THRESHOLDS,
+      wordCount: { excellent: 600, good: 400, fair: 250, minimal: 50 },
+    },
+    excludeChecks: [],
+  },
+  blog: {
+    label: 'Blog / publisher',
+    weights: { onPage: 55, technical: 30, local: 0, social: 15 },
+    thresholds: {
+      ...DEFAULT_THRESHOLDS,
+      wordCount: { excellent: 1500, good: 800, fair: 400, minimal: 100 },
+    },
+    excludeChecks: [],
+  },
+};
+
+export const SCORING_PROFILE_NAMES = [...Object.keys(SCORING_PROFILES), 'custom'];
+
+/** Split `total` between keys in proportion to their shares, keeping integer points that add up exactly */
+function apportion(total, shares) {
+  const shareSum = Object.values(shares).reduce((sum, s) => sum + s, 0);
+  const exact = Object.entries(shares).map(([key, share]) => [key, (total * share) / shareSum]);
+  const points = Object.fromEntries(exact.map(([key, value]) => [key, Math.floor(value)]));
+  let left = total - Object.values(points).reduce((sum, p) => sum + p, 0);
+  // Largest remainder first
+  for (const [key] of [...exact].sort((a, b) => (b[1] % 1) - (a[1] % 1))) {
+    if (left-- <= 0) break;
+    points[key]++;
+  }
+  return points;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/** Merge custom thresholds over a base set; returns { error } or { thresholds } */
+function mergeThresholds(base, overrides) {
+  if (overrides === undefined) return { thresholds: base };
+  if (!isPlainObject(overrides)) return { error: 'scoringProfile.thresholds must be an object' };
+
+  const thresholds = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!Object.hasOwn(base, key)) return { error: `Unknown threshold: ${key}` };
+    if (typeof base[key] === 'number') {
+      if (typeof value !== 'number' || value < 0) return { error: `thresholds.${key} must be a non-negative number` };
+      thresholds[key] = value;
+      continue;
+    }
+    if (!isPlainObject(value)) return { error: `thresholds.${key} must be an object` };
+    for (const [field, bound] of Object.entries(value)) {
+      if (!Object.hasOwn(base[key], field)) return { error: `Unknown threshold: ${key}.${field}` };
+      if (typeof bound !== 'number' || bound < 0) return { error: `thresholds.${key}.${field} must be a non-negative number` };
+    }
+    thresholds[key] = { ...base[key], ...value };
+  }
+  return { thresholds };
+}
+
+/**
+ * Resolve a request's scoringProfile into a profile the analyzer can use.
+ * @param {string|Object} [input] - A profile name, or { name: 'custom', base?, weights?, thresholds?, excludeChecks? }
+ * @returns {{ profile: Object }|{ error: string }} profile = { name, label, base?, weights, thresholds, excludeChecks, checkPoints }
+ */
+export function resolveScoringProfile(input = DEFAULT_SCORING_PROFILE) {
+  const custom = isPlainObject(input);
+  const name = custom ? input.name ?? 'custom' : input;
+
+  if (!custom) {
+    if (!Object.hasOwn(SCORING_PROFILES, name)) {
+      return { error: `scoringProfile must be one of: ${SCORING_PROFILE_NAMES.join(', ')}` };
+    }
+  } else if (name !== 'custom') {
+    return { error: "A scoringProfile object must have name 'custom' (or pass a profile name as a string)" };
+  }
+
+  const baseName = custom ? input.base ?? DEFAULT_SCORING_PROFILE : name;
+  // hasOwn, not a plain lookup — names like 'constructor' must not reach Object.prototype
+  const base = Object.hasOwn(SCORING_PROFILES, baseName) ? SCORING_PROFILES[baseName] : null;
+  if (!base) return { error: `scoringProfile.base must be one of: ${Object.keys(SCORING_PROFILES).join(', ')}` };
+
+  let weights = base.weights;
+  let excludeChecks = base.excludeChecks;
+  let thresholds = base.thresholds;
+
+  if (custom) {
+    if (input.weights !== undefined) {
+      if (!isPlainObject(input.weights)) return { error: 'scoringProfile.weights must be an object' };
+      for (const [category, weight] of Object.entries(input.weights)) {
+        if (!SCORING_CATEGORIES.includes(category)) {
+          return { error: `Unknown weight category: ${category} (expected ${SCORING_CATEGORIES.join(', ')})` };
+        }
+        if (!Number.isInteger(weight) || weight < 0) return { error: `weights.${category} must be a non-negative integer` };
+      }
+      weights = { ...base.weights, ...input.weights };
+      const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+      if (total !== 100) return { error: `scoringProfile.weights must add up to 100 (got ${total})` };
+    }
+
+    if (input.excludeChecks !== undefined) {
+      if (!Array.isArray(input.excludeChecks) || input.excludeChecks.some(id => !Object.hasOwn(SCORING_CHECKS, id))) {
+        return { error: `scoringProfile.excludeChecks must be an array of: ${Object.keys(SCORING_CHECKS).join(', ')}` };
+      }
+      excludeChecks = [...new Set(input.excludeChecks)];
+    }
+
+    const merged = mergeThresholds(base.thresholds, input.thresholds);
+    if (merged.error) return { error: merged.error };
+    thresholds = merged.thresholds;
+  }
+
+  // Points per check: each category's weight split over its applicable checks
+  const checkPoints = {};
+  for (const category of SCORING_CATEGORIES) {
+    const applicable = Object.entries(SCORING_CHECKS)
+      .filter(([id, check]) => check.category === category && !excludeChecks.includes(id));
+    if (weights[category] > 0 && applicable.length === 0) {
+      return { error: `Every ${category} check is excluded, so its ${weights[category]} points can't be scored — set weights.${category} to 0` };
+    }
+    const shares = Object.fromEntries(applicable.map(([id, check]) => [id, check.share]));
+    Object.assign(checkPoints, weights[category] > 0 ? apportion(weights[category], shares) : {});
+  }
+
+  return {
+    profile: {
+      name,
+      label: custom ? 'Custom' : base.label,
+      ...(custom ? { base: baseName } : {}),
+      weights,
+      thresholds,
+      excludeChecks,
+      checkPoints,
+    },
+  };
+}
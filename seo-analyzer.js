@@ -1,5 +1,37 @@
 import * as cheerio from "cheerio";
 import puppeteer from "puppeteer";
+import { resolveScoringProfile, SCORING_CHECKS } from "./scoring-profiles.js";
+import { createTranslator, DEFAULT_LOCALE } from "./i18n.js";
+import { checkLinks } from "./link-checker.js";
+import { fetchRobotsTxt, checkRobots, crawlDelayFor, ROBOTS_AGENTS } from "./robots-txt.js";
+import { extractHreflang, summarizePageHreflang } from "./hreflang.js";
+
+const { profile: defaultScoringProfile } = resolveScoringProfile();
+
+// Link targets verified per single-page analysis — the rest are reported as unchecked
+const ANALYZER_LINK_CHECK_MAX_URLS = parseInt(process.env.ANALYZER_LINK_CHECK_MAX_URLS || "100", 10);
+// Total time the link check may add to an analysis — slow targets past it are reported as unchecked
+const ANALYZER_LINK_CHECK_BUDGET_MS = parseInt(process.env.ANALYZER_LINK_CHECK_BUDGET_MS || "15000", 10);
+
+// Legacy scoreBreakdown.details prefix for each check status. "fail" covers
+// partial credit too — anything short of the band the check grades against.
+const CHECK_STATUS_MARKS = { pass: "✓", warn: "⚠", fail: "✗" };
+
+// Passing robots.txt and sitemap checks were two legacy lines each (+3 and +2
+// of 5) — split the check's points the same way so the strings stay unchanged
+const LEGACY_DETAIL_SPLITS = {
+  robotsTxt: [["robots.txt Exists", 3], ["robots.txt Proper Rules", 2]],
+  sitemap: [["XML Sitemap Exists", 3], ["Sitemap Accessible", 2]],
+};
+
+function legacyDetailLines(check) {
+  const mark = CHECK_STATUS_MARKS[check.status];
+  const split = check.status === "pass" ? LEGACY_DETAIL_SPLITS[check.id] : null;
+  if (!split) return [`${mark} ${check.message}: +${check.points}`];
+  const [[firstLabel, firstShare], [secondLabel, secondShare]] = split;
+  const firstPoints = Math.round((check.points * firstShare) / (firstShare + secondShare));
+  return [`${mark} ${firstLabel}: +${firstPoints}`, `${mark} ${secondLabel}: +${check.points - firstPoints}`];
+}
 
 // Thrown when the failure is caused by the target site (DNS, SSL, etc.) — not a server/infra error.
 // The backend uses this to return 422 instead of 500 so the caller knows not to retry.
@@ -42,7 +74,9 @@ function classifyError(err) {
   // Not a site-specific error — caller handles it (timeout, etc.)
 }
 
-async function _runCheerioPipeline(url, urlObj, html, screenshotDesktop, screenshotMobile, loadTime) {
+async function _runCheerioPipeline(url, urlObj, html, screenshotDesktop, screenshotMobile, loadTime, scoringProfile, locale) {
+    const t = createTranslator(locale);
+
     // Parse with Cheerio
     const $ = cheerio.load(html);
     const textContent = $("body").text().replace(/\s+/g, " ").trim();
@@ -161,21 +195,39 @@ async function _runCheerioPipeline(url, urlObj, html, screenshotDesktop, screens
     const links = $("a[href]");
     let internalLinks = 0;
     let externalLinks = 0;
+    const linkTargets = []; // { href, text, type, source } for the broken link check
 
     links.each((_, el) => {
       const href = $(el).attr("href") || "";
+      let type = null;
       if (href.startsWith("/") || href.includes(urlObj.hostname)) {
         internalLinks++;
+        type = "internal";
       } else if (href.startsWith("http")) {
         externalLinks++;
+        type = "external";
       }
+      if (!type) return;
+      try {
+        const text = $(el).text().replace(/\s+/g, " ").trim().slice(0, 150);
+        linkTargets.push({ href: new URL(href, url).href, text, type, source: url });
+      } catch {}
     });
 
+    const linkCheck = await checkLinks(linkTargets, {
+      maxUrls: ANALYZER_LINK_CHECK_MAX_URLS,
+      timeoutMs: 6000,
+      signal: AbortSignal.timeout(ANALYZER_LINK_CHECK_BUDGET_MS),
+    });
     const linksData = {
       total: links.length,
       internal: internalLinks,
       external: externalLinks,
-      broken: 0,
+      broken: linkCheck.broken.length,
+      brokenList: linkCheck.broken.map(({ url: target, type, status, error, sources }) => ({
+        url: target, type, status, error, anchorText: sources.map(s => s.text).filter(Boolean),
+      })),
+      unchecked: linkCheck.skipped + linkCheck.unchecked,
     };
 
     // Analyze Content
@@ -191,13 +243,13 @@ async function _runCheerioPipeline(url, urlObj, html, screenshotDesktop, screens
     const isSSL = url.startsWith("https://");
 
     // Parallel fetch with hard timeouts — robots.txt and sitemap never hang
-    const robotsTxtUrl = `${urlObj.protocol}//${urlObj.hostname}/robots.txt`;
     const sitemapUrl = `${urlObj.protocol}//${urlObj.hostname}/sitemap.xml`;
-    const [robotsRes, sitemapRes] = await Promise.all([
-      safeFetch(robotsTxtUrl, { method: "HEAD" }, 6000),
+    const [robots, sitemapRes] = await Promise.all([
+      fetchRobotsTxt(urlObj.origin, { timeoutMs: 6000 }),
       safeFetch(sitemapUrl, { method: "HEAD" }, 6000),
     ]);
-    const hasRobotsTxt = robotsRes ? robotsRes.ok : false;
+    const robotsTxtUrl = robots.url;
+    const hasRobotsTxt = robots.status >= 200 && robots.status < 300;
     const hasSitemap = sitemapRes ? sitemapRes.ok : false;
     console.log(`[ANALYZER] robots.txt: ${hasRobotsTxt}, sitemap: ${hasSitemap}`);
 
@@ -365,6 +417,13 @@ async function _runCheerioPipeline(url, urlObj, html, screenshotDesktop, screens
     const technicalSEO = {
       hasRobotsTxt,
       robotsTxtUrl: hasRobotsTxt ? robotsTxtUrl : undefined,
+      // Whether search engines may crawl this page — a 5xx robots.txt blocks everything
+      robotsTxt: {
+        status: robots.status,
+        sitemaps: robots.sitemaps,
+        crawlDelay: crawlDelayFor(robots, "bingbot"),
+        verdicts: Object.fromEntries(ROBOTS_AGENTS.map(agent => [agent, checkRobots(robots, agent, url)])),
+      },
       hasSitemap,
       sitemapUrl: hasSitemap ? sitemapUrl : undefined,
       hasSSL: isSSL,
@@ -379,6 +438,8 @@ async function _runCheerioPipeline(url, urlObj, html, screenshotDesktop, screens
       renderingPercentage,
       hasMicrodata,
       hasRDFa,
+      // Language alternates of this page alone — return tags need a site crawl
+      hreflang: summarizePageHreflang(extractHreflang($, url), [url, urlObj.href]),
     };
 
     // Analyze Social Media Links
@@ -505,14 +566,14 @@ async function _runCheerioPipeline(url, urlObj, html, screenshotDesktop, screens
     let socialDescription = "";
 
     if (socialScore === 0) {
-      socialMessage = "Your social needs improvement";
-      socialDescription = "You appear to have a weak social presence or level of social activity (or we may just not be able to see your profiles!). Social activity is important for customer communication, brand awareness and as a marketing channel to bring visitors to your website. We recommend that you list all of your profiles on your page for visibility, and begin to build a following on those networks.";
+      socialMessage = t("social.none.message");
+      socialDescription = t("social.none.description");
     } else if (socialScore === 50) {
-      socialMessage = "Your social presence needs work";
-      socialDescription = "You have one major social media profile, but you're missing the other. Social activity is important for customer communication, brand awareness and as a marketing channel to bring visitors to your website. Consider adding both Facebook and Instagram profiles for better reach.";
+      socialMessage = t("social.partial.message");
+      socialDescription = t("social.partial.description");
     } else {
-      socialMessage = "Your social presence is excellent!";
-      socialDescription = "You have an excellent social media presence across multiple platforms. Social activity is important for customer communication, brand awareness and as a marketing channel to bring visitors to your website. Continue engaging with your audience across these networks.";
+      socialMessage = t("social.excellent.message");
+      socialDescription = t("social.excellent.description");
     }
 
     const social = {
@@ -805,200 +866,183 @@ async function _runCheerioPipeline(url, urlObj, html, screenshotDesktop, screens
 
     // ====================================================================
     // NEW COMPREHENSIVE 100-POINT SEO SCORING SYSTEM (STRICT)
+    // Point values below are the local-business defaults; the scoring
+    // profile (scoring-profiles.js) rescales them and sets the bands.
     // ====================================================================
     
-    let scoreBreakdown = {
-      onPage: 0,
-      technical: 0,
-      local: 0,
-      social: 0,
-      details: []
+    const { weights, thresholds, checkPoints } = scoringProfile;
+    const applies = (check) => checkPoints[check] !== undefined;
+
+    // Every scored check becomes one entry in scoreBreakdown.checks. `earned`
+    // of the default `outOf` points is rescaled to the profile's points.
+    const checks = [];
+    const record = (id, status, earned, outOf, value, expected, message) => {
+      checks.push({
+        id,
+        category: SCORING_CHECKS[id].category,
+        status,
+        points: Math.round((checkPoints[id] * earned) / outOf),
+        maxPoints: checkPoints[id],
+        value,
+        expected,
+        message,
+      });
     };
 
     // 🟦 ON-PAGE SEO — 45 POINTS (VERY STRICT SCORING)
-    let onPagePoints = 0;
     
     // Title Tag — 12 pts (CRITICAL - must be perfect to get high score)
-    if (metaTags.hasTitle) {
-      if (metaTags.titleLength >= 50 && metaTags.titleLength <= 60) {
-        onPagePoints += 12;
-        scoreBreakdown.details.push("✓ Title Tag Perfect (optimal length 50-60): +12");
-      } else if (metaTags.titleLength >= 30 && metaTags.titleLength <= 70) {
-        onPagePoints += 4;
-        scoreBreakdown.details.push(`✗ Title Tag Acceptable (${metaTags.titleLength} chars, optimal 50-60): +4`);
+    const titleBand = thresholds.titleLength;
+    if (applies('title')) {
+      const expected = { min: titleBand.min, max: titleBand.max };
+      const length = metaTags.titleLength;
+      if (!metaTags.hasTitle) {
+        record('title', 'fail', 0, 12, null, expected, "CRITICAL: Missing Title Tag");
+      } else if (length >= titleBand.min && length <= titleBand.max) {
+        record('title', 'pass', 12, 12, length, expected, `Title Tag Perfect (optimal length ${titleBand.min}-${titleBand.max})`);
+      } else if (length >= titleBand.acceptableMin && length <= titleBand.acceptableMax) {
+        record('title', 'fail', 4, 12, length, expected, `Title Tag Acceptable (${length} chars, optimal ${titleBand.min}-${titleBand.max})`);
       } else {
-        onPagePoints += 1;
-        scoreBreakdown.details.push(`✗ Title Tag Poor (${metaTags.titleLength} chars, need 50-60): +1`);
+        record('title', 'fail', 1, 12, length, expected, `Title Tag Poor (${length} chars, need ${titleBand.min}-${titleBand.max})`);
       }
-    } else {
-      scoreBreakdown.details.push("✗ CRITICAL: Missing Title Tag: +0");
     }
     
     // Meta Description — 8 pts (must be perfect to get high score)
-    if (metaTags.hasDescription) {
-      if (metaTags.descriptionLength >= 120 && metaTags.descriptionLength <= 160) {
-        onPagePoints += 8;
-        scoreBreakdown.details.push("✓ Meta Description Perfect (optimal length 120-160): +8");
-      } else if (metaTags.descriptionLength >= 50 && metaTags.descriptionLength <= 200) {
-        onPagePoints += 2;
-        scoreBreakdown.details.push(`✗ Meta Description Acceptable (${metaTags.descriptionLength} chars, optimal 120-160): +2`);
+    const descriptionBand = thresholds.descriptionLength;
+    if (applies('metaDescription')) {
+      const expected = { min: descriptionBand.min, max: descriptionBand.max };
+      const length = metaTags.descriptionLength;
+      if (!metaTags.hasDescription) {
+        record('metaDescription', 'fail', 0, 8, null, expected, "Missing Meta Description");
+      } else if (length >= descriptionBand.min && length <= descriptionBand.max) {
+        record('metaDescription', 'pass', 8, 8, length, expected, `Meta Description Perfect (optimal length ${descriptionBand.min}-${descriptionBand.max})`);
+      } else if (length >= descriptionBand.acceptableMin && length <= descriptionBand.acceptableMax) {
+        record('metaDescription', 'fail', 2, 8, length, expected, `Meta Description Acceptable (${length} chars, optimal ${descriptionBand.min}-${descriptionBand.max})`);
       } else {
-        onPagePoints += 1;
-        scoreBreakdown.details.push(`✗ Meta Description Poor (${metaTags.descriptionLength} chars, need 120-160): +1`);
+        record('metaDescription', 'fail', 1, 8, length, expected, `Meta Description Poor (${length} chars, need ${descriptionBand.min}-${descriptionBand.max})`);
       }
-    } else {
-      scoreBreakdown.details.push("✗ Missing Meta Description: +0");
     }
     
     // H1 Tag — 8 pts (must be perfect: exactly 1, good length)
-    if (headings.h1Count === 1) {
-      if (headings.h1Text.length > 0 && headings.h1Text[0].length >= 20) {
-        onPagePoints += 8;
-        scoreBreakdown.details.push("✓ Perfect H1 (exactly 1 with good length): +8");
+    if (applies('h1')) {
+      const expected = { min: 1, max: 1 };
+      if (headings.h1Count === 1) {
+        if (headings.h1Text.length > 0 && headings.h1Text[0].length >= thresholds.h1MinLength) {
+          record('h1', 'pass', 8, 8, 1, expected, "Perfect H1 (exactly 1 with good length)");
+        } else {
+          record('h1', 'fail', 1, 8, 1, expected, `H1 Too Short (needs ${thresholds.h1MinLength}+ characters)`);
+        }
+      } else if (headings.h1Count > 1) {
+        record('h1', 'fail', 1, 8, headings.h1Count, expected, `Multiple H1 Tags (${headings.h1Count}, need exactly 1)`);
       } else {
-        onPagePoints += 1;
-        scoreBreakdown.details.push("✗ H1 Too Short (needs 20+ characters): +1");
+        record('h1', 'fail', 0, 8, 0, expected, "Missing H1 Tag");
       }
-    } else if (headings.h1Count > 1) {
-      onPagePoints += 1;
-      scoreBreakdown.details.push(`✗ Multiple H1 Tags (${headings.h1Count}, need exactly 1): +1`);
-    } else {
-      scoreBreakdown.details.push("✗ Missing H1 Tag: +0");
     }
     
     // H2–H6 Headings — 5 pts (need multiple levels)
-    if (headings.h2Count >= 3 && (headings.h3Count >= 2 || headings.h4Count >= 1)) {
-      onPagePoints += 5;
-      scoreBreakdown.details.push("✓ Excellent Heading Hierarchy (3+ H2, 2+ H3): +5");
-    } else if (headings.h2Count >= 2) {
-      onPagePoints += 2;
-      scoreBreakdown.details.push("✗ Basic Heading Structure (needs 3+ H2, 2+ H3): +2");
-    } else {
-      scoreBreakdown.details.push("✗ Poor Heading Structure (no proper hierarchy): +0");
+    if (applies('headingStructure')) {
+      const expected = { min: 3 };
+      if (headings.h2Count >= 3 && (headings.h3Count >= 2 || headings.h4Count >= 1)) {
+        record('headingStructure', 'pass', 5, 5, headings.h2Count, expected, "Excellent Heading Hierarchy (3+ H2, 2+ H3)");
+      } else if (headings.h2Count >= 2) {
+        record('headingStructure', 'fail', 2, 5, headings.h2Count, expected, "Basic Heading Structure (needs 3+ H2, 2+ H3)");
+      } else {
+        record('headingStructure', 'fail', 0, 5, headings.h2Count, expected, "Poor Heading Structure (no proper hierarchy)");
+      }
     }
     
     // Image Alt Text — 4 pts (must be 100% to get good score)
-    if (imagesData.total > 0) {
-      if (imagesData.altPercentage === 100) {
-        onPagePoints += 4;
-        scoreBreakdown.details.push("✓ All Images Have Alt Text (100%): +4");
+    if (applies('imageAlt')) {
+      const expected = { min: 100, max: 100 };
+      const altPercentage = imagesData.total > 0 ? Math.round(imagesData.altPercentage) : null;
+      if (imagesData.total === 0) {
+        record('imageAlt', 'warn', 2, 4, null, expected, "No Images Found");
+      } else if (imagesData.altPercentage === 100) {
+        record('imageAlt', 'pass', 4, 4, altPercentage, expected, "All Images Have Alt Text (100%)");
       } else if (imagesData.altPercentage >= 80) {
-        onPagePoints += 2;
-        scoreBreakdown.details.push(`✗ Most Images Have Alt (${imagesData.altPercentage.toFixed(0)}%, need 100%): +2`);
+        record('imageAlt', 'fail', 2, 4, altPercentage, expected, `Most Images Have Alt (${imagesData.altPercentage.toFixed(0)}%, need 100%)`);
       } else if (imagesData.altPercentage >= 50) {
-        onPagePoints += 1;
-        scoreBreakdown.details.push(`✗ Only ${imagesData.altPercentage.toFixed(0)}% Images Have Alt (need 100%): +1`);
+        record('imageAlt', 'fail', 1, 4, altPercentage, expected, `Only ${imagesData.altPercentage.toFixed(0)}% Images Have Alt (need 100%)`);
       } else {
-        scoreBreakdown.details.push(`✗ Few Images Have Alt (${imagesData.altPercentage.toFixed(0)}%): +0`);
+        record('imageAlt', 'fail', 0, 4, altPercentage, expected, `Few Images Have Alt (${imagesData.altPercentage.toFixed(0)}%)`);
       }
-    } else {
-      onPagePoints += 2;
-      scoreBreakdown.details.push("⚠ No Images Found: +2");
     }
     
     // Content Quality — 8 pts (need substantial content)
-    if (content.wordCount >= 1000) {
-      onPagePoints += 8;
-      scoreBreakdown.details.push(`✓ Excellent Content Length (${content.wordCount} words): +8`);
-    } else if (content.wordCount >= 500) {
-      onPagePoints += 3;
-      scoreBreakdown.details.push(`✗ Content Too Short (${content.wordCount} words, need 1000+): +3`);
-    } else if (content.wordCount >= 300) {
-      onPagePoints += 1;
-      scoreBreakdown.details.push(`✗ Very Low Content (${content.wordCount} words, need 1000+): +1`);
-    } else if (content.wordCount >= 50) {
-      onPagePoints += 1;
-      scoreBreakdown.details.push(`✗ Minimal Content (${content.wordCount} words): +1`);
-    } else {
-      scoreBreakdown.details.push(`✗ Almost No Content (${content.wordCount} words): +0`);
+    const words = thresholds.wordCount;
+    if (applies('contentLength')) {
+      const expected = { min: words.excellent };
+      const wordCount = content.wordCount;
+      if (wordCount >= words.excellent) {
+        record('contentLength', 'pass', 8, 8, wordCount, expected, `Excellent Content Length (${wordCount} words)`);
+      } else if (wordCount >= words.good) {
+        record('contentLength', 'fail', 3, 8, wordCount, expected, `Content Too Short (${wordCount} words, need ${words.excellent}+)`);
+      } else if (wordCount >= words.fair) {
+        record('contentLength', 'fail', 1, 8, wordCount, expected, `Very Low Content (${wordCount} words, need ${words.excellent}+)`);
+      } else if (wordCount >= words.minimal) {
+        record('contentLength', 'fail', 1, 8, wordCount, expected, `Minimal Content (${wordCount} words)`);
+      } else {
+        record('contentLength', 'fail', 0, 8, wordCount, expected, `Almost No Content (${wordCount} words)`);
+      }
     }
     
-    scoreBreakdown.onPage = onPagePoints;
-    
     // 🟧 TECHNICAL SEO — 30 POINTS (Schema is now CRITICAL)
-    let technicalPoints = 0;
     
     // SSL (HTTPS) — 5 pts
-    if (technicalSEO.hasSSL) {
-      technicalPoints += 5;
-      scoreBreakdown.details.push("✓ HTTPS Enabled: +5");
-    } else {
-      scoreBreakdown.details.push("✗ No HTTPS: +0");
+    if (applies('https')) {
+      if (technicalSEO.hasSSL) record('https', 'pass', 5, 5, true, true, "HTTPS Enabled");
+      else record('https', 'fail', 0, 5, false, true, "No HTTPS");
     }
     
     // robots.txt — 5 pts
-    if (technicalSEO.hasRobotsTxt) {
-      technicalPoints += 3;
-      scoreBreakdown.details.push("✓ robots.txt Exists: +3");
-      technicalPoints += 2;
-      scoreBreakdown.details.push("✓ robots.txt Proper Rules: +2");
-    } else {
-      scoreBreakdown.details.push("✗ No robots.txt: +0");
+    if (applies('robotsTxt')) {
+      if (technicalSEO.hasRobotsTxt) record('robotsTxt', 'pass', 5, 5, true, true, "robots.txt Exists with Proper Rules");
+      else record('robotsTxt', 'fail', 0, 5, false, true, "No robots.txt");
     }
     
     // XML Sitemap — 5 pts
-    if (technicalSEO.hasSitemap) {
-      technicalPoints += 3;
-      scoreBreakdown.details.push("✓ XML Sitemap Exists: +3");
-      technicalPoints += 2;
-      scoreBreakdown.details.push("✓ Sitemap Accessible: +2");
-    } else {
-      scoreBreakdown.details.push("✗ No XML Sitemap: +0");
+    if (applies('sitemap')) {
+      if (technicalSEO.hasSitemap) record('sitemap', 'pass', 5, 5, true, true, "XML Sitemap Exists and Is Accessible");
+      else record('sitemap', 'fail', 0, 5, false, true, "No XML Sitemap");
     }
     
     // Analytics Installed — 3 pts
-    if (technicalSEO.hasAnalytics) {
-      technicalPoints += 3;
-      scoreBreakdown.details.push("✓ Analytics Installed: +3");
-    } else {
-      scoreBreakdown.details.push("✗ No Analytics: +0");
+    if (applies('analytics')) {
+      if (technicalSEO.hasAnalytics) record('analytics', 'pass', 3, 3, true, true, "Analytics Installed");
+      else record('analytics', 'fail', 0, 3, false, true, "No Analytics");
     }
     
     // Schema (JSON-LD) — 12 pts (CRITICAL - MAJOR INCREASE)
-    if (technicalSEO.hasSchema) {
-      if (technicalSEO.hasJsonLd) {
-        technicalPoints += 12;
-        scoreBreakdown.details.push("✓ CRITICAL: Schema.org with Valid JSON-LD: +12");
+    if (applies('schema')) {
+      if (technicalSEO.hasSchema && technicalSEO.hasJsonLd) {
+        record('schema', 'pass', 12, 12, 'json-ld', 'json-ld', "CRITICAL: Schema.org with Valid JSON-LD");
+      } else if (technicalSEO.hasSchema) {
+        record('schema', 'warn', 4, 12, 'microdata', 'json-ld', "Schema Present but NOT JSON-LD (use JSON-LD)");
       } else {
-        technicalPoints += 4;
-        scoreBreakdown.details.push("⚠ Schema Present but NOT JSON-LD (use JSON-LD): +4");
+        record('schema', 'fail', 0, 12, null, 'json-ld', "CRITICAL: No Schema.org Structured Data");
       }
-    } else {
-      scoreBreakdown.details.push("✗ CRITICAL: No Schema.org Structured Data: +0");
     }
     
-    scoreBreakdown.technical = technicalPoints;
-    
     // 🟨 LOCAL SEO — 15 POINTS (Local Business Schema is CRITICAL)
-    let localPoints = 0;
     
     // Business Info (NAP) — 7 pts
-    if (hasPhone) {
-      localPoints += 3;
-      scoreBreakdown.details.push("✓ Phone Number Found: +3");
-    } else {
-      scoreBreakdown.details.push("✗ No Phone Number: +0");
+    if (applies('phone')) {
+      if (hasPhone) record('phone', 'pass', 3, 3, true, true, "Phone Number Found");
+      else record('phone', 'fail', 0, 3, false, true, "No Phone Number");
     }
     
-    if (hasAddress) {
-      localPoints += 4;
-      scoreBreakdown.details.push("✓ Address Found: +4");
-    } else {
-      scoreBreakdown.details.push("✗ No Address: +0");
+    if (applies('address')) {
+      if (hasAddress) record('address', 'pass', 4, 4, true, true, "Address Found");
+      else record('address', 'fail', 0, 4, false, true, "No Address");
     }
     
     // Local Business Schema — 8 pts (CRITICAL - MAJOR INCREASE for local businesses)
-    if (hasLocalBusinessSchema) {
-      localPoints += 8;
-      scoreBreakdown.details.push("✓ CRITICAL: Local Business Schema Present: +8");
-    } else {
-      scoreBreakdown.details.push("✗ CRITICAL: No Local Business Schema: +0");
+    if (applies('localBusinessSchema')) {
+      if (hasLocalBusinessSchema) record('localBusinessSchema', 'pass', 8, 8, true, true, "CRITICAL: Local Business Schema Present");
+      else record('localBusinessSchema', 'fail', 0, 8, false, true, "CRITICAL: No Local Business Schema");
     }
     
-    scoreBreakdown.local = localPoints;
-    
     // 🟥 SOCIAL SIGNALS — 10 POINTS
-    let socialPoints = 0;
     
     // Social Links — 10 pts
     let socialLinksCount = 0;
@@ -1008,26 +1052,40 @@ async function _runCheerioPipeline(url, urlObj, html, screenshotDesktop, screens
     if (social.hasLinkedIn) socialLinksCount++;
     if (social.hasYouTube) socialLinksCount++;
     
-    if (socialLinksCount >= 2) {
-      socialPoints += 10;
-      scoreBreakdown.details.push(`✓ Multiple Social Links (${socialLinksCount}): +10`);
-    } else if (socialLinksCount === 1) {
-      socialPoints += 5;
-      scoreBreakdown.details.push("⚠ One Social Link: +5");
-    } else {
-      scoreBreakdown.details.push("✗ No Social Links: +0");
+    if (applies('socialLinks')) {
+      const expected = { min: 2 };
+      if (socialLinksCount >= 2) {
+        record('socialLinks', 'pass', 10, 10, socialLinksCount, expected, `Multiple Social Links (${socialLinksCount})`);
+      } else if (socialLinksCount === 1) {
+        record('socialLinks', 'warn', 5, 10, 1, expected, "One Social Link");
+      } else {
+        record('socialLinks', 'fail', 0, 10, 0, expected, "No Social Links");
+      }
     }
     
-    scoreBreakdown.social = socialPoints;
+    const categoryPoints = (category) => checks
+      .filter(check => check.category === category)
+      .reduce((sum, check) => sum + check.points, 0);
+
+    const scoreBreakdown = {
+      onPage: categoryPoints('onPage'),
+      technical: categoryPoints('technical'),
+      local: categoryPoints('local'),
+      social: categoryPoints('social'),
+      profile: scoringProfile,
+      checks,
+      // Legacy "✓ Title Tag Perfect (…): +12" strings, kept for existing consumers
+      details: checks.flatMap(legacyDetailLines),
+    };
     
     // 🎯 FINAL SCORE CALCULATION
     const score = scoreBreakdown.onPage + scoreBreakdown.technical + scoreBreakdown.local + scoreBreakdown.social;
     
-    console.log(`[ANALYZER] Score Breakdown:`);
-    console.log(`  On-Page SEO: ${scoreBreakdown.onPage}/45`);
-    console.log(`  Technical SEO: ${scoreBreakdown.technical}/30`);
-    console.log(`  Local SEO: ${scoreBreakdown.local}/15`);
-    console.log(`  Social Signals: ${scoreBreakdown.social}/10`);
+    console.log(`[ANALYZER] Score Breakdown (${scoringProfile.name} profile):`);
+    console.log(`  On-Page SEO: ${scoreBreakdown.onPage}/${weights.onPage}`);
+    console.log(`  Technical SEO: ${scoreBreakdown.technical}/${weights.technical}`);
+    console.log(`  Local SEO: ${scoreBreakdown.local}/${weights.local}`);
+    console.log(`  Social Signals: ${scoreBreakdown.social}/${weights.social}`);
     console.log(`  TOTAL: ${score}/100`);
 
     // Determine Grade
@@ -1046,26 +1104,26 @@ async function _runCheerioPipeline(url, urlObj, html, screenshotDesktop, screens
     else if (score >= 35) grade = "D-";
 
     // Calculate On-Page SEO Score section (for compatibility)
-    let onPageScore = Math.round((scoreBreakdown.onPage / 45) * 100);
+    let onPageScore = weights.onPage > 0 ? Math.round((scoreBreakdown.onPage / weights.onPage) * 100) : 0;
     
     let onPageMessage = "";
     let onPageDescription = "";
     
     if (onPageScore >= 90) {
-      onPageMessage = "Your On-Page SEO is excellent!";
-      onPageDescription = "Outstanding work! Your On-Page SEO is exceptionally well optimized. On-Page SEO is important to ensure Search Engines can understand your content appropriately and help it rank for relevant keywords. Continue maintaining these high standards.";
+      onPageMessage = t("onPage.excellent.message");
+      onPageDescription = t("onPage.excellent.description");
     } else if (onPageScore >= 80) {
-      onPageMessage = "Your On-Page SEO is very good!";
-      onPageDescription = "Congratulations, your On-Page SEO is well optimized. On-Page SEO is important to ensure Search Engines can understand your content appropriately and help it rank for relevant keywords. You can continue to build on your strong position through testing content improvements for gradual gains.";
+      onPageMessage = t("onPage.veryGood.message");
+      onPageDescription = t("onPage.veryGood.description");
     } else if (onPageScore >= 70) {
-      onPageMessage = "Your On-Page SEO is good!";
-      onPageDescription = "Your On-Page SEO is performing well. On-Page SEO is important to ensure Search Engines can understand your content appropriately and help it rank for relevant keywords. There are some areas for improvement that could boost your rankings further.";
+      onPageMessage = t("onPage.good.message");
+      onPageDescription = t("onPage.good.description");
     } else if (onPageScore >= 60) {
-      onPageMessage = "Your On-Page SEO needs improvement";
-      onPageDescription = "Your On-Page SEO has some optimization, but there are significant opportunities for improvement. On-Page SEO is important to ensure Search Engines can understand your content appropriately and help it rank for relevant keywords.";
+      onPageMessage = t("onPage.needsImprovement.message");
+      onPageDescription = t("onPage.needsImprovement.description");
     } else {
-      onPageMessage = "Your On-Page SEO needs significant work";
-      onPageDescription = "Your On-Page SEO requires substantial improvements. On-Page SEO is important to ensure Search Engines can understand your content appropriately and help it rank for relevant keywords. Focus on the recommendations below to improve your search visibility.";
+      onPageMessage = t("onPage.needsWork.message");
+      onPageDescription = t("onPage.needsWork.description");
     }
 
     const onPageSEO = {
@@ -1086,168 +1144,197 @@ async function _runCheerioPipeline(url, urlObj, html, screenshotDesktop, screens
     // Generate Recommendations
     const recommendations = [];
 
+    // Checks the scoring profile leaves out get no recommendations either
+
     // HIGH PRIORITY - On-Page SEO
-    if (!metaTags.hasTitle) {
+    if (!applies('title')) {
+      // Not scored under this profile
+    } else if (!metaTags.hasTitle) {
       recommendations.push({
-        title: "Add a Title Tag to your page",
+        id: "addTitle",
+        title: t("rec.addTitle"),
         category: "On-Page SEO",
         priority: "High Priority",
       });
-    } else if (metaTags.titleLength < 50 || metaTags.titleLength > 60) {
-      if (metaTags.titleLength < 50) {
+    } else if (metaTags.titleLength < titleBand.min || metaTags.titleLength > titleBand.max) {
+      if (metaTags.titleLength < titleBand.min) {
         recommendations.push({
-          title: `Increase Title Tag length from ${metaTags.titleLength} to 50-60 characters`,
+          id: "lengthenTitle",
+          title: t("rec.lengthenTitle", { length: metaTags.titleLength, min: titleBand.min, max: titleBand.max }),
           category: "On-Page SEO",
           priority: "High Priority",
         });
       } else {
         recommendations.push({
-          title: `Shorten Title Tag length from ${metaTags.titleLength} to 50-60 characters`,
+          id: "shortenTitle",
+          title: t("rec.shortenTitle", { length: metaTags.titleLength, min: titleBand.min, max: titleBand.max }),
           category: "On-Page SEO",
           priority: "High Priority",
         });
       }
     }
 
-    if (!metaTags.hasDescription) {
+    if (!applies('metaDescription')) {
+      // Not scored under this profile
+    } else if (!metaTags.hasDescription) {
       recommendations.push({
-        title: "Add a Meta Description to your page",
+        id: "addDescription",
+        title: t("rec.addDescription"),
         category: "On-Page SEO",
         priority: "High Priority",
       });
-    } else if (metaTags.descriptionLength < 120 || metaTags.descriptionLength > 160) {
-      if (metaTags.descriptionLength < 120) {
+    } else if (metaTags.descriptionLength < descriptionBand.min || metaTags.descriptionLength > descriptionBand.max) {
+      if (metaTags.descriptionLength < descriptionBand.min) {
         recommendations.push({
-          title: `Increase Meta Description length from ${metaTags.descriptionLength} to 120-160 characters`,
+          id: "lengthenDescription",
+          title: t("rec.lengthenDescription", { length: metaTags.descriptionLength, min: descriptionBand.min, max: descriptionBand.max }),
           category: "On-Page SEO",
           priority: "High Priority",
         });
       } else {
         recommendations.push({
-          title: `Shorten Meta Description length from ${metaTags.descriptionLength} to 120-160 characters`,
+          id: "shortenDescription",
+          title: t("rec.shortenDescription", { length: metaTags.descriptionLength, min: descriptionBand.min, max: descriptionBand.max }),
           category: "On-Page SEO",
           priority: "High Priority",
         });
       }
     }
 
-    if (headings.h1Count === 0) {
+    if (!applies('h1')) {
+      // Not scored under this profile
+    } else if (headings.h1Count === 0) {
       recommendations.push({
-        title: "Add exactly one H1 Header Tag to your page",
+        id: "addH1",
+        title: t("rec.addH1"),
         category: "On-Page SEO",
         priority: "High Priority",
       });
     } else if (headings.h1Count > 1) {
       recommendations.push({
-        title: `Reduce H1 tags from ${headings.h1Count} to exactly 1`,
+        id: "reduceH1",
+        title: t("rec.reduceH1", { count: headings.h1Count }),
         category: "On-Page SEO",
         priority: "High Priority",
       });
     }
 
     // MEDIUM PRIORITY - On-Page SEO
-    if (headings.h2Count < 2) {
+    if (applies('headingStructure') && headings.h2Count < 2) {
       recommendations.push({
-        title: "Add more H2-H6 heading tags to improve content structure",
+        id: "addHeadings",
+        title: t("rec.addHeadings"),
         category: "On-Page SEO",
         priority: "Medium Priority",
       });
     }
 
-    if (imagesData.total > 0 && imagesData.altPercentage < 100) {
+    if (applies('imageAlt') && imagesData.total > 0 && imagesData.altPercentage < 100) {
       recommendations.push({
-        title: `Add Alt Attributes to ${imagesData.withoutAlt} images (${(100 - imagesData.altPercentage).toFixed(0)}% missing)`,
+        id: "addAltText",
+        title: t("rec.addAltText", { count: imagesData.withoutAlt, percent: (100 - imagesData.altPercentage).toFixed(0) }),
         category: "On-Page SEO",
         priority: "Medium Priority",
       });
     }
 
-    if (content.wordCount < 300) {
+    if (applies('contentLength') && content.wordCount < words.fair) {
       recommendations.push({
-        title: `Increase content length from ${content.wordCount} to at least 300 words`,
+        id: "increaseContent",
+        title: t("rec.increaseContent", { count: content.wordCount, min: words.fair }),
         category: "On-Page SEO",
         priority: "Medium Priority",
       });
     }
 
     // TECHNICAL SEO
-    if (!technicalSEO.hasRobotsTxt) {
+    if (applies('robotsTxt') && !technicalSEO.hasRobotsTxt) {
       recommendations.push({
-        title: "Create a robots.txt file",
+        id: "createRobotsTxt",
+        title: t("rec.createRobotsTxt"),
         category: "Technical SEO",
         priority: "Medium Priority",
       });
     }
 
-    if (!technicalSEO.hasSitemap) {
+    if (applies('sitemap') && !technicalSEO.hasSitemap) {
       recommendations.push({
-        title: "Create an XML Sitemap",
+        id: "createSitemap",
+        title: t("rec.createSitemap"),
         category: "Technical SEO",
         priority: "Medium Priority",
       });
     }
 
-    if (!technicalSEO.hasAnalytics) {
+    if (applies('analytics') && !technicalSEO.hasAnalytics) {
       recommendations.push({
-        title: "Implement an Analytics Tracking Tool",
+        id: "addAnalytics",
+        title: t("rec.addAnalytics"),
         category: "Technical SEO",
         priority: "Low Priority",
       });
     }
 
-    if (!technicalSEO.hasSchema) {
+    if (applies('schema') && !technicalSEO.hasSchema) {
       recommendations.push({
-        title: "Add Schema.org Structured Data",
+        id: "addSchema",
+        title: t("rec.addSchema"),
         category: "Technical SEO",
         priority: "Medium Priority",
       });
     }
 
-    if (!technicalSEO.hasIdentitySchema) {
+    if (applies('schema') && !technicalSEO.hasIdentitySchema) {
       recommendations.push({
-        title: "Add Identity Schema (Organization or Person)",
+        id: "addIdentitySchema",
+        title: t("rec.addIdentitySchema"),
         category: "Technical SEO",
         priority: "Medium Priority",
       });
     }
 
     // LOCAL SEO
-    if (!localSEO.hasPhone) {
+    if (applies('phone') && !localSEO.hasPhone) {
       recommendations.push({
-        title: "Add Phone Number to Website",
+        id: "addPhone",
+        title: t("rec.addPhone"),
         category: "Local SEO",
         priority: "Medium Priority",
       });
     }
 
-    if (!localSEO.hasAddress) {
+    if (applies('address') && !localSEO.hasAddress) {
       recommendations.push({
-        title: "Add Address Information to Website",
+        id: "addAddress",
+        title: t("rec.addAddress"),
         category: "Local SEO",
         priority: "Medium Priority",
       });
     }
 
-    if (!localSEO.hasLocalBusinessSchema) {
+    if (applies('localBusinessSchema') && !localSEO.hasLocalBusinessSchema) {
       recommendations.push({
-        title: "Add Local Business Schema",
+        id: "addLocalBusinessSchema",
+        title: t("rec.addLocalBusinessSchema"),
         category: "Local SEO",
         priority: "Low Priority",
       });
     }
 
     // SOCIAL
-    if (!social.hasFacebookPage) {
+    if (applies('socialLinks') && !social.hasFacebookPage) {
       recommendations.push({
-        title: "Create and link your Facebook Page",
+        id: "linkFacebook",
+        title: t("rec.linkFacebook"),
         category: "Social",
         priority: "Low Priority",
       });
     }
 
-    if (!social.hasInstagram) {
+    if (applies('socialLinks') && !social.hasInstagram) {
       recommendations.push({
-        title: "Create and link an associated Instagram Profile",
+        id: "linkInstagram",
+        title: t("rec.linkInstagram"),
         category: "Social",
         priority: "Low Priority",
       });
@@ -1257,6 +1344,7 @@ async function _runCheerioPipeline(url, urlObj, html, screenshotDesktop, screens
 
     return {
       url,
+      locale: locale || DEFAULT_LOCALE,
       score,
       grade,
       scoreBreakdown,
@@ -1282,7 +1370,13 @@ async function _runCheerioPipeline(url, urlObj, html, screenshotDesktop, screens
     };
 }
 
-export async function analyzeSEO(url) {
+/**
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {Object} [options.scoringProfile] - Resolved profile from resolveScoringProfile() (default: local-business)
+ * @param {string} [options.locale] - Language for messages and recommendation titles (default: en)
+ */
+export async function analyzeSEO(url, { scoringProfile = defaultScoringProfile, locale = DEFAULT_LOCALE } = {}) {
   console.log(`[ANALYZER] Starting analysis for: ${url}`);
   
   // Ensure URL has protocol
@@ -1402,7 +1496,7 @@ export async function analyzeSEO(url) {
     console.log(`[ANALYZER] Browser closed`);
 
 
-    return await _runCheerioPipeline(url, urlObj, html, screenshotDesktop, screenshotMobile, loadTime);
+    return await _runCheerioPipeline(url, urlObj, html, screenshotDesktop, screenshotMobile, loadTime, scoringProfile, locale);
   } catch (error) {
     console.error(`[ANALYZER] ERROR analyzing SEO for ${url}:`, error.message);
     throw error;
@@ -1419,7 +1513,7 @@ export async function analyzeSEO(url) {
 }
 
 // Analyze SEO from pre-fetched HTML (e.g. via scrape.do)
-export async function analyzeSEOFromHTML(url, html, screenshotDesktop = "", screenshotMobile = "") {
+export async function analyzeSEOFromHTML(url, html, screenshotDesktop = "", screenshotMobile = "", { scoringProfile = defaultScoringProfile, locale = DEFAULT_LOCALE } = {}) {
   console.log(`[ANALYZER] Starting HTML-based analysis for: ${url}`);
 
   if (!url.startsWith("http://") && !url.startsWith("https://")) {
@@ -1434,5 +1528,5 @@ export async function analyzeSEOFromHTML(url, html, screenshotDesktop = "", scre
     throw new Error(`Invalid URL: "${url}". Please provide a valid web address.`);
   }
 
-  return await _runCheerioPipeline(url, urlObj, html, screenshotDesktop, screenshotMobile, 0);
+  return await _runCheerioPipeline(url, urlObj, html, screenshotDesktop, screenshotMobile, 0, scoringProfile, locale);
 }
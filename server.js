@@ -5,7 +5,7 @@
  * It runs independently on a VPS and is called by the Next.js frontend.
  * 
  * Architecture:
- * - Express.js server with API key authentication
+ * - Express.js server with per-client API keys (scopes, quotas, rate limits)
  * - Puppeteer for web scraping and screenshots
  * - Cheerio for HTML parsing and analysis
  * - CORS enabled for frontend access
@@ -13,23 +13,69 @@
  * Endpoints:
  * - GET  /health         - Health check (no auth required)
  * - POST /api/analyze    - SEO analysis (requires X-API-Key header)
+ * - GET  /api/scoring-profiles - Named scoring profiles accepted as `scoringProfile`
+ * - POST /api/analyze/batch - Queue a bulk analysis of a URL list (JSON or CSV)
+ * - GET  /api/analyze/batch/:jobId/results - Batch results as CSV or JSON
+ * - POST /api/compare    - Queue a primary-vs-competitors comparison, returns a job ID
+ * - POST /api/crawl-site - Queue a background site crawl, returns a job ID
+ * - GET  /api/crawl-site/:jobId/export - Crawl results as CSV, XLSX or NDJSON
+ * - GET  /api/crawl-site/:jobId/graph - Internal link graph as JSON or GraphML
+ * - GET  /api/jobs/:id   - Background job status, progress and result
+ * - GET  /api/jobs/:id/events - Server-Sent Events stream of job progress
+ * - GET  /api/reports    - Stored report history (GET/DELETE /api/reports/:id)
+ * - GET  /api/reports/:id/compare/:otherId - Diff two stored reports
+ * - GET  /api/reports/:id/export - Stored site crawl as CSV, XLSX or NDJSON
+ * - GET  /api/reports/:id/graph - Stored site crawl's internal link graph as JSON or GraphML
+ * - /api/monitors        - CRUD for scheduled recurring audits
+ * - /api/webhooks        - Signed webhook subscriptions + delivery log
+ * - GET  /api/usage      - Quota and usage counters for the calling API key
+ * - /api/admin/keys      - Create, rotate and revoke API keys (operator key only)
  */
 
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
-import rateLimit from 'express-rate-limit';
+import rateLimit, { ipKeyGenerator } from 'express-rate-limit';
 import dotenv from 'dotenv';
 import puppeteer from 'puppeteer';
 import axios from 'axios';
 import * as cheerio from 'cheerio';
-import pkg from 'pg';
+import { randomUUID, createHash } from 'crypto';
 import { analyzeSEO, analyzeSEOFromHTML } from './seo-analyzer.js';
 import { validateSchema } from './schema-validator.js';
-import { generatePDF } from './pdf-generator.js';
+import { generatePDF, generateComparisonPDF, generateSiteAuditPDF } from './pdf-generator.js';
 import { crawlSite } from './site-crawler.js';
-
-const { Pool } = pkg;
+import { dbPool, runMigrations } from './db.js';
+import { saveReport, listReports, getReport, deleteReport, isReportIdTaken } from './report-store.js';
+import { diffAnalysisReports, diffCrawlReports, isSameSite } from './report-diff.js';
+import { urlsFromCsv, buildBatchRow, buildBatchErrorRow, batchRowsToCsv } from './batch-analysis.js';
+import { buildComparisonMatrix } from './competitor-comparison.js';
+import { writeCrawlExport, CRAWL_EXPORT_FORMATS } from './crawl-export.js';
+import { linkGraphToGraphML, LINK_GRAPH_FORMATS } from './link-graph.js';
+import { resolveScoringProfile, SCORING_PROFILES, SCORING_CHECKS, DEFAULT_SCORING_PROFILE } from './scoring-profiles.js';
+import { resolveLocale, createTranslator, SUPPORTED_LOCALES, DEFAULT_LOCALE } from './i18n.js';
+import { resolveBranding } from './pdf-branding.js';
+import {
+  MONITOR_MODES, MISSED_RUN_POLICIES,
+  createMonitor, listMonitors, getMonitor, updateMonitor, deleteMonitor,
+} from './monitor-store.js';
+import { startMonitorScheduler, stopMonitorScheduler, nextRunAfter, validateCron } from './monitor-scheduler.js';
+import {
+  API_KEY_SCOPES, hashApiKey, findApiKeyByHash, recordUsage, recordUsageWithinQuota, getUsageTotals, getUsageHistory,
+  createApiKey, listApiKeys, getApiKey, updateApiKey, rotateApiKey, revokeApiKey,
+} from './api-key-store.js';
+import {
+  WEBHOOK_EVENTS,
+  createWebhook, listWebhooks, getWebhook, updateWebhook, deleteWebhook,
+  getActiveWebhooks, listDeliveries,
+} from './webhook-store.js';
+import {
+  notifyAuditCompleted, sendWebhookEvent, startWebhookDispatcher, stopWebhookDispatcher,
+} from './webhook-dispatcher.js';
+import {
+  createJob, getJob, startJob, setJobPhase, setJobProgress, completeJob, failJob,
+  serializeJob, subscribeToJob, getJobStats,
+} from './job-queue.js';
 
 dotenv.config();
 
@@ -39,9 +85,10 @@ const API_KEY = process.env.API_KEY;
 
 // ---------------------------------------------------------------------------
 // URL sanitizer — ensures only valid public http(s) URLs reach Puppeteer/Axios.
-// Blocks private / loopback addresses to prevent SSRF.
+// Blocks private / loopback addresses to prevent SSRF unless allowPrivate is
+// set (webhook targets in development, see WEBHOOK_ALLOW_PRIVATE_URLS).
 // ---------------------------------------------------------------------------
-function validateHttpUrl(raw) {
+function validateHttpUrl(raw, { allowPrivate = false } = {}) {
   if (!raw || typeof raw !== 'string') return null;
   // Add protocol if missing so bare domains like "example.com" are accepted
   let normalized = raw.trim();
@@ -51,16 +98,22 @@ function validateHttpUrl(raw) {
   let parsed;
   try { parsed = new URL(normalized); } catch { return null; }
   if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+  if (allowPrivate) return parsed.href;
   const host = parsed.hostname.toLowerCase();
-  // Block loopback, link-local, and private RFC-1918 ranges
+  // Block loopback, link-local, and private RFC-1918 ranges. IPv6 hostnames
+  // keep their brackets ('[::1]'); IPv4-mapped ones are blocked outright.
   if (
     host === 'localhost' ||
     /^127\./.test(host) ||
     /^0\./.test(host) ||
     /^10\./.test(host) ||
     /^192\.168\./.test(host) ||
+    /^169\.254\./.test(host) ||
     /^172\.(1[6-9]|2\d|3[01])\./.test(host) ||
-    host === '::1' ||
+    host === '[::1]' ||
+    host === '[::]' ||
+    /^\[(f[cd][0-9a-f]{2}|fe[89ab][0-9a-f]):/.test(host) ||
+    /^\[::ffff:/.test(host) ||
     host === '0.0.0.0'
   ) return null;
   return parsed.href;
@@ -113,12 +166,6 @@ const crawlSemaphore     = new Semaphore(Math.max(1, MAX_CONCURRENT_ANALYSES - 1
 // Use a mutex (max=1) to serialize all Lighthouse audits.
 const lighthouseSemaphore = new Semaphore(1);
 
-// DB pool for backlink storage
-const dbPool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.DATABASE_URL?.includes('supabase') ? { rejectUnauthorized: false } : false,
-});
-
 // Security middleware
 app.use(helmet());
 
@@ -154,37 +201,165 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ limit: '10mb', extended: true }));
 
 // ---------------------------------------------------------------------------
-// Rate limiting
-// General: 60 req/min per IP on all /api/* routes.
+// API keys — clients send X-API-Key. Keys are stored hashed in Postgres
+// (api-key-store.js) with scopes, quotas and their own rate limits. The env
+// API_KEY keeps working as the operator key: every scope, no quota, and the
+// only key allowed on /api/admin/*.
+// ---------------------------------------------------------------------------
+const API_KEY_CACHE_MS = parseInt(process.env.API_KEY_CACHE_MS || "30000", 10);
+const API_KEY_CACHE_MAX = 10000;
+const apiKeyCache = new Map(); // key hash → { apiKey, expiresAt } — unknown keys are cached as null too
+
+function operatorApiKey() {
+  return {
+    // Fingerprint of the env key — the owner ID its webhooks and monitors were created under
+    id: createHash('sha256').update(API_KEY).digest('hex').slice(0, 16),
+    name: 'operator',
+    scopes: API_KEY_SCOPES,
+    dailyQuota: null,
+    monthlyQuota: null,
+    rateLimitPerMinute: null,
+    heavyRateLimitPerMinute: null,
+    isAdmin: true,
+  };
+}
+
+async function lookupApiKey(rawKey) {
+  if (!rawKey || typeof rawKey !== 'string') return null;
+
+  if (API_KEY && rawKey === API_KEY) return operatorApiKey();
+  if (!process.env.DATABASE_URL) return null;
+
+  const keyHash = hashApiKey(rawKey);
+  const cached = apiKeyCache.get(keyHash);
+  if (cached && cached.expiresAt > Date.now()) return cached.apiKey;
+
+  const apiKey = await findApiKeyByHash(keyHash);
+  if (apiKeyCache.size >= API_KEY_CACHE_MAX) apiKeyCache.clear();
+  apiKeyCache.set(keyHash, { apiKey, expiresAt: Date.now() + API_KEY_CACHE_MS });
+  return apiKey;
+}
+
+// Look the key up once per request — the rate limiters and auth share the result
+function resolveApiKey(req) {
+  if (!req.apiKeyLookup) req.apiKeyLookup = lookupApiKey(req.headers['x-api-key']);
+  return req.apiKeyLookup;
+}
+
+// ---------------------------------------------------------------------------
+// Rate limiting — one bucket per API key (requests without a valid key fall
+// back to their IP). Keys can override the defaults below.
+// General: 60 req/min on all /api/* routes.
 // Heavy:   10 req/min on CPU/browser-intensive endpoints.
 // ---------------------------------------------------------------------------
+const DEFAULT_RATE_LIMIT       = parseInt(process.env.RATE_LIMIT_PER_MINUTE       || "60", 10);
+const DEFAULT_HEAVY_RATE_LIMIT = parseInt(process.env.HEAVY_RATE_LIMIT_PER_MINUTE || "10", 10);
+
+const rateLimitKey = async (req) => {
+  const apiKey = await resolveApiKey(req).catch(() => null);
+  return apiKey ? `key:${apiKey.id}` : `ip:${ipKeyGenerator(req.ip)}`;
+};
+
 const generalLimiter = rateLimit({
   windowMs: 60 * 1000,
-  max: 60,
+  max: async (req) => (await resolveApiKey(req).catch(() => null))?.rateLimitPerMinute ?? DEFAULT_RATE_LIMIT,
+  keyGenerator: rateLimitKey,
   standardHeaders: true,
   legacyHeaders: false,
   message: { error: 'Too many requests — please try again in a minute.' },
 });
 const heavyLimiter = rateLimit({
   windowMs: 60 * 1000,
-  max: 10,
+  max: async (req) => (await resolveApiKey(req).catch(() => null))?.heavyRateLimitPerMinute ?? DEFAULT_HEAVY_RATE_LIMIT,
+  keyGenerator: rateLimitKey,
   standardHeaders: true,
   legacyHeaders: false,
   message: { error: 'Too many requests for this endpoint — please slow down.' },
 });
 app.use('/api/', generalLimiter);
-['/api/analyze', '/api/crawl-site', '/api/lighthouse', '/api/crawl-backlinks', '/api/generate-pdf'].forEach(
+['/api/analyze', '/api/compare', '/api/crawl-site', '/api/lighthouse', '/api/crawl-backlinks', '/api/generate-pdf'].forEach(
   (path) => app.use(path, heavyLimiter)
 );
 
 // API Key authentication middleware
-const authenticateApiKey = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'];
-  
-  if (!apiKey || apiKey !== API_KEY) {
+const authenticateApiKey = async (req, res, next) => {
+  let apiKey;
+  try {
+    apiKey = await resolveApiKey(req);
+  } catch (err) {
+    console.error('[AUTH] API key lookup failed:', err.message);
+    return res.status(503).json({ error: 'API key lookup failed — please try again in a moment.' });
+  }
+
+  if (!apiKey) {
     return res.status(401).json({ error: 'Unauthorized: Invalid API key' });
   }
-  
+
+  req.apiKey = apiKey;
+  // Stable, non-secret identifier for the caller — owns webhooks, monitors and usage
+  req.apiKeyId = apiKey.id;
+  next();
+};
+
+// Check the key's quotas for `units` more requests and count them.
+// Returns an error message when a quota would be exceeded, otherwise null.
+// Accounting failures are logged but never block a request, so quotas are
+// not enforced while the database is unreachable.
+async function chargeUsage(apiKey, scope, units = 1, now = new Date()) {
+  if (!process.env.DATABASE_URL || units <= 0) return null;
+  try {
+    if (apiKey.dailyQuota == null && apiKey.monthlyQuota == null) {
+      await recordUsage(apiKey.id, scope, units, now);
+      return null;
+    }
+    const exceeded = await recordUsageWithinQuota(apiKey.id, scope, units, apiKey, now);
+    if (exceeded) {
+      return `${exceeded.period === 'day' ? 'Daily' : 'Monthly'} quota of ${exceeded.quota} requests exceeded (${exceeded.used} used)`;
+    }
+  } catch (err) {
+    console.warn(`[AUTH] Usage accounting failed for key ${apiKey.id}: ${err.message}`);
+  }
+  return null;
+}
+
+// Give back units charged at `chargedAt` — booked on the same day even if the
+// request finished after midnight
+function refundUsage(apiKey, scope, units, chargedAt) {
+  if (!process.env.DATABASE_URL) return;
+  recordUsage(apiKey.id, scope, -units, chargedAt)
+    .catch(err => console.warn(`[AUTH] Usage refund failed for key ${apiKey.id}: ${err.message}`));
+}
+
+// Scope and quota check for metered endpoints — runs after authenticateApiKey
+// and counts the request as one unit of usage. Requests the handler turns away
+// (4xx: bad URL, unknown locale or profile, batch over quota…) are refunded;
+// a 422 is not, since the target site was already fetched.
+const requireScope = (scope) => async (req, res, next) => {
+  if (!req.apiKey.scopes.includes(scope)) {
+    return res.status(403).json({ success: false, error: `This API key does not have the '${scope}' scope` });
+  }
+  const chargedAt = new Date();
+  const quotaError = await chargeUsage(req.apiKey, scope, 1, chargedAt);
+  if (quotaError) return res.status(429).json({ success: false, error: quotaError });
+  res.on('finish', () => {
+    if (res.statusCode >= 400 && res.statusCode < 500 && res.statusCode !== 422) {
+      refundUsage(req.apiKey, scope, 1, chargedAt);
+    }
+  });
+  next();
+};
+
+const requireAdmin = (req, res, next) => {
+  if (!req.apiKey?.isAdmin) {
+    return res.status(403).json({ success: false, error: 'Admin API key required' });
+  }
+  next();
+};
+
+const requireDatabase = (req, res, next) => {
+  if (!process.env.DATABASE_URL) {
+    return res.status(503).json({ success: false, error: 'This endpoint requires DATABASE_URL to be configured' });
+  }
   next();
 };
 
@@ -198,17 +373,48 @@ app.get('/health', (req, res) => {
       analysis: { active: analysisSemaphore.active, queued: analysisSemaphore.queued, max: analysisSemaphore.max },
       crawl:    { active: crawlSemaphore.active,    queued: crawlSemaphore.queued,    max: crawlSemaphore.max },
     },
+    jobs: getJobStats(),
+  });
+});
+
+// Scoring profiles accepted as `scoringProfile` by the analyze, batch, compare and monitor endpoints
+app.get('/api/scoring-profiles', authenticateApiKey, (req, res) => {
+  const profiles = Object.keys(SCORING_PROFILES).map(name => resolveScoringProfile(name).profile);
+  res.json({
+    success: true,
+    default: DEFAULT_SCORING_PROFILE,
+    profiles,
+    checks: Object.keys(SCORING_CHECKS),
   });
 });
 
+// Report language accepted as `locale` by the analyze, batch, compare, crawl, monitor and PDF endpoints
+const LOCALE_ERROR = `locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`;
+
+// Download formats accepted by the crawl export endpoints
+const EXPORT_FORMAT_ERROR = `format must be one of: ${Object.keys(CRAWL_EXPORT_FORMATS).join(', ')}`;
+const GRAPH_FORMAT_ERROR = `format must be one of: ${Object.keys(LINK_GRAPH_FORMATS).join(', ')}`;
+
 // SEO Analysis endpoint (auth required)
-app.post('/api/analyze', authenticateApiKey, async (req, res) => {
-  const { url: rawUrl, reportId, crawler } = req.body;
+app.post('/api/analyze', authenticateApiKey, requireScope('analyze'), async (req, res) => {
+  const { url: rawUrl, crawler } = req.body;
+  const reportId = req.body.reportId || randomUUID();
   const url = validateHttpUrl(rawUrl);
 
   if (!url) {
     return res.status(400).json({ error: 'A valid public http:// or https:// URL is required' });
   }
+  const { profile: scoringProfile, error: profileError } = resolveScoringProfile(req.body.scoringProfile);
+  if (profileError) {
+    return res.status(400).json({ success: false, error: profileError, reportId });
+  }
+  const locale = resolveLocale(req.body.locale);
+  if (!locale) {
+    return res.status(400).json({ success: false, error: LOCALE_ERROR, reportId });
+  }
+  if (req.body.reportId && await reportIdTaken(reportId, req.apiKeyId)) {
+    return res.status(409).json({ success: false, error: REPORT_ID_TAKEN_ERROR, reportId });
+  }
 
   // ── Scrape.do path ──────────────────────────────────────────────────────────
   if (crawler === 'scrapedo') {
@@ -242,56 +448,12 @@ app.post('/api/analyze', authenticateApiKey, async (req, res) => {
     }, ANALYSIS_TIMEOUT_MS);
 
     try {
-      const baseParams = new URLSearchParams({ token: scrapeDoToken, url, render: 'true' });
-
-      // Fetch HTML
-      const htmlRes = await fetch(`https://api.scrape.do?${baseParams}`);
-      if (!htmlRes.ok) {
-        throw new Error(`Scrape.do returned HTTP ${htmlRes.status}`);
-      }
-      const html = await htmlRes.text();
-      console.log(`[BACKEND] scrape.do HTML fetched, size: ${html.length} bytes`);
-
-      // Fetch a screenshot from scrape.do; returns full data URI or '' on failure
-      // Note: screenshot=true already implies JS rendering — adding render=true causes a 400
-      const fetchScrapeDoScreenshot = async (extraParams = {}) => {
-        try {
-          const params = new URLSearchParams({ token: scrapeDoToken, url, screenshot: 'true', ...extraParams });
-          const ssRes = await fetch(`https://api.scrape.do?${params}`);
-          if (!ssRes.ok) {
-            const errBody = await ssRes.text().catch(() => '(unreadable)');
-            console.warn(`[BACKEND] scrape.do screenshot HTTP ${ssRes.status}: ${errBody.slice(0, 200)}`);
-            return '';
-          }
-          const contentType = ssRes.headers.get('content-type') || '';
-          const mime = contentType.split(';')[0].trim();
-          if (!mime.startsWith('image/')) {
-            const body = await ssRes.text();
-            console.warn(`[BACKEND] scrape.do screenshot non-image (${mime || 'no content-type'}): ${body.slice(0, 200)}`);
-            return '';
-          }
-          const buf = await ssRes.arrayBuffer();
-          console.log(`[BACKEND] scrape.do screenshot OK (${mime}, ${buf.byteLength} bytes)`);
-          return `data:${mime};base64,${Buffer.from(buf).toString('base64')}`;
-        } catch (err) {
-          console.warn(`[BACKEND] scrape.do screenshot error: ${err.message}`);
-          return '';
-        }
-      };
-
-      // Fetch desktop + mobile screenshots in parallel
-      // scrape.do uses `width` for mobile viewport (390 = iPhone), not device=mobile
-      const [screenshotDesktop, screenshotMobile] = await Promise.all([
-        fetchScrapeDoScreenshot(),
-        fetchScrapeDoScreenshot({ width: '390' }),
-      ]);
-
-      console.log(`[BACKEND] Screenshots: desktop=${screenshotDesktop ? 'OK' : 'empty'}, mobile=${screenshotMobile ? 'OK' : 'empty'}`);
-
-      const result = await analyzeSEOFromHTML(url, html, screenshotDesktop, screenshotMobile);
+      const result = await analyzeWithScrapeDo(url, scrapeDoToken, { scoringProfile, locale });
       clearTimeout(timeoutHandle);
       release();
       console.log(`[BACKEND] scrape.do analysis completed for: ${url}`);
+      await persistReport({ id: reportId, url, type: 'analysis', data: result, apiKeyId: req.apiKeyId });
+      notifyWebhooks(req.apiKeyId, { kind: 'analysis', url, reportId, score: result.score, summary: { score: result.score, grade: result.grade } });
 
       if (!res.headersSent) {
         res.json({ success: true, data: result, reportId });
@@ -341,10 +503,12 @@ app.post('/api/analyze', authenticateApiKey, async (req, res) => {
 
   try {
     console.log(`[BACKEND] Starting SEO analysis for: ${url} (Report ID: ${reportId || 'N/A'})`);
-    const result = await analyzeSEO(url);
+    const result = await analyzeSEO(url, { scoringProfile, locale });
     clearTimeout(timeoutHandle);
     release();
     console.log(`[BACKEND] Analysis completed for: ${url}`);
+    await persistReport({ id: reportId, url, type: 'analysis', data: result, apiKeyId: req.apiKeyId });
+    notifyWebhooks(req.apiKeyId, { kind: 'analysis', url, reportId, score: result.score, summary: { score: result.score, grade: result.grade } });
 
     if (!res.headersSent) {
       res.json({ success: true, data: result, reportId });
@@ -366,8 +530,339 @@ app.post('/api/analyze', authenticateApiKey, async (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// Scrape.do analysis — fetches rendered HTML + screenshots through scrape.do
+// and runs the same Cheerio pipeline as the Puppeteer path.
+// ---------------------------------------------------------------------------
+async function analyzeWithScrapeDo(url, scrapeDoToken, analysisOptions = {}) {
+  const baseParams = new URLSearchParams({ token: scrapeDoToken, url, render: 'true' });
+
+  // Fetch HTML
+  const htmlRes = await fetch(`https://api.scrape.do?${baseParams}`);
+  if (!htmlRes.ok) {
+    throw new Error(`Scrape.do returned HTTP ${htmlRes.status}`);
+  }
+  const html = await htmlRes.text();
+  console.log(`[BACKEND] scrape.do HTML fetched, size: ${html.length} bytes`);
+
+  // Fetch a screenshot from scrape.do; returns full data URI or '' on failure
+  // Note: screenshot=true already implies JS rendering — adding render=true causes a 400
+  const fetchScrapeDoScreenshot = async (extraParams = {}) => {
+    try {
+      const params = new URLSearchParams({ token: scrapeDoToken, url, screenshot: 'true', ...extraParams });
+      const ssRes = await fetch(`https://api.scrape.do?${params}`);
+      if (!ssRes.ok) {
+        const errBody = await ssRes.text().catch(() => '(unreadable)');
+        console.warn(`[BACKEND] scrape.do screenshot HTTP ${ssRes.status}: ${errBody.slice(0, 200)}`);
+        return '';
+      }
+      const contentType = ssRes.headers.get('content-type') || '';
+      const mime = contentType.split(';')[0].trim();
+      if (!mime.startsWith('image/')) {
+        const body = await ssRes.text();
+        console.warn(`[BACKEND] scrape.do screenshot non-image (${mime || 'no content-type'}): ${body.slice(0, 200)}`);
+        return '';
+      }
+      const buf = await ssRes.arrayBuffer();
+      console.log(`[BACKEND] scrape.do screenshot OK (${mime}, ${buf.byteLength} bytes)`);
+      return `data:${mime};base64,${Buffer.from(buf).toString('base64')}`;
+    } catch (err) {
+      console.warn(`[BACKEND] scrape.do screenshot error: ${err.message}`);
+      return '';
+    }
+  };
+
+  // Fetch desktop + mobile screenshots in parallel
+  // scrape.do uses `width` for mobile viewport (390 = iPhone), not device=mobile
+  const [screenshotDesktop, screenshotMobile] = await Promise.all([
+    fetchScrapeDoScreenshot(),
+    fetchScrapeDoScreenshot({ width: '390' }),
+  ]);
+
+  console.log(`[BACKEND] Screenshots: desktop=${screenshotDesktop ? 'OK' : 'empty'}, mobile=${screenshotMobile ? 'OK' : 'empty'}`);
+
+  return analyzeSEOFromHTML(url, html, screenshotDesktop, screenshotMobile, analysisOptions);
+}
+
+// ---------------------------------------------------------------------------
+// Batch analysis — a JSON array or CSV of URLs analyzed as one background job.
+// Each URL takes its turn on analysisSemaphore like a normal /api/analyze
+// call; failures are recorded per row instead of aborting the batch.
+// ---------------------------------------------------------------------------
+const BATCH_MAX_URLS = parseInt(process.env.BATCH_MAX_URLS || "500", 10);
+
+app.post(
+  '/api/analyze/batch',
+  authenticateApiKey,
+  requireScope('analyze'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+  async (req, res) => {
+    const crawler = req.query.crawler || req.body?.crawler;
+    let rawUrls;
+    if (typeof req.body === 'string') rawUrls = urlsFromCsv(req.body);
+    else if (Array.isArray(req.body)) rawUrls = req.body;
+    else if (Array.isArray(req.body?.urls)) rawUrls = req.body.urls;
+    else if (typeof req.body?.csv === 'string') rawUrls = urlsFromCsv(req.body.csv);
+
+    if (!rawUrls || rawUrls.length === 0) {
+      return res.status(400).json({ success: false, error: 'Provide a JSON array of URLs ({ "urls": [...] }) or a CSV with a url column' });
+    }
+
+    // Deduplicate after normalisation so "example.com" and "https://example.com/" run once
+    const seen = new Set();
+    const entries = [];
+    for (const raw of rawUrls) {
+      const input = String(raw ?? '').trim();
+      const url = validateHttpUrl(input);
+      const key = url || input;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      entries.push({ input, url });
+    }
+    if (entries.length > BATCH_MAX_URLS) {
+      return res.status(400).json({ success: false, error: `A batch can contain at most ${BATCH_MAX_URLS} URLs (got ${entries.length})` });
+    }
+    const { profile: scoringProfile, error: profileError } = resolveScoringProfile(req.query.scoringProfile || req.body?.scoringProfile);
+    if (profileError) {
+      return res.status(400).json({ success: false, error: profileError });
+    }
+    const locale = resolveLocale(req.query.locale || req.body?.locale);
+    if (!locale) {
+      return res.status(400).json({ success: false, error: LOCALE_ERROR });
+    }
+    if (crawler === 'scrapedo' && !process.env.SCRAPE_DO_TOKEN) {
+      return res.status(500).json({
+        success: false,
+        error: 'Scrape.do credentials are not configured. Please add SCRAPE_DO_TOKEN to the backend environment.',
+      });
+    }
+
+    // requireScope already counted one unit — charge the rest of the batch
+    const runnable = entries.filter(e => e.url).length;
+    const quotaError = await chargeUsage(req.apiKey, 'analyze', runnable - 1);
+    if (quotaError) return res.status(429).json({ success: false, error: quotaError });
+
+    const job = createJob('analyze-batch', {
+      count: entries.length,
+      crawler: crawler === 'scrapedo' ? 'scrapedo' : 'puppeteer',
+      scoringProfile: scoringProfile.name,
+      locale,
+    }, { apiKeyId: req.apiKeyId });
+    runBatchJob(job.id, entries, { useScrapeDo: crawler === 'scrapedo', scoringProfile, locale, apiKeyId: req.apiKeyId });
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      count: entries.length,
+      statusUrl: `/api/jobs/${job.id}`,
+      resultsUrl: `/api/analyze/batch/${job.id}/results?format=csv`,
+    });
+  }
+);
+
+// Download a finished batch as ?format=csv (default) or ?format=json
+app.get('/api/analyze/batch/:jobId/results', authenticateApiKey, (req, res) => {
+  const job = getOwnedJob(req, req.params.jobId);
+  if (!job || job.type !== 'analyze-batch') {
+    return res.status(404).json({ success: false, error: 'Batch not found' });
+  }
+  if (job.status !== 'completed') {
+    return res.status(409).json({ success: false, error: `Batch is ${job.status}`, status: job.status, progress: job.progress });
+  }
+
+  if (req.query.format === 'json') {
+    return res.json({ success: true, summary: job.summary, results: job.result.rows });
+  }
+  res.attachment(`batch-${job.id}.csv`);
+  res.type('text/csv').send(batchRowsToCsv(job.result.rows));
+});
+
+// Analyze one URL under analysisSemaphore with the standard timeout
+async function analyzeQueued(url, { useScrapeDo = false, scoringProfile, locale } = {}) {
+  const ANALYSIS_TIMEOUT_MS = parseInt(process.env.ANALYSIS_TIMEOUT_MS || "90000", 10);
+  return runQueued(
+    analysisSemaphore,
+    () => useScrapeDo
+      ? analyzeWithScrapeDo(url, process.env.SCRAPE_DO_TOKEN, { scoringProfile, locale })
+      : analyzeSEO(url, { scoringProfile, locale }),
+    ANALYSIS_TIMEOUT_MS,
+    'Analysis timed out — the target website took too long to respond.'
+  );
+}
+
+// Run fn over items with one worker per analysis slot — queuing a long list on
+// the semaphore all at once would trip its queue timeout for the tail
+async function runPooled(items, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(MAX_CONCURRENT_ANALYSES, items.length) }, worker));
+  return results;
+}
+
+async function runBatchJob(jobId, entries, { useScrapeDo, scoringProfile, locale, apiKeyId }) {
+  try {
+    let done = 0;
+
+    startJob(jobId);
+    setJobPhase(jobId, 'analyzing', `Analyzing ${entries.length} URLs`);
+    console.log(`[BACKEND] Starting batch ${jobId}: ${entries.length} URLs`);
+
+    const analyzeEntry = async ({ input, url }) => {
+      if (!url) return buildBatchErrorRow(input, 'invalid', 'Not a valid public http:// or https:// URL');
+      try {
+        const result = await analyzeQueued(url, { useScrapeDo, scoringProfile, locale });
+        const reportId = randomUUID();
+        await persistReport({ id: reportId, url, type: 'analysis', data: result, apiKeyId });
+        return buildBatchRow(url, result, reportId);
+      } catch (error) {
+        // Same split as /api/analyze: SiteError = the target's fault, anything else is retryable
+        return buildBatchErrorRow(url, error.name === 'SiteError' ? 'site' : 'infra', error.message || 'Failed to analyze website');
+      }
+    };
+
+    const rows = await runPooled(entries, async (entry) => {
+      const row = await analyzeEntry(entry);
+      done++;
+      setJobProgress(jobId, (done / entries.length) * 100, { done, total: entries.length, url: row.url });
+      return row;
+    });
+
+    const failed = rows.filter(r => r.status === 'failed');
+    const summary = {
+      total: rows.length,
+      completed: rows.length - failed.length,
+      failed: failed.length,
+      invalid: failed.filter(r => r.errorType === 'invalid').length,
+      siteErrors: failed.filter(r => r.errorType === 'site').length,
+      infraErrors: failed.filter(r => r.errorType === 'infra').length,
+    };
+    console.log(`[BACKEND] Batch ${jobId} finished: ${summary.completed}/${summary.total} analyzed`);
+    completeJob(jobId, { rows, summary }, summary);
+  } catch (error) {
+    console.error('[BACKEND] Batch job error:', error);
+    failJob(jobId, error.message || 'Batch analysis failed');
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Competitor comparison — analyzes a primary URL and its competitors as a
+// background job and lines the results up in a matrix (competitor-comparison.js).
+// Render the job result with POST /api/generate-pdf { layout: 'competitor-comparison' }.
+// ---------------------------------------------------------------------------
+const COMPARE_MAX_COMPETITORS = parseInt(process.env.COMPARE_MAX_COMPETITORS || "5", 10);
+
+app.post('/api/compare', authenticateApiKey, requireScope('analyze'), async (req, res) => {
+  const url = validateHttpUrl(req.body.url);
+  const { competitors: rawCompetitors, crawler } = req.body;
+  const reportId = req.body.reportId || randomUUID();
+
+  if (!url) {
+    return res.status(400).json({ error: 'A valid public http:// or https:// URL is required' });
+  }
+  if (!Array.isArray(rawCompetitors) || rawCompetitors.length === 0) {
+    return res.status(400).json({ success: false, error: 'competitors must be a non-empty array of URLs' });
+  }
+
+  const competitors = [];
+  for (const raw of rawCompetitors) {
+    const competitor = validateHttpUrl(raw);
+    if (!competitor) {
+      return res.status(400).json({ success: false, error: `Invalid competitor URL: ${String(raw).slice(0, 200)}` });
+    }
+    if (competitor !== url && !competitors.includes(competitor)) competitors.push(competitor);
+  }
+  if (competitors.length === 0) {
+    return res.status(400).json({ success: false, error: 'competitors must include at least one URL other than the primary site' });
+  }
+  if (competitors.length > COMPARE_MAX_COMPETITORS) {
+    return res.status(400).json({ success: false, error: `At most ${COMPARE_MAX_COMPETITORS} competitors can be compared at once` });
+  }
+  // Every site is scored with the same profile, otherwise the scores don't line up
+  const { profile: scoringProfile, error: profileError } = resolveScoringProfile(req.body.scoringProfile);
+  if (profileError) {
+    return res.status(400).json({ success: false, error: profileError });
+  }
+  const locale = resolveLocale(req.body.locale);
+  if (!locale) {
+    return res.status(400).json({ success: false, error: LOCALE_ERROR });
+  }
+  if (req.body.reportId && await reportIdTaken(reportId, req.apiKeyId)) {
+    return res.status(409).json({ success: false, error: REPORT_ID_TAKEN_ERROR, reportId });
+  }
+  if (crawler === 'scrapedo' && !process.env.SCRAPE_DO_TOKEN) {
+    return res.status(500).json({
+      success: false,
+      error: 'Scrape.do credentials are not configured. Please add SCRAPE_DO_TOKEN to the backend environment.',
+    });
+  }
+
+  // requireScope counted the primary analysis — charge one more per competitor
+  const quotaError = await chargeUsage(req.apiKey, 'analyze', competitors.length);
+  if (quotaError) return res.status(429).json({ success: false, error: quotaError });
+
+  const job = createJob('compare', { url, competitors, reportId }, { apiKeyId: req.apiKeyId });
+  runComparisonJob(job.id, url, competitors, { reportId, useScrapeDo: crawler === 'scrapedo', scoringProfile, locale, apiKeyId: req.apiKeyId });
+
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    reportId,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`,
+  });
+});
+
+async function runComparisonJob(jobId, url, competitors, { reportId, useScrapeDo, scoringProfile, locale, apiKeyId }) {
+  try {
+    const urls = [url, ...competitors];
+    let done = 0;
+
+    startJob(jobId);
+    setJobPhase(jobId, 'analyzing', `Analyzing ${url} and ${competitors.length} competitors`);
+    console.log(`[BACKEND] Starting comparison ${jobId}: ${url} vs ${competitors.join(', ')}`);
+
+    const analyses = await runPooled(urls, async (siteUrl) => {
+      let analysis;
+      try {
+        const result = await analyzeQueued(siteUrl, { useScrapeDo, scoringProfile, locale });
+        const siteReportId = await persistReport({ url: siteUrl, type: 'analysis', data: result, apiKeyId });
+        analysis = { url: siteUrl, result, reportId: siteReportId };
+      } catch (error) {
+        analysis = { url: siteUrl, error: error.message || 'Failed to analyze website', errorType: error.name === 'SiteError' ? 'site' : 'infra' };
+      }
+      done++;
+      setJobProgress(jobId, (done / urls.length) * 100, { done, total: urls.length, url: siteUrl });
+      return analysis;
+    });
+
+    const [primary, ...others] = analyses;
+    if (!primary.result) {
+      failJob(jobId, `The primary site could not be analyzed: ${primary.error}`);
+      return;
+    }
+
+    const matrix = buildComparisonMatrix(primary, others, { locale });
+    matrix.sites.forEach((site, i) => { site.reportId = analyses[i].reportId ?? null; });
+
+    const data = { url, competitors, createdAt: new Date().toISOString(), matrix };
+    await persistReport({ id: reportId, url, type: 'comparison', data, apiKeyId });
+    console.log(`[BACKEND] Comparison ${jobId} finished: behind on ${matrix.summary.behind} metrics`);
+    completeJob(jobId, data, { url, reportId, ...matrix.summary });
+  } catch (error) {
+    console.error('[BACKEND] Comparison job error:', error);
+    failJob(jobId, error.message || 'Comparison failed');
+  }
+}
+
 // Schema Markup Validation endpoint (auth required)
-app.post('/api/validate-schema', authenticateApiKey, async (req, res) => {
+app.post('/api/validate-schema', authenticateApiKey, requireScope('analyze'), async (req, res) => {
   try {
     const url = validateHttpUrl(req.body.url);
 
@@ -397,20 +892,41 @@ app.post('/api/validate-schema', authenticateApiKey, async (req, res) => {
 });
 
 // PDF Generation endpoint (auth required)
-app.post('/api/generate-pdf', authenticateApiKey, async (req, res) => {
+app.post('/api/generate-pdf', authenticateApiKey, requireScope('pdf'), async (req, res) => {
   try {
-    const { reportData } = req.body;
+    const { reportData, layout } = req.body;
 
     // Validate report data
     if (!reportData || typeof reportData !== 'object') {
       return res.status(400).json({ error: 'Report data is required' });
     }
+    // An explicit locale wins; otherwise the PDF follows the language the report was produced in
+    const locale = resolveLocale(req.body.locale ?? reportData.locale);
+    if (!locale) {
+      return res.status(400).json({ success: false, error: LOCALE_ERROR });
+    }
+    // White-label logo, colors, cover page and running header/footer
+    const { branding, error: brandingError } = resolveBranding(req.body.branding);
+    if (brandingError) {
+      return res.status(400).json({ success: false, error: brandingError });
+    }
+    const isComparison = layout === 'competitor-comparison';
+    if (isComparison && !Array.isArray(reportData.matrix?.sites)) {
+      return res.status(400).json({ error: 'Comparison PDFs need the /api/compare job result as reportData' });
+    }
+    const isSiteAudit = layout === 'site-audit';
+    if (isSiteAudit && !Array.isArray(reportData.pages)) {
+      return res.status(400).json({ error: 'Site audit PDFs need the /api/crawl-site job result as reportData' });
+    }
 
     console.log(`[BACKEND] Starting PDF generation for: ${reportData.url || 'Unknown URL'}`);
     console.log(`[BACKEND] Report data size: ${JSON.stringify(reportData).length} bytes`);
 
     // Generate PDF
-    let pdfBuffer = await generatePDF(reportData);
+    let pdfBuffer;
+    if (isComparison) pdfBuffer = await generateComparisonPDF(reportData, { locale, branding });
+    else if (isSiteAudit) pdfBuffer = await generateSiteAuditPDF(reportData, { locale, branding });
+    else pdfBuffer = await generatePDF(reportData, { locale, branding });
 
     // Ensure it's a Buffer (convert from Uint8Array if needed)
     if (!Buffer.isBuffer(pdfBuffer)) {
@@ -427,7 +943,8 @@ app.post('/api/generate-pdf', authenticateApiKey, async (req, res) => {
     // Set headers for PDF download
     const hostname = reportData.url ? reportData.url.replace(/^https?:\/\//, '').replace(/\//g, '-') : 'report';
     res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="seo-report-${hostname}.pdf"`);
+    const filePrefix = isComparison ? 'competitor-comparison' : isSiteAudit ? 'site-audit' : 'seo-report';
+    res.setHeader('Content-Disposition', `attachment; filename="${filePrefix}-${hostname}.pdf"`);
     res.setHeader('Content-Length', pdfBuffer.length);
 
     // Send PDF
@@ -443,21 +960,190 @@ app.post('/api/generate-pdf', authenticateApiKey, async (req, res) => {
   }
 });
 
-// Site Crawl endpoint — discovers and audits every page on a website
-app.post('/api/crawl-site', authenticateApiKey, async (req, res) => {
+// Site Crawl endpoint — discovers and audits every page on a website.
+// Returns a job ID immediately; the crawl + Lighthouse run in the background
+// and the caller polls GET /api/jobs/:id for progress and the result.
+app.post('/api/crawl-site', authenticateApiKey, requireScope('crawl'), async (req, res) => {
   const url = validateHttpUrl(req.body.url);
-  const { concurrency, maxPages, crawler } = req.body;
+  const reportId = req.body.reportId || randomUUID();
 
   if (!url) {
     return res.status(400).json({ error: 'A valid public http:// or https:// URL is required' });
   }
+  if (!resolveLocale(req.body.locale)) {
+    return res.status(400).json({ success: false, error: LOCALE_ERROR });
+  }
+  if (req.body.reportId && await reportIdTaken(reportId, req.apiKeyId)) {
+    return res.status(409).json({ success: false, error: REPORT_ID_TAKEN_ERROR, reportId });
+  }
 
-  console.log(`[BACKEND] Queuing site crawl for: ${url} (active=${crawlSemaphore.active}, queued=${crawlSemaphore.queued})`);
+  const options = crawlOptionsFrom(req.body);
 
+  const job = createJob('crawl-site', { url, reportId, ...options }, { apiKeyId: req.apiKeyId });
+  console.log(`[BACKEND] Queuing site crawl job ${job.id} for: ${url} (active=${crawlSemaphore.active}, queued=${crawlSemaphore.queued})`);
+
+  // Fire and forget — runCrawlJob records every outcome on the job itself
+  runCrawlJob(job.id, url, options, { reportId, apiKeyId: req.apiKeyId });
+
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    reportId,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`,
+  });
+});
+
+// Download a finished crawl — ?format=csv (default), xlsx or ndjson
+app.get('/api/crawl-site/:jobId/export', authenticateApiKey, (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!CRAWL_EXPORT_FORMATS[format]) {
+    return res.status(400).json({ success: false, error: EXPORT_FORMAT_ERROR });
+  }
+  const job = getOwnedJob(req, req.params.jobId);
+  if (!job || job.type !== 'crawl-site') {
+    return res.status(404).json({ success: false, error: 'Crawl not found or expired' });
+  }
+  if (job.status !== 'completed') {
+    return res.status(409).json({ success: false, error: `Crawl is ${job.status}`, status: job.status, progress: job.progress });
+  }
+  sendCrawlExport(res, job.result, format, `crawl-${job.id}`);
+});
+
+// Internal link graph of a finished crawl — ?format=json (default) or graphml
+app.get('/api/crawl-site/:jobId/graph', authenticateApiKey, (req, res) => {
+  const format = req.query.format || 'json';
+  if (!LINK_GRAPH_FORMATS[format]) {
+    return res.status(400).json({ success: false, error: GRAPH_FORMAT_ERROR });
+  }
+  const job = getOwnedJob(req, req.params.jobId);
+  if (!job || job.type !== 'crawl-site') {
+    return res.status(404).json({ success: false, error: 'Crawl not found or expired' });
+  }
+  if (job.status !== 'completed') {
+    return res.status(409).json({ success: false, error: `Crawl is ${job.status}`, status: job.status, progress: job.progress });
+  }
+  sendLinkGraph(res, job.result, format, `crawl-${job.id}-links`);
+});
+
+// Jobs are only visible to the key that started them (and the operator key);
+// anyone else gets the same 404 as for an unknown or expired job
+function getOwnedJob(req, id) {
+  const job = getJob(id);
+  if (!job || (!req.apiKey.isAdmin && job.apiKeyId !== req.apiKeyId)) return null;
+  return job;
+}
+
+// Background job status endpoint — status, progress (0–100) and, once
+// completed, the full result
+app.get('/api/jobs/:id', authenticateApiKey, (req, res) => {
+  const job = getOwnedJob(req, req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found or expired' });
+  }
+  res.json({ success: true, job: serializeJob(job) });
+});
+
+// Live progress stream for a background job (Server-Sent Events).
+// Emits `phase` and `progress` events while the job runs, then a final
+// `complete` (with a summary) or `error` event and closes the stream.
+app.get('/api/jobs/:id/events', authenticateApiKey, (req, res) => {
+  const job = getOwnedJob(req, req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found or expired' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // stop nginx from buffering the stream
+  });
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // Late joiners get the current state first so the progress bar starts in the right place
+  send('status', { jobId: job.id, status: job.status, phase: job.phase, percent: job.progress });
+  if (job.status === 'completed') {
+    send('complete', { jobId: job.id, summary: job.summary });
+    return res.end();
+  }
+  if (job.status === 'failed') {
+    send('error', { jobId: job.id, error: job.error });
+    return res.end();
+  }
+
+  // Comment lines keep proxies from closing an idle connection during long phases
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  const unsubscribe = subscribeToJob(job.id, ({ event, data }) => {
+    send(event, data);
+    if (event === 'complete' || event === 'error') {
+      cleanup();
+      res.end();
+    }
+  });
+  req.on('close', cleanup);
+});
+
+// Crawls stored before the link graph existed have none — they need a fresh crawl
+function sendLinkGraph(res, crawl, format, basename) {
+  if (!crawl?.linkGraph) {
+    return res.status(404).json({ success: false, error: 'This crawl has no link graph — run it again to build one' });
+  }
+  const { contentType, extension } = LINK_GRAPH_FORMATS[format];
+  res.attachment(`${basename}.${extension}`);
+  res.type(contentType);
+  res.send(format === 'graphml' ? linkGraphToGraphML(crawl.linkGraph) : JSON.stringify(crawl.linkGraph));
+}
+
+// Stream a crawl result as an attachment. Once the first bytes are out a JSON
+// error can no longer be sent, so a failure just cuts the download short.
+function sendCrawlExport(res, crawl, format, basename) {
+  const { contentType, extension } = CRAWL_EXPORT_FORMATS[format];
+  res.attachment(`${basename}.${extension}`);
+  res.type(contentType);
+  writeCrawlExport(crawl, format, res).catch(error => {
+    console.error('[BACKEND] Crawl export error:', error.message);
+    res.destroy(error);
+  });
+}
+
+// Clamp caller-supplied crawl settings — shared by /api/crawl-site and monitors
+function crawlOptionsFrom({ concurrency, maxPages, crawler, locale, checkLinks, nearDuplicateThreshold, respectRobots, mode, maxDepth } = {}) {
+  return {
+    concurrency: typeof concurrency === 'number' && concurrency > 0 ? concurrency : 15,
+    maxPages: Math.min(typeof maxPages === 'number' && maxPages > 0 ? maxPages : 500, 500),
+    useScrapeDo: crawler === 'scrapedo',
+    locale: resolveLocale(locale) || DEFAULT_LOCALE,
+    checkLinks: checkLinks !== false,
+    // Below ~0.5 simhash similarity any two pages on one template would cluster
+    nearDuplicateThreshold: typeof nearDuplicateThreshold === 'number' && nearDuplicateThreshold >= 0.5 && nearDuplicateThreshold <= 1
+      ? nearDuplicateThreshold
+      : 0.9,
+    respectRobots: respectRobots === true,
+    mode: mode === 'bfs' ? 'bfs' : 'sitemap',
+    maxDepth: Math.min(Math.max(1, parseInt(maxDepth, 10) || 5), 10),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Background site crawl — crawlSite reports into the first 90% of the job's
+// progress, Lighthouse covers the rest.
+// ---------------------------------------------------------------------------
+const CRAWL_PROGRESS_SHARE = 90;
+
+async function runCrawlJob(jobId, url, options, { reportId, monitorId = null, apiKeyId = null }) {
   try {
     await crawlSemaphore.acquire();
   } catch (queueErr) {
-    return res.status(503).json({ success: false, error: queueErr.message });
+    console.warn(`[BACKEND] Crawl job ${jobId} rejected by queue: ${queueErr.message}`);
+    failJob(jobId, queueErr.message);
+    return;
   }
 
   const CRAWL_TIMEOUT_MS = parseInt(process.env.CRAWL_TIMEOUT_MS || "1200000", 10); // 20 min (crawl + lighthouse)
@@ -467,21 +1153,22 @@ app.post('/api/crawl-site', authenticateApiKey, async (req, res) => {
 
   const timeoutHandle = setTimeout(() => {
     release();
-    if (!res.headersSent) {
-      res.status(504).json({ success: false, error: 'Site crawl timed out.' });
-    }
+    failJob(jobId, 'Site crawl timed out.');
   }, CRAWL_TIMEOUT_MS);
 
   try {
-    const options = {
-      concurrency: typeof concurrency === 'number' && concurrency > 0 ? concurrency : 15,
-      maxPages: Math.min(typeof maxPages === 'number' && maxPages > 0 ? maxPages : 500, 500),
-      useScrapeDo: crawler === 'scrapedo',
-    };
-
-    console.log(`[BACKEND] Starting site crawl for: ${url}`);
-    const result = await crawlSite(url, options);
+    startJob(jobId);
+    console.log(`[BACKEND] Starting site crawl for: ${url} (job ${jobId})`);
+    const result = await crawlSite(url, {
+      ...options,
+      onPhase: (phase, message) => setJobPhase(jobId, phase, message),
+      onProgress: (done, total) => {
+        if (total > 0) setJobProgress(jobId, (done / total) * CRAWL_PROGRESS_SHARE, { done, total });
+      },
+    });
+    setJobProgress(jobId, CRAWL_PROGRESS_SHARE);
     console.log(`[BACKEND] Site crawl completed: ${result.pages.length} pages — running Lighthouse...`);
+    setJobPhase(jobId, 'lighthouse', createTranslator(options.locale)('crawl.phase.lighthouse'));
 
     // Run Lighthouse BEFORE releasing the crawl semaphore so no new crawl
     // can start while Lighthouse is consuming CPU on this same job.
@@ -502,17 +1189,188 @@ app.post('/api/crawl-site', authenticateApiKey, async (req, res) => {
 
     clearTimeout(timeoutHandle);
     release();
-
-    if (!res.headersSent) {
-      res.json({ success: true, data: { ...result, psi } });
+    const data = { ...result, psi };
+    await persistReport({ id: reportId, url, type: 'site-crawl', data, monitorId, apiKeyId });
+    completeJob(jobId, data, {
+      url,
+      reportId,
+      crawledPages: result.crawledPages,
+      totalDiscoveredUrls: result.totalDiscoveredUrls,
+      wasCapped: result.wasCapped,
+      summary: result.summary,
+      psi,
+    });
+    if (apiKeyId) {
+      findNewServerErrors(apiKeyId, url, reportId, result.pages)
+        .then(newServerErrors => notifyWebhooks(apiKeyId, {
+          kind: 'crawl',
+          url,
+          reportId,
+          score: psi ? Math.min(psi.desktop.score, psi.mobile.score) : null,
+          summary: { crawledPages: result.crawledPages, summary: result.summary },
+          newServerErrors,
+        }))
+        .catch(err => console.warn(`[WEBHOOK] Crawl notification skipped: ${err.message}`));
     }
   } catch (error) {
     clearTimeout(timeoutHandle);
     release();
     console.error('[BACKEND] Site crawl error:', error);
-    if (!res.headersSent) {
-      res.status(500).json({ success: false, error: error.message || 'Failed to crawl site' });
+    failJob(jobId, error.message || 'Failed to crawl site');
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Report history — every analysis and site crawl is stored in Postgres so old
+// reports can be reopened without re-running them.
+// ---------------------------------------------------------------------------
+
+// Storage failures are logged but never fail the analysis that produced the data
+async function persistReport(report) {
+  if (!process.env.DATABASE_URL) return null;
+  try {
+    const id = await saveReport(report);
+    console.log(`[REPORTS] Stored ${report.type} report ${id} for: ${report.url}`);
+    return id;
+  } catch (err) {
+    console.warn(`[REPORTS] Failed to store report ${report.id}: ${err.message}`);
+    return null;
+  }
+}
+
+// A caller-supplied reportId may only re-use an ID the same key already owns.
+// saveReport enforces this too; checking up front just fails before the work.
+const REPORT_ID_TAKEN_ERROR = 'reportId is already used by a report of another API key';
+
+async function reportIdTaken(reportId, apiKeyId) {
+  if (!process.env.DATABASE_URL) return false;
+  try {
+    return await isReportIdTaken(reportId, apiKeyId);
+  } catch (err) {
+    console.warn(`[REPORTS] Report ID check failed for ${reportId}: ${err.message}`);
+    return false;
+  }
+}
+
+// Owner filter for report reads — the operator key sees every report, any
+// other key only its own; someone else's report answers 404 like a missing one
+function reportOwnerOf(req) {
+  return { apiKeyId: req.apiKey.isAdmin ? undefined : req.apiKeyId };
+}
+
+// List stored reports (metadata only) — filter with ?url=, ?type=, ?monitorId=, page with ?limit=&offset=
+app.get('/api/reports', authenticateApiKey, requireDatabase, async (req, res) => {
+  try {
+    const { url: rawUrl, type, monitorId, limit, offset } = req.query;
+    const url = rawUrl ? validateHttpUrl(rawUrl) : undefined;
+    if (rawUrl && !url) {
+      return res.status(400).json({ error: 'A valid public http:// or https:// URL is required' });
+    }
+    const result = await listReports({ ...reportOwnerOf(req), url, type, monitorId, limit, offset });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[REPORTS] List error:', error.message);
+    res.status(500).json({ success: false, error: error.message || 'Failed to list reports' });
+  }
+});
+
+// Fetch a stored report with its full payload
+app.get('/api/reports/:id', authenticateApiKey, requireDatabase, async (req, res) => {
+  try {
+    const report = await getReport(req.params.id, reportOwnerOf(req));
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('[REPORTS] Fetch error:', error.message);
+    res.status(500).json({ success: false, error: error.message || 'Failed to fetch report' });
+  }
+});
+
+// Download a stored site crawl — ?format=csv (default), xlsx or ndjson
+app.get('/api/reports/:id/export', authenticateApiKey, requireDatabase, async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!CRAWL_EXPORT_FORMATS[format]) {
+      return res.status(400).json({ success: false, error: EXPORT_FORMAT_ERROR });
+    }
+    const report = await getReport(req.params.id, reportOwnerOf(req));
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+    if (report.type !== 'site-crawl') {
+      return res.status(400).json({ success: false, error: 'Only site-crawl reports can be exported' });
+    }
+    sendCrawlExport(res, report.data, format, `crawl-${report.id}`);
+  } catch (error) {
+    console.error('[REPORTS] Export error:', error.message);
+    res.status(500).json({ success: false, error: error.message || 'Failed to export report' });
+  }
+});
+
+app.get('/api/reports/:id/graph', authenticateApiKey, requireDatabase, async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!LINK_GRAPH_FORMATS[format]) {
+      return res.status(400).json({ success: false, error: GRAPH_FORMAT_ERROR });
+    }
+    const report = await getReport(req.params.id, reportOwnerOf(req));
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+    if (report.type !== 'site-crawl') {
+      return res.status(400).json({ success: false, error: 'Only site-crawl reports have a link graph' });
+    }
+    sendLinkGraph(res, report.data, format, `crawl-${report.id}-links`);
+  } catch (error) {
+    console.error('[REPORTS] Link graph error:', error.message);
+    res.status(500).json({ success: false, error: error.message || 'Failed to load link graph' });
+  }
+});
+
+// Compare two stored reports — :id is the baseline, :otherId the newer analysis
+app.get('/api/reports/:id/compare/:otherId', authenticateApiKey, requireDatabase, async (req, res) => {
+  try {
+    const owner = reportOwnerOf(req);
+    const [base, current] = await Promise.all([getReport(req.params.id, owner), getReport(req.params.otherId, owner)]);
+    if (!base || !current) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+    if (base.type !== current.type || !['analysis', 'site-crawl'].includes(base.type)) {
+      return res.status(400).json({ success: false, error: 'Both reports must be of the same type (analysis or site-crawl)' });
+    }
+    if (!isSameSite(base.url, current.url)) {
+      return res.status(400).json({ success: false, error: 'Both reports must be for the same site' });
+    }
+
+    const describe = (r) => ({ id: r.id, url: r.url, createdAt: r.createdAt, score: r.score, grade: r.grade });
+    const diff = base.type === 'site-crawl'
+      ? diffCrawlReports(base.data, current.data)
+      : diffAnalysisReports(base.data, current.data);
+    res.json({
+      success: true,
+      type: base.type,
+      from: describe(base),
+      to: describe(current),
+      diff,
+    });
+  } catch (error) {
+    console.error('[REPORTS] Compare error:', error.message);
+    res.status(500).json({ success: false, error: error.message || 'Failed to compare reports' });
+  }
+});
+
+app.delete('/api/reports/:id', authenticateApiKey, requireDatabase, async (req, res) => {
+  try {
+    const deleted = await deleteReport(req.params.id, reportOwnerOf(req));
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
     }
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    console.error('[REPORTS] Delete error:', error.message);
+    res.status(500).json({ success: false, error: error.message || 'Failed to delete report' });
   }
 });
 
@@ -580,7 +1438,7 @@ async function runLighthouseAudit(url) {
 }
 
 // Lighthouse Performance endpoint — runs real Lighthouse audit on any URL
-app.post('/api/lighthouse', authenticateApiKey, async (req, res) => {
+app.post('/api/lighthouse', authenticateApiKey, requireScope('lighthouse'), async (req, res) => {
   const url = validateHttpUrl(req.body.url);
   if (!url) {
     return res.status(400).json({ error: 'A valid public http:// or https:// URL is required' });
@@ -596,6 +1454,7 @@ app.post('/api/lighthouse', authenticateApiKey, async (req, res) => {
     console.log(`[LIGHTHOUSE] Starting audit for: ${url}`);
     const { desktop, mobile } = await runLighthouseAudit(url);
     console.log(`[LIGHTHOUSE] Audit completed for: ${url}`);
+    notifyWebhooks(req.apiKeyId, { kind: 'lighthouse', url, score: Math.min(desktop.score, mobile.score), summary: { desktop, mobile } });
     res.json({ success: true, desktop, mobile });
   } catch (error) {
     console.error('[LIGHTHOUSE] Error:', error.message);
@@ -606,104 +1465,653 @@ app.post('/api/lighthouse', authenticateApiKey, async (req, res) => {
 });
 
 // Backlink Crawler endpoint — crawls a site and discovers all internal + external links
-app.post('/api/crawl-backlinks', authenticateApiKey, async (req, res) => {
+app.post('/api/crawl-backlinks', authenticateApiKey, requireScope('backlinks'), async (req, res) => {
   const safeUrl = validateHttpUrl(req.body.url);
-  // Clamp maxPages (1–200) and maxDepth (1–10) to prevent resource abuse
-  const maxPages = Math.min(Math.max(1, parseInt(req.body.maxPages, 10) || 40), 200);
-  const maxDepth = Math.min(Math.max(1, parseInt(req.body.maxDepth, 10) || 2), 10);
 
   if (!safeUrl) {
     return res.status(400).json({ error: 'A valid public http:// or https:// URL is required' });
   }
 
+  try {
+    const result = await crawlBacklinks(safeUrl, backlinkOptionsFrom(req.body));
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[BACKLINK] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Clamp maxPages (1–200) and maxDepth (1–10) to prevent resource abuse
+function backlinkOptionsFrom({ maxPages, maxDepth } = {}) {
+  return {
+    maxPages: Math.min(Math.max(1, parseInt(maxPages, 10) || 40), 200),
+    maxDepth: Math.min(Math.max(1, parseInt(maxDepth, 10) || 2), 10),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Backlink crawl — follows same-domain links from the start URL, records every
+// link found and stores them in the backlinks table.
+// ---------------------------------------------------------------------------
+async function crawlBacklinks(safeUrl, { maxPages, maxDepth }) {
   const startUrl = new URL(safeUrl);
   const baseDomain = startUrl.hostname;
   console.log(`[BACKLINK] Starting crawl for: ${baseDomain} (max ${maxPages} pages, maxDepth ${maxDepth})`);
 
+  // History is preserved — ON CONFLICT DO NOTHING avoids duplicates without wiping prior crawls
+  const visited = new Set();
+  const queue = [startUrl.href];
+  const allLinks = [];
+  let pagesCrawled = 0;
+
+  while (queue.length > 0 && pagesCrawled < maxPages) {
+    const pageUrl = queue.shift();
+    if (visited.has(pageUrl)) continue;
+    visited.add(pageUrl);
+    pagesCrawled++;
+
+    try {
+      const { data: html } = await axios.get(pageUrl, {
+        timeout: 12000,
+        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; SEOmaster-Crawler/1.0)' },
+        maxRedirects: 3,
+      });
+
+      const $ = cheerio.load(html);
+
+      $('a[href]').each((_, el) => {
+        const href = $(el).attr('href');
+        if (!href || href.startsWith('mailto:') || href.startsWith('tel:') || href.startsWith('#') || href.startsWith('javascript:')) return;
+
+        try {
+          const linkUrl = new URL(href, pageUrl);
+          if (!linkUrl.protocol.startsWith('http')) return;
+
+          const relAttr = ($(el).attr('rel') || '').toLowerCase().split(/\s+/);
+          const isNoFollow = relAttr.includes('nofollow') || relAttr.includes('ugc') || relAttr.includes('sponsored');
+          const anchorText = $(el).text().trim().replace(/\s+/g, ' ').slice(0, 200) || '[No Anchor Text]';
+
+          allLinks.push({
+            source_url: pageUrl,
+            target_url: linkUrl.href,
+            target_domain: baseDomain,
+            anchor_text: anchorText,
+            is_nofollow: isNoFollow,
+            link_domain: linkUrl.hostname,
+          });
+
+          // Only follow links within the same domain to build the crawl
+          if (linkUrl.hostname === baseDomain && !visited.has(linkUrl.href) && queue.length < maxPages * 2) {
+            queue.push(linkUrl.href);
+          }
+        } catch {}
+      });
+
+      console.log(`[BACKLINK] Crawled (${pagesCrawled}/${maxPages}): ${pageUrl}`);
+    } catch (err) {
+      console.log(`[BACKLINK] Skipped ${pageUrl}: ${err.message}`);
+    }
+  }
+
+  // Deduplicate by source+target
+  const unique = new Map();
+  for (const link of allLinks) {
+    const key = `${link.source_url}=>${link.target_url}`;
+    unique.set(key, link);
+  }
+  const toSave = Array.from(unique.values());
+
+  // Batch insert
+  for (const link of toSave) {
+    await dbPool.query(
+      'INSERT INTO backlinks (source_url, target_url, target_domain) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+      [link.source_url, link.target_url, link.target_domain]
+    );
+  }
+
+  console.log(`[BACKLINK] Done: ${pagesCrawled} pages crawled, ${toSave.length} links saved for ${baseDomain}`);
+
+  return {
+    domain: baseDomain,
+    pagesCrawled,
+    totalLinks: toSave.length,
+    links: toSave,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Monitors — recurring audits on a cron schedule. The scheduler lives in
+// monitor-scheduler.js; the runners below give it the same semaphores,
+// timeouts and report storage as the API routes.
+// ---------------------------------------------------------------------------
+
+// Acquire a semaphore slot, run the task, and give up after timeoutMs
+async function runQueued(semaphore, task, timeoutMs, timeoutMessage) {
+  await semaphore.acquire();
+  let timeoutHandle;
   try {
-    // History is preserved — ON CONFLICT DO NOTHING avoids duplicates without wiping prior crawls
-    const visited = new Set();
-    const queue = [startUrl.href];
-    const allLinks = [];
-    let pagesCrawled = 0;
+    return await Promise.race([
+      task(),
+      new Promise((_, reject) => {
+        timeoutHandle = setTimeout(() => reject(new Error(timeoutMessage)), timeoutMs);
+      }),
+    ]);
+  } finally {
+    clearTimeout(timeoutHandle);
+    semaphore.release();
+  }
+}
 
-    while (queue.length > 0 && pagesCrawled < maxPages) {
-      const pageUrl = queue.shift();
-      if (visited.has(pageUrl)) continue;
-      visited.add(pageUrl);
-      pagesCrawled++;
+const monitorRunners = {
+  analyze: async ({ id, url, options, apiKeyId }) => {
+    const ANALYSIS_TIMEOUT_MS = parseInt(process.env.ANALYSIS_TIMEOUT_MS || "90000", 10);
+    const scrapeDoToken = process.env.SCRAPE_DO_TOKEN;
+    if (options?.crawler === 'scrapedo' && !scrapeDoToken) {
+      throw new Error('Scrape.do credentials are not configured.');
+    }
+    const { profile: scoringProfile, error: profileError } = resolveScoringProfile(options?.scoringProfile);
+    if (profileError) throw new Error(profileError);
+    const locale = resolveLocale(options?.locale);
+    if (!locale) throw new Error(LOCALE_ERROR);
+    const data = await runQueued(
+      analysisSemaphore,
+      () => options?.crawler === 'scrapedo'
+        ? analyzeWithScrapeDo(url, scrapeDoToken, { scoringProfile, locale })
+        : analyzeSEO(url, { scoringProfile, locale }),
+      ANALYSIS_TIMEOUT_MS,
+      'Analysis timed out.'
+    );
+    const reportId = await persistReport({ url, type: 'analysis', data, monitorId: id, apiKeyId });
+    notifyWebhooks(apiKeyId, { kind: 'analysis', url, reportId, score: data.score, summary: { score: data.score, grade: data.grade } });
+    return reportId;
+  },
 
-      try {
-        const { data: html } = await axios.get(pageUrl, {
-          timeout: 12000,
-          headers: { 'User-Agent': 'Mozilla/5.0 (compatible; SEOmaster-Crawler/1.0)' },
-          maxRedirects: 3,
-        });
+  'crawl-site': async ({ id, url, options, apiKeyId }) => {
+    const crawlOptions = crawlOptionsFrom(options);
+    const reportId = randomUUID();
+    const job = createJob('crawl-site', { url, reportId, monitorId: id, ...crawlOptions }, { apiKeyId });
+    await runCrawlJob(job.id, url, crawlOptions, { reportId, monitorId: id, apiKeyId });
+    if (job.status === 'failed') throw new Error(job.error);
+    return reportId;
+  },
 
-        const $ = cheerio.load(html);
-
-        $('a[href]').each((_, el) => {
-          const href = $(el).attr('href');
-          if (!href || href.startsWith('mailto:') || href.startsWith('tel:') || href.startsWith('#') || href.startsWith('javascript:')) return;
-
-          try {
-            const linkUrl = new URL(href, pageUrl);
-            if (!linkUrl.protocol.startsWith('http')) return;
-
-            const relAttr = ($(el).attr('rel') || '').toLowerCase().split(/\s+/);
-            const isNoFollow = relAttr.includes('nofollow') || relAttr.includes('ugc') || relAttr.includes('sponsored');
-            const anchorText = $(el).text().trim().replace(/\s+/g, ' ').slice(0, 200) || '[No Anchor Text]';
-
-            allLinks.push({
-              source_url: pageUrl,
-              target_url: linkUrl.href,
-              target_domain: baseDomain,
-              anchor_text: anchorText,
-              is_nofollow: isNoFollow,
-              link_domain: linkUrl.hostname,
-            });
-
-            // Only follow links within the same domain to build the crawl
-            if (linkUrl.hostname === baseDomain && !visited.has(linkUrl.href) && queue.length < maxPages * 2) {
-              queue.push(linkUrl.href);
-            }
-          } catch {}
-        });
+  lighthouse: async ({ id, url, apiKeyId }) => {
+    const LIGHTHOUSE_TIMEOUT_MS = parseInt(process.env.LIGHTHOUSE_TIMEOUT_MS || "300000", 10);
+    const { desktop, mobile } = await runQueued(
+      lighthouseSemaphore,
+      () => runLighthouseAudit(url),
+      LIGHTHOUSE_TIMEOUT_MS,
+      'Lighthouse audit timed out.'
+    );
+    const reportId = await persistReport({ url, type: 'lighthouse', data: { url, desktop, mobile }, monitorId: id, apiKeyId });
+    notifyWebhooks(apiKeyId, { kind: 'lighthouse', url, reportId, score: Math.min(desktop.score, mobile.score), summary: { desktop, mobile } });
+    return reportId;
+  },
 
-        console.log(`[BACKLINK] Crawled (${pagesCrawled}/${maxPages}): ${pageUrl}`);
-      } catch (err) {
-        console.log(`[BACKLINK] Skipped ${pageUrl}: ${err.message}`);
-      }
+  backlinks: async ({ id, url, options, apiKeyId }) => {
+    const data = await crawlBacklinks(url, backlinkOptionsFrom(options));
+    return persistReport({ url, type: 'backlinks', data, monitorId: id, apiKeyId });
+  },
+};
+
+// Scheduled runs are metered like API calls against the key that created the
+// monitor. A key that was revoked or lost the mode's scope pauses the monitor;
+// an exhausted quota just skips this run. Monitors from before keys had owners
+// belong to the operator key.
+async function authorizeMonitorRun(monitor) {
+  let apiKey = null;
+  if (API_KEY && (!monitor.apiKeyId || monitor.apiKeyId === operatorApiKey().id)) {
+    apiKey = operatorApiKey();
+  } else if (monitor.apiKeyId) {
+    const stored = await getApiKey(monitor.apiKeyId);
+    if (stored && !stored.revokedAt) apiKey = stored;
+  }
+  if (!apiKey) {
+    return { error: 'The API key that created this monitor no longer exists or was revoked', pause: true };
+  }
+  const scope = MONITOR_MODE_SCOPES[monitor.mode];
+  if (!apiKey.scopes.includes(scope)) {
+    return { error: `The API key that created this monitor no longer has the '${scope}' scope`, pause: true };
+  }
+  const quotaError = await chargeUsage(apiKey, scope);
+  return quotaError ? { error: quotaError, pause: false } : null;
+}
+
+// Validate monitor fields from a request body. `partial` allows omitted fields (PATCH).
+// Returns { error } or { values } with url normalized and nextRunAt computed.
+function parseMonitorInput(body, existing = null) {
+  const values = {};
+  const partial = !!existing;
+
+  if (body.url !== undefined || !partial) {
+    values.url = validateHttpUrl(body.url);
+    if (!values.url) return { error: 'A valid public http:// or https:// URL is required' };
+  }
+  if (body.mode !== undefined || !partial) {
+    if (!MONITOR_MODES.includes(body.mode)) return { error: `mode must be one of: ${MONITOR_MODES.join(', ')}` };
+    values.mode = body.mode;
+  }
+  if (body.missedRunPolicy !== undefined) {
+    if (!MISSED_RUN_POLICIES.includes(body.missedRunPolicy)) {
+      return { error: `missedRunPolicy must be one of: ${MISSED_RUN_POLICIES.join(', ')}` };
+    }
+    values.missedRunPolicy = body.missedRunPolicy;
+  }
+  if (body.options !== undefined) {
+    if (!body.options || typeof body.options !== 'object' || Array.isArray(body.options)) {
+      return { error: 'options must be an object' };
+    }
+    if (body.options.scoringProfile !== undefined) {
+      const { error } = resolveScoringProfile(body.options.scoringProfile);
+      if (error) return { error };
     }
+    if (body.options.locale !== undefined && !resolveLocale(body.options.locale)) {
+      return { error: LOCALE_ERROR };
+    }
+    values.options = body.options;
+  }
+  if (body.enabled !== undefined) values.enabled = !!body.enabled;
+  if (body.name !== undefined) values.name = body.name ? String(body.name).slice(0, 200) : null;
+  if (body.timezone !== undefined) values.timezone = String(body.timezone);
+
+  // Re-derive the next slot whenever the schedule changes or the monitor is re-enabled
+  const cron = body.cron !== undefined ? body.cron : existing?.cron;
+  const timezone = values.timezone || existing?.timezone || 'UTC';
+  if (body.cron !== undefined || body.timezone !== undefined || !partial || values.enabled === true) {
+    const cronError = validateCron(cron, timezone);
+    if (cronError) return { error: cronError };
+    values.cron = cron;
+    values.nextRunAt = nextRunAfter(cron, timezone);
+  }
+
+  return { values };
+}
+
+// API key scope a monitor needs for each mode
+const MONITOR_MODE_SCOPES = { analyze: 'analyze', 'crawl-site': 'crawl', lighthouse: 'lighthouse', backlinks: 'backlinks' };
 
-    // Deduplicate by source+target
-    const unique = new Map();
-    for (const link of allLinks) {
-      const key = `${link.source_url}=>${link.target_url}`;
-      unique.set(key, link);
+// Keys only see their own monitors; the operator key sees all of them
+async function getOwnedMonitor(req) {
+  const monitor = await getMonitor(req.params.id);
+  if (!monitor || (!req.apiKey.isAdmin && monitor.apiKeyId !== req.apiKeyId)) return null;
+  return monitor;
+}
+
+app.get('/api/monitors', authenticateApiKey, async (req, res) => {
+  try {
+    const monitors = await listMonitors({ apiKeyId: req.apiKey.isAdmin ? undefined : req.apiKeyId });
+    res.json({ success: true, monitors });
+  } catch (error) {
+    console.error('[MONITOR] List error:', error.message);
+    res.status(500).json({ success: false, error: error.message || 'Failed to list monitors' });
+  }
+});
+
+app.post('/api/monitors', authenticateApiKey, async (req, res) => {
+  const { error, values } = parseMonitorInput(req.body);
+  if (error) return res.status(400).json({ success: false, error });
+  if (!req.apiKey.scopes.includes(MONITOR_MODE_SCOPES[values.mode])) {
+    return res.status(403).json({ success: false, error: `This API key does not have the '${MONITOR_MODE_SCOPES[values.mode]}' scope` });
+  }
+
+  try {
+    const monitor = await createMonitor({ ...values, apiKeyId: req.apiKeyId });
+    console.log(`[MONITOR] Created ${monitor.mode} monitor ${monitor.id} for: ${monitor.url} (${monitor.cron})`);
+    res.status(201).json({ success: true, monitor });
+  } catch (err) {
+    console.error('[MONITOR] Create error:', err.message);
+    res.status(500).json({ success: false, error: err.message || 'Failed to create monitor' });
+  }
+});
+
+// Monitor details plus its most recent stored runs
+app.get('/api/monitors/:id', authenticateApiKey, async (req, res) => {
+  try {
+    const monitor = await getOwnedMonitor(req);
+    if (!monitor) {
+      return res.status(404).json({ success: false, error: 'Monitor not found' });
     }
-    const toSave = Array.from(unique.values());
+    const { reports } = await listReports({ monitorId: monitor.id, limit: 10 });
+    res.json({ success: true, monitor, recentReports: reports });
+  } catch (error) {
+    console.error('[MONITOR] Fetch error:', error.message);
+    res.status(500).json({ success: false, error: error.message || 'Failed to fetch monitor' });
+  }
+});
+
+app.patch('/api/monitors/:id', authenticateApiKey, async (req, res) => {
+  try {
+    const existing = await getOwnedMonitor(req);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Monitor not found' });
+    }
+    const { error, values } = parseMonitorInput(req.body, existing);
+    if (error) return res.status(400).json({ success: false, error });
+    if (values.mode && !req.apiKey.scopes.includes(MONITOR_MODE_SCOPES[values.mode])) {
+      return res.status(403).json({ success: false, error: `This API key does not have the '${MONITOR_MODE_SCOPES[values.mode]}' scope` });
+    }
+
+    const monitor = await updateMonitor(existing.id, values);
+    res.json({ success: true, monitor });
+  } catch (err) {
+    console.error('[MONITOR] Update error:', err.message);
+    res.status(500).json({ success: false, error: err.message || 'Failed to update monitor' });
+  }
+});
+
+app.delete('/api/monitors/:id', authenticateApiKey, async (req, res) => {
+  try {
+    const monitor = await getOwnedMonitor(req);
+    if (!monitor || !(await deleteMonitor(monitor.id))) {
+      return res.status(404).json({ success: false, error: 'Monitor not found' });
+    }
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    console.error('[MONITOR] Delete error:', error.message);
+    res.status(500).json({ success: false, error: error.message || 'Failed to delete monitor' });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Webhooks — push notifications when audits finish or cross a threshold.
+// Delivery, signing and retries live in webhook-dispatcher.js.
+// ---------------------------------------------------------------------------
+
+// Notification failures are logged but never fail the audit that triggered them
+function notifyWebhooks(apiKeyId, audit) {
+  if (!process.env.DATABASE_URL || !apiKeyId) return;
+  notifyAuditCompleted(apiKeyId, audit)
+    .catch(err => console.warn(`[WEBHOOK] Failed to queue ${audit.kind} notification: ${err.message}`));
+}
+
+// Pages that return 5xx now but didn't in the previous stored crawl of the same URL, made by the same key
+async function findNewServerErrors(apiKeyId, url, reportId, pages) {
+  const failing = pages.filter(p => p.statusClass === 'server_error').map(p => p.url);
+  if (failing.length === 0 || !process.env.DATABASE_URL) return failing;
+
+  const { reports } = await listReports({ apiKeyId, url, type: 'site-crawl', limit: 2 });
+  const previous = reports.find(r => r.id !== reportId);
+  const before = previous ? await getReport(previous.id, { apiKeyId }) : null;
+  const known = new Set(
+    (before?.data?.pages || []).filter(p => p.statusClass === 'server_error').map(p => p.url)
+  );
+  return failing.filter(pageUrl => !known.has(pageUrl));
+}
+
+// Validate webhook fields from a request body. `partial` allows omitted fields (PATCH).
+function parseWebhookInput(body, partial = false) {
+  const values = {};
+
+  if (body.url !== undefined || !partial) {
+    values.url = validateHttpUrl(body.url, { allowPrivate: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true' });
+    if (!values.url) return { error: 'A valid public http:// or https:// webhook URL is required' };
+  }
+  if (body.events !== undefined || !partial) {
+    const events = Array.isArray(body.events) ? [...new Set(body.events)] : [];
+    if (events.length === 0 || events.some(e => !WEBHOOK_EVENTS.includes(e))) {
+      return { error: `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+    values.events = events;
+  }
+  if (body.thresholds !== undefined) {
+    const minScore = body.thresholds?.minScore;
+    if (minScore !== undefined && (typeof minScore !== 'number' || minScore < 0 || minScore > 100)) {
+      return { error: 'thresholds.minScore must be a number between 0 and 100' };
+    }
+    values.thresholds = minScore !== undefined ? { minScore } : {};
+  }
+  if (body.enabled !== undefined) values.enabled = !!body.enabled;
+
+  return { values };
+}
 
-    // Batch insert
-    for (const link of toSave) {
-      await dbPool.query(
-        'INSERT INTO backlinks (source_url, target_url, target_domain) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
-        [link.source_url, link.target_url, link.target_domain]
-      );
+app.get('/api/webhooks', authenticateApiKey, async (req, res) => {
+  try {
+    res.json({ success: true, webhooks: await listWebhooks(req.apiKeyId) });
+  } catch (error) {
+    console.error('[WEBHOOK] List error:', error.message);
+    res.status(500).json({ success: false, error: error.message || 'Failed to list webhooks' });
+  }
+});
+
+// The signing secret is only returned here — store it on the receiving side
+app.post('/api/webhooks', authenticateApiKey, async (req, res) => {
+  const { error, values } = parseWebhookInput(req.body);
+  if (error) return res.status(400).json({ success: false, error });
+  if (values.events.includes('threshold.score_below') && values.thresholds?.minScore === undefined) {
+    return res.status(400).json({ success: false, error: 'threshold.score_below requires thresholds.minScore' });
+  }
+
+  try {
+    const webhook = await createWebhook(req.apiKeyId, values);
+    console.log(`[WEBHOOK] Created webhook ${webhook.id} → ${webhook.url} (${webhook.events.join(', ')})`);
+    res.status(201).json({ success: true, webhook });
+  } catch (err) {
+    console.error('[WEBHOOK] Create error:', err.message);
+    res.status(500).json({ success: false, error: err.message || 'Failed to create webhook' });
+  }
+});
+
+app.get('/api/webhooks/:id', authenticateApiKey, async (req, res) => {
+  try {
+    const webhook = await getWebhook(req.apiKeyId, req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
     }
+    res.json({ success: true, webhook });
+  } catch (error) {
+    console.error('[WEBHOOK] Fetch error:', error.message);
+    res.status(500).json({ success: false, error: error.message || 'Failed to fetch webhook' });
+  }
+});
 
-    console.log(`[BACKLINK] Done: ${pagesCrawled} pages crawled, ${toSave.length} links saved for ${baseDomain}`);
+app.patch('/api/webhooks/:id', authenticateApiKey, async (req, res) => {
+  const { error, values } = parseWebhookInput(req.body, true);
+  if (error) return res.status(400).json({ success: false, error });
+
+  try {
+    const webhook = await updateWebhook(req.apiKeyId, req.params.id, values);
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    res.json({ success: true, webhook });
+  } catch (err) {
+    console.error('[WEBHOOK] Update error:', err.message);
+    res.status(500).json({ success: false, error: err.message || 'Failed to update webhook' });
+  }
+});
+
+app.delete('/api/webhooks/:id', authenticateApiKey, async (req, res) => {
+  try {
+    const deleted = await deleteWebhook(req.apiKeyId, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    console.error('[WEBHOOK] Delete error:', error.message);
+    res.status(500).json({ success: false, error: error.message || 'Failed to delete webhook' });
+  }
+});
+
+// Delivery log — filter with ?status=pending|delivered|failed, page with ?limit=&offset=
+app.get('/api/webhooks/:id/deliveries', authenticateApiKey, async (req, res) => {
+  try {
+    const webhook = await getWebhook(req.apiKeyId, req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    const { status, limit, offset } = req.query;
+    const result = await listDeliveries(webhook.id, { status, limit, offset });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[WEBHOOK] Delivery log error:', error.message);
+    res.status(500).json({ success: false, error: error.message || 'Failed to fetch deliveries' });
+  }
+});
+
+// Send a signed webhook.test event so receivers can verify their setup
+app.post('/api/webhooks/:id/test', authenticateApiKey, async (req, res) => {
+  try {
+    const webhook = (await getActiveWebhooks(req.apiKeyId)).find(w => w.id === req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found or disabled' });
+    }
+    const delivery = await sendWebhookEvent(webhook, 'webhook.test', { message: 'Test delivery' });
+    res.status(202).json({ success: true, deliveryId: delivery.id });
+  } catch (error) {
+    console.error('[WEBHOOK] Test error:', error.message);
+    res.status(500).json({ success: false, error: error.message || 'Failed to send test event' });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Usage — quota and request counters for the calling key. The operator key
+// can inspect any key with ?keyId=.
+// ---------------------------------------------------------------------------
+app.get('/api/usage', authenticateApiKey, requireDatabase, async (req, res) => {
+  try {
+    let apiKey = req.apiKey;
+    if (req.query.keyId && req.query.keyId !== apiKey.id) {
+      if (!apiKey.isAdmin) {
+        return res.status(403).json({ success: false, error: 'Admin API key required' });
+      }
+      apiKey = await getApiKey(req.query.keyId);
+      if (!apiKey) {
+        return res.status(404).json({ success: false, error: 'API key not found' });
+      }
+    }
+
+    const [{ day, month }, history] = await Promise.all([
+      getUsageTotals(apiKey.id),
+      getUsageHistory(apiKey.id, req.query.days),
+    ]);
+    const remaining = (quota, used) => (quota == null ? null : Math.max(0, quota - used));
 
     res.json({
       success: true,
-      domain: baseDomain,
-      pagesCrawled,
-      totalLinks: toSave.length,
-      links: toSave,
+      key: {
+        id: apiKey.id,
+        name: apiKey.name,
+        scopes: apiKey.scopes,
+        dailyQuota: apiKey.dailyQuota,
+        monthlyQuota: apiKey.monthlyQuota,
+        rateLimitPerMinute: apiKey.rateLimitPerMinute ?? DEFAULT_RATE_LIMIT,
+        heavyRateLimitPerMinute: apiKey.heavyRateLimitPerMinute ?? DEFAULT_HEAVY_RATE_LIMIT,
+      },
+      usage: {
+        today: { ...day, remaining: remaining(apiKey.dailyQuota, day.total) },
+        month: { ...month, remaining: remaining(apiKey.monthlyQuota, month.total) },
+        history,
+      },
     });
   } catch (error) {
-    console.error('[BACKLINK] Error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    console.error('[AUTH] Usage error:', error.message);
+    res.status(500).json({ success: false, error: error.message || 'Failed to fetch usage' });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Admin — API key management. The plaintext key is returned only by create
+// and rotate; afterwards only its prefix is shown.
+// ---------------------------------------------------------------------------
+
+// Validate API key fields from a request body. `partial` allows omitted fields (PATCH).
+function parseApiKeyInput(body, partial = false) {
+  const values = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) return { error: 'name is required' };
+    values.name = body.name.trim().slice(0, 100);
+  }
+  if (body.scopes !== undefined || !partial) {
+    const scopes = Array.isArray(body.scopes) ? [...new Set(body.scopes)] : [];
+    if (scopes.length === 0 || scopes.some(s => !API_KEY_SCOPES.includes(s))) {
+      return { error: `scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}` };
+    }
+    values.scopes = scopes;
+  }
+  // null clears a limit back to the server default
+  for (const field of ['dailyQuota', 'monthlyQuota', 'rateLimitPerMinute', 'heavyRateLimitPerMinute']) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (value !== null && !(Number.isInteger(value) && value > 0)) {
+      return { error: `${field} must be a positive integer or null` };
+    }
+    values[field] = value;
+  }
+
+  return { values };
+}
+
+app.get('/api/admin/keys', authenticateApiKey, requireAdmin, requireDatabase, async (req, res) => {
+  try {
+    res.json({ success: true, keys: await listApiKeys() });
+  } catch (error) {
+    console.error('[AUTH] List keys error:', error.message);
+    res.status(500).json({ success: false, error: error.message || 'Failed to list API keys' });
+  }
+});
+
+app.post('/api/admin/keys', authenticateApiKey, requireAdmin, requireDatabase, async (req, res) => {
+  const { error, values } = parseApiKeyInput(req.body);
+  if (error) return res.status(400).json({ success: false, error });
+
+  try {
+    const { apiKey, plaintext } = await createApiKey(values);
+    console.log(`[AUTH] Created API key ${apiKey.id} (${apiKey.name}) with scopes: ${apiKey.scopes.join(', ')}`);
+    res.status(201).json({ success: true, apiKey, key: plaintext });
+  } catch (err) {
+    console.error('[AUTH] Create key error:', err.message);
+    res.status(500).json({ success: false, error: err.message || 'Failed to create API key' });
+  }
+});
+
+app.patch('/api/admin/keys/:id', authenticateApiKey, requireAdmin, requireDatabase, async (req, res) => {
+  const { error, values } = parseApiKeyInput(req.body, true);
+  if (error) return res.status(400).json({ success: false, error });
+
+  try {
+    const apiKey = await updateApiKey(req.params.id, values);
+    if (!apiKey) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+    apiKeyCache.clear();
+    res.json({ success: true, apiKey });
+  } catch (err) {
+    console.error('[AUTH] Update key error:', err.message);
+    res.status(500).json({ success: false, error: err.message || 'Failed to update API key' });
+  }
+});
+
+// Issue a new secret for the same key ID — the old secret stops working at once
+app.post('/api/admin/keys/:id/rotate', authenticateApiKey, requireAdmin, requireDatabase, async (req, res) => {
+  try {
+    const rotated = await rotateApiKey(req.params.id);
+    if (!rotated) {
+      return res.status(404).json({ success: false, error: 'API key not found or revoked' });
+    }
+    apiKeyCache.clear();
+    console.log(`[AUTH] Rotated API key ${rotated.apiKey.id}`);
+    res.json({ success: true, apiKey: rotated.apiKey, key: rotated.plaintext });
+  } catch (error) {
+    console.error('[AUTH] Rotate key error:', error.message);
+    res.status(500).json({ success: false, error: error.message || 'Failed to rotate API key' });
+  }
+});
+
+app.post('/api/admin/keys/:id/revoke', authenticateApiKey, requireAdmin, requireDatabase, async (req, res) => {
+  try {
+    const apiKey = await revokeApiKey(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ success: false, error: 'API key not found or already revoked' });
+    }
+    apiKeyCache.clear();
+    console.log(`[AUTH] Revoked API key ${apiKey.id}`);
+    res.json({ success: true, apiKey });
+  } catch (error) {
+    console.error('[AUTH] Revoke key error:', error.message);
+    res.status(500).json({ success: false, error: error.message || 'Failed to revoke API key' });
   }
 });
 
@@ -722,6 +2130,19 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: 'Internal server error' });
 });
 
+// Apply pending schema migrations — non-fatal so analysis still works when
+// the database is unreachable (reports just won't be stored). The monitor
+// scheduler needs the monitors table, so it only starts once migrations pass.
+// Set DISABLE_MONITOR_SCHEDULER=true on all but one instance when scaling out.
+if (process.env.DATABASE_URL) {
+  runMigrations()
+    .then(() => {
+      if (process.env.DISABLE_MONITOR_SCHEDULER !== 'true') startMonitorScheduler(monitorRunners, { authorize: authorizeMonitorRun });
+      startWebhookDispatcher();
+    })
+    .catch(err => console.error('[DB] Migrations failed:', err.message));
+}
+
 // Start server
 const server = app.listen(PORT, () => {
   console.log(`SEO Analyzer Backend running on port ${PORT}`);
@@ -737,6 +2158,8 @@ const server = app.listen(PORT, () => {
 async function shutdown(signal) {
   console.log(`[SHUTDOWN] Received ${signal}, shutting down gracefully…`);
   server.close(() => console.log('[SHUTDOWN] HTTP server closed.'));
+  stopMonitorScheduler();
+  stopWebhookDispatcher();
   try {
     await dbPool.end();
     console.log('[SHUTDOWN] DB pool closed.');
@@ -11,13 +11,25 @@
 
 import axios from "axios";
 import * as cheerio from "cheerio";
-import { parseStringPromise } from "xml2js";
+import { parseStringPromise, processors } from "xml2js";
+import { gunzip } from "zlib";
+import { promisify } from "util";
 import puppeteer from "puppeteer";
 import puppeteerExtra from "puppeteer-extra";
 import StealthPlugin from "puppeteer-extra-plugin-stealth";
+import { createTranslator, DEFAULT_LOCALE } from "./i18n.js";
+import { checkLinks } from "./link-checker.js";
+import { auditRedirects } from "./redirect-audit.js";
+import { simhash, findDuplicates, DEFAULT_NEAR_DUPLICATE_THRESHOLD } from "./duplicate-content.js";
+import { fetchRobotsTxt, checkRobots, crawlDelayFor, ROBOTS_AGENTS } from "./robots-txt.js";
+import { buildLinkGraph } from "./link-graph.js";
+import { extractHreflang, validateHreflang, HREFLANG_ISSUE_CODES } from "./hreflang.js";
+import { auditSitemap, isValidLastmod, SITEMAP_ISSUE_CODES, SITEMAP_MAX_BYTES, SITEMAP_MAX_URLS } from "./sitemap-audit.js";
 
 puppeteerExtra.use(StealthPlugin());
 
+const gunzipAsync = promisify(gunzip);
+
 // ---------------------------------------------------------------------------
 // User-Agent rotation — reduces bot fingerprinting
 // ---------------------------------------------------------------------------
@@ -80,9 +92,10 @@ function isBlocked(status, headers, body) {
 // Launched lazily only when Cloudflare blocks axios + proxy
 // ---------------------------------------------------------------------------
 class StealthBrowserPool {
-  constructor(concurrency, proxyConfig) {
+  constructor(concurrency, proxyConfig, onLaunch = null) {
     this.concurrency = concurrency;
     this.proxyConfig = proxyConfig;
+    this.onLaunch = onLaunch;
     this.browser = null;
     this.available = [];  // idle Page objects
     this.pending = [];    // queued resolve callbacks waiting for a page
@@ -98,6 +111,7 @@ class StealthBrowserPool {
     if (this.proxyConfig) {
       args.push(`--proxy-server=${this.proxyConfig.protocol}://${this.proxyConfig.host}:${this.proxyConfig.port}`);
     }
+    if (this.onLaunch) this.onLaunch();
     this.browser = await puppeteerExtra.launch({ headless: true, args });
     console.log("[CRAWLER] Stealth browser launched for Cloudflare bypass");
     // Pre-warm a pool of tabs
@@ -162,8 +176,9 @@ async function fetchPageStealth(url, pool) {
 
     const html = await page.content();
     const loadTime = ((Date.now() - start) / 1000).toFixed(2);
+    const finalUrl = page.url();
     pool.release(page);
-    return { response: { status: 200, headers: {} }, loadTime, html };
+    return { response: { status: 200, headers: {} }, loadTime, html, finalUrl };
   } catch (err) {
     pool.release(page);
     return { response: null, loadTime: 0, html: "", error: err };
@@ -241,83 +256,179 @@ function isSameSite(url, domain) {
 // ---------------------------------------------------------------------------
 
 /**
- * Fetch raw text content (robots.txt, XML sitemaps).
- * Uses a direct axios request.
+ * Fetch raw text content (XML sitemaps).
+ * Uses a direct axios request. Gzipped files (.xml.gz, served as a gzip body
+ * rather than with Content-Encoding) are recognised by their magic bytes and inflated.
+ * Files over the protocol's 50 MB limit are refused with err.tooLarge set.
+ * @returns {Promise<{ text: string, status: number, bytes: number, gzipped: boolean }>}
  */
 async function fetchTextContent(url) {
   const res = await axios.get(url, {
     timeout: 15000,
     headers: {
       "User-Agent": randomUA(),
-      "Accept": "text/xml,application/xml,text/html,*/*;q=0.8",
+      "Accept": "text/xml,application/xml,application/gzip,text/html,*/*;q=0.8",
     },
-    responseType: "text",
+    responseType: "arraybuffer",
+    maxContentLength: SITEMAP_MAX_BYTES,
     validateStatus: () => true,
+  }).catch(err => {
+    if (/maxContentLength/.test(err.message)) err.tooLarge = true;
+    throw err;
   });
-  const text = typeof res.data === "string" ? res.data : String(res.data);
+  let body = Buffer.from(res.data);
+  const gzipped = body[0] === 0x1f && body[1] === 0x8b;
+  if (gzipped) {
+    body = await gunzipAsync(body, { maxOutputLength: SITEMAP_MAX_BYTES }).catch(err => {
+      if (err.code === "ERR_BUFFER_TOO_LARGE") err.tooLarge = true;
+      throw err;
+    });
+  }
+  const text = body.toString("utf8");
   if (res.status < 400 && text.trim().length > 64) {
-    console.log(`[CRAWLER]    direct fetch OK for ${url} (${res.status}, ${text.length} bytes)`);
-    return text;
+    console.log(`[CRAWLER]    direct fetch OK for ${url} (${res.status}, ${body.length} bytes)`);
+    return { text, status: res.status, bytes: body.length, gzipped };
   }
-  throw new Error(`Could not fetch ${url} — status ${res.status} or empty body`);
+  const err = new Error(`Could not fetch ${url} — status ${res.status} or empty body`);
+  err.status = res.status;
+  throw err;
 }
 
-async function getSitemapsFromRobots(domain) {
-  const sitemaps = [];
-  try {
-    console.log("[CRAWLER] Checking robots.txt...");
-    const text = await fetchTextContent(`${domain}/robots.txt`);
-    for (const line of text.split("\n")) {
-      if (line.toLowerCase().startsWith("sitemap:")) {
-        const sm = line.split(":").slice(1).join(":").trim();
-        if (sm) sitemaps.push(sm);
-      }
-    }
-    console.log(`[CRAWLER] Found ${sitemaps.length} sitemap(s) in robots.txt`);
-  } catch {
-    console.log("[CRAWLER] robots.txt not accessible or not found");
-  }
-  return sitemaps;
+// Product token our own crawler answers to in robots.txt when respectRobots is on
+const ROBOTS_USER_AGENT = process.env.ROBOTS_USER_AGENT || "SEOAuditBot";
+// Crawl-delay is honoured up to this many seconds — beyond it a crawl would outlive the job timeout
+const MAX_CRAWL_DELAY_S = 10;
+// BFS mode only compares sitemaps against what links reach — read up to one full sitemap's worth
+const BFS_SITEMAP_MAX_URLS = 50000;
+
+// xml2js gives text-only elements as strings and elements with attributes as { _, $ }
+function xmlText(node) {
+  const value = node?.[0];
+  const text = typeof value === "string" ? value : value?._;
+  return text?.trim() || null;
+}
+
+/**
+ * One <url> entry with its optional fields and the image:, video:, news: and
+ * xhtml:link extensions (namespace prefixes are stripped while parsing)
+ * @returns {{ loc: string, sitemap: string, lastmod: string|null, changefreq: string|null, priority: number|null,
+ *   images: Array<{ loc, title, caption }>,
+ *   videos: Array<{ title, description, thumbnailLoc, contentLoc, playerLoc, duration, publicationDate }>,
+ *   news: { publication, language, publicationDate, title }|null,
+ *   alternates: Array<{ hreflang: string, href: string }> }}
+ */
+function sitemapEntry(entry, sitemapUrl) {
+  const priority = parseFloat(xmlText(entry.priority));
+  const news = entry.news?.[0];
+  return {
+    loc: xmlText(entry.loc),
+    sitemap: sitemapUrl,
+    // Kept as written — the sitemap audit judges whether it's a valid W3C date
+    lastmod: xmlText(entry.lastmod),
+    changefreq: xmlText(entry.changefreq)?.toLowerCase() || null,
+    priority: Number.isFinite(priority) ? priority : null,
+    images: (entry.image || []).map(image => ({
+      loc: xmlText(image.loc),
+      title: xmlText(image.title),
+      caption: xmlText(image.caption),
+    })),
+    videos: (entry.video || []).map(video => ({
+      title: xmlText(video.title),
+      description: xmlText(video.description),
+      thumbnailLoc: xmlText(video.thumbnail_loc),
+      contentLoc: xmlText(video.content_loc),
+      playerLoc: xmlText(video.player_loc),
+      duration: parseInt(xmlText(video.duration), 10) || null,
+      publicationDate: xmlText(video.publication_date),
+    })),
+    news: news ? {
+      publication: xmlText(news.publication?.[0]?.name),
+      language: xmlText(news.publication?.[0]?.language),
+      publicationDate: xmlText(news.publication_date),
+      title: xmlText(news.title),
+    } : null,
+    alternates: (entry.link || [])
+      .map(link => link.$ || {})
+      .filter(attrs => attrs.rel === "alternate" && attrs.hreflang && attrs.href)
+      .map(attrs => ({ hreflang: attrs.hreflang, href: attrs.href })),
+  };
 }
 
-/** Recursively resolves a sitemap or sitemap index, returns all page URLs */
-async function resolveSitemap(sitemapUrl, visited = new Set()) {
+/**
+ * Recursively resolves a sitemap or sitemap index, returns all page entries (see sitemapEntry)
+ *
+ * Every file read — or that failed — is recorded in `files` for the sitemap audit:
+ * { url, type: 'index'|'urlset'|null, status, bytes, gzipped, urlCount,
+ *   invalidLastmod: [{ loc, lastmod }] (first few), invalidLastmodCount, problems: string[] }
+ */
+async function resolveSitemap(sitemapUrl, visited = new Set(), files = []) {
   if (visited.has(sitemapUrl)) return [];
   visited.add(sitemapUrl);
 
   const urls = [];
+  const file = {
+    url: sitemapUrl, type: null, status: null, bytes: null, gzipped: false,
+    urlCount: 0, invalidLastmod: [], invalidLastmodCount: 0, problems: [],
+  };
+  files.push(file);
   try {
     console.log(`[CRAWLER]  → Fetching sitemap: ${sitemapUrl}`);
-    const text = await fetchTextContent(sitemapUrl);
+    let fetched;
+    try {
+      fetched = await fetchTextContent(sitemapUrl);
+    } catch (err) {
+      file.status = err.status ?? err.response?.status ?? null;
+      file.problems.push(err.tooLarge ? "too_large" : "fetch_failed");
+      throw err;
+    }
+    Object.assign(file, { status: fetched.status, bytes: fetched.bytes, gzipped: fetched.gzipped });
 
-    const xml = await parseStringPromise(text, { explicitArray: true });
+    let xml;
+    try {
+      xml = await parseStringPromise(fetched.text, { explicitArray: true, tagNameProcessors: [processors.stripPrefix] });
+    } catch (err) {
+      file.problems.push("invalid_xml");
+      throw err;
+    }
+
+    const checkLastmod = (loc, lastmod) => {
+      if (lastmod === null || isValidLastmod(lastmod)) return;
+      file.invalidLastmodCount++;
+      if (file.invalidLastmod.length < 10) file.invalidLastmod.push({ loc, lastmod });
+    };
 
     // Sitemap index — recurse into each child sitemap
     if (xml.sitemapindex) {
+      file.type = "index";
       const children = xml.sitemapindex.sitemap || [];
+      file.urlCount = children.length;
       for (const child of children) {
-        const loc = child.loc?.[0];
-        // Skip .xml.gz — we can't decompress them; they'd fail anyway
-        if (loc && !loc.toLowerCase().endsWith(".xml.gz")) {
-          const nested = await resolveSitemap(loc, visited);
+        const loc = xmlText(child.loc);
+        if (loc) {
+          checkLastmod(loc, xmlText(child.lastmod));
+          const nested = await resolveSitemap(loc, visited, files);
           urls.push(...nested);
-        } else if (loc) {
-          console.log(`[CRAWLER]  → Skipping compressed sitemap: ${loc}`);
         }
       }
     }
 
     // Regular URL set
     if (xml.urlset) {
+      file.type = "urlset";
       const entries = xml.urlset.url || [];
+      file.urlCount = entries.length;
       for (const entry of entries) {
-        const loc = entry.loc?.[0];
+        const loc = xmlText(entry.loc);
         if (loc && !isSitemapEntry(loc)) {
-          urls.push(loc);
+          const parsed = sitemapEntry(entry, sitemapUrl);
+          checkLastmod(loc, parsed.lastmod);
+          urls.push(parsed);
         }
       }
     }
 
+    if (file.urlCount > SITEMAP_MAX_URLS) file.problems.push("too_many_urls");
+    if (file.invalidLastmodCount > 0) file.problems.push("invalid_lastmod");
     console.log(`[CRAWLER]  ✓ ${urls.length} URLs from ${sitemapUrl}`);
   } catch {
     console.log(`[CRAWLER]  ✗ Failed to fetch/parse: ${sitemapUrl}`);
@@ -325,12 +436,20 @@ async function resolveSitemap(sitemapUrl, visited = new Set()) {
   return urls;
 }
 
-/** Collect seed URLs from all sitemaps — these prime the BFS queue */
-async function getSeedUrls(baseUrl, maxPages = 500) {
+/**
+ * Collect seed URLs from all sitemaps — these prime the BFS queue
+ * @returns {Promise<{ urls: string[], sitemapEntries: Map<string, Object>, files: Array<Object>, complete: boolean }>}
+ *   sitemapEntries maps each seed that was actually listed in a sitemap to its entry
+ *   (see sitemapEntry); files are the sitemaps read (see resolveSitemap); complete is
+ *   false when maxPages cut reading short
+ */
+async function getSeedUrls(baseUrl, maxPages = 500, robots = null) {
   const domain = getDomain(baseUrl);
   const seed = new Set();
+  const sitemapEntries = new Map();
 
-  const robotsSitemaps = await getSitemapsFromRobots(domain);
+  const robotsSitemaps = [...(robots?.sitemaps || [])];
+  console.log(`[CRAWLER] Found ${robotsSitemaps.length} sitemap(s) in robots.txt`);
   // Always try common sitemap paths as fallbacks
   const commonSitemaps = [
     `${domain}/sitemap.xml`,
@@ -344,13 +463,26 @@ async function getSeedUrls(baseUrl, maxPages = 500) {
   }
 
   const visited = new Set();
+  const files = [];
+  let complete = true;
   for (const sm of robotsSitemaps) {
-    if (seed.size >= maxPages) break;
-    const urls = await resolveSitemap(sm, visited);
-    for (const u of urls) {
-      if (seed.size >= maxPages) break;
+    if (seed.size >= maxPages) {
+      complete = false;
+      break;
+    }
+    const entries = await resolveSitemap(sm, visited, files);
+    for (const entry of entries) {
+      if (seed.size >= maxPages) {
+        complete = false;
+        break;
+      }
       // Accept both www and non-www variants of the domain
-      if (isPageUrl(u) && isSameSite(u, domain)) seed.add(cleanUrl(u));
+      if (isPageUrl(entry.loc) && isSameSite(entry.loc, domain)) {
+        const url = cleanUrl(entry.loc);
+        seed.add(url);
+        // A URL listed twice keeps its first entry
+        if (!sitemapEntries.has(url)) sitemapEntries.set(url, entry);
+      }
     }
   }
 
@@ -359,13 +491,22 @@ async function getSeedUrls(baseUrl, maxPages = 500) {
   seed.add(cleanUrl(baseUrl));
 
   console.log(`[CRAWLER] Seeded ${seed.size} URLs from sitemaps (capped at ${maxPages})`);
-  return [...seed];
+  // Guessed locations that don't exist aren't a problem with the site's sitemaps
+  const guessed = new Set(commonSitemaps.filter(sm => !(robots?.sitemaps || []).includes(sm)));
+  return {
+    urls: [...seed],
+    sitemapEntries,
+    files: files.filter(file => file.type || !guessed.has(file.url)),
+    complete,
+  };
 }
 
 // ---------------------------------------------------------------------------
 // Per-page fetch — direct axios with proxy fallback, then stealth browser
 // for Cloudflare-protected sites.
 // ---------------------------------------------------------------------------
+const MAX_REDIRECTS = 5;
+
 async function fetchPage(url, blockedHosts = null, useScrapeDo = false) {
   // Use Scrape.do API when requested
   if (useScrapeDo) {
@@ -392,6 +533,7 @@ async function fetchPage(url, blockedHosts = null, useScrapeDo = false) {
 
   const proxyConfig = getProxyConfig();
 
+  // Redirects are followed by hand so every hop ends up in redirectChain
   const attempt = async (useProxy) => {
     const config = {
       timeout: 12000,
@@ -402,14 +544,31 @@ async function fetchPage(url, blockedHosts = null, useScrapeDo = false) {
         "Cache-Control": "no-cache",
       },
       validateStatus: () => true,
-      maxRedirects: 5,
+      maxRedirects: 0,
     };
     if (useProxy && proxyConfig) config.proxy = proxyConfig;
     const start = Date.now();
-    const response = await axios.get(url, config);
+    const redirectChain = []; // { url, status, location, timeMs }
+    let currentUrl = url;
+    let response;
+    while (true) {
+      const hopStart = Date.now();
+      response = await axios.get(currentUrl, config);
+      const location = response.headers?.location;
+      if (response.status < 300 || response.status >= 400 || !location) break;
+      const next = new URL(location, currentUrl).href;
+      redirectChain.push({ url: currentUrl, status: response.status, location: next, timeMs: Date.now() - hopStart });
+      if (redirectChain.some(hop => hop.url === next)) {
+        throw Object.assign(new Error(`Redirect loop at ${next}`), { code: "ERR_REDIRECT_LOOP", redirectChain });
+      }
+      if (redirectChain.length > MAX_REDIRECTS) {
+        throw Object.assign(new Error(`More than ${MAX_REDIRECTS} redirects`), { code: "ERR_TOO_MANY_REDIRECTS", redirectChain });
+      }
+      currentUrl = next;
+    }
     const loadTime = ((Date.now() - start) / 1000).toFixed(2);
     const html = typeof response.data === "string" ? response.data : String(response.data);
-    return { response, loadTime, html };
+    return { response, loadTime, html, redirectChain, finalUrl: currentUrl };
   };
 
   try {
@@ -442,7 +601,28 @@ async function fetchPage(url, blockedHosts = null, useScrapeDo = false) {
 // ---------------------------------------------------------------------------
 // Per-page analysis — returns page SEO data + discovered internal links
 // ---------------------------------------------------------------------------
-function analyzePageHtml(html, url, domain, status, loadTime, pageSizeKb) {
+
+// Every code a page's `issues` array can contain, in report order
+export const CRAWL_ISSUE_CODES = [
+  "crawl_error",
+  "missing_title", "title_too_short", "title_too_long",
+  "missing_meta_description", "meta_description_too_short", "meta_description_too_long",
+  "missing_h1", "multiple_h1",
+  "images_missing_alt",
+  "noindex",
+  "missing_canonical",
+  "thin_content",
+  "broken_links",
+  "redirect_chain", "redirect_loop", "temporary_redirect",
+  "http_to_https_redirect", "www_redirect", "links_to_redirect",
+  "canonical_to_redirect", "canonical_to_broken", "canonical_to_noindex", "canonical_other_host",
+  "duplicate_title", "duplicate_meta_description", "duplicate_h1", "near_duplicate_content",
+  "blocked_by_robots",
+  ...SITEMAP_ISSUE_CODES,
+  ...HREFLANG_ISSUE_CODES,
+];
+
+function analyzePageHtml(html, url, domain, status, loadTime, pageSizeKb, { redirectChain = [], finalUrl = url } = {}) {
   const $ = cheerio.load(html);
 
   const title = $("title").first().text().trim() || null;
@@ -453,6 +633,7 @@ function analyzePageHtml(html, url, domain, status, loadTime, pageSizeKb) {
   const robotsMeta = $('meta[name="robots"]').attr("content")?.toLowerCase() || "";
   const isNoindex = robotsMeta.includes("noindex");
   const isNofollow = robotsMeta.includes("nofollow");
+  const { htmlLang, alternates: hreflang } = extractHreflang($, finalUrl);
   const h1Count = $("h1").length;
   const h2Count = $("h2").length;
   const h3Count = $("h3").length;
@@ -469,6 +650,7 @@ function analyzePageHtml(html, url, domain, status, loadTime, pageSizeKb) {
   let externalLinks = 0;
   const discoveredLinks = new Set();
   const linkDetails = []; // { href, text, type: 'internal' | 'external' }
+  const outlinks = []; // same shape plus nofollow, uncapped — for the cross-page checks, never stored
   const altDomain = domain.includes("://www.")
     ? domain.replace("://www.", "://")
     : domain.replace("://", "://www.");
@@ -476,8 +658,9 @@ function analyzePageHtml(html, url, domain, status, loadTime, pageSizeKb) {
   $("a[href]").each((_, el) => {
     const href = $(el).attr("href") || "";
     const anchorText = $(el).text().replace(/\s+/g, " ").trim().slice(0, 150) || "";
+    const nofollow = isNofollow || /\b(nofollow|ugc|sponsored)\b/i.test($(el).attr("rel") || "");
     try {
-      const abs = new URL(href, url).href;
+      const abs = new URL(href, finalUrl).href;
       const clean = cleanUrl(abs);
       const isInternal = clean.startsWith(domain) || clean.startsWith(altDomain);
       if (isInternal) {
@@ -487,11 +670,13 @@ function analyzePageHtml(html, url, domain, status, loadTime, pageSizeKb) {
         if (linkDetails.length < 100) {
           linkDetails.push({ href: clean, text: anchorText, type: "internal" });
         }
+        outlinks.push({ href: clean, text: anchorText, type: "internal", nofollow });
       } else if (href.startsWith("http")) {
         externalLinks++;
         if (linkDetails.length < 100) {
           linkDetails.push({ href: abs, text: anchorText, type: "external" });
         }
+        outlinks.push({ href: abs, text: anchorText, type: "external", nofollow });
       }
     } catch {}
   });
@@ -528,6 +713,12 @@ function analyzePageHtml(html, url, domain, status, loadTime, pageSizeKb) {
   if (isNoindex) issues.push("noindex");
   if (!canonical) issues.push("missing_canonical");
   if (wordCount < 300) issues.push("thin_content");
+  issues.push(...redirectIssues(redirectChain));
+
+  // Fingerprint the main content only — shared navigation would make every page look alike.
+  // Runs last because it strips those elements from the document.
+  $("script, style, noscript, template, nav, header, footer, aside").remove();
+  const contentHash = simhash($("body").text());
 
   return {
     page: {
@@ -537,15 +728,39 @@ function analyzePageHtml(html, url, domain, status, loadTime, pageSizeKb) {
       isNoindex, isNofollow, h1Count, h2Count, h3Count, h1Text,
       wordCount, totalImages: images.length, missingAlt,
       internalLinks, externalLinks, linkDetails,
-      hasOgTitle, hasOgDescription, hasOgImage, hasSchema, issues,
+      hasOgTitle, hasOgDescription, hasOgImage, hasSchema,
+      htmlLang, hreflang, redirectChain, finalUrl, contentHash, issues,
     },
     links: [...discoveredLinks],
+    outlinks,
   };
 }
 
-/** Fetch + analyze a single page, returns { page, links } */
+const stripWww = (host) => host.replace(/^www\./, "");
+
+/** Issue codes for the redirects a single URL went through */
+function redirectIssues(redirectChain, isLoop = false) {
+  const issues = [];
+  if (redirectChain.length > 1) issues.push("redirect_chain");
+  if (isLoop) issues.push("redirect_loop");
+  // 302/307 tell search engines the move is temporary, so the old URL keeps the ranking
+  if (redirectChain.some(hop => hop.status === 302 || hop.status === 307)) issues.push("temporary_redirect");
+  let toHttps = false;
+  let wwwSwitch = false;
+  for (const hop of redirectChain) {
+    const from = new URL(hop.url);
+    const to = new URL(hop.location);
+    if (from.protocol === "http:" && to.protocol === "https:") toHttps = true;
+    if (from.hostname !== to.hostname && stripWww(from.hostname) === stripWww(to.hostname)) wwwSwitch = true;
+  }
+  if (toHttps) issues.push("http_to_https_redirect");
+  if (wwwSwitch) issues.push("www_redirect");
+  return issues;
+}
+
+/** Fetch + analyze a single page, returns { page, links, outlinks } */
 async function crawlPage(url, domain, stealthPool = null, blockedHosts = null, useScrapeDo = false) {
-  let { response, loadTime, html, error, wasBlocked } = await fetchPage(url, blockedHosts, useScrapeDo);
+  let { response, loadTime, html, error, wasBlocked, redirectChain = [], finalUrl = url } = await fetchPage(url, blockedHosts, useScrapeDo);
 
   // If direct + proxy both blocked/failed, use stealth browser (handles CF JS challenges)
   if (stealthPool && wasBlocked) {
@@ -558,6 +773,7 @@ async function crawlPage(url, domain, stealthPool = null, blockedHosts = null, u
       response = stealthResult.response;
       loadTime = stealthResult.loadTime;
       html = stealthResult.html;
+      finalUrl = stealthResult.finalUrl || url;
       error = null;
     } else if (stealthResult.error) {
       error = stealthResult.error; // propagate for accurate error messages
@@ -566,6 +782,7 @@ async function crawlPage(url, domain, stealthPool = null, blockedHosts = null, u
 
   if (error || !response) {
     const isTimeout = error?.code === "ECONNABORTED" || error?.code === "ETIMEDOUT";
+    const failedChain = error?.redirectChain || [];
     return {
       page: {
         url, status: isTimeout ? 408 : 0, statusClass: isTimeout ? "timeout" : "error",
@@ -575,20 +792,57 @@ async function crawlPage(url, domain, stealthPool = null, blockedHosts = null, u
         wordCount: 0, totalImages: 0, missingAlt: 0, internalLinks: 0, externalLinks: 0,
         linkDetails: [],
         hasOgTitle: false, hasOgDescription: false, hasOgImage: false, hasSchema: false,
-        issues: ["crawl_error"], error: error?.message?.slice(0, 120) || "Unknown error",
+        htmlLang: null, hreflang: [], redirectChain: failedChain, finalUrl: null, contentHash: null,
+        issues: ["crawl_error", ...redirectIssues(failedChain, error?.code === "ERR_REDIRECT_LOOP")],
+        error: error?.message?.slice(0, 120) || "Unknown error",
       },
       links: [],
+      outlinks: [],
     };
   }
 
   const pageSizeKb = (Buffer.byteLength(html) / 1024).toFixed(1);
-  return analyzePageHtml(html, url, domain, response.status, loadTime, pageSizeKb);
+  return analyzePageHtml(html, url, domain, response.status, loadTime, pageSizeKb, { redirectChain, finalUrl });
+}
+
+/**
+ * Sitemap mode: derive click depth after the fact from the links between
+ * crawled pages. Pages no crawled page links to keep depth null.
+ */
+function assignClickDepths(pages, outlinks, startUrl) {
+  const linksFrom = new Map();
+  for (const link of outlinks) {
+    if (link.type !== "internal") continue;
+    if (!linksFrom.has(link.source)) linksFrom.set(link.source, []);
+    linksFrom.get(link.source).push(link.href);
+  }
+  const depthOf = new Map([[startUrl, 0]]);
+  const foundOn = new Map([[startUrl, null]]);
+  const queue = [startUrl];
+  for (let i = 0; i < queue.length; i++) {
+    const url = queue[i];
+    for (const href of linksFrom.get(url) || []) {
+      if (depthOf.has(href)) continue;
+      depthOf.set(href, depthOf.get(url) + 1);
+      foundOn.set(href, url);
+      queue.push(href);
+    }
+  }
+  for (const page of pages) {
+    page.depth = depthOf.get(page.url) ?? null;
+    page.foundOn = foundOn.get(page.url) ?? null;
+  }
 }
 
 // ---------------------------------------------------------------------------
 // Summary builder
 // ---------------------------------------------------------------------------
 
+const REDIRECT_ISSUE_CODES = [
+  "redirect_chain", "redirect_loop", "temporary_redirect",
+  "http_to_https_redirect", "www_redirect", "links_to_redirect",
+];
+
 function buildSummary(results) {
   const total = results.length;
   const byStatus = { ok: 0, redirect: 0, not_found: 0, client_error: 0, server_error: 0, auth_required: 0, forbidden: 0, rate_limited: 0, timeout: 0, error: 0 };
@@ -601,6 +855,16 @@ function buildSummary(results) {
   let noindexPages = 0;
   let missingCanonical = 0;
   let thinContent = 0;
+  let brokenLinkPages = 0;
+  let redirectIssuePages = 0;
+  let canonicalIssuePages = 0;
+  let duplicateTitles = 0;
+  let duplicateMetaDescriptions = 0;
+  let duplicateH1s = 0;
+  let nearDuplicatePages = 0;
+  let robotsBlockedPages = 0;
+  let sitemapIssuePages = 0;
+  let hreflangIssuePages = 0;
 
   let totalLoadTime = 0;
   let totalWordCount = 0;
@@ -618,6 +882,16 @@ function buildSummary(results) {
     if (page.issues?.includes("noindex")) noindexPages++;
     if (page.issues?.includes("missing_canonical")) missingCanonical++;
     if (page.issues?.includes("thin_content")) thinContent++;
+    if (page.issues?.includes("broken_links")) brokenLinkPages++;
+    if (page.issues?.some(code => REDIRECT_ISSUE_CODES.includes(code))) redirectIssuePages++;
+    if (page.issues?.some(code => code.startsWith("canonical_"))) canonicalIssuePages++;
+    if (page.issues?.includes("duplicate_title")) duplicateTitles++;
+    if (page.issues?.includes("duplicate_meta_description")) duplicateMetaDescriptions++;
+    if (page.issues?.includes("duplicate_h1")) duplicateH1s++;
+    if (page.issues?.includes("near_duplicate_content")) nearDuplicatePages++;
+    if (page.issues?.includes("blocked_by_robots")) robotsBlockedPages++;
+    if (page.issues?.some(code => SITEMAP_ISSUE_CODES.includes(code))) sitemapIssuePages++;
+    if (page.issues?.some(code => HREFLANG_ISSUE_CODES.includes(code))) hreflangIssuePages++;
   }
 
   return {
@@ -634,6 +908,16 @@ function buildSummary(results) {
       noindexPages,
       missingCanonical,
       thinContent,
+      pagesWithBrokenLinks: brokenLinkPages,
+      pagesWithRedirectIssues: redirectIssuePages,
+      pagesWithCanonicalIssues: canonicalIssuePages,
+      duplicateTitles,
+      duplicateMetaDescriptions,
+      duplicateH1s,
+      nearDuplicatePages,
+      pagesBlockedByRobots: robotsBlockedPages,
+      pagesWithSitemapIssues: sitemapIssuePages,
+      pagesWithHreflangIssues: hreflangIssuePages,
     },
   };
 }
@@ -695,107 +979,331 @@ async function takeHomepageScreenshots(url) {
 }
 
 // ---------------------------------------------------------------------------
-// Main export — Sitemap + Homepage strategy (no BFS)
+// Main export — Sitemap + Homepage strategy, or opt-in BFS
 // ---------------------------------------------------------------------------
 
 /**
  * crawlSite(baseUrl, options)
  *
+ * mode 'sitemap' (default):
  * 1. Pulls page URLs from sitemaps (up to maxPages)
  * 2. Fetches the homepage and extracts internal links to fill any gaps
  * 3. Fetches every collected URL in parallel batches (concurrency=5)
- * 4. No recursive link-following — saves Scrape.do credits
+ *    No recursive link-following — saves Scrape.do credits. Click depth is
+ *    derived afterwards from the links between crawled pages.
+ *
+ * mode 'bfs' replaces 2–3: starts at the homepage and follows internal links
+ * level by level up to maxDepth clicks, so each page's depth and first linking
+ * page are exact. Sitemap URLs the links never reached are reported separately.
+ *
+ * Then, in both modes:
+ * 4. Judges every page against robots.txt for Googlebot and Bingbot (see robots-txt.js)
+ * 5. Cross-checks redirects and canonicals between pages (see redirect-audit.js)
+ * 6. Audits the sitemaps against the crawled pages (see sitemap-audit.js)
+ * 7. Validates hreflang annotations across pages and sitemaps (see hreflang.js)
+ * 8. Builds the internal link graph with internal PageRank (see link-graph.js)
+ * 9. Groups duplicate and near-duplicate pages (see duplicate-content.js)
+ * 10. Verifies every unique link target found on those pages (see link-checker.js)
  *
  * @param {string} baseUrl
  * @param {object} options
  *   @param {number} [options.concurrency=5]   Parallel fetch workers
  *   @param {number} [options.maxPages=500]    Hard cap on pages to crawl
  *   @param {function} [options.onProgress]   (crawled, total) callback
+ *   @param {function} [options.onPhase]      (phase, message) callback — fired when
+ *                                            the crawl enters a new stage: 'sitemaps',
+ *                                            'homepage', 'crawling' (once per depth in bfs mode),
+ *                                            'stealth', 'redirects', 'hreflang', 'links'
+ *   @param {string}   [options.locale='en']     Language for phase messages and issueLabels
+ *   @param {boolean}  [options.checkLinks=true] Verify internal + external link targets
+ *   @param {number}   [options.nearDuplicateThreshold=0.9] Simhash similarity at which two
+ *                                            pages count as near-duplicates
+ *   @param {boolean}  [options.respectRobots=false] Skip URLs robots.txt disallows for
+ *                                            ROBOTS_USER_AGENT and honour its Crawl-delay
+ *   @param {'sitemap'|'bfs'} [options.mode='sitemap']
+ *   @param {number}   [options.maxDepth=5]     BFS only — clicks from the homepage to follow
  */
 export async function crawlSite(baseUrl, options = {}) {
   const {
     concurrency = 5,
     maxPages = 500,
     onProgress = null,
+    onPhase = null,
     useScrapeDo = !!process.env.SCRAPE_DO_TOKEN,
+    locale = DEFAULT_LOCALE,
+    checkLinks: shouldCheckLinks = true,
+    nearDuplicateThreshold = DEFAULT_NEAR_DUPLICATE_THRESHOLD,
+    respectRobots = false,
+    mode = "sitemap",
+    maxDepth = 5,
   } = options;
+  const t = createTranslator(locale);
+  const phase = (name, message) => { if (onPhase) onPhase(name, message); };
 
   baseUrl = normalizeUrl(baseUrl);
   const domain = getDomain(baseUrl);
   console.log(`[CRAWLER] Starting crawl: ${baseUrl} (concurrency=${concurrency}, maxPages=${maxPages}, via=${useScrapeDo ? 'scrape.do' : 'direct'})`);
 
   // Stealth pool only needed when NOT using Scrape.do
-  const stealthPool = useScrapeDo ? null : new StealthBrowserPool(Math.min(concurrency, 10), getProxyConfig());
+  const stealthPool = useScrapeDo ? null : new StealthBrowserPool(
+    Math.min(concurrency, 10),
+    getProxyConfig(),
+    () => phase("stealth", t("crawl.phase.stealth")),
+  );
   const blockedHosts = useScrapeDo ? null : new Set();
 
   // Step 0: Screenshot runs in parallel with URL discovery
   const screenshotPromise = takeHomepageScreenshots(baseUrl);
 
+  // robots.txt is per origin — www and non-www variants can differ
+  const robotsByOrigin = new Map();
+  const robotsFor = (url) => {
+    const { origin } = new URL(url);
+    if (!robotsByOrigin.has(origin)) robotsByOrigin.set(origin, fetchRobotsTxt(origin, { userAgent: randomUA() }));
+    return robotsByOrigin.get(origin);
+  };
+  const crawlable = async (url) => !respectRobots || checkRobots(await robotsFor(url), ROBOTS_USER_AGENT, url).allowed;
+
   // Step 1: Collect URLs from sitemaps
-  let urlSet = new Set(await getSeedUrls(baseUrl, maxPages));
+  phase("sitemaps", t("crawl.phase.sitemaps"));
+  console.log("[CRAWLER] Checking robots.txt...");
+  const robots = await robotsFor(baseUrl);
+  console.log(`[CRAWLER] robots.txt: status ${robots.status ?? "unreachable"}, ${robots.groups.length} group(s)`);
+  const { urls: seedUrls, sitemapEntries, files: sitemapFiles, complete: sitemapsComplete } = await getSeedUrls(baseUrl, mode === "bfs" ? BFS_SITEMAP_MAX_URLS : maxPages, robots);
+  let urlSet = new Set(seedUrls);
   console.log(`[CRAWLER] ${urlSet.size} URLs from sitemaps`);
 
-  // Step 2: Fetch homepage and extract internal links to fill gaps
-  if (urlSet.size < maxPages) {
-    console.log(`[CRAWLER] Fetching homepage to discover additional links...`);
-    const homeFetch = await fetchPage(baseUrl, blockedHosts, useScrapeDo);
-    if (homeFetch.html) {
-      const $ = cheerio.load(homeFetch.html);
-      $('a[href]').each((_, el) => {
-        if (urlSet.size >= maxPages) return false;
-        const href = $(el).attr('href') || '';
-        try {
-          const abs = cleanUrl(new URL(href, baseUrl).href);
-          if (isPageUrl(abs) && isSameSite(abs, domain)) urlSet.add(abs);
-        } catch {}
-      });
-      console.log(`[CRAWLER] ${urlSet.size} URLs after homepage link extraction`);
-    }
-  }
-
-  // Finalise the ordered list, capped at maxPages
-  const totalDiscoveredUrls = urlSet.size;
-  const allUrls = [...urlSet].slice(0, maxPages);
-  const uncrawledUrls = totalDiscoveredUrls > maxPages ? [...urlSet].slice(maxPages) : [];
-  const wasCapped = totalDiscoveredUrls > maxPages;
-  const total = allUrls.length;
-  console.log(`[CRAWLER] Crawling ${total}/${totalDiscoveredUrls} pages with concurrency ${concurrency}${wasCapped ? ` (capped at ${maxPages})` : ''}...`);
-
-  // Step 3: Fetch + analyse all pages in concurrent batches — no BFS
   const results = [];
-  let cursor = 0;
+  const outlinks = [];
+  const robotsSkippedUrls = [];
+  // Crawl-delay means one request per interval, so it also forces a single worker
+  const crawlDelaySeconds = respectRobots ? Math.min(crawlDelayFor(robots, ROBOTS_USER_AGENT) ?? 0, MAX_CRAWL_DELAY_S) : 0;
+  const workerCount = crawlDelaySeconds > 0 ? 1 : concurrency;
   // Small inter-request delay per worker to avoid hammering Scrape.do
-  const INTER_REQUEST_DELAY_MS = useScrapeDo ? 150 : 0;
+  const INTER_REQUEST_DELAY_MS = Math.max(useScrapeDo ? 150 : 0, crawlDelaySeconds * 1000);
+
+  // Fetch + analyse a list of URLs with the worker pool. Returns each URL's
+  // crawlPage() result in input order; pages and outlinks also accumulate above.
+  const crawlBatch = async (urls, progressTotal) => {
+    const batch = new Array(urls.length);
+    let cursor = 0;
+    const worker = async () => {
+      while (true) {
+        const idx = cursor++;
+        if (idx >= urls.length) break;
+        const url = urls[idx];
+        batch[idx] = await crawlPage(url, domain, stealthPool, blockedHosts, useScrapeDo);
+        results.push(batch[idx].page);
+        for (const link of batch[idx].outlinks) outlinks.push({ ...link, source: url });
+        const done = results.length;
+        const total = progressTotal();
+        console.log(`[CRAWLER] Progress: ${done}/${total}`);
+        if (onProgress) onProgress(done, total);
+        if (INTER_REQUEST_DELAY_MS > 0) await new Promise(r => setTimeout(r, INTER_REQUEST_DELAY_MS));
+      }
+    };
+    await Promise.all(Array.from({ length: workerCount }, () => worker()));
+    return batch;
+  };
 
-  const worker = async () => {
-    while (true) {
-      const idx = cursor++;
-      if (idx >= allUrls.length) break;
-      const url = allUrls[idx];
-      const { page } = await crawlPage(url, domain, stealthPool, blockedHosts, useScrapeDo);
-      results.push(page);
-      const done = results.length;
-      console.log(`[CRAWLER] Progress: ${done}/${total}`);
-      if (onProgress) onProgress(done, total);
-      if (INTER_REQUEST_DELAY_MS > 0) await new Promise(r => setTimeout(r, INTER_REQUEST_DELAY_MS));
+  const skipDisallowed = async (urls) => {
+    if (!respectRobots) return urls;
+    const allowed = [];
+    for (const url of urls) {
+      if (await crawlable(url)) allowed.push(url);
+      else robotsSkippedUrls.push(url);
     }
+    return allowed;
   };
 
-  // Wait for all workers and screenshot in parallel
-  const [, { screenshot, screenshotMobile }] = await Promise.all([
-    Promise.all(Array.from({ length: concurrency }, () => worker())),
-    screenshotPromise,
-  ]);
+  let totalDiscoveredUrls;
+  let uncrawledUrls;
+  let wasCapped;
+  let total;
+  let unlinkedSitemapUrls = null;
+
+  const crawlPromise = mode === "bfs" ? (async () => {
+    // Level-synchronous BFS: a whole depth is crawled before the next is queued,
+    // so a page's depth and first linking page don't depend on worker timing
+    const start = cleanUrl(baseUrl);
+    const seen = new Set([start]);
+    const depthOf = new Map([[start, 0]]);
+    const foundOn = new Map([[start, null]]);
+    uncrawledUrls = [];
+    let frontier = [start];
+    let depth = 0;
+    while (frontier.length > 0) {
+      frontier = await skipDisallowed(frontier);
+      const room = maxPages - results.length;
+      if (depth > maxDepth || room <= 0 || frontier.length === 0) break;
+      const level = frontier.slice(0, room);
+      uncrawledUrls.push(...frontier.slice(room));
+      console.log(`[CRAWLER] Depth ${depth}: crawling ${level.length} pages`);
+      phase("crawling", t("crawl.phase.depth", { depth, count: level.length }));
+
+      const crawled = await crawlBatch(level, () => Math.min(maxPages, seen.size - robotsSkippedUrls.length));
+      const next = [];
+      level.forEach((url, i) => {
+        for (const link of crawled[i].links) {
+          if (seen.has(link)) continue;
+          seen.add(link);
+          depthOf.set(link, depth + 1);
+          foundOn.set(link, url);
+          next.push(link);
+        }
+      });
+      frontier = next;
+      depth++;
+    }
+    uncrawledUrls.push(...frontier);
+
+    for (const page of results) {
+      page.depth = depthOf.get(page.url) ?? null;
+      page.foundOn = foundOn.get(page.url) ?? null;
+    }
+    totalDiscoveredUrls = seen.size - robotsSkippedUrls.length;
+    wasCapped = results.length >= maxPages && uncrawledUrls.length > 0;
+    total = results.length;
+    // Listed in a sitemap but never reached by following links — orphans, or beyond maxDepth / maxPages
+    unlinkedSitemapUrls = [...sitemapEntries.keys()].filter(url => !seen.has(url));
+  })() : (async () => {
+    // Step 2: Fetch homepage and extract internal links to fill gaps
+    if (urlSet.size < maxPages && await crawlable(baseUrl)) {
+      console.log(`[CRAWLER] Fetching homepage to discover additional links...`);
+      phase("homepage", t("crawl.phase.homepage", { count: urlSet.size }));
+      const homeFetch = await fetchPage(baseUrl, blockedHosts, useScrapeDo);
+      if (homeFetch.html) {
+        const $ = cheerio.load(homeFetch.html);
+        $('a[href]').each((_, el) => {
+          if (urlSet.size >= maxPages) return false;
+          const href = $(el).attr('href') || '';
+          try {
+            const abs = cleanUrl(new URL(href, baseUrl).href);
+            if (isPageUrl(abs) && isSameSite(abs, domain)) urlSet.add(abs);
+          } catch {}
+        });
+        console.log(`[CRAWLER] ${urlSet.size} URLs after homepage link extraction`);
+      }
+    }
+
+    urlSet = new Set(await skipDisallowed([...urlSet]));
+    if (respectRobots) console.log(`[CRAWLER] ${robotsSkippedUrls.length} URLs disallowed for ${ROBOTS_USER_AGENT} by robots.txt`);
+
+    // Finalise the ordered list, capped at maxPages
+    totalDiscoveredUrls = urlSet.size;
+    const allUrls = [...urlSet].slice(0, maxPages);
+    uncrawledUrls = totalDiscoveredUrls > maxPages ? [...urlSet].slice(maxPages) : [];
+    wasCapped = totalDiscoveredUrls > maxPages;
+    total = allUrls.length;
+    console.log(`[CRAWLER] Crawling ${total}/${totalDiscoveredUrls} pages with concurrency ${workerCount}${wasCapped ? ` (capped at ${maxPages})` : ''}...`);
+    phase("crawling", t("crawl.phase.crawling", { total, discovered: totalDiscoveredUrls }));
+
+    // Step 3: Fetch + analyse all pages in concurrent batches — no BFS
+    await crawlBatch(allUrls, () => total);
+    assignClickDepths(results, outlinks, cleanUrl(baseUrl));
+  })();
+
+  // Wait for the crawl and screenshot in parallel
+  const [, { screenshot, screenshotMobile }] = await Promise.all([crawlPromise, screenshotPromise]);
 
   // Clean up stealth browser if it was used
   if (stealthPool) await stealthPool.close();
 
+  // Sitemap lastmod, priority, images, videos, news and hreflang alternates for each listed page
+  for (const page of results) page.sitemap = sitemapEntries.get(page.url) ?? null;
+
+  // Step 4: robots.txt verdicts for the search engine crawlers
+  const robotsVerdicts = async (url) => {
+    const robotsTxt = await robotsFor(url);
+    return Object.fromEntries(ROBOTS_AGENTS.map(agent => [agent, checkRobots(robotsTxt, agent, url)]));
+  };
+  for (const page of results) {
+    page.robots = await robotsVerdicts(page.url);
+    if (Object.values(page.robots).some(verdict => !verdict.allowed)) {
+      page.issues.push("blocked_by_robots");
+      if (page.sitemap) page.issues.push("sitemap_url_blocked");
+    }
+  }
+  // Sitemaps should only list crawlable URLs — check all of them, crawled or not
+  const blockedSitemapUrls = [];
+  for (const url of sitemapEntries.keys()) {
+    const verdicts = await robotsVerdicts(url);
+    const blockedAgents = ROBOTS_AGENTS.filter(agent => !verdicts[agent].allowed);
+    if (blockedAgents.length) blockedSitemapUrls.push({ url, agents: blockedAgents, rule: verdicts[blockedAgents[0]].rule });
+  }
+
+  // Step 5: Redirect chains, links to redirects and canonical targets
+  phase("redirects", t("crawl.phase.redirects"));
+  const redirectAudit = await auditRedirects(results, outlinks);
+
+  // Step 6: Sitemap contents against what the crawl found
+  const sitemapAudit = auditSitemap(results, outlinks, sitemapEntries, { files: sitemapFiles, complete: sitemapsComplete });
+
+  // Step 7: hreflang sets — codes, return tags, targets, page vs sitemap
+  phase("hreflang", t("crawl.phase.hreflang"));
+  const hreflang = await validateHreflang(results);
+
+  // Step 8: Internal link graph — degrees, internal PageRank, strongly connected components
+  const linkGraph = buildLinkGraph(results, outlinks, { startUrl: cleanUrl(baseUrl) });
+
+  // Step 9: Duplicate titles, descriptions and H1s; near-duplicate body content
+  const duplicates = findDuplicates(results, outlinks, { threshold: nearDuplicateThreshold });
+
+  // Step 10: Verify link targets — crawled pages already have a real status, so reuse it
+  let linkCheck = null;
+  if (shouldCheckLinks) {
+    const knownStatuses = new Map();
+    for (const page of results) {
+      if (page.status > 0 && page.statusClass !== "timeout") knownStatuses.set(page.url, page.status);
+    }
+    phase("links", t("crawl.phase.links", { count: new Set(outlinks.map(l => l.href)).size }));
+    linkCheck = await checkLinks(outlinks, { knownStatuses });
+
+    const brokenBySource = new Map();
+    for (const target of linkCheck.broken) {
+      for (const { url } of target.sources) brokenBySource.set(url, (brokenBySource.get(url) || 0) + 1);
+    }
+    for (const page of results) {
+      page.brokenLinks = brokenBySource.get(page.url) || 0;
+      if (page.brokenLinks > 0) page.issues.push("broken_links");
+    }
+  }
+
   const summary = buildSummary(results);
+
+  // Display label for every issue code that occurs, so clients need no catalog of their own
+  const issueLabels = {};
+  for (const page of results) {
+    for (const code of page.issues || []) issueLabels[code] ??= t(`crawl.issue.${code}`);
+  }
+
   console.log(`[CRAWLER] Done. ${results.length} pages crawled.`);
 
   return {
+    url: baseUrl,
+    locale,
     pages: results,
     summary,
+    issueLabels,
+    linkCheck,
+    redirectAudit,
+    duplicates,
+    sitemapAudit,
+    linkGraph,
+    hreflang,
+    mode,
+    maxDepth: mode === "bfs" ? maxDepth : null,
+    unlinkedSitemapUrls,
+    robots: {
+      url: robots.url,
+      status: robots.status,
+      sitemaps: robots.sitemaps,
+      crawlDelay: Object.fromEntries(ROBOTS_AGENTS.map(agent => [agent, crawlDelayFor(robots, agent)])),
+      respected: respectRobots,
+      userAgent: respectRobots ? ROBOTS_USER_AGENT : null,
+      skippedUrls: robotsSkippedUrls,
+      blockedSitemapUrls,
+    },
     crawledPages: results.length,
     totalDiscoveredUrls,
     wasCapped,
@@ -0,0 +1,146 @@
+/**
+ * Sitemap Audit - Does the sitemap list exactly the pages that should be indexed?
+ *
+ * getSeedUrls() records every sitemap file it reads (size, URL count, lastmod
+ * validity) and keeps each listed URL's entry. Once the crawl is in, this module
+ * holds the two against each other:
+ *
+ *   sitemap_url_redirect      — listed URL redirects; the sitemap should name the destination
+ *   sitemap_url_error         — listed URL answers 4xx/5xx or can't be fetched
+ *   sitemap_url_noindex       — listed URL is noindex
+ *   sitemap_url_canonicalised — listed URL's canonical points to another URL
+ *   missing_from_sitemap      — indexable page found through links but listed in no sitemap
+ *   orphan_page               — listed URL that no crawled page links to
+ *
+ * File-level problems (over 50,000 URLs or 50 MB, invalid lastmod dates, files
+ * that couldn't be fetched or parsed) are reported per sitemap.
+ */
+
+// Sitemap protocol limits for one file
+export const SITEMAP_MAX_URLS = 50000;
+export const SITEMAP_MAX_BYTES = 50 * 1024 * 1024;
+
+export const SITEMAP_ISSUE_CODES = [
+  "sitemap_url_redirect", "sitemap_url_error", "sitemap_url_noindex", "sitemap_url_canonicalised",
+  "missing_from_sitemap", "orphan_page", "sitemap_url_blocked",
+];
+
+// W3C Datetime — YYYY, YYYY-MM, YYYY-MM-DD or a full date-time with a time zone
+const W3C_DATETIME = /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/;
+// Allow for servers a time zone ahead before calling a lastmod "in the future"
+const LASTMOD_FUTURE_SLACK_MS = 24 * 60 * 60 * 1000;
+
+/** A lastmod search engines will trust: W3C Datetime, a real date, and not in the future */
+export function isValidLastmod(value) {
+  if (!W3C_DATETIME.test(value)) return false;
+  const time = Date.parse(value);
+  return Number.isFinite(time) && time <= Date.now() + LASTMOD_FUTURE_SLACK_MS;
+}
+
+function withoutHash(raw, base) {
+  try {
+    const u = new URL(raw, base);
+    u.hash = "";
+    return u.href;
+  } catch {
+    return null;
+  }
+}
+
+function addIssue(page, code) {
+  if (!page.issues.includes(code)) page.issues.push(code);
+}
+
+// Canonical resolved against the URL the page was served from, when it names a different URL
+function canonicalElsewhere(page) {
+  if (!page.canonical || !page.finalUrl) return null;
+  const canonical = withoutHash(page.canonical, page.finalUrl);
+  return canonical && canonical !== page.finalUrl ? canonical : null;
+}
+
+/**
+ * @param {Array<Object>} pages - crawl page records with `sitemap` entries attached; issues are added in place
+ * @param {Array<{ href: string, source: string, type: string }>} outlinks
+ * @param {Map<string, Object>} sitemapEntries - listed URL → sitemap entry
+ * @param {object} [options]
+ *   @param {Array<Object>} [options.files]   Sitemap files read, from getSeedUrls()
+ *   @param {boolean}       [options.complete=true] Every sitemap was read in full — without
+ *                                            that, missing_from_sitemap would be guesswork
+ * @returns {{ files: Array<Object>, listedUrls: number,
+ *   redirecting: Array<{ url: string, finalUrl: string|null, status: number }>,
+ *   errors: Array<{ url: string, status: number|null, error: string|null }>,
+ *   noindex: string[],
+ *   canonicalised: Array<{ url: string, canonical: string }>,
+ *   missing: string[]|null,
+ *   orphans: string[] }}
+ */
+export function auditSitemap(pages, outlinks, sitemapEntries, { files = [], complete = true } = {}) {
+  const byUrl = new Map(pages.map(page => [page.url, page]));
+  const redirecting = [];
+  const errors = [];
+  const noindex = [];
+  const canonicalised = [];
+
+  for (const page of pages) {
+    if (!page.sitemap) continue;
+    if ((page.redirectChain || []).length > 0) {
+      redirecting.push({ url: page.url, finalUrl: page.finalUrl || null, status: page.redirectChain[0].status });
+      addIssue(page, "sitemap_url_redirect");
+    }
+    if (page.statusClass !== "ok") {
+      errors.push({ url: page.url, status: page.status || null, error: page.error || null });
+      addIssue(page, "sitemap_url_error");
+      continue;
+    }
+    if (page.isNoindex) {
+      noindex.push(page.url);
+      addIssue(page, "sitemap_url_noindex");
+    }
+    const canonical = canonicalElsewhere(page);
+    if (canonical) {
+      canonicalised.push({ url: page.url, canonical });
+      addIssue(page, "sitemap_url_canonicalised");
+    }
+  }
+
+  // Indexable pages the sitemaps leave out — only meaningful when every sitemap was read
+  let missing = null;
+  if (complete && sitemapEntries.size > 0) {
+    missing = [];
+    for (const page of pages) {
+      if (page.sitemap || page.statusClass !== "ok" || page.isNoindex || canonicalElsewhere(page)) continue;
+      // A redirecting URL is judged by its destination, which is crawled or listed separately
+      if ((page.redirectChain || []).length > 0) continue;
+      missing.push(page.url);
+      addIssue(page, "missing_from_sitemap");
+    }
+  }
+
+  // Link targets, with links to a crawled redirect credited to where it lands
+  const linked = new Set();
+  for (const link of outlinks) {
+    if (link.type !== "internal") continue;
+    const href = withoutHash(link.href);
+    if (!href || href === link.source) continue;
+    linked.add(href);
+    const target = byUrl.get(href);
+    if (target?.finalUrl) linked.add(target.finalUrl);
+  }
+  // The homepage is the entry point, not an orphan
+  const orphans = [...sitemapEntries.keys()].filter(url => !linked.has(url) && url !== `${new URL(url).origin}/`);
+  for (const url of orphans) {
+    const page = byUrl.get(url);
+    if (page) addIssue(page, "orphan_page");
+  }
+
+  return {
+    files,
+    listedUrls: sitemapEntries.size,
+    redirecting,
+    errors,
+    noindex,
+    canonicalised,
+    missing,
+    orphans,
+  };
+}
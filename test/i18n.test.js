@@ -0,0 +1,31 @@
+/**
+ * i18n tests - locale resolution and lookups must only see the catalogs'
+ * own keys, never Object.prototype members
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveLocale, createTranslator, formatDate } from '../i18n.js';
+
+test('resolves supported locales and rejects inherited property names', () => {
+  assert.equal(resolveLocale(), 'en');
+  assert.equal(resolveLocale('de-AT'), 'de');
+  assert.equal(resolveLocale('FR_fr'), 'fr');
+  for (const name of ['constructor', 'toString', '__proto__', 'hasOwnProperty', 'xx']) {
+    assert.equal(resolveLocale(name), null, name);
+  }
+});
+
+test('translators and dates fall back to English for inherited names', () => {
+  const t = createTranslator('constructor');
+  assert.equal(t('pdf.compare.overallScores'), 'Overall Scores');
+  assert.equal(t('constructor'), 'constructor');
+  assert.equal(createTranslator('de')('toString'), 'toString');
+  assert.equal(formatDate('2026-03-01T12:00:00Z', '__proto__'), formatDate('2026-03-01T12:00:00Z', 'en'));
+});
+
+test('pluralises on params.count', () => {
+  const t = createTranslator('en');
+  assert.match(t('pdf.compare.summary', { count: 1, host: 'a.com', ahead: 1, behind: 0, tied: 2 }), /^Compared with 1 competitor,/);
+  assert.match(t('pdf.compare.summary', { count: 3, host: 'a.com', ahead: 1, behind: 0, tied: 2 }), /^Compared with 3 competitors,/);
+});
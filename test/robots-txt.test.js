@@ -0,0 +1,101 @@
+/**
+ * robots.txt tests - group selection, rule precedence, wildcards and the
+ * `$` anchor, and patterns that must not blow up the matcher.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRobotsTxt, robotsFromResponse, checkRobots, crawlDelayFor } from '../robots-txt.js';
+
+function robots(text) {
+  return robotsFromResponse(200, text);
+}
+
+function verdict(text, path, agent = 'Googlebot') {
+  return checkRobots(robots(text), agent, `https://example.com${path}`);
+}
+
+test('the longest matching pattern wins and Allow wins a tie', () => {
+  const text = [
+    'User-agent: *',
+    'Disallow: /shop',
+    'Allow: /shop/public',
+    'Disallow: /tie',
+    'Allow: /tie',
+  ].join('\n');
+
+  assert.deepEqual(verdict(text, '/shop/cart'), { allowed: false, rule: 'Disallow: /shop' });
+  assert.deepEqual(verdict(text, '/shop/public/page'), { allowed: true, rule: 'Allow: /shop/public' });
+  assert.deepEqual(verdict(text, '/tie'), { allowed: true, rule: 'Allow: /tie' });
+  assert.deepEqual(verdict(text, '/about'), { allowed: true, rule: null });
+});
+
+test('an agent group replaces the * group and same-agent groups merge', () => {
+  const text = [
+    'User-agent: *',
+    'Disallow: /',
+    '',
+    'User-agent: Googlebot',
+    'User-agent: Bingbot',
+    'Disallow: /private',
+    'Crawl-delay: 5',
+    '',
+    'User-agent: googlebot',
+    'Disallow: /drafts',
+  ].join('\n');
+
+  assert.equal(verdict(text, '/blog').allowed, true);
+  assert.equal(verdict(text, '/private/x').allowed, false);
+  assert.equal(verdict(text, '/drafts/x').allowed, false);
+  assert.equal(verdict(text, '/drafts/x', 'Bingbot').allowed, true);
+  assert.equal(verdict(text, '/blog', 'SomeOtherBot').allowed, false);
+  assert.equal(crawlDelayFor(robots(text), 'Bingbot'), 5);
+});
+
+test('* matches any run of characters and a trailing $ anchors the end', () => {
+  const text = [
+    'User-agent: *',
+    'Disallow: /*.pdf$',
+    'Disallow: /*?sort=',
+    'Disallow: /price$',
+    'Disallow: /a$b',
+  ].join('\n');
+
+  assert.equal(verdict(text, '/files/report.pdf').allowed, false);
+  assert.equal(verdict(text, '/files/report.pdf?download=1').allowed, true);
+  assert.equal(verdict(text, '/list?sort=asc').allowed, false);
+  assert.equal(verdict(text, '/price').allowed, false);
+  assert.equal(verdict(text, '/prices').allowed, true);
+  // Only a trailing $ is an anchor — elsewhere it is a literal character
+  assert.equal(verdict(text, '/a$b/c').allowed, false);
+  assert.equal(verdict(text, '/ab').allowed, true);
+});
+
+test('pathological wildcard patterns are matched in linear time', () => {
+  const text = [
+    'User-agent: *',
+    `Disallow: /${'*a'.repeat(40)}$`,
+    `Disallow: /${'*'.repeat(1000)}b*b*b*b*b*b*b*b*b*b$`,
+  ].join('\n');
+  const path = `/${'a'.repeat(2000)}c`;
+
+  const started = Date.now();
+  assert.equal(verdict(text, path).allowed, true);
+  assert.equal(verdict(text, `/${'a'.repeat(2000)}`).allowed, false);
+  assert.ok(Date.now() - started < 1000, `matching took ${Date.now() - started}ms`);
+});
+
+test('patterns longer than the cap are ignored', () => {
+  const { groups } = parseRobotsTxt(`User-agent: *\nDisallow: /${'x'.repeat(5000)}\nDisallow: /admin`);
+  assert.deepEqual(groups[0].rules.map(rule => rule.pattern), ['/admin']);
+});
+
+test('4xx allows everything and an unreachable file disallows everything', () => {
+  const url = 'https://example.com/page';
+  assert.deepEqual(checkRobots(robotsFromResponse(404), 'Googlebot', url), { allowed: true, rule: null });
+  assert.deepEqual(
+    checkRobots(robotsFromResponse(503), 'Googlebot', url),
+    { allowed: false, rule: 'robots.txt unreachable (503)' }
+  );
+  assert.equal(checkRobots(robotsFromResponse(503), 'Googlebot', 'https://example.com/robots.txt').allowed, true);
+});
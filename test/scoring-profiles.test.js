@@ -0,0 +1,41 @@
+/**
+ * Scoring profile tests - request input that must be rejected with a normal
+ * validation error rather than reaching Object.prototype
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveScoringProfile, DEFAULT_SCORING_PROFILE } from '../scoring-profiles.js';
+
+const INHERITED_NAMES = ['constructor', 'toString', 'hasOwnProperty', '__proto__', 'valueOf'];
+
+test('resolves the built-in profiles and a custom one', () => {
+  assert.equal(resolveScoringProfile().profile.name, DEFAULT_SCORING_PROFILE);
+  assert.equal(resolveScoringProfile('ecommerce').profile.name, 'ecommerce');
+  const { profile } = resolveScoringProfile({ name: 'custom', base: 'ecommerce', thresholds: { titleLength: { min: 40 } } });
+  assert.equal(profile.base, 'ecommerce');
+  assert.equal(profile.thresholds.titleLength.min, 40);
+});
+
+test('rejects inherited property names as profile names', () => {
+  for (const name of INHERITED_NAMES) {
+    const result = resolveScoringProfile(name);
+    assert.match(result.error, /^scoringProfile must be one of:/, name);
+    assert.equal(result.profile, undefined);
+  }
+});
+
+test('rejects inherited property names as a custom profile base', () => {
+  for (const base of INHERITED_NAMES) {
+    assert.match(resolveScoringProfile({ name: 'custom', base }).error, /^scoringProfile\.base must be one of:/, base);
+  }
+});
+
+test('rejects inherited property names in excludeChecks and thresholds', () => {
+  assert.match(resolveScoringProfile({ name: 'custom', excludeChecks: ['constructor'] }).error, /excludeChecks/);
+  assert.equal(resolveScoringProfile({ name: 'custom', thresholds: { constructor: { name: 1 } } }).error, 'Unknown threshold: constructor');
+  assert.equal(
+    resolveScoringProfile({ name: 'custom', thresholds: { titleLength: { toString: 1 } } }).error,
+    'Unknown threshold: titleLength.toString'
+  );
+});
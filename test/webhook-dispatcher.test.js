@@ -0,0 +1,173 @@
+/**
+ * Webhook Dispatcher tests - signed delivery, retries with backoff and the
+ * delivery log, against a local HTTP receiver.
+ *
+ * Postgres is replaced by an in-memory webhook_deliveries table behind
+ * dbPool.query, so webhook-store.js runs its real queries without a database.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+// Short backoff and retry poll so a retry lands within the test
+process.env.WEBHOOK_BACKOFF_MS = '50';
+process.env.WEBHOOK_RETRY_TICK_MS = '10';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+// The receiver listens on 127.0.0.1 (private targets are covered in webhook-private-address.test.js)
+process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+
+const { dbPool } = await import('../db.js');
+const { listDeliveries } = await import('../webhook-store.js');
+const { sendWebhookEvent, startWebhookDispatcher, stopWebhookDispatcher } = await import('../webhook-dispatcher.js');
+
+const BACKOFF_MS = 50;
+
+// ---------------------------------------------------------------------------
+// In-memory webhook_deliveries table
+// ---------------------------------------------------------------------------
+const webhooks = new Map();   // id → { id, url, secret }
+const deliveries = new Map(); // id → delivery row
+const attemptLog = [];        // every recordDeliveryAttempt, with the time it was written
+
+function fakeQuery(sql, params = []) {
+  if (sql.includes('INSERT INTO webhook_deliveries')) {
+    const [id, webhookId, event, payload] = params;
+    const row = {
+      id, webhookId, event, payload: JSON.parse(payload), status: 'pending', attempts: 0,
+      responseStatus: null, lastError: null, nextAttemptAt: new Date(), deliveredAt: null, createdAt: new Date(),
+    };
+    deliveries.set(id, row);
+    return { rows: [{ ...row }], rowCount: 1 };
+  }
+  if (sql.includes('UPDATE webhook_deliveries')) {
+    const [status, attempts, responseStatus, lastError, nextAttemptAt, id] = params;
+    const row = deliveries.get(id);
+    Object.assign(row, { status, attempts, responseStatus, lastError, nextAttemptAt });
+    if (status === 'delivered') row.deliveredAt = new Date();
+    attemptLog.push({ id, status, attempts, responseStatus, lastError, nextAttemptAt, recordedAt: Date.now() });
+    return { rows: [], rowCount: 1 };
+  }
+  if (sql.includes('JOIN webhooks')) {
+    const [now, limit] = params;
+    const rows = [...deliveries.values()]
+      .filter(d => d.status === 'pending' && d.nextAttemptAt <= now)
+      .slice(0, limit)
+      .map(d => ({ ...d, url: webhooks.get(d.webhookId).url, secret: webhooks.get(d.webhookId).secret }));
+    return { rows, rowCount: rows.length };
+  }
+  if (sql.includes('FROM webhook_deliveries')) {
+    const rows = [...deliveries.values()].filter(d => d.webhookId === params[0]).reverse();
+    if (sql.includes('COUNT(*)')) return { rows: [{ total: rows.length }], rowCount: 1 };
+    return { rows: rows.map(d => ({ ...d })), rowCount: rows.length };
+  }
+  throw new Error(`Unexpected query: ${sql}`);
+}
+
+// ---------------------------------------------------------------------------
+// Receiver — answers with the next status from `statuses` (the last one repeats)
+// ---------------------------------------------------------------------------
+async function startReceiver(statuses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body, receivedAt: Date.now() });
+      res.writeHead(statuses[Math.min(requests.length - 1, statuses.length - 1)]);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, url: `http://127.0.0.1:${server.address().port}/hook` };
+}
+
+async function waitFor(predicate, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for webhook deliveries');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+function verifySignature(secret, header, body) {
+  const { t, v1 } = Object.fromEntries(header.split(',').map(part => part.split('=')));
+  const expected = createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+  return v1.length === expected.length && timingSafeEqual(Buffer.from(v1), Buffer.from(expected));
+}
+
+const receivers = [];
+
+before(() => {
+  dbPool.query = async (sql, params) => fakeQuery(sql, params);
+  startWebhookDispatcher();
+});
+
+after(async () => {
+  stopWebhookDispatcher();
+  await Promise.all(receivers.map(({ server }) => new Promise(resolve => server.close(resolve))));
+  await dbPool.end();
+});
+
+test('signs the body, retries a 500 with backoff and logs the delivery', async () => {
+  const receiver = await startReceiver([500, 200]);
+  receivers.push(receiver);
+  const webhook = { id: 'wh-retry', url: receiver.url, secret: 'whsec_test' };
+  webhooks.set(webhook.id, webhook);
+
+  const delivery = await sendWebhookEvent(webhook, 'analysis.completed', { url: 'https://example.com/', score: 87 });
+  await waitFor(() => deliveries.get(delivery.id).status === 'delivered');
+
+  assert.equal(receiver.requests.length, 2);
+  for (const { headers, body } of receiver.requests) {
+    assert.equal(headers['x-webhook-event'], 'analysis.completed');
+    assert.equal(headers['x-webhook-delivery'], delivery.id);
+    assert.match(headers['x-webhook-signature'], /^t=\d+,v1=[0-9a-f]{64}$/);
+    assert.ok(verifySignature(webhook.secret, headers['x-webhook-signature'], body), 'signature matches the raw body');
+    assert.ok(!verifySignature('whsec_other', headers['x-webhook-signature'], body), 'another secret does not verify');
+    assert.deepEqual(JSON.parse(body).data, { url: 'https://example.com/', score: 87 });
+  }
+
+  const [failed, delivered] = attemptLog.filter(a => a.id === delivery.id);
+  assert.deepEqual(
+    { status: failed.status, attempts: failed.attempts, responseStatus: failed.responseStatus, lastError: failed.lastError },
+    { status: 'pending', attempts: 1, responseStatus: 500, lastError: 'HTTP 500' }
+  );
+  assert.ok(failed.nextAttemptAt.getTime() - failed.recordedAt >= BACKOFF_MS - 5, 'first retry waits one backoff step');
+  assert.ok(receiver.requests[1].receivedAt - receiver.requests[0].receivedAt >= BACKOFF_MS - 5);
+  assert.equal(delivered.status, 'delivered');
+  assert.equal(delivered.attempts, 2);
+
+  const { deliveries: log, total } = await listDeliveries(webhook.id);
+  assert.equal(total, 1);
+  assert.equal(log[0].id, delivery.id);
+  assert.equal(log[0].status, 'delivered');
+  assert.equal(log[0].attempts, 2);
+  assert.equal(log[0].responseStatus, 200);
+  assert.ok(log[0].deliveredAt instanceof Date);
+});
+
+test('doubles the backoff and gives up after WEBHOOK_MAX_ATTEMPTS', async () => {
+  const receiver = await startReceiver([500]);
+  receivers.push(receiver);
+  const webhook = { id: 'wh-failing', url: receiver.url, secret: 'whsec_failing' };
+  webhooks.set(webhook.id, webhook);
+
+  const delivery = await sendWebhookEvent(webhook, 'crawl.completed', { url: 'https://example.com/' });
+  await waitFor(() => deliveries.get(delivery.id).status === 'failed');
+
+  assert.equal(receiver.requests.length, 3);
+  const attempts = attemptLog.filter(a => a.id === delivery.id);
+  assert.deepEqual(attempts.map(a => a.status), ['pending', 'pending', 'failed']);
+  const waits = attempts.slice(0, 2).map(a => a.nextAttemptAt.getTime() - a.recordedAt);
+  assert.ok(waits[0] >= BACKOFF_MS - 5 && waits[0] < 2 * BACKOFF_MS, `first wait ${waits[0]}ms`);
+  assert.ok(waits[1] >= 2 * BACKOFF_MS - 5 && waits[1] < 4 * BACKOFF_MS, `second wait ${waits[1]}ms`);
+  assert.equal(attempts[2].nextAttemptAt, null);
+
+  const { deliveries: log } = await listDeliveries(webhook.id);
+  assert.equal(log[0].status, 'failed');
+  assert.equal(log[0].attempts, 3);
+  assert.equal(log[0].lastError, 'HTTP 500');
+});
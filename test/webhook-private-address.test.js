@@ -0,0 +1,82 @@
+/**
+ * Webhook Dispatcher tests - receivers on loopback, private or link-local
+ * addresses are refused when the attempt connects, whether the URL names the
+ * address directly or a hostname that resolves to it.
+ *
+ * Postgres is replaced by an in-memory webhook_deliveries table behind
+ * dbPool.query, as in webhook-dispatcher.test.js.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+process.env.WEBHOOK_MAX_ATTEMPTS = '1';
+delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+
+const { dbPool } = await import('../db.js');
+const { sendWebhookEvent, isPrivateAddress } = await import('../webhook-dispatcher.js');
+
+const deliveries = new Map(); // id → delivery row
+
+function fakeQuery(sql, params = []) {
+  if (sql.includes('INSERT INTO webhook_deliveries')) {
+    const [id, webhookId, event, payload] = params;
+    const row = { id, webhookId, event, payload: JSON.parse(payload), status: 'pending', attempts: 0, responseStatus: null, lastError: null };
+    deliveries.set(id, row);
+    return { rows: [{ ...row }], rowCount: 1 };
+  }
+  if (sql.includes('UPDATE webhook_deliveries')) {
+    const [status, attempts, responseStatus, lastError, , id] = params;
+    Object.assign(deliveries.get(id), { status, attempts, responseStatus, lastError });
+    return { rows: [], rowCount: 1 };
+  }
+  throw new Error(`Unexpected query: ${sql}`);
+}
+
+async function waitFor(predicate, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for webhook deliveries');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+let receiver;
+let received = 0;
+
+before(async () => {
+  dbPool.query = async (sql, params) => fakeQuery(sql, params);
+  receiver = http.createServer((req, res) => {
+    received++;
+    res.writeHead(200);
+    res.end();
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+});
+
+after(async () => {
+  await new Promise(resolve => receiver.close(resolve));
+  await dbPool.end();
+});
+
+test('classifies private and public addresses', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111', 'example.com']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('refuses receivers that are or resolve to private addresses', async () => {
+  const { port } = receiver.address();
+  for (const url of [`http://127.0.0.1:${port}/hook`, `http://localhost:${port}/hook`, `http://[::1]:${port}/hook`]) {
+    const delivery = await sendWebhookEvent({ id: 'wh-private', url, secret: 'whsec_private' }, 'analysis.completed', { url: 'https://example.com/' });
+    await waitFor(() => deliveries.get(delivery.id).status === 'failed');
+    assert.equal(deliveries.get(delivery.id).lastError, 'EPRIVATEADDRESS', url);
+    assert.equal(deliveries.get(delivery.id).responseStatus, null, url);
+  }
+  assert.equal(received, 0);
+});
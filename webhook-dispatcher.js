@@ -0,0 +1,217 @@
+/**
+ * Webhook Dispatcher - Signed event delivery with retries
+ *
+ * When an audit finishes, server.js calls notifyAuditCompleted(); every
+ * enabled webhook of that API key gets one delivery row per matching event:
+ *   analysis.completed / crawl.completed / lighthouse.completed
+ *   threshold.score_below        — score under the webhook's thresholds.minScore
+ *   threshold.new_server_errors  — crawl found server_error pages that weren't
+ *                                  server errors in the previous crawl
+ *
+ * Each delivery is POSTed as JSON, signed with the webhook's secret:
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ * Receivers recompute the HMAC over the raw body and compare in constant time.
+ *
+ * A non-2xx response or network error is retried with exponential backoff
+ * (WEBHOOK_BACKOFF_MS × 2^(attempt-1)) up to WEBHOOK_MAX_ATTEMPTS, then the
+ * delivery is marked failed. Pending retries live in Postgres, so a restart
+ * resumes them on the next poll.
+ *
+ * The receiver's host is resolved when each attempt connects, and loopback,
+ * private and link-local addresses are refused — checking the URL when the
+ * webhook is saved is not enough, since DNS can point anywhere later.
+ * WEBHOOK_ALLOW_PRIVATE_URLS=true lifts this for local development.
+ */
+
+import axios from 'axios';
+import { createHmac } from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import {
+  getActiveWebhooks, createDelivery, getDueDeliveries, recordDeliveryAttempt,
+} from './webhook-store.js';
+
+const WEBHOOK_TIMEOUT_MS    = parseInt(process.env.WEBHOOK_TIMEOUT_MS    || "10000", 10); // per attempt
+const WEBHOOK_MAX_ATTEMPTS  = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS  || "6", 10);
+const WEBHOOK_BACKOFF_MS    = parseInt(process.env.WEBHOOK_BACKOFF_MS    || "30000", 10); // 30s, 1m, 2m, 4m…
+const WEBHOOK_RETRY_TICK_MS = parseInt(process.env.WEBHOOK_RETRY_TICK_MS || "15000", 10);
+const ALLOW_PRIVATE_URLS    = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+// Unspecified, loopback, RFC-1918, CGNAT, link-local and IPv6 unique-local —
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16],
+]) PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+const inFlight = new Set(); // delivery IDs currently being sent
+let retryTimer = null;
+let polling = false;
+
+/**
+ * HMAC signature header value for a raw request body
+ * @param {string} secret
+ * @param {string} body      - Exact bytes sent as the request body
+ * @param {number} timestamp - Unix seconds
+ */
+export function signPayload(secret, body, timestamp) {
+  const digest = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/** true for an IP address webhooks must never be sent to */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function privateAddressError(hostname, address) {
+  return Object.assign(new Error(`${hostname} resolves to a private address (${address})`), { code: 'EPRIVATEADDRESS' });
+}
+
+// dns.lookup for the delivery sockets — the address checked is the address
+// connected to, so a rebinding hostname cannot slip past between the two
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) return callback(privateAddressError(hostname, blocked.address));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const agents = ALLOW_PRIVATE_URLS ? {} : {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+};
+
+async function attemptDelivery(delivery) {
+  if (inFlight.has(delivery.id)) return;
+  inFlight.add(delivery.id);
+
+  const attempts = delivery.attempts + 1;
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  let responseStatus = null;
+  let error = null;
+  try {
+    // IP literals never go through the lookup
+    const host = new URL(delivery.url).hostname.replace(/^\[|\]$/g, '');
+    if (!ALLOW_PRIVATE_URLS && isPrivateAddress(host)) throw privateAddressError(host, host);
+
+    const response = await axios.post(delivery.url, body, {
+      ...agents,
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SEO-Analyzer-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Signature': signPayload(delivery.secret, body, timestamp),
+      },
+    });
+    responseStatus = response.status;
+    if (response.status < 200 || response.status >= 300) error = `HTTP ${response.status}`;
+  } catch (err) {
+    error = err.code || err.message;
+  }
+
+  try {
+    if (!error) {
+      await recordDeliveryAttempt(delivery.id, { status: 'delivered', attempts, responseStatus });
+      console.log(`[WEBHOOK] Delivered ${delivery.event} ${delivery.id} to ${delivery.url}`);
+    } else if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+      await recordDeliveryAttempt(delivery.id, { status: 'failed', attempts, responseStatus, error });
+      console.warn(`[WEBHOOK] Giving up on ${delivery.id} after ${attempts} attempts: ${error}`);
+    } else {
+      const nextAttemptAt = new Date(Date.now() + WEBHOOK_BACKOFF_MS * 2 ** (attempts - 1));
+      await recordDeliveryAttempt(delivery.id, { status: 'pending', attempts, responseStatus, error, nextAttemptAt });
+      console.warn(`[WEBHOOK] Delivery ${delivery.id} failed (${error}) — retrying at ${nextAttemptAt.toISOString()}`);
+    }
+  } catch (dbErr) {
+    console.error(`[WEBHOOK] Could not record attempt for ${delivery.id}: ${dbErr.message}`);
+  } finally {
+    inFlight.delete(delivery.id);
+  }
+}
+
+/** Queue a delivery and send the first attempt straight away (not awaited) */
+export async function sendWebhookEvent(webhook, event, data) {
+  const payload = { event, createdAt: new Date().toISOString(), data };
+  const delivery = await createDelivery(webhook.id, event, payload);
+  attemptDelivery({ ...delivery, url: webhook.url, secret: webhook.secret });
+  return delivery;
+}
+
+/**
+ * Fan a finished audit out to the key's webhooks
+ * @param {string} apiKeyId
+ * @param {Object} audit
+ * @param {string} audit.kind      - 'analysis' | 'crawl' | 'lighthouse'
+ * @param {string} audit.url
+ * @param {string} [audit.reportId]
+ * @param {number} [audit.score]   - 0–100, compared against thresholds.minScore
+ * @param {Object} [audit.summary] - Small digest included in the completed event
+ * @param {string[]} [audit.newServerErrors] - Crawl only: URLs newly returning 5xx
+ */
+export async function notifyAuditCompleted(apiKeyId, audit) {
+  const { kind, url, reportId = null, score = null, summary = null, newServerErrors = [] } = audit;
+  const webhooks = await getActiveWebhooks(apiKeyId);
+
+  for (const webhook of webhooks) {
+    const events = new Set(webhook.events);
+
+    if (events.has(`${kind}.completed`)) {
+      await sendWebhookEvent(webhook, `${kind}.completed`, { url, reportId, score, summary });
+    }
+
+    const minScore = webhook.thresholds?.minScore;
+    if (events.has('threshold.score_below') && typeof minScore === 'number' && typeof score === 'number' && score < minScore) {
+      await sendWebhookEvent(webhook, 'threshold.score_below', { source: kind, url, reportId, score, minScore });
+    }
+
+    if (events.has('threshold.new_server_errors') && newServerErrors.length > 0) {
+      await sendWebhookEvent(webhook, 'threshold.new_server_errors', {
+        url, reportId, count: newServerErrors.length, pages: newServerErrors,
+      });
+    }
+  }
+}
+
+async function pollRetries() {
+  if (polling) return;
+  polling = true;
+  try {
+    const due = await getDueDeliveries(new Date());
+    for (const delivery of due) await attemptDelivery(delivery);
+  } catch (err) {
+    console.error('[WEBHOOK] Retry poll failed:', err.message);
+  } finally {
+    polling = false;
+  }
+}
+
+/** Start polling for pending deliveries (retries, and anything left over from a restart) */
+export function startWebhookDispatcher() {
+  if (retryTimer) return;
+  console.log(`[WEBHOOK] Dispatcher started (retry poll every ${WEBHOOK_RETRY_TICK_MS / 1000}s)`);
+  retryTimer = setInterval(pollRetries, WEBHOOK_RETRY_TICK_MS);
+  retryTimer.unref();
+}
+
+export function stopWebhookDispatcher() {
+  if (retryTimer) {
+    clearInterval(retryTimer);
+    retryTimer = null;
+  }
+}
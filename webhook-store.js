@@ -0,0 +1,198 @@
+/**
+ * Webhook Store - Postgres registry of webhook subscriptions and deliveries
+ *
+ * Subscriptions belong to the API key that created them; every query is
+ * scoped by apiKeyId so one key can never see or edit another key's hooks.
+ * Deliveries are the per-event send log that webhook-dispatcher.js retries
+ * and that GET /api/webhooks/:id/deliveries exposes.
+ *
+ * Tables: webhooks, webhook_deliveries — see migrations/003_create_webhooks.sql
+ */
+
+import { randomUUID, randomBytes } from 'crypto';
+import { dbPool } from './db.js';
+
+export const WEBHOOK_EVENTS = [
+  'analysis.completed',
+  'crawl.completed',
+  'lighthouse.completed',
+  'threshold.score_below',
+  'threshold.new_server_errors',
+];
+
+const MAX_DELIVERY_LIST_LIMIT = 100;
+
+// The secret is only returned by createWebhook — listings never echo it back
+const WEBHOOK_COLUMNS = `
+  id, url, events, thresholds, enabled,
+  created_at AS "createdAt", updated_at AS "updatedAt"
+`;
+
+const DELIVERY_COLUMNS = `
+  id, webhook_id AS "webhookId", event, payload, status, attempts,
+  response_status AS "responseStatus", last_error AS "lastError",
+  next_attempt_at AS "nextAttemptAt", delivered_at AS "deliveredAt",
+  created_at AS "createdAt"
+`;
+
+// camelCase API field → column, for the fields callers may change
+const WRITABLE_FIELDS = {
+  url: 'url',
+  events: 'events',
+  thresholds: 'thresholds',
+  enabled: 'enabled',
+};
+
+/**
+ * @param {string} apiKeyId
+ * @param {Object} webhook - { url, events, thresholds?, enabled? }
+ * @returns {Promise<Object>} The stored webhook, including its signing secret
+ */
+export async function createWebhook(apiKeyId, webhook) {
+  const secret = `whsec_${randomBytes(24).toString('hex')}`;
+  const { rows } = await dbPool.query(
+    `INSERT INTO webhooks (id, api_key_id, url, secret, events, thresholds, enabled)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING ${WEBHOOK_COLUMNS}, secret`,
+    [
+      randomUUID(),
+      apiKeyId,
+      webhook.url,
+      secret,
+      webhook.events,
+      JSON.stringify(webhook.thresholds || {}),
+      webhook.enabled !== false,
+    ]
+  );
+  return rows[0];
+}
+
+export async function listWebhooks(apiKeyId) {
+  const { rows } = await dbPool.query(
+    `SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE api_key_id = $1 ORDER BY created_at DESC`,
+    [apiKeyId]
+  );
+  return rows;
+}
+
+export async function getWebhook(apiKeyId, id) {
+  const { rows } = await dbPool.query(
+    `SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = $1 AND api_key_id = $2`,
+    [id, apiKeyId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Update the writable fields present in `changes`
+ * @returns {Promise<Object|null>} The updated webhook, or null if it doesn't exist
+ */
+export async function updateWebhook(apiKeyId, id, changes) {
+  const sets = [];
+  const params = [];
+  for (const [field, column] of Object.entries(WRITABLE_FIELDS)) {
+    if (changes[field] === undefined) continue;
+    params.push(field === 'thresholds' ? JSON.stringify(changes[field]) : changes[field]);
+    sets.push(`${column} = $${params.length}`);
+  }
+  if (sets.length === 0) return getWebhook(apiKeyId, id);
+
+  params.push(id, apiKeyId);
+  const { rows } = await dbPool.query(
+    `UPDATE webhooks SET ${sets.join(', ')}, updated_at = now()
+     WHERE id = $${params.length - 1} AND api_key_id = $${params.length}
+     RETURNING ${WEBHOOK_COLUMNS}`,
+    params
+  );
+  return rows[0] || null;
+}
+
+/** @returns {Promise<boolean>} true if a webhook was deleted */
+export async function deleteWebhook(apiKeyId, id) {
+  const { rowCount } = await dbPool.query(
+    'DELETE FROM webhooks WHERE id = $1 AND api_key_id = $2',
+    [id, apiKeyId]
+  );
+  return rowCount > 0;
+}
+
+/** Enabled webhooks of a key, with secrets — for the dispatcher only */
+export async function getActiveWebhooks(apiKeyId) {
+  const { rows } = await dbPool.query(
+    `SELECT ${WEBHOOK_COLUMNS}, secret FROM webhooks WHERE api_key_id = $1 AND enabled`,
+    [apiKeyId]
+  );
+  return rows;
+}
+
+// ---------------------------------------------------------------------------
+// Delivery log
+// ---------------------------------------------------------------------------
+
+/** Queue an event for a webhook; the first attempt is due immediately */
+export async function createDelivery(webhookId, event, payload) {
+  const { rows } = await dbPool.query(
+    `INSERT INTO webhook_deliveries (id, webhook_id, event, payload, next_attempt_at)
+     VALUES ($1, $2, $3, $4, now())
+     RETURNING ${DELIVERY_COLUMNS}`,
+    [randomUUID(), webhookId, event, JSON.stringify(payload)]
+  );
+  return rows[0];
+}
+
+/** Pending deliveries whose next attempt is due, joined with their webhook's URL and secret */
+export async function getDueDeliveries(now, limit = 20) {
+  const { rows } = await dbPool.query(
+    `SELECT d.id, d.webhook_id AS "webhookId", d.event, d.payload, d.attempts,
+            w.url, w.secret
+     FROM webhook_deliveries d
+     JOIN webhooks w ON w.id = d.webhook_id
+     WHERE d.status = 'pending' AND d.next_attempt_at <= $1 AND w.enabled
+     ORDER BY d.next_attempt_at
+     LIMIT $2`,
+    [now, limit]
+  );
+  return rows;
+}
+
+/**
+ * Record the outcome of one delivery attempt
+ * @param {string} id
+ * @param {Object} attempt - { status, attempts, responseStatus?, error?, nextAttemptAt? }
+ */
+export async function recordDeliveryAttempt(id, { status, attempts, responseStatus = null, error = null, nextAttemptAt = null }) {
+  await dbPool.query(
+    `UPDATE webhook_deliveries
+     SET status = $1, attempts = $2, response_status = $3, last_error = $4,
+         next_attempt_at = $5,
+         delivered_at = CASE WHEN $1 = 'delivered' THEN now() ELSE delivered_at END
+     WHERE id = $6`,
+    [status, attempts, responseStatus, error, nextAttemptAt, id]
+  );
+}
+
+/**
+ * Delivery log for one webhook, newest first
+ * @param {string} webhookId
+ * @param {Object} [filters] - { status?, limit?, offset? }
+ */
+export async function listDeliveries(webhookId, { status, limit = 20, offset = 0 } = {}) {
+  const params = [webhookId];
+  let whereSql = 'WHERE webhook_id = $1';
+  if (status) { params.push(status); whereSql += ` AND status = $${params.length}`; }
+
+  const safeLimit = Math.min(Math.max(1, parseInt(limit, 10) || 20), MAX_DELIVERY_LIST_LIMIT);
+  const safeOffset = Math.max(0, parseInt(offset, 10) || 0);
+
+  const { rows: countRows } = await dbPool.query(
+    `SELECT COUNT(*)::int AS total FROM webhook_deliveries ${whereSql}`,
+    params
+  );
+  const { rows } = await dbPool.query(
+    `SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries ${whereSql}
+     ORDER BY created_at DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, safeLimit, safeOffset]
+  );
+  return { deliveries: rows, total: countRows[0].total, limit: safeLimit, offset: safeOffset };
+}